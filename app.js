@@ -5,12 +5,86 @@
 
 class App {
     constructor() {
-        this.excelParser = new ExcelParser();
-        this.csvExporter = new CSVExporter();
+        // Sprache der Oberfläche und der Parser-Meldungen (wird im localStorage gemerkt)
+        this.i18n = new I18n();
+        this.excelParser = new ExcelParser(this.i18n);
+        // Lesen und Transformieren laufen im Parser-Worker, der eigene ExcelParser dient Vorschau und Export
+        this.parserClient = new ParserClient('parserWorker.js', this.i18n);
+        this.parserClient.onProgress = (progress) => this.updateProgress(progress);
+        this.exporterRegistry = new ExporterRegistry()
+            .register(new CSVExporter(this.excelParser.dateNormalizer, this.i18n))
+            .register(new XLSXExporter())
+            .register(new JSONExporter())
+            .register(new XMLExporter());
+        this.csvExporter = this.exporterRegistry.get('csv');
+        this.fileNameTemplate = new FileNameTemplate(this.i18n);
+        this.offlineCheck = new OfflineCheck();
+        // Letztes Ergebnis der Offline-Prüfung (wird beim Sprachwechsel neu beschriftet)
+        this.offlineResult = null;
+        // Angezeigter Parser-Fehler (wird beim Sprachwechsel neu übersetzt)
+        this.shownError = null;
+        this.historyStore = new HistoryStore(window.indexedDB, this.i18n);
+        this.bookingDiff = new BookingDiff(this.excelParser.dateNormalizer, this.i18n);
+        this.currentDiff = null;
+        // Verglichene Zeilen (für den Export der Änderungen im Datenschutzmodus)
+        this.currentDiffRows = null;
+        // Während eine Vergleichsdatei verarbeitet wird, führt ein Abbruch zurück zum Ergebnis
+        this.comparing = false;
+        // id des Verlaufseintrags der aktuellen Daten (wird beim Export mit den bearbeiteten Zeilen aktualisiert)
+        this.currentHistoryId = null;
+        this.serviceWorkerUpdater = new ServiceWorkerUpdater(() => this.showUpdateBanner());
+        this.launchHandler = new LaunchHandler(
+            (files) => this.openLaunchedFiles(files),
+            (message) => this.showError(message)
+        );
+        this.submissionClient = new SubmissionClient(
+            new SubmissionQueue(window.indexedDB, (url, init) => window.fetch(url, init), this.i18n),
+            () => this.refreshSubmissionStatus(),
+            navigator.serviceWorker,
+            this.i18n
+        );
+        // id der zuletzt gesendeten Übermittlung (ihr Status wird im Ergebnis angezeigt)
+        this.currentSubmissionId = null;
+        this.privacyGuard = new PrivacyGuard(this.i18n);
+        // Während eine Datei verarbeitet wird, darf die App nicht neu geladen werden
+        this.processing = false;
+        // Während einer Verarbeitung geöffnete bzw. geteilte Dateien (werden danach verarbeitet)
+        this.launchedFiles = [];
+        this.profileManager = new ProfileManager(this.excelParser.defaultColumnMapping, localStorage, this.i18n);
         this.currentData = null;
+        // Ursprüngliche Zellwerte der ersten Zeilen der zuletzt gelesenen Datei (Vorschau der Feldregeln)
+        this.sampleRows = [];
 
         this.initializeElements();
         this.attachEventListeners();
+        this.populateLanguageSelect();
+        this.i18n.translatePage();
+        this.renderOfflineStatus();
+        this.populateProfileSelects();
+        this.populateExportFormats();
+        this.populateTransformFields();
+
+        this.previewGrid = new PreviewGrid(
+            this.previewTableBody,
+            this.csvExporter.columns,
+            this.excelParser.rowValidator,
+            () => this.handlePreviewChange(),
+            this.excelParser.nameNormalizer,
+            (row) => this.buildRowId(row),
+            this.i18n
+        );
+
+        this.checkOfflineReadiness();
+        this.launchHandler.start();
+        this.submissionClient.start();
+        this.updateSubmitButton();
+        this.privacyGuard.startIdleTimer(() => this.handleIdle());
+
+        // Abgelaufene Gästedaten beim Start löschen (im Datenschutzmodus den ganzen Verlauf)
+        if (this.historyStore.isSupported()) {
+            const cleanup = this.privacyGuard.isEnabled() ? this.historyStore.clear() : this.historyStore.purge();
+            cleanup.catch(error => console.warn('Verlauf konnte nicht bereinigt werden:', error));
+        }
     }
 
     /**
@@ -22,19 +96,167 @@ class App {
         this.uploadArea = document.getElementById('uploadArea');
         this.fileInput = document.getElementById('fileInput');
         this.selectFileBtn = document.getElementById('selectFileBtn');
+        this.offlineMessage = document.getElementById('offlineMessage');
+        this.privacyNotice = document.getElementById('privacyNotice');
+        this.offlineStatus = document.getElementById('offlineStatus');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.updateBanner = document.getElementById('updateBanner');
+        this.updateReloadBtn = document.getElementById('updateReloadBtn');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.historyBtn = document.getElementById('historyBtn');
+
+        // Settings Section
+        this.settingsSection = document.getElementById('settingsSection');
+        this.settingsProfileSelect = document.getElementById('settingsProfileSelect');
+        this.profileNameInput = document.getElementById('profileNameInput');
+        this.mappingTableBody = document.getElementById('mappingTableBody');
+        this.babyMaxAgeInput = document.getElementById('babyMaxAgeInput');
+        this.childMaxAgeInput = document.getElementById('childMaxAgeInput');
+        this.teenMaxAgeInput = document.getElementById('teenMaxAgeInput');
+        this.groupingModeSelect = document.getElementById('groupingModeSelect');
+        this.nameNormalizeCheckbox = document.getElementById('nameNormalizeCheckbox');
+        this.nameSplitCheckbox = document.getElementById('nameSplitCheckbox');
+        this.nameTransliterateCheckbox = document.getElementById('nameTransliterateCheckbox');
+        this.dateInputLocalesInput = document.getElementById('dateInputLocalesInput');
+        this.dateOutputFormatSelect = document.getElementById('dateOutputFormatSelect');
+        this.profileDialectSelect = document.getElementById('profileDialectSelect');
+        this.fileNameTemplateInput = document.getElementById('fileNameTemplateInput');
+        this.fileNameTemplateHint = document.getElementById('fileNameTemplateHint');
+        this.filterRuleList = document.getElementById('filterRuleList');
+        this.filterRuleTypeSelect = document.getElementById('filterRuleTypeSelect');
+        this.filterRuleFieldGroup = document.getElementById('filterRuleFieldGroup');
+        this.filterRuleFieldSelect = document.getElementById('filterRuleFieldSelect');
+        this.filterRuleValuesGroup = document.getElementById('filterRuleValuesGroup');
+        this.filterRuleValuesInput = document.getElementById('filterRuleValuesInput');
+        this.filterRuleFromGroup = document.getElementById('filterRuleFromGroup');
+        this.filterRuleFromInput = document.getElementById('filterRuleFromInput');
+        this.filterRuleToGroup = document.getElementById('filterRuleToGroup');
+        this.filterRuleToInput = document.getElementById('filterRuleToInput');
+        this.addFilterRuleBtn = document.getElementById('addFilterRuleBtn');
+        this.transformFieldSelect = document.getElementById('transformFieldSelect');
+        this.transformList = document.getElementById('transformList');
+        this.transformTypeSelect = document.getElementById('transformTypeSelect');
+        this.transformPatternGroup = document.getElementById('transformPatternGroup');
+        this.transformPatternInput = document.getElementById('transformPatternInput');
+        this.transformReplacementGroup = document.getElementById('transformReplacementGroup');
+        this.transformReplacementInput = document.getElementById('transformReplacementInput');
+        this.transformCharacterGroup = document.getElementById('transformCharacterGroup');
+        this.transformCharacterInput = document.getElementById('transformCharacterInput');
+        this.transformCountGroup = document.getElementById('transformCountGroup');
+        this.transformCountInput = document.getElementById('transformCountInput');
+        this.transformLengthGroup = document.getElementById('transformLengthGroup');
+        this.transformLengthInput = document.getElementById('transformLengthInput');
+        this.transformValueGroup = document.getElementById('transformValueGroup');
+        this.transformValueInput = document.getElementById('transformValueInput');
+        this.transformFieldsGroup = document.getElementById('transformFieldsGroup');
+        this.transformFieldsInput = document.getElementById('transformFieldsInput');
+        this.transformSeparatorGroup = document.getElementById('transformSeparatorGroup');
+        this.transformSeparatorInput = document.getElementById('transformSeparatorInput');
+        this.addTransformBtn = document.getElementById('addTransformBtn');
+        this.resetTransformsBtn = document.getElementById('resetTransformsBtn');
+        this.transformPreviewBody = document.getElementById('transformPreviewBody');
+        this.settingsMessage = document.getElementById('settingsMessage');
+        this.saveProfileBtn = document.getElementById('saveProfileBtn');
+        this.newProfileBtn = document.getElementById('newProfileBtn');
+        this.deleteProfileBtn = document.getElementById('deleteProfileBtn');
+        this.exportProfilesBtn = document.getElementById('exportProfilesBtn');
+        this.importProfilesBtn = document.getElementById('importProfilesBtn');
+        this.profileImportInput = document.getElementById('profileImportInput');
+        this.settingsBackBtn = document.getElementById('settingsBackBtn');
+        this.submissionUrlInput = document.getElementById('submissionUrlInput');
+        this.submissionFormatSelect = document.getElementById('submissionFormatSelect');
+        this.submissionHeaderNameInput = document.getElementById('submissionHeaderNameInput');
+        this.submissionHeaderValueInput = document.getElementById('submissionHeaderValueInput');
+        this.submissionSettingsMessage = document.getElementById('submissionSettingsMessage');
+        this.saveSubmissionBtn = document.getElementById('saveSubmissionBtn');
+        this.privacyEnabledCheckbox = document.getElementById('privacyEnabledCheckbox');
+        this.privacyNameModeSelect = document.getElementById('privacyNameModeSelect');
+        this.privacySaltGroup = document.getElementById('privacySaltGroup');
+        this.privacySaltInput = document.getElementById('privacySaltInput');
+        this.privacyReplacementGroup = document.getElementById('privacyReplacementGroup');
+        this.privacyReplacementInput = document.getElementById('privacyReplacementInput');
+        this.privacyIdleInput = document.getElementById('privacyIdleInput');
+        this.privacyClearAfterDownloadCheckbox = document.getElementById('privacyClearAfterDownloadCheckbox');
+        this.privacySettingsMessage = document.getElementById('privacySettingsMessage');
+        this.savePrivacyBtn = document.getElementById('savePrivacyBtn');
+
+        // History Section
+        this.historySection = document.getElementById('historySection');
+        this.historyRetentionSelect = document.getElementById('historyRetentionSelect');
+        this.historyFormatSelect = document.getElementById('historyFormatSelect');
+        this.historyDialectField = document.getElementById('historyDialectField');
+        this.historyDialectSelect = document.getElementById('historyDialectSelect');
+        this.historyTableBody = document.getElementById('historyTableBody');
+        this.historyMessage = document.getElementById('historyMessage');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.historyBackBtn = document.getElementById('historyBackBtn');
+
+        // Sheet Section
+        this.sheetSection = document.getElementById('sheetSection');
+        this.sheetFileName = document.getElementById('sheetFileName');
+        this.sheetList = document.getElementById('sheetList');
+        this.rememberSheetsCheckbox = document.getElementById('rememberSheetsCheckbox');
+        this.sheetMessage = document.getElementById('sheetMessage');
+        this.confirmSheetsBtn = document.getElementById('confirmSheetsBtn');
+        this.cancelSheetsBtn = document.getElementById('cancelSheetsBtn');
 
         // Processing Section
         this.processingSection = document.getElementById('processingSection');
         this.statusTitle = document.getElementById('statusTitle');
         this.statusMessage = document.getElementById('statusMessage');
         this.progressFill = document.getElementById('progressFill');
+        this.progressDetail = document.getElementById('progressDetail');
+        this.cancelProcessingBtn = document.getElementById('cancelProcessingBtn');
 
         // Result Section
         this.resultSection = document.getElementById('resultSection');
         this.entryCount = document.getElementById('entryCount');
         this.fileName = document.getElementById('fileName');
+        this.profileNames = document.getElementById('profileNames');
+        this.fileResultsSection = document.getElementById('fileResultsSection');
+        this.fileResultsBody = document.getElementById('fileResultsBody');
+        this.duplicateInfo = document.getElementById('duplicateInfo');
+        this.includeSourceFileCheckbox = document.getElementById('includeSourceFileCheckbox');
+        this.sheetNames = document.getElementById('sheetNames');
+        this.headerRowInfo = document.getElementById('headerRowInfo');
+        this.inputFormatInfo = document.getElementById('inputFormatInfo');
+        this.inputWarnings = document.getElementById('inputWarnings');
+        this.validationSummary = document.getElementById('validationSummary');
+        this.groupingSummary = document.getElementById('groupingSummary');
+        this.filterSummary = document.getElementById('filterSummary');
+        this.previewFilter = document.getElementById('previewFilter');
+        this.previewTableBody = document.getElementById('previewTableBody');
+        this.addRowBtn = document.getElementById('addRowBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.rejectedReportBtn = document.getElementById('rejectedReportBtn');
+        this.exportFormatSelect = document.getElementById('exportFormatSelect');
+        this.csvDialectField = document.getElementById('csvDialectField');
+        this.csvDialectSelect = document.getElementById('csvDialectSelect');
         this.downloadBtn = document.getElementById('downloadBtn');
         this.resetBtn = document.getElementById('resetBtn');
+        this.submitBtn = document.getElementById('submitBtn');
+        this.submissionStatus = document.getElementById('submissionStatus');
+        this.submissionStatusText = document.getElementById('submissionStatusText');
+        this.submissionResponse = document.getElementById('submissionResponse');
+        this.compareSelect = document.getElementById('compareSelect');
+        this.compareFileInput = document.getElementById('compareFileInput');
+        this.compareMessage = document.getElementById('compareMessage');
+        this.compareBtn = document.getElementById('compareBtn');
+
+        // Diff Section
+        this.diffSection = document.getElementById('diffSection');
+        this.diffSourceInfo = document.getElementById('diffSourceInfo');
+        this.diffAddedCount = document.getElementById('diffAddedCount');
+        this.diffChangedCount = document.getElementById('diffChangedCount');
+        this.diffCancelledCount = document.getElementById('diffCancelledCount');
+        this.diffRemovedCount = document.getElementById('diffRemovedCount');
+        this.diffUnchangedCount = document.getElementById('diffUnchangedCount');
+        this.diffTableBody = document.getElementById('diffTableBody');
+        this.diffMessage = document.getElementById('diffMessage');
+        this.diffExportBtn = document.getElementById('diffExportBtn');
+        this.diffBackBtn = document.getElementById('diffBackBtn');
 
         // Error Section
         this.errorSection = document.getElementById('errorSection');
@@ -53,12 +275,158 @@ class App {
 
         // File Input Change
         this.fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleFiles(e.target.files);
+            }
+        });
+
+        // Sprachauswahl im Header
+        this.languageSelect.addEventListener('change', () => {
+            this.changeLanguage(this.languageSelect.value);
+        });
+
+        // Profilauswahl vor dem Upload
+        this.profileSelect.addEventListener('change', () => {
+            this.profileManager.setActiveProfile(this.profileSelect.value);
+        });
+
+        this.settingsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showSettings();
+        });
+
+        // Settings
+        this.settingsProfileSelect.addEventListener('change', () => {
+            this.renderMappingEditor(this.profileManager.getProfile(this.settingsProfileSelect.value));
+        });
+
+        this.saveProfileBtn.addEventListener('click', () => {
+            this.saveProfileFromEditor();
+        });
+
+        this.newProfileBtn.addEventListener('click', () => {
+            this.renderMappingEditor(this.profileManager.createProfile(''));
+            this.profileNameInput.focus();
+        });
+
+        this.filterRuleTypeSelect.addEventListener('change', () => {
+            this.updateFilterRuleForm();
+        });
+
+        this.addFilterRuleBtn.addEventListener('click', () => {
+            this.addFilterRuleFromForm();
+        });
+
+        this.transformFieldSelect.addEventListener('change', () => {
+            this.renderFieldTransforms();
+        });
+
+        this.transformTypeSelect.addEventListener('change', () => {
+            this.updateTransformForm();
+        });
+
+        this.addTransformBtn.addEventListener('click', () => {
+            this.addTransformFromForm();
+        });
+
+        this.resetTransformsBtn.addEventListener('click', () => {
+            this.editingFieldTransforms = this.excelParser.getFieldTransforms(null);
+            this.renderFieldTransforms();
+            this.showSettingsMessage(this.i18n.t('settings.transformsReset'));
+        });
+
+        // Die Namensoptionen wirken sich auf die Vorschau der Feldregeln aus
+        [this.nameNormalizeCheckbox, this.nameSplitCheckbox, this.nameTransliterateCheckbox].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.renderTransformPreview();
+            });
+        });
+
+        this.deleteProfileBtn.addEventListener('click', () => {
+            this.deleteSelectedProfile();
+        });
+
+        this.exportProfilesBtn.addEventListener('click', () => {
+            this.exportProfiles();
+        });
+
+        this.importProfilesBtn.addEventListener('click', () => {
+            this.profileImportInput.click();
+        });
+
+        this.profileImportInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                this.handleFile(file);
+                this.importProfiles(file);
             }
         });
 
+        this.settingsBackBtn.addEventListener('click', () => {
+            this.reset();
+        });
+
+        // Ticketsystem
+        this.saveSubmissionBtn.addEventListener('click', () => {
+            this.saveSubmissionSettings();
+        });
+
+        // Datenschutz
+        this.privacyNameModeSelect.addEventListener('change', () => {
+            this.updatePrivacyForm();
+        });
+
+        this.savePrivacyBtn.addEventListener('click', () => {
+            this.savePrivacySettings();
+        });
+
+        // Verlauf
+        this.historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showHistory();
+        });
+
+        this.historyRetentionSelect.addEventListener('change', () => {
+            this.changeHistoryRetention(parseInt(this.historyRetentionSelect.value, 10));
+        });
+
+        this.historyFormatSelect.addEventListener('change', () => {
+            this.historyDialectField.classList.toggle('hidden', this.historyFormatSelect.value !== this.csvExporter.id);
+        });
+
+        this.clearHistoryBtn.addEventListener('click', () => {
+            this.clearHistory();
+        });
+
+        this.historyBackBtn.addEventListener('click', () => {
+            this.reset();
+        });
+
+        // Tabellenauswahl
+        this.confirmSheetsBtn.addEventListener('click', () => {
+            this.confirmSheetSelection();
+        });
+
+        this.cancelSheetsBtn.addEventListener('click', () => {
+            this.resolveSheetSelection(null);
+            this.leaveProcessing();
+        });
+
+        // Neue Version laden
+        this.updateReloadBtn.addEventListener('click', () => {
+            this.applyUpdate();
+        });
+
+        // Service Worker nach dem Laden der Seite registrieren
+        window.addEventListener('load', () => {
+            this.serviceWorkerUpdater.register();
+        });
+
+        // Laufende Verarbeitung abbrechen
+        this.cancelProcessingBtn.addEventListener('click', () => {
+            this.parserClient.cancel();
+            this.leaveProcessing();
+        });
+
         // Drag & Drop
         this.uploadArea.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -73,15 +441,84 @@ class App {
             e.preventDefault();
             this.uploadArea.classList.remove('dragover');
             
-            const file = e.dataTransfer.files[0];
-            if (file) {
-                this.handleFile(file);
+            if (e.dataTransfer.files.length > 0) {
+                this.handleFiles(e.dataTransfer.files);
             }
         });
 
         // Download Button
         this.downloadBtn.addEventListener('click', () => {
-            this.downloadCSV();
+            this.downloadExport();
+        });
+
+        this.submitBtn.addEventListener('click', () => {
+            this.submitExport();
+        });
+
+        // Ausgabeformat
+        this.exportFormatSelect.addEventListener('change', () => {
+            this.updateDownloadButton();
+        });
+
+        // Vorschau-Filter
+        this.previewFilter.addEventListener('change', () => {
+            this.refreshPreview();
+        });
+
+        // Bearbeitung der Vorschau
+        this.addRowBtn.addEventListener('click', () => {
+            this.addPreviewRow();
+        });
+
+        this.undoBtn.addEventListener('click', () => {
+            this.previewGrid.undo();
+        });
+
+        this.redoBtn.addEventListener('click', () => {
+            this.previewGrid.redo();
+        });
+
+        // Tastenkürzel für Undo/Redo (nicht während eine Zelle bearbeitet wird)
+        document.addEventListener('keydown', (e) => {
+            if (this.resultSection.classList.contains('hidden') || !(e.ctrlKey || e.metaKey)) {
+                return;
+            }
+            if (document.activeElement && document.activeElement.isContentEditable) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.previewGrid.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.previewGrid.redo();
+            }
+        });
+
+        // Bericht der verworfenen Zeilen
+        this.rejectedReportBtn.addEventListener('click', () => {
+            this.downloadRejectedReport();
+        });
+
+        // Vergleich mit einem früheren Lauf oder einer zweiten Datei
+        this.compareBtn.addEventListener('click', () => {
+            this.startCompare();
+        });
+
+        this.compareFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.compareWithFile(file);
+            }
+        });
+
+        this.diffExportBtn.addEventListener('click', () => {
+            this.downloadDiff();
+        });
+
+        this.diffBackBtn.addEventListener('click', () => {
+            this.returnToResult();
         });
 
         // Reset Buttons
@@ -99,142 +536,2171 @@ class App {
      * @param {File} file - Die hochgeladene Datei
      */
     async handleFile(file) {
-        // Validierung
-        if (!this.excelParser.isValidFileType(file)) {
-            this.showError('Bitte wählen Sie eine gültige Excel-Datei (.xlsx oder .xls) aus.');
+        return this.handleFiles([file]);
+    }
+
+    /**
+     * Verarbeitet eine oder mehrere hochgeladene Dateien und führt sie zu einem Export zusammen
+     * @param {FileList|Array<File>} files - Die hochgeladenen Dateien
+     */
+    async handleFiles(files) {
+        this.privacyNotice.classList.add('hidden');
+        this.setProcessing(true);
+        try {
+            await this.processFiles(files);
+        } finally {
+            this.setProcessing(false);
+        }
+        this.openQueuedLaunchedFiles();
+    }
+
+    /**
+     * Liest alle Dateien nacheinander ein und zeigt das Ergebnis bzw. den Fehler an
+     * @param {FileList|Array<File>} files - Die hochgeladenen Dateien
+     */
+    async processFiles(files) {
+        const fileList = Array.from(files);
+        const isBatch = fileList.length > 1;
+
+        // Validierung (bei einer einzelnen Datei sofort abbrechen)
+        if (!isBatch && !this.excelParser.isValidFileType(fileList[0])) {
+            this.showError(this.i18n.t('upload.invalidFile'));
             return;
         }
 
-        // UI auf Processing umstellen
-        this.showProcessing();
+        const fileResults = [];
 
-        try {
-            // Datei parsen
-            const result = await this.excelParser.parseFile(file);
-            
-            // Daten speichern
-            this.currentData = result;
+        for (let i = 0; i < fileList.length; i++) {
+            const file = fileList[i];
+            const progressMessage = isBatch
+                ? this.i18n.t('progress.batchFile', { current: i + 1, total: fileList.length, file: file.name })
+                : null;
 
-            // UI auf Result umstellen
-            this.showResult(result);
+            // UI auf Processing umstellen
+            this.showProcessing(progressMessage);
 
-        } catch (error) {
-            console.error('Fehler beim Verarbeiten der Datei:', error);
-            this.showError(error.message || 'Ein unbekannter Fehler ist aufgetreten.');
+            try {
+                if (!this.excelParser.isValidFileType(file)) {
+                    throw new Error(this.i18n.t('upload.notAFile'));
+                }
+
+                const result = await this.processFile(file, isBatch, progressMessage);
+                if (!result) {
+                    // Tabellenauswahl abgebrochen
+                    return;
+                }
+                fileResults.push({ fileName: file.name, result: result });
+
+            } catch (error) {
+                if (error.cancelled) {
+                    // Verarbeitung abgebrochen (Stapel wird nicht fortgesetzt)
+                    return;
+                }
+                console.error(`Fehler beim Verarbeiten der Datei ${file.name}:`, error);
+                const message = this.i18n.translateError(error) || this.i18n.t('error.unknown');
+                if (!isBatch) {
+                    this.showError(message, error);
+                    return;
+                }
+                fileResults.push({ fileName: file.name, error: message });
+            }
+        }
+
+        if (!fileResults.some(fileResult => fileResult.result)) {
+            this.showError(fileResults.map(fileResult => `${fileResult.fileName}: ${fileResult.error}`).join(' '));
+            return;
+        }
+
+        // Daten speichern und die Einstellungen des Exportprofils wiederherstellen
+        // (processFile wendet das Profil der jeweiligen Datei an, u.a. das Datumsformat)
+        this.currentData = this.combineResults(fileResults);
+        this.excelParser.applyProfile(this.getExportProfile());
+        this.sampleRows = this.currentData.sampleRows.slice(0, this.excelParser.sampleRowCount);
+        await this.saveToHistory(this.currentData);
+
+        // UI auf Result umstellen
+        this.showResult(this.currentData);
+    }
+
+    /**
+     * Liest und transformiert eine einzelne Datei
+     * @param {File} file - Die Datei
+     * @param {boolean} isBatch - Ob mehrere Dateien verarbeitet werden (gemerkte Tabellenauswahl ohne Rückfrage)
+     * @param {string|null} progressMessage - Statusmeldung für den Processing-Zustand
+     * @returns {Promise<Object|null>} - Das Ergebnis von parseWorkbook oder null bei Abbruch
+     */
+    async processFile(file, isBatch, progressMessage) {
+        // Datei im Worker einlesen und passendes Mapping-Profil wählen (aktives Profil zuerst)
+        const inspection = await this.parserClient.inspect(file, this.getProfileCandidates());
+        const profile = this.profileManager.getProfile(inspection.profileName);
+        this.excelParser.applyProfile(profile);
+
+        // Bei mehreren Tabellen auswählen lassen
+        const sheetNames = await this.selectSheets(inspection, file.name, profile, isBatch);
+        if (!sheetNames) {
+            return null;
+        }
+
+        this.showProcessing(progressMessage);
+
+        // Daten im Worker transformieren
+        const result = await this.parserClient.parse(profile, sheetNames);
+        result.profileName = profile.name;
+        return result;
+    }
+
+    /**
+     * Gibt die Profile in der Reihenfolge zurück, in der sie für eine Datei geprüft werden
+     * Das aktive Profil wird zuerst geprüft; passt keines, bleibt es beim aktiven Profil.
+     * @returns {Array<Object>}
+     */
+    getProfileCandidates() {
+        const activeProfile = this.profileManager.getActiveProfile();
+        return [activeProfile, ...this.profileManager.getProfileNames()
+            .filter(name => name !== activeProfile.name)
+            .map(name => this.profileManager.getProfile(name))];
+    }
+
+    /**
+     * Führt die Ergebnisse mehrerer Dateien zu einem Datensatz zusammen
+     * Buchungen, die in mehreren Dateien vorkommen, werden nur einmal übernommen
+     * (Schlüssel: BookingNumber, bei getrennten Mehrzimmer-Reservationen zusätzlich das Zimmer).
+     * Die Id eignet sich nicht, da sie über Feldregeln beliebig aufgebaut sein kann.
+     * Datumswerte werden in das Ausgabeformat des Exportprofils (Profil der ersten Datei) umgeschrieben.
+     * @param {Array<Object>} fileResults - Pro Datei { fileName, result } oder { fileName, error }
+     * @returns {Object} - Kombiniertes Ergebnis (Aufbau wie parseWorkbook, zusätzlich files und duplicateCount)
+     */
+    combineResults(fileResults) {
+        const combined = {
+            rows: [],
+            rejectedRows: [],
+            filteredRows: [],
+            filterStats: [],
+            fileName: fileResults.map(fileResult => fileResult.fileName).join(', '),
+            sheetNames: [],
+            headerRows: [],
+            files: [],
+            inputWarnings: [],
+            duplicateCount: 0,
+            sampleRows: []
+        };
+        const seenBookings = new Set();
+        const isBatch = fileResults.length > 1;
+        const firstResult = fileResults.find(fileResult => fileResult.result);
+        const outputFormat = firstResult ? this.getDateOutputFormat(firstResult.result.profileName) : null;
+
+        fileResults.forEach(({ fileName, result, error }) => {
+            if (!result) {
+                combined.files.push({ fileName: fileName, error: error });
+                return;
+            }
+
+            this.convertRowDates(
+                [...result.rows, ...result.rejectedRows, ...result.filteredRows, ...(result.sampleRows || [])],
+                this.getDateOutputFormat(result.profileName),
+                outputFormat
+            );
+
+            result.rows.forEach(row => {
+                row.SourceFile = fileName;
+                const bookingKey = this.getBookingKey(row);
+                if (seenBookings.has(bookingKey)) {
+                    combined.duplicateCount++;
+                    return;
+                }
+                seenBookings.add(bookingKey);
+                combined.rows.push(row);
+            });
+
+            result.rejectedRows.forEach(row => {
+                row.SourceFile = fileName;
+                combined.rejectedRows.push(row);
+            });
+
+            result.filteredRows.forEach(row => {
+                row.SourceFile = fileName;
+                combined.filteredRows.push(row);
+            });
+
+            // Gleiche Regeln aus mehreren Dateien zusammenzählen
+            result.filterStats.forEach(stat => {
+                const existing = combined.filterStats.find(entry => entry.description === stat.description);
+                if (existing) {
+                    existing.removed += stat.removed;
+                } else {
+                    combined.filterStats.push(Object.assign({}, stat));
+                }
+            });
+
+            result.sheetNames.forEach(sheetName => {
+                if (!combined.sheetNames.includes(sheetName)) {
+                    combined.sheetNames.push(sheetName);
+                }
+            });
+            combined.sampleRows.push(...(result.sampleRows || []));
+            combined.headerRows.push(...result.headerRows.map(headerRow => Object.assign({ fileName: fileName }, headerRow)));
+
+            // Hinweise zur Kodierung von CSV-/TSV-Dateien und zu Datumswerten (bei mehreren Dateien mit Dateiname)
+            const warnings = [...(result.inputInfo ? result.inputInfo.warnings : []), ...result.warnings];
+            warnings.forEach(warning => {
+                combined.inputWarnings.push(isBatch ? `${fileName}: ${warning}` : warning);
+            });
+
+            combined.files.push({
+                fileName: fileName,
+                profileName: result.profileName,
+                inputInfo: result.inputInfo,
+                rowCount: result.rows.length,
+                rejectedCount: result.rejectedRows.length
+            });
+        });
+
+        return combined;
+    }
+
+    /**
+     * Gibt das Ausgabeformat der Datumswerte eines Profils zurück
+     * @param {string} profileName - Der Profilname
+     * @returns {string} - z.B. "DD.MM.YYYY"
+     */
+    getDateOutputFormat(profileName) {
+        const profile = this.profileManager.getProfile(profileName);
+        return (profile && profile.dateOutputFormat) || this.excelParser.dateNormalizer.defaultOutputFormat;
+    }
+
+    /**
+     * Schreibt die Datumswerte von Zeilen in ein anderes Ausgabeformat um
+     * @param {Array<Object>} rows - Die Zeilen (werden verändert)
+     * @param {string} fromFormat - Das Format der Zeilen
+     * @param {string} toFormat - Das gewünschte Format
+     */
+    convertRowDates(rows, fromFormat, toFormat) {
+        if (fromFormat === toFormat) {
+            return;
         }
+        const dateNormalizer = this.excelParser.dateNormalizer;
+        rows.forEach(row => {
+            ['DateFrom', 'DateTo'].forEach(field => {
+                row[field] = dateNormalizer.convert(row[field], fromFormat, toFormat);
+            });
+        });
     }
 
     /**
      * Zeigt den Processing-Zustand an
+     * @param {string|null} message - Statusmeldung (z.B. "Datei 2 von 3: ...")
      */
-    showProcessing() {
+    showProcessing(message = null) {
         this.hideAllSections();
         this.processingSection.classList.remove('hidden');
-        this.statusTitle.textContent = 'Datei wird verarbeitet...';
-        this.statusMessage.textContent = 'Bitte warten Sie einen Moment.';
+        this.statusTitle.textContent = this.i18n.t('processing.title');
+        this.statusMessage.textContent = message || this.i18n.t('processing.wait');
         this.progressFill.style.width = '0%';
-        
-        // Progress-Animation starten
-        setTimeout(() => {
-            this.progressFill.style.width = '100%';
-        }, 100);
+        this.progressDetail.textContent = '';
+    }
+
+    /**
+     * Zeigt eine Fortschrittsmeldung des Parser-Workers an
+     * @param {Object} progress - stage, current, total und ggf. sheetName, sheetIndex, sheetCount
+     */
+    updateProgress(progress) {
+        this.progressFill.style.width = `${Math.round(this.parserClient.getPercent(progress))}%`;
+
+        const sheetSuffix = progress.sheetCount > 1 ? ' ' + this.i18n.t('progress.sheet', { sheet: progress.sheetName }) : '';
+        const counts = { current: progress.current, total: progress.total };
+        switch (progress.stage) {
+            case 'read':
+                this.progressDetail.textContent = progress.total > 0
+                    ? this.i18n.t('progress.readPercent', { percent: Math.round(progress.current / progress.total * 100) })
+                    : this.i18n.t('progress.read');
+                break;
+            case 'parse':
+                this.progressDetail.textContent = this.i18n.t('progress.parse');
+                break;
+            case 'transform':
+                this.progressDetail.textContent = this.i18n.t('progress.transform', counts) + sheetSuffix;
+                break;
+            case 'validate':
+                this.progressDetail.textContent = this.i18n.t('progress.validate', counts) + sheetSuffix;
+                break;
+        }
     }
 
     /**
      * Zeigt den Result-Zustand an
-     * @param {Object} result - Das Ergebnis mit rows und fileName
+     * @param {Object} result - Das Ergebnis mit rows, rejectedRows und fileName
      */
     showResult(result) {
         this.hideAllSections();
         this.resultSection.classList.remove('hidden');
         this.entryCount.textContent = result.rows.length;
         this.fileName.textContent = result.fileName;
+        this.profileNames.textContent = [...new Set(result.files
+            .filter(file => file.profileName)
+            .map(file => file.profileName))].join(', ');
+        this.populateFileResults(result);
+        this.sheetNames.textContent = result.sheetNames.join(', ');
+        this.inputFormatInfo.textContent = this.formatInputInfo(result.files);
+        this.inputWarnings.textContent = result.inputWarnings.join(' ');
+        this.inputWarnings.classList.toggle('hidden', result.inputWarnings.length === 0);
+        this.headerRowInfo.textContent = this.formatHeaderRows(result.headerRows);
+        this.validationSummary.textContent = this.formatValidationSummary(result);
+        this.groupingSummary.textContent = this.formatGroupingSummary(result.rows);
+        this.filterSummary.textContent = this.formatFilterSummary(result.filterStats);
+        this.rejectedReportBtn.classList.toggle('hidden', result.rejectedRows.length === 0);
+        this.csvDialectSelect.value = this.getExportProfile().exportDialect || this.csvExporter.defaultDialect;
         
         // Vorschau-Tabelle füllen
-        this.populatePreviewTable(result.rows);
+        this.previewGrid.load(result.rows);
+        this.updateHistoryButtons();
+        this.previewFilter.value = 'all';
+        this.refreshPreview();
+
+        this.showCompareMessage('');
+        this.populateCompareOptions();
+
+        // Status einer früheren Übermittlung gehört nicht zu den neuen Daten
+        this.currentSubmissionId = null;
+        this.submissionStatus.classList.add('hidden');
     }
 
     /**
-     * Füllt die Vorschau-Tabelle mit Daten
-     * @param {Array<Object>} rows - Die zu zeigenden Zeilen
+     * Aktualisiert Anzahl und Prüfungszusammenfassung nach einer Bearbeitung der Vorschau
      */
-    populatePreviewTable(rows) {
-        const tbody = document.getElementById('previewTableBody');
-        tbody.innerHTML = '';
-        
-        // Zeige maximal 50 Zeilen in der Vorschau
-        const maxRows = Math.min(rows.length, 50);
-        
-        for (let i = 0; i < maxRows; i++) {
-            const row = rows[i];
-            const tr = document.createElement('tr');
-            
-            const columns = [
-                'Id', 'BookingNumber', 'OTANumber', 'Name', 
-                'NumberOfAdults', 'NumberOfTeens', 'NumberOfChildren', 'NumberOfBabys',
-                'DateFrom', 'DateTo'
-            ];
-            
-            columns.forEach(col => {
-                const td = document.createElement('td');
-                const value = row[col] !== undefined && row[col] !== null ? row[col] : '';
-                td.textContent = value;
-                tr.appendChild(td);
-            });
-            
-            tbody.appendChild(tr);
+    handlePreviewChange() {
+        this.entryCount.textContent = this.currentData.rows.length;
+        this.validationSummary.textContent = this.formatValidationSummary(this.currentData);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Aktiviert bzw. deaktiviert die Undo/Redo-Buttons
+     */
+    updateHistoryButtons() {
+        const state = this.previewGrid.getHistoryState();
+        this.undoBtn.disabled = !state.canUndo;
+        this.redoBtn.disabled = !state.canRedo;
+    }
+
+    /**
+     * Fügt eine manuelle Buchung hinzu und setzt den Cursor in die Buchungsnummer
+     */
+    addPreviewRow() {
+        // Verworfene/herausgefilterte Zeilen sind nicht editierbar, daher zur Gesamtansicht wechseln
+        if (['rejected', 'filtered'].includes(this.previewFilter.value)) {
+            this.previewFilter.value = 'all';
+            this.refreshPreview();
         }
-        
-        // Wenn mehr Zeilen vorhanden sind, zeige Hinweis
-        if (rows.length > maxRows) {
-            const tr = document.createElement('tr');
-            const td = document.createElement('td');
-            td.colSpan = 10;
-            td.className = 'preview-more';
-            td.textContent = `... und ${rows.length - maxRows} weitere Zeilen`;
-            tr.appendChild(td);
-            tbody.appendChild(tr);
+
+        this.previewGrid.addRow();
+
+        const rows = this.previewTableBody.querySelectorAll('tr.row-added');
+        const lastRow = rows[rows.length - 1];
+        if (lastRow) {
+            // Spalte 0 ist die Zeilennummer, Spalte 1 die Id, Spalte 2 die Buchungsnummer
+            lastRow.cells[2].focus();
+            lastRow.scrollIntoView({ block: 'nearest' });
         }
     }
 
     /**
-     * Zeigt einen Fehler an
-     * @param {string} message - Die Fehlermeldung
+     * Fasst Warnungen und verworfene Zeilen für die Ergebnisanzeige zusammen
+     * @param {Object} result - Das Ergebnis mit rows und rejectedRows
+     * @returns {string}
      */
-    showError(message) {
-        this.hideAllSections();
-        this.errorSection.classList.remove('hidden');
-        this.errorMessage.textContent = message;
+    formatValidationSummary(result) {
+        const rowsWithWarnings = result.rows.filter(row => this.getRowIssues(row).length > 0).length;
+        const rejectedCount = result.rejectedRows.length;
+
+        if (rowsWithWarnings === 0 && rejectedCount === 0) {
+            return this.i18n.t('result.validationNone');
+        }
+        return this.i18n.t('result.validationSummary', { warnings: rowsWithWarnings, rejected: rejectedCount });
     }
 
     /**
-     * Versteckt alle Sektionen
+     * Fasst die Behandlung der Mehrzimmer-Reservationen zusammen
+     * @param {Array<Object>} rows - Die Ergebniszeilen
+     * @returns {string}
      */
-    hideAllSections() {
-        this.uploadSection.classList.add('hidden');
-        this.processingSection.classList.add('hidden');
-        this.resultSection.classList.add('hidden');
-        this.errorSection.classList.add('hidden');
+    formatGroupingSummary(rows) {
+        const mergedRows = rows.filter(row => this.isMergedRow(row));
+        if (mergedRows.length > 0) {
+            const sourceCount = mergedRows.reduce((sum, row) => sum + row._meta.mergedFrom.length, 0);
+            return this.i18n.t('result.groupingMerged', { count: mergedRows.length, rows: sourceCount });
+        }
+
+        const suffixedCount = rows.filter(row => this.isSuffixedRow(row)).length;
+        if (suffixedCount > 0) {
+            return this.i18n.t('result.groupingSuffixed', { count: suffixedCount });
+        }
+        return this.i18n.t('result.groupingNone');
     }
 
     /**
-     * Startet den CSV-Download
+     * Fasst zusammen, wie viele Zeilen jede Filterregel entfernt hat
+     * @param {Array<{description: string, removed: number}>} filterStats - Statistik pro Regel
+     * @returns {string}
      */
-    downloadCSV() {
-        if (!this.currentData || !this.currentData.rows || this.currentData.rows.length === 0) {
-            this.showError('Keine Daten zum Exportieren verfügbar.');
+    formatFilterSummary(filterStats) {
+        if (filterStats.length === 0) {
+            return this.i18n.t('result.filterNone');
+        }
+        return filterStats
+            .map(stat => this.i18n.t('result.filterRemoved', { rule: stat.description, count: stat.removed }))
+            .join(' · ');
+    }
+
+    /**
+     * Prüft, ob eine Zeile aus mehreren Quellzeilen zusammengeführt wurde
+     * @param {Object} row - Die transformierte Zeile
+     * @returns {boolean}
+     */
+    isMergedRow(row) {
+        return Boolean(row._meta && row._meta.mergedFrom);
+    }
+
+    /**
+     * Gibt den Schlüssel einer Buchung für die Erkennung von Duplikaten zurück
+     * @param {Object} row - Die transformierte Zeile
+     * @returns {string} - BookingNumber, bei getrennten Mehrzimmer-Reservationen mit Zimmer (z.B. "4711#2")
+     */
+    getBookingKey(row) {
+        return this.isSuffixedRow(row) ? `${row.BookingNumber}#${row._meta.roomIndex}` : String(row.BookingNumber);
+    }
+
+    /**
+     * Prüft, ob eine Zeile als Zimmer einer getrennt gelassenen Mehrzimmer-Reservation exportiert wird
+     * @param {Object} row - Die transformierte Zeile
+     * @returns {boolean}
+     */
+    isSuffixedRow(row) {
+        return Boolean(row._meta && row._meta.roomIndex);
+    }
+
+    /**
+     * Berechnet die Id einer Zeile nach den Feldregeln des Profils ihrer Quelldatei
+     * @param {Object} row - Die transformierte Zeile
+     * @returns {string}
+     */
+    buildRowId(row) {
+        const file = this.currentData && this.currentData.files
+            .find(resultFile => resultFile.fileName === row.SourceFile && resultFile.profileName);
+        const profile = (file && this.profileManager.getProfile(file.profileName)) || this.getExportProfile();
+        return this.excelParser.buildId(row, this.excelParser.getFieldTransforms(profile));
+    }
+
+    /**
+     * Gibt die Probleme einer Zeile zurück
+     * @param {Object} row - Die transformierte Zeile
+     * @returns {Array<Object>}
+     */
+    getRowIssues(row) {
+        return row._meta && Array.isArray(row._meta.issues) ? row._meta.issues : [];
+    }
+
+    /**
+     * Füllt die Vorschau gemäß dem gewählten Filter
+     */
+    refreshPreview() {
+        if (!this.currentData) {
             return;
         }
 
-        try {
-            const csvContent = this.csvExporter.createCSV(this.currentData.rows);
-            
-            // Dateiname wird automatisch als "Anreise_heutigesDatum" generiert
-            this.csvExporter.downloadCSV(csvContent);
-        } catch (error) {
-            console.error('Fehler beim CSV-Export:', error);
-            this.showError('Fehler beim Erstellen der CSV-Datei. Bitte versuchen Sie es erneut.');
+        let rows = this.currentData.rows;
+        let editable = true;
+        if (this.previewFilter.value === 'issues') {
+            rows = rows.filter(row => this.getRowIssues(row).length > 0);
+        } else if (this.previewFilter.value === 'merged') {
+            rows = rows.filter(row => this.isMergedRow(row) || this.isSuffixedRow(row));
+        } else if (this.previewFilter.value === 'rejected') {
+            rows = this.currentData.rejectedRows;
+            editable = false;
+        } else if (this.previewFilter.value === 'filtered') {
+            rows = this.currentData.filteredRows;
+            editable = false;
         }
+
+        this.previewGrid.render(rows, editable);
+    }
+
+    /**
+     * Füllt die Dateiübersicht (nur bei mehreren Dateien sichtbar)
+     * @param {Object} result - Das kombinierte Ergebnis mit files und duplicateCount
+     */
+    populateFileResults(result) {
+        const isBatch = result.files.length > 1;
+        this.fileResultsSection.classList.toggle('hidden', !isBatch);
+        this.fileResultsBody.innerHTML = '';
+        this.duplicateInfo.textContent = result.duplicateCount > 0
+            ? this.i18n.t('result.duplicates', { count: result.duplicateCount })
+            : '';
+
+        if (!isBatch) {
+            return;
+        }
+
+        result.files.forEach(file => {
+            const tr = document.createElement('tr');
+            if (file.error) {
+                tr.className = 'row-error';
+            }
+
+            const values = file.error
+                ? [file.fileName, '', '', '', file.error]
+                : [file.fileName, file.profileName, file.rowCount, file.rejectedCount, 'OK'];
+
+            values.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+
+            this.fileResultsBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Beschreibt das erkannte Eingabeformat der Dateien (bei CSV/TSV mit Trennzeichen und Kodierung)
+     * @param {Array<Object>} files - Die Dateien des Ergebnisses
+     * @returns {string} - z.B. "CSV (Semikolon, UTF-8)"
+     */
+    formatInputInfo(files) {
+        const textFileDecoder = this.excelParser.textFileDecoder;
+        const formats = files
+            .filter(file => !file.error)
+            .map(file => {
+                const info = file.inputInfo;
+                if (info) {
+                    return `${info.format} (${textFileDecoder.getDelimiterLabel(info.delimiter)}, ${info.encoding.toUpperCase()})`;
+                }
+                return file.fileName.toLowerCase().endsWith('.ods') ? 'ODS' : 'Excel';
+            });
+        return [...new Set(formats)].join(', ');
+    }
+
+    /**
+     * Formatiert die erkannten Kopfzeilen für die Ergebnisanzeige
+     * @param {Array<Object>} headerRows - Kopfzeilen pro Tabelle (sheetName, rowNumber, skippedFooterRows)
+     * @returns {string} - z.B. "Zeile 4 (1 Summenzeile übersprungen)"
+     */
+    formatHeaderRows(headerRows) {
+        const isBatch = new Set(headerRows.map(headerRow => headerRow.fileName)).size > 1;
+
+        return headerRows.map(headerRow => {
+            let text = this.i18n.t('result.headerRowNumber', { row: headerRow.rowNumber });
+            if (isBatch) {
+                text = `${headerRow.fileName} / ${headerRow.sheetName}: ${text}`;
+            } else if (headerRows.length > 1) {
+                text = `${headerRow.sheetName}: ${text}`;
+            }
+            if (headerRow.skippedFooterRows > 0) {
+                const key = headerRow.skippedFooterRows === 1 ? 'result.footerRowSkipped' : 'result.footerRowsSkipped';
+                text += ' ' + this.i18n.t(key, { count: headerRow.skippedFooterRows });
+            }
+            return text;
+        }).join(', ');
+    }
+
+    /**
+     * Zeigt einen Fehler an
+     * @param {string} message - Die Fehlermeldung
+     * @param {Error|null} error - Der Parser-Fehler (wird beim Sprachwechsel neu übersetzt)
+     */
+    showError(message, error = null) {
+        this.hideAllSections();
+        this.errorSection.classList.remove('hidden');
+        this.errorMessage.textContent = message;
+        this.shownError = error && error.key ? error : null;
+    }
+
+    /**
+     * Versteckt alle Sektionen
+     */
+    hideAllSections() {
+        this.uploadSection.classList.add('hidden');
+        this.settingsSection.classList.add('hidden');
+        this.historySection.classList.add('hidden');
+        this.diffSection.classList.add('hidden');
+        this.sheetSection.classList.add('hidden');
+        this.processingSection.classList.add('hidden');
+        this.resultSection.classList.add('hidden');
+        this.errorSection.classList.add('hidden');
+    }
+
+    /**
+     * Lässt den Benutzer bei mehreren Tabellen die zu verarbeitenden Tabellen auswählen
+     * @param {Object} inspection - Das Ergebnis von ParserClient.inspect (sheetNames und summaries)
+     * @param {string} fileName - Der Name der Quelldatei
+     * @param {Object} profile - Das aktive Profil (enthält ggf. die gemerkte Auswahl)
+     * @param {boolean} useRememberedSelection - Gemerkte Auswahl ohne Rückfrage übernehmen (Stapelverarbeitung)
+     * @returns {Promise<Array<string>|null>} - Die gewählten Tabellen oder null bei Abbruch
+     */
+    selectSheets(inspection, fileName, profile, useRememberedSelection = false) {
+        const allSheetNames = inspection.sheetNames;
+        if (allSheetNames.length <= 1) {
+            return Promise.resolve(allSheetNames.slice(0, 1));
+        }
+
+        const summaries = inspection.summaries;
+        const rememberedSheets = (profile.sheetNames || []).filter(name => allSheetNames.includes(name));
+
+        if (useRememberedSelection && rememberedSheets.length > 0) {
+            return Promise.resolve(rememberedSheets);
+        }
+
+        // Vorauswahl: gemerkte Tabellen, sonst die erste Tabelle mit Pflichtspalte
+        const preselected = this.excelParser.getDefaultSheetNames(summaries, profile);
+
+        this.renderSheetList(summaries, preselected);
+        this.sheetFileName.textContent = fileName;
+        this.sheetMessage.classList.add('hidden');
+        this.sheetSelectionProfile = profile.name;
+
+        this.hideAllSections();
+        this.sheetSection.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            this.sheetSelectionResolver = resolve;
+        });
+    }
+
+    /**
+     * Füllt die Tabellenliste mit Name, Zeilenanzahl und Kopfzeilen-Vorschau
+     * @param {Array<Object>} summaries - Die Tabellenübersicht aus getSheetSummaries
+     * @param {Array<string>} preselected - Die vorausgewählten Tabellen
+     */
+    renderSheetList(summaries, preselected) {
+        this.sheetList.innerHTML = '';
+
+        summaries.forEach(summary => {
+            const label = document.createElement('label');
+            label.className = 'sheet-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = summary.name;
+            checkbox.checked = preselected.includes(summary.name);
+            label.appendChild(checkbox);
+
+            const details = document.createElement('div');
+
+            const name = document.createElement('div');
+            name.className = 'sheet-option-name';
+            name.textContent = summary.name;
+            details.appendChild(name);
+
+            const meta = document.createElement('div');
+            meta.className = 'sheet-option-meta';
+            meta.textContent = this.i18n.t('sheets.rowCount', { count: summary.rowCount }) +
+                (summary.hasRequiredColumn ? '' : ' · ' + this.i18n.t('sheets.requiredColumnMissing'));
+            details.appendChild(meta);
+
+            const header = document.createElement('div');
+            header.className = 'sheet-option-header';
+            header.textContent = summary.headerPreview.length > 0
+                ? summary.headerPreview.join(' | ')
+                : this.i18n.t('sheets.noHeader');
+            header.title = header.textContent;
+            details.appendChild(header);
+
+            label.appendChild(details);
+            this.sheetList.appendChild(label);
+        });
+    }
+
+    /**
+     * Übernimmt die Tabellenauswahl und merkt sie sich bei Bedarf im Profil
+     */
+    confirmSheetSelection() {
+        const selected = Array.from(this.sheetList.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => checkbox.value);
+
+        if (selected.length === 0) {
+            this.sheetMessage.textContent = this.i18n.t('sheets.noneSelected');
+            this.sheetMessage.classList.remove('hidden');
+            return;
+        }
+
+        if (this.rememberSheetsCheckbox.checked && this.sheetSelectionProfile) {
+            this.profileManager.updateProfile(this.sheetSelectionProfile, { sheetNames: selected });
+        }
+
+        this.resolveSheetSelection(selected);
+    }
+
+    /**
+     * Beendet eine offene Tabellenauswahl
+     * @param {Array<string>|null} sheetNames - Die gewählten Tabellen oder null bei Abbruch
+     */
+    resolveSheetSelection(sheetNames) {
+        if (this.sheetSelectionResolver) {
+            const resolve = this.sheetSelectionResolver;
+            this.sheetSelectionResolver = null;
+            resolve(sheetNames);
+        }
+    }
+
+    /**
+     * Füllt die Profilauswahl im Upload- und im Settings-Bereich
+     * @param {string} selectedName - Das im Settings-Bereich auszuwählende Profil
+     */
+    populateProfileSelects(selectedName = null) {
+        const names = this.profileManager.getProfileNames();
+        const activeName = this.profileManager.getActiveProfile().name;
+
+        [this.profileSelect, this.settingsProfileSelect].forEach(select => {
+            select.innerHTML = '';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+
+        this.profileSelect.value = activeName;
+        this.settingsProfileSelect.value = selectedName && names.includes(selectedName) ? selectedName : activeName;
+    }
+
+    /**
+     * Zeigt den Settings-Bereich mit dem aktiven Profil an
+     */
+    showSettings() {
+        this.hideAllSections();
+        this.settingsSection.classList.remove('hidden');
+        this.populateProfileSelects();
+        this.renderMappingEditor(this.profileManager.getActiveProfile());
+        this.showSettingsMessage('');
+        this.renderSubmissionSettings();
+        this.renderPrivacySettings();
+    }
+
+    /**
+     * Füllt den Mapping-Editor mit den Werten eines Profils
+     * @param {Object} profile - Das anzuzeigende Profil
+     */
+    renderMappingEditor(profile) {
+        // Bearbeitetes Profil merken, damit weitere Einstellungen (z.B. Tabellen) erhalten bleiben
+        this.editingProfile = profile;
+        this.profileNameInput.value = profile.name;
+        this.mappingTableBody.innerHTML = '';
+
+        // Alle Felder des Standard-Mappings anzeigen, auch wenn sie im Profil fehlen
+        for (const csvFieldName of Object.keys(this.excelParser.defaultColumnMapping)) {
+            const config = profile.columnMapping[csvFieldName] || { possibleNames: [] };
+            const tr = document.createElement('tr');
+
+            const labelCell = document.createElement('td');
+            labelCell.textContent = csvFieldName;
+            tr.appendChild(labelCell);
+
+            const inputCell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'text-input';
+            input.dataset.field = csvFieldName;
+            input.value = config.possibleNames.join(', ');
+            inputCell.appendChild(input);
+            tr.appendChild(inputCell);
+
+            this.mappingTableBody.appendChild(tr);
+        }
+
+        const ageLimits = Object.assign({}, this.excelParser.defaultAgeLimits, profile.ageLimits);
+        this.babyMaxAgeInput.value = ageLimits.babyMaxAge;
+        this.childMaxAgeInput.value = ageLimits.childMaxAge;
+        this.teenMaxAgeInput.value = ageLimits.teenMaxAge;
+        this.groupingModeSelect.value = profile.groupingMode || this.excelParser.defaultGroupingMode;
+        const nameOptions = Object.assign({}, this.excelParser.defaultNameOptions, profile.nameOptions);
+        this.nameNormalizeCheckbox.checked = nameOptions.normalize;
+        this.nameSplitCheckbox.checked = nameOptions.splitName;
+        this.nameTransliterateCheckbox.checked = nameOptions.transliterate;
+        const dateNormalizer = this.excelParser.dateNormalizer;
+        this.dateInputLocalesInput.value = (profile.dateInputLocales || dateNormalizer.defaultInputLocales).join(', ');
+        this.dateOutputFormatSelect.value = profile.dateOutputFormat || dateNormalizer.defaultOutputFormat;
+        this.profileDialectSelect.value = profile.exportDialect || this.csvExporter.defaultDialect;
+        this.fileNameTemplateInput.value = profile.fileNameTemplate || this.fileNameTemplate.defaultTemplate;
+
+        this.editingFilterRules = (profile.filterRules || []).slice();
+        this.renderFilterRules();
+        this.updateFilterRuleForm();
+
+        this.editingFieldTransforms = this.excelParser.getFieldTransforms(profile);
+        this.renderFieldTransforms();
+        this.updateTransformForm();
+    }
+
+    /**
+     * Liest das Profil aus dem Mapping-Editor
+     * @returns {Object} - Das Profil mit name und columnMapping
+     */
+    readMappingEditor() {
+        const columnMapping = {};
+
+        this.mappingTableBody.querySelectorAll('input[data-field]').forEach(input => {
+            const csvFieldName = input.dataset.field;
+            columnMapping[csvFieldName] = {
+                possibleNames: input.value
+                    .split(',')
+                    .map(name => name.trim())
+                    .filter(name => name !== ''),
+                type: this.excelParser.defaultColumnMapping[csvFieldName].type
+            };
+        });
+
+        return Object.assign({}, this.editingProfile, {
+            name: this.profileNameInput.value.trim(),
+            columnMapping: columnMapping,
+            ageLimits: {
+                babyMaxAge: parseInt(this.babyMaxAgeInput.value, 10),
+                childMaxAge: parseInt(this.childMaxAgeInput.value, 10),
+                teenMaxAge: parseInt(this.teenMaxAgeInput.value, 10)
+            },
+            groupingMode: this.groupingModeSelect.value,
+            nameOptions: this.readNameOptions(),
+            filterRules: this.editingFilterRules,
+            fieldTransforms: this.editingFieldTransforms,
+            dateInputLocales: this.dateInputLocalesInput.value
+                .split(',')
+                .map(locale => locale.trim())
+                .filter(locale => locale !== ''),
+            dateOutputFormat: this.dateOutputFormatSelect.value,
+            exportDialect: this.profileDialectSelect.value,
+            fileNameTemplate: this.fileNameTemplateInput.value.trim()
+        });
+    }
+
+    /**
+     * Liest die Namensoptionen aus dem Mapping-Editor
+     * @returns {{normalize: boolean, splitName: boolean, transliterate: boolean}}
+     */
+    readNameOptions() {
+        return {
+            normalize: this.nameNormalizeCheckbox.checked,
+            splitName: this.nameSplitCheckbox.checked,
+            transliterate: this.nameTransliterateCheckbox.checked
+        };
+    }
+
+    /**
+     * Zeigt die Filterregeln des bearbeiteten Profils an
+     */
+    renderFilterRules() {
+        const rowFilter = this.excelParser.rowFilter;
+        this.filterRuleList.innerHTML = '';
+
+        if (this.editingFilterRules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'filter-rule-empty';
+            empty.textContent = this.i18n.t('settings.filterRulesEmpty');
+            this.filterRuleList.appendChild(empty);
+            return;
+        }
+
+        this.editingFilterRules.forEach((rule, index) => {
+            const item = document.createElement('div');
+            item.className = 'filter-rule';
+
+            const description = document.createElement('span');
+            description.textContent = rowFilter.describe(rule);
+            item.appendChild(description);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-link';
+            removeBtn.textContent = this.i18n.t('common.remove');
+            removeBtn.addEventListener('click', () => {
+                this.editingFilterRules.splice(index, 1);
+                this.renderFilterRules();
+            });
+            item.appendChild(removeBtn);
+
+            this.filterRuleList.appendChild(item);
+        });
+    }
+
+    /**
+     * Blendet die Eingabefelder passend zum gewählten Regeltyp ein
+     */
+    updateFilterRuleForm() {
+        const type = this.filterRuleTypeSelect.value;
+        const isValueRule = type === 'exclude' || type === 'include';
+
+        this.filterRuleFieldGroup.classList.toggle('hidden', !isValueRule);
+        this.filterRuleValuesGroup.classList.toggle('hidden', !isValueRule);
+        this.filterRuleFromGroup.classList.toggle('hidden', type !== 'date');
+        this.filterRuleToGroup.classList.toggle('hidden', type !== 'date');
+    }
+
+    /**
+     * Fügt die im Formular beschriebene Regel zum bearbeiteten Profil hinzu
+     * Die Regel wird erst mit "Profil speichern" übernommen.
+     */
+    addFilterRuleFromForm() {
+        const type = this.filterRuleTypeSelect.value;
+        let rule;
+
+        if (type === 'today') {
+            rule = { type: 'date', field: 'DateFrom', today: true };
+        } else if (type === 'date') {
+            // Ohne Enddatum gilt die Regel für einen einzelnen Tag
+            const from = this.filterRuleFromInput.value;
+            const to = this.filterRuleToInput.value || from;
+            rule = { type: 'date', field: 'DateFrom', from: from, to: to };
+        } else {
+            rule = {
+                type: type,
+                field: this.filterRuleFieldSelect.value,
+                values: this.filterRuleValuesInput.value
+                    .split(',')
+                    .map(value => value.trim())
+                    .filter(value => value !== '')
+            };
+        }
+
+        try {
+            this.excelParser.rowFilter.validateRule(rule);
+        } catch (error) {
+            this.showSettingsMessage(error.message, true);
+            return;
+        }
+
+        this.editingFilterRules.push(rule);
+        this.filterRuleValuesInput.value = '';
+        this.renderFilterRules();
+        this.showSettingsMessage(this.i18n.t('settings.ruleAdded'));
+    }
+
+    /**
+     * Füllt die Feldauswahl der Feldregeln (in der Reihenfolge der Verarbeitung)
+     */
+    populateTransformFields() {
+        this.transformFieldSelect.innerHTML = '';
+        this.excelParser.fieldTransformer.fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = field;
+            this.transformFieldSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Zeigt die Schritte des gewählten Felds und die Vorschau an
+     */
+    renderFieldTransforms() {
+        const fieldTransformer = this.excelParser.fieldTransformer;
+        const transforms = this.editingFieldTransforms[this.transformFieldSelect.value] || [];
+        this.transformList.innerHTML = '';
+
+        if (transforms.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'filter-rule-empty';
+            empty.textContent = this.i18n.t('settings.transformsEmpty');
+            this.transformList.appendChild(empty);
+        }
+
+        transforms.forEach((transform, index) => {
+            const item = document.createElement('div');
+            item.className = 'filter-rule';
+
+            const description = document.createElement('span');
+            description.textContent = `${index + 1}. ${fieldTransformer.describe(transform)}`;
+            item.appendChild(description);
+
+            const actions = document.createElement('span');
+
+            const upBtn = document.createElement('button');
+            upBtn.type = 'button';
+            upBtn.className = 'btn-link';
+            upBtn.textContent = this.i18n.t('common.moveUp');
+            upBtn.disabled = index === 0;
+            upBtn.addEventListener('click', () => {
+                transforms.splice(index - 1, 0, transforms.splice(index, 1)[0]);
+                this.renderFieldTransforms();
+            });
+            actions.appendChild(upBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-link';
+            removeBtn.textContent = this.i18n.t('common.remove');
+            removeBtn.addEventListener('click', () => {
+                transforms.splice(index, 1);
+                this.renderFieldTransforms();
+            });
+            actions.appendChild(removeBtn);
+
+            item.appendChild(actions);
+            this.transformList.appendChild(item);
+        });
+
+        this.renderTransformPreview();
+    }
+
+    /**
+     * Blendet die Eingabefelder passend zum gewählten Schritt ein
+     */
+    updateTransformForm() {
+        const type = this.transformTypeSelect.value;
+
+        this.transformPatternGroup.classList.toggle('hidden', type !== 'replace');
+        this.transformReplacementGroup.classList.toggle('hidden', type !== 'replace');
+        this.transformCharacterGroup.classList.toggle('hidden', type !== 'stripLeading' && type !== 'pad');
+        this.transformCountGroup.classList.toggle('hidden', type !== 'stripLeading');
+        this.transformLengthGroup.classList.toggle('hidden', type !== 'pad');
+        this.transformValueGroup.classList.toggle('hidden', !['prefix', 'suffix', 'constant'].includes(type));
+        this.transformFieldsGroup.classList.toggle('hidden', type !== 'concat');
+        this.transformSeparatorGroup.classList.toggle('hidden', type !== 'concat');
+    }
+
+    /**
+     * Fügt den im Formular beschriebenen Schritt am Ende des gewählten Felds hinzu
+     * Der Schritt wird erst mit "Profil speichern" übernommen.
+     */
+    addTransformFromForm() {
+        const field = this.transformFieldSelect.value;
+        const type = this.transformTypeSelect.value;
+        let transform;
+
+        switch (type) {
+            case 'replace':
+                transform = {
+                    type: type,
+                    pattern: this.transformPatternInput.value,
+                    replacement: this.transformReplacementInput.value
+                };
+                break;
+            case 'stripLeading':
+                transform = {
+                    type: type,
+                    character: this.transformCharacterInput.value,
+                    count: parseInt(this.transformCountInput.value, 10)
+                };
+                break;
+            case 'pad':
+                transform = {
+                    type: type,
+                    character: this.transformCharacterInput.value,
+                    length: parseInt(this.transformLengthInput.value, 10)
+                };
+                break;
+            case 'prefix':
+            case 'suffix':
+            case 'constant':
+                transform = { type: type, value: this.transformValueInput.value };
+                break;
+            case 'concat':
+                transform = {
+                    type: type,
+                    fields: this.transformFieldsInput.value
+                        .split(',')
+                        .map(name => name.trim())
+                        .filter(name => name !== ''),
+                    separator: this.transformSeparatorInput.value
+                };
+                break;
+            default:
+                transform = { type: type };
+        }
+
+        try {
+            this.excelParser.fieldTransformer.validateTransform(transform, field);
+        } catch (error) {
+            this.showSettingsMessage(error.message, true);
+            return;
+        }
+
+        if (!this.editingFieldTransforms[field]) {
+            this.editingFieldTransforms[field] = [];
+        }
+        this.editingFieldTransforms[field].push(transform);
+        this.renderFieldTransforms();
+        this.showSettingsMessage(this.i18n.t('settings.transformAdded'));
+    }
+
+    /**
+     * Zeigt die Wirkung der bearbeiteten Feldregeln auf Beispielzeilen
+     * (erste Zeilen der zuletzt gelesenen Datei, sonst eingebaute Beispiele)
+     */
+    renderTransformPreview() {
+        const field = this.transformFieldSelect.value;
+        const sampleRows = this.sampleRows.length > 0
+            ? this.sampleRows
+            : this.excelParser.fieldTransformer.sampleRows;
+        this.transformPreviewBody.innerHTML = '';
+
+        sampleRows.forEach(sampleRow => {
+            const row = this.excelParser.applyTextFields(
+                Object.assign({ Id: '' }, sampleRow),
+                this.readNameOptions(),
+                this.editingFieldTransforms
+            );
+
+            const tr = document.createElement('tr');
+            [sampleRow[field], row[field]].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value === undefined || value === '' ? '–' : value;
+                tr.appendChild(td);
+            });
+            this.transformPreviewBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Speichert das Profil aus dem Editor und macht es zum aktiven Profil
+     */
+    saveProfileFromEditor() {
+        try {
+            const profile = this.readMappingEditor();
+            this.profileManager.saveProfile(profile);
+            this.profileManager.setActiveProfile(profile.name);
+            this.populateProfileSelects(profile.name);
+            this.showSettingsMessage(this.i18n.t('settings.profileSaved', { name: profile.name }));
+        } catch (error) {
+            this.showSettingsMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Löscht das im Settings-Bereich gewählte Profil
+     */
+    deleteSelectedProfile() {
+        const name = this.settingsProfileSelect.value;
+
+        try {
+            this.profileManager.deleteProfile(name);
+            this.populateProfileSelects();
+            this.renderMappingEditor(this.profileManager.getActiveProfile());
+            this.showSettingsMessage(this.i18n.t('settings.profileDeleted', { name: name }));
+        } catch (error) {
+            this.showSettingsMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Lädt alle Profile als JSON-Datei herunter
+     */
+    exportProfiles() {
+        const json = this.profileManager.exportProfiles();
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'BernTicket_Profile.json';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Importiert Profile aus einer JSON-Datei
+     * @param {File} file - Die Profildatei
+     */
+    async importProfiles(file) {
+        try {
+            const names = this.profileManager.importProfiles(await file.text());
+            this.populateProfileSelects(names[0]);
+            this.renderMappingEditor(this.profileManager.getProfile(names[0]));
+            this.showSettingsMessage(this.i18n.t('settings.profilesImported', { count: names.length, names: names.join(', ') }));
+        } catch (error) {
+            this.showSettingsMessage(error.message, true);
+        } finally {
+            this.profileImportInput.value = '';
+        }
+    }
+
+    /**
+     * Zeigt eine Meldung im Settings-Bereich an
+     * @param {string} message - Die Meldung (leer = ausblenden)
+     * @param {boolean} isError - Ob es sich um eine Fehlermeldung handelt
+     */
+    showSettingsMessage(message, isError = false) {
+        this.settingsMessage.textContent = message;
+        this.settingsMessage.classList.toggle('error', isError);
+        this.settingsMessage.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Füllt die Sprachauswahl
+     */
+    populateLanguageSelect() {
+        this.languageSelect.innerHTML = '';
+        for (const [code, name] of Object.entries(this.i18n.languages)) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            this.languageSelect.appendChild(option);
+        }
+        this.languageSelect.value = this.i18n.language;
+    }
+
+    /**
+     * Wechselt die Sprache und übersetzt die Oberfläche
+     * Bereits angezeigte Meldungen und Hinweise zu Zeilen bleiben in der bisherigen Sprache.
+     * @param {string} language - Der Sprachcode
+     */
+    changeLanguage(language) {
+        this.i18n.setLanguage(language);
+        this.i18n.translatePage();
+        this.updateDownloadButton();
+        this.renderFileNameTemplateHint();
+        this.renderOfflineStatus();
+        this.renderDialectLabels();
+        if (this.editingFilterRules) {
+            this.renderFilterRules();
+        }
+        if (this.shownError) {
+            this.errorMessage.textContent = this.i18n.translateError(this.shownError);
+        }
+    }
+
+    /**
+     * Füllt die Auswahl der Ausgabeformate und CSV-Dialekte
+     */
+    populateExportFormats() {
+        [this.exportFormatSelect, this.historyFormatSelect].forEach(select => {
+            select.innerHTML = '';
+            this.exporterRegistry.getAll().forEach(exporter => {
+                const option = document.createElement('option');
+                option.value = exporter.id;
+                option.textContent = exporter.label;
+                select.appendChild(option);
+            });
+            select.value = this.exporterRegistry.defaultExporterId;
+        });
+
+        [this.csvDialectSelect, this.profileDialectSelect, this.historyDialectSelect].forEach(select => {
+            select.innerHTML = '';
+            for (const name of Object.keys(this.csvExporter.dialects)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = this.csvExporter.getDialectLabel(name);
+                select.appendChild(option);
+            }
+            select.value = this.csvExporter.defaultDialect;
+        });
+
+        this.renderFileNameTemplateHint();
+        this.updateDownloadButton();
+    }
+
+    /**
+     * Beschriftet die CSV-Dialekte in der gewählten Sprache (die Auswahl bleibt erhalten)
+     */
+    renderDialectLabels() {
+        [this.csvDialectSelect, this.profileDialectSelect, this.historyDialectSelect].forEach(select => {
+            Array.from(select.options).forEach(option => {
+                option.textContent = this.csvExporter.getDialectLabel(option.value);
+            });
+        });
+    }
+
+    /**
+     * Zeigt die verfügbaren Platzhalter der Dateinamen-Vorlage an
+     */
+    renderFileNameTemplateHint() {
+        const placeholders = this.fileNameTemplate.placeholders
+            .map(name => `{${name}} = ${this.fileNameTemplate.describePlaceholder(name)}`)
+            .join(', ');
+        this.fileNameTemplateHint.textContent = this.i18n.t('settings.fileNamePlaceholders', { placeholders: placeholders });
+    }
+
+    /**
+     * Beschriftet den Download-Button mit dem gewählten Format (der Dialekt gilt nur für CSV)
+     */
+    updateDownloadButton() {
+        const exporter = this.exporterRegistry.get(this.exportFormatSelect.value);
+        this.downloadBtn.textContent = this.i18n.t('result.download', { format: exporter.fileExtension.toUpperCase() });
+        this.csvDialectField.classList.toggle('hidden', exporter.id !== this.csvExporter.id);
+    }
+
+    /**
+     * Gibt das Profil zurück, dessen Export-Einstellungen gelten (Profil der ersten erfolgreich gelesenen Datei)
+     * @returns {Object}
+     */
+    getExportProfile() {
+        const file = this.currentData && this.currentData.files.find(resultFile => resultFile.profileName);
+        return (file && this.profileManager.getProfile(file.profileName)) || this.profileManager.getActiveProfile();
+    }
+
+    /**
+     * Erzeugt einen Dateinamen aus einer Vorlage für das aktuelle Ergebnis
+     * @param {string} template - Die Vorlage (z.B. "Anreise_{date}")
+     * @returns {string} - Der Dateiname ohne Endung
+     */
+    renderFileName(template) {
+        const profile = this.getExportProfile();
+        return this.fileNameTemplate.render(template, {
+            hotel: profile.name,
+            sourceFiles: this.currentData.files
+                .filter(file => !file.error)
+                .map(file => file.fileName)
+        });
+    }
+
+    /**
+     * Startet den Download im gewählten Ausgabeformat
+     * Im Datenschutzmodus werden die Gästenamen ersetzt und die Daten danach ggf. gelöscht.
+     * @returns {Promise<void>}
+     */
+    async downloadExport() {
+        if (!this.currentData || !this.currentData.rows || this.currentData.rows.length === 0) {
+            this.showError(this.i18n.t('export.noData'));
+            return;
+        }
+
+        if (!this.confirmRowErrors()) {
+            return;
+        }
+
+        const exporter = this.exporterRegistry.get(this.exportFormatSelect.value);
+        try {
+            const columns = this.getExportColumns(exporter);
+
+            // Dateiname aus der Vorlage des Profils (Standard: "Anreise_heutigesDatum")
+            const fileName = this.renderFileName(this.getExportProfile().fileNameTemplate);
+            const rows = await this.privacyGuard.prepareRows(this.currentData.rows);
+            this.exporterRegistry.export(exporter.id, rows, columns, fileName, {
+                dialect: this.csvDialectSelect.value
+            });
+
+            // Bearbeitete Zeilen auch im Verlauf übernehmen
+            if (this.currentHistoryId !== null) {
+                this.historyStore.update(this.currentHistoryId, {
+                    rows: this.currentData.rows,
+                    rowCount: this.currentData.rows.length
+                }).catch(historyError => console.warn('Verlauf konnte nicht aktualisiert werden:', historyError));
+            }
+        } catch (error) {
+            console.error(`Fehler beim ${exporter.label}-Export:`, error);
+            this.showError(this.i18n.t('export.failed', { format: exporter.label }));
+            return;
+        }
+
+        if (this.privacyGuard.shouldClearAfterDownload()) {
+            this.clearData(this.i18n.t('privacy.clearedDownload'));
+        }
+    }
+
+    /**
+     * Fragt nach, wenn Zeilen Fehler enthalten (z.B. nach einer Bearbeitung)
+     * @returns {boolean} - Ob trotzdem exportiert bzw. gesendet werden soll
+     */
+    confirmRowErrors() {
+        const errorCount = this.currentData.rows
+            .filter(row => this.excelParser.rowValidator.hasErrors(this.getRowIssues(row))).length;
+        return errorCount === 0 || window.confirm(this.i18n.t('export.confirmErrors', { count: errorCount }));
+    }
+
+    /**
+     * Gibt die Exportspalten eines Formats zurück (optional mit "SourceFile")
+     * @param {Exporter} exporter - Der Exporter
+     * @returns {Array<string>}
+     */
+    getExportColumns(exporter) {
+        const columns = this.privacyGuard.getExportColumns(
+            this.excelParser.getExportColumns(exporter.columns, this.getExportProfile())
+        );
+        return this.includeSourceFileCheckbox.checked
+            ? [...columns, 'SourceFile']
+            : columns;
+    }
+
+    /**
+     * Sendet die aktuellen Zeilen an das Ticketsystem
+     * @returns {Promise<void>}
+     */
+    async submitExport() {
+        if (!this.currentData || !this.currentData.rows || this.currentData.rows.length === 0) {
+            this.showError(this.i18n.t('export.noData'));
+            return;
+        }
+        if (!this.confirmRowErrors()) {
+            return;
+        }
+
+        const exporter = this.exporterRegistry.get(this.submissionClient.settings.format);
+        this.submitBtn.disabled = true;
+        this.renderSubmissionStatus(null, this.i18n.t('submission.sending'));
+
+        try {
+            const entry = await this.submissionClient.submit(
+                exporter,
+                await this.privacyGuard.prepareRows(this.currentData.rows),
+                this.getExportColumns(exporter),
+                this.renderFileName(this.getExportProfile().fileNameTemplate),
+                { dialect: this.csvDialectSelect.value }
+            );
+            this.currentSubmissionId = entry.id;
+            this.renderSubmissionStatus(entry);
+        } catch (error) {
+            console.error('Fehler beim Senden:', error);
+            this.renderSubmissionStatus({ status: 'failed', lastError: { message: error.message }, response: null });
+        } finally {
+            this.submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lädt den Status der zuletzt gesendeten Übermittlung neu (z.B. nach Background Sync)
+     * @returns {Promise<void>}
+     */
+    async refreshSubmissionStatus() {
+        if (this.currentSubmissionId === null) {
+            return;
+        }
+        try {
+            const entry = await this.submissionClient.get(this.currentSubmissionId);
+            if (entry) {
+                this.renderSubmissionStatus(entry);
+            }
+        } catch (error) {
+            console.warn('Status der Übermittlung konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Zeigt den Status einer Übermittlung und die Antwort des Servers an
+     * @param {Object|null} entry - Die Übermittlung (null = nur text anzeigen)
+     * @param {string} text - Statustext, wenn keine Übermittlung angegeben ist
+     */
+    renderSubmissionStatus(entry, text = '') {
+        let statusText = text;
+        if (entry && entry.status === 'sent') {
+            statusText = this.i18n.t('submission.sent', {
+                status: entry.response.status,
+                count: entry.rowCount,
+                file: entry.fileName
+            });
+        } else if (entry && entry.status === 'pending') {
+            statusText = entry.lastError
+                ? this.i18n.t('submission.pendingError', { error: this.i18n.translateError(entry.lastError) })
+                : this.i18n.t('submission.pending');
+        } else if (entry && entry.status === 'sending') {
+            statusText = this.i18n.t('submission.sending');
+        } else if (entry && entry.status === 'failed') {
+            statusText = this.i18n.t('submission.failed', { error: this.i18n.translateError(entry.lastError) });
+        }
+
+        this.submissionStatusText.textContent = statusText;
+        this.submissionStatus.classList.toggle('sent', Boolean(entry) && entry.status === 'sent');
+        this.submissionStatus.classList.toggle('failed', Boolean(entry) && entry.status === 'failed');
+        this.submissionStatus.classList.remove('hidden');
+
+        const responseBody = entry && entry.response ? entry.response.body : '';
+        this.submissionResponse.textContent = responseBody;
+        this.submissionResponse.classList.toggle('hidden', !responseBody);
+    }
+
+    /**
+     * Blendet "SENDEN" nur ein, wenn ein Ticketsystem konfiguriert ist
+     */
+    updateSubmitButton() {
+        this.submitBtn.classList.toggle('hidden', !this.submissionClient.isConfigured());
+    }
+
+    /**
+     * Füllt die Einstellungen des Ticketsystems
+     */
+    renderSubmissionSettings() {
+        const settings = this.submissionClient.settings;
+        this.submissionUrlInput.value = settings.url;
+        this.submissionFormatSelect.value = settings.format;
+        this.submissionHeaderNameInput.value = settings.headerName;
+        this.submissionHeaderValueInput.value = settings.headerValue;
+        this.showSubmissionSettingsMessage('');
+    }
+
+    /**
+     * Speichert die Einstellungen des Ticketsystems
+     */
+    saveSubmissionSettings() {
+        try {
+            this.submissionClient.saveSettings({
+                url: this.submissionUrlInput.value,
+                format: this.submissionFormatSelect.value,
+                headerName: this.submissionHeaderNameInput.value,
+                headerValue: this.submissionHeaderValueInput.value
+            });
+        } catch (error) {
+            this.showSubmissionSettingsMessage(error.message, true);
+            return;
+        }
+
+        this.updateSubmitButton();
+        this.showSubmissionSettingsMessage(this.i18n.t(this.submissionClient.isConfigured()
+            ? 'submission.saved'
+            : 'submission.savedDisabled'));
+    }
+
+    /**
+     * Füllt die Einstellungen des Datenschutzmodus
+     */
+    renderPrivacySettings() {
+        const settings = this.privacyGuard.settings;
+        this.privacyEnabledCheckbox.checked = settings.enabled;
+        this.privacyNameModeSelect.value = settings.nameMode;
+        this.privacySaltInput.value = settings.salt;
+        this.privacyReplacementInput.value = settings.replacement;
+        this.privacyIdleInput.value = settings.idleMinutes;
+        this.privacyClearAfterDownloadCheckbox.checked = settings.clearAfterDownload;
+        this.updatePrivacyForm();
+        this.showPrivacySettingsMessage('');
+    }
+
+    /**
+     * Blendet Salt bzw. Ersatztext passend zur gewählten Behandlung der Gästenamen ein
+     */
+    updatePrivacyForm() {
+        const nameMode = this.privacyNameModeSelect.value;
+        this.privacySaltGroup.classList.toggle('hidden', nameMode !== 'hash');
+        this.privacyReplacementGroup.classList.toggle('hidden', nameMode !== 'replace');
+    }
+
+    /**
+     * Speichert die Einstellungen des Datenschutzmodus
+     * Beim Einschalten wird der Verlauf gelöscht, damit keine früheren Gästenamen mehr gelesen werden können.
+     * @returns {Promise<void>}
+     */
+    async savePrivacySettings() {
+        try {
+            this.privacyGuard.saveSettings({
+                enabled: this.privacyEnabledCheckbox.checked,
+                nameMode: this.privacyNameModeSelect.value,
+                salt: this.privacySaltInput.value,
+                replacement: this.privacyReplacementInput.value,
+                idleMinutes: parseInt(this.privacyIdleInput.value, 10),
+                clearAfterDownload: this.privacyClearAfterDownloadCheckbox.checked
+            });
+        } catch (error) {
+            this.showPrivacySettingsMessage(error.message, true);
+            return;
+        }
+
+        if (this.privacyGuard.isEnabled() && this.historyStore.isSupported()) {
+            try {
+                await this.historyStore.clear();
+                this.currentHistoryId = null;
+            } catch (error) {
+                this.showPrivacySettingsMessage(error.message, true);
+                return;
+            }
+        }
+
+        this.showPrivacySettingsMessage(this.i18n.t(this.privacyGuard.isEnabled()
+            ? 'privacy.saved'
+            : 'privacy.savedDisabled'));
+    }
+
+    /**
+     * Zeigt eine Meldung in den Einstellungen des Datenschutzmodus an
+     * @param {string} message - Die Meldung (leer = ausblenden)
+     * @param {boolean} isError - Ob es sich um einen Fehler handelt
+     */
+    showPrivacySettingsMessage(message, isError = false) {
+        this.privacySettingsMessage.textContent = message;
+        this.privacySettingsMessage.classList.toggle('error', isError);
+        this.privacySettingsMessage.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Zeigt eine Meldung in den Einstellungen des Ticketsystems an
+     * @param {string} message - Die Meldung (leer = ausblenden)
+     * @param {boolean} isError - Ob es sich um einen Fehler handelt
+     */
+    showSubmissionSettingsMessage(message, isError = false) {
+        this.submissionSettingsMessage.textContent = message;
+        this.submissionSettingsMessage.classList.toggle('error', isError);
+        this.submissionSettingsMessage.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Lädt die verworfenen Zeilen mit Excel-Zeilennummer und Fehlern als CSV herunter
+     * @returns {Promise<void>}
+     */
+    async downloadRejectedReport() {
+        if (!this.currentData || this.currentData.rejectedRows.length === 0) {
+            return;
+        }
+
+        const reportRows = this.currentData.rejectedRows.map(row => {
+            const issues = this.getRowIssues(row);
+            return Object.assign({}, row, {
+                Datei: row.SourceFile,
+                Tabelle: row._meta.sheetName,
+                Zeile: row._meta.sourceRow,
+                Fehler: issues.filter(issue => issue.level === 'error').map(issue => issue.message).join(' '),
+                Warnungen: issues.filter(issue => issue.level === 'warning').map(issue => issue.message).join(' ')
+            });
+        });
+        const columns = ['Datei', 'Tabelle', 'Zeile', 'Fehler', 'Warnungen',
+            ...this.privacyGuard.getExportColumns(this.csvExporter.columns)];
+
+        try {
+            this.exporterRegistry.export('csv', await this.privacyGuard.prepareRows(reportRows), columns, this.renderFileName('Verworfene_Zeilen_{date}'), {
+                dialect: this.csvDialectSelect.value
+            });
+        } catch (error) {
+            console.error('Fehler beim Export der verworfenen Zeilen:', error);
+            this.showError(this.i18n.t('export.reportFailed'));
+        }
+    }
+
+    /**
+     * Speichert eine Konvertierung im Verlauf (Fehler werden nur protokolliert)
+     * @param {Object} result - Das kombinierte Ergebnis aus combineResults
+     * @returns {Promise<void>}
+     */
+    async saveToHistory(result) {
+        this.currentHistoryId = null;
+        // Im Datenschutzmodus bleiben keine Gästedaten auf dem Gerät
+        if (!this.historyStore.isSupported() || this.privacyGuard.isEnabled()) {
+            return;
+        }
+
+        const files = result.files.filter(file => !file.error);
+        try {
+            this.currentHistoryId = await this.historyStore.add({
+                fileName: result.fileName,
+                files: files.map(file => file.fileName),
+                profileName: [...new Set(files.map(file => file.profileName))].join(', '),
+                rowCount: result.rows.length,
+                warnings: [
+                    ...result.inputWarnings,
+                    ...result.files.filter(file => file.error).map(file => `${file.fileName}: ${file.error}`)
+                ],
+                rows: result.rows
+            });
+        } catch (error) {
+            console.warn('Konvertierung konnte nicht im Verlauf gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Zeigt den Verlauf an
+     */
+    showHistory() {
+        this.hideAllSections();
+        this.historySection.classList.remove('hidden');
+        this.showHistoryMessage('');
+
+        this.historyRetentionSelect.innerHTML = '';
+        this.historyStore.retentionOptions.forEach(days => {
+            const option = document.createElement('option');
+            option.value = days;
+            option.textContent = days === 1 ? this.i18n.t('history.day') : this.i18n.t('history.days', { count: days });
+            this.historyRetentionSelect.appendChild(option);
+        });
+        this.historyRetentionSelect.value = this.historyStore.retentionDays;
+        this.historyDialectField.classList.toggle('hidden', this.historyFormatSelect.value !== this.csvExporter.id);
+
+        this.renderHistory();
+    }
+
+    /**
+     * Füllt die Verlaufstabelle (neueste Konvertierung zuerst)
+     * @returns {Promise<void>}
+     */
+    async renderHistory() {
+        let entries;
+        try {
+            entries = await this.historyStore.getAll();
+        } catch (error) {
+            this.historyTableBody.innerHTML = '';
+            this.showHistoryMessage(error.message, true);
+            return;
+        }
+
+        this.historyTableBody.innerHTML = '';
+        if (entries.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 6;
+            td.className = 'filter-rule-empty';
+            td.textContent = this.i18n.t('history.empty');
+            tr.appendChild(td);
+            this.historyTableBody.appendChild(tr);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const tr = document.createElement('tr');
+            const values = [
+                this.formatHistoryTime(entry),
+                entry.fileName,
+                entry.profileName,
+                entry.rowCount,
+                entry.warnings.length
+            ];
+            values.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tr.lastChild.title = entry.warnings.join('\n');
+
+            const actions = document.createElement('td');
+            actions.className = 'history-actions';
+
+            const downloadBtn = document.createElement('button');
+            downloadBtn.type = 'button';
+            downloadBtn.className = 'btn-link';
+            downloadBtn.textContent = this.i18n.t('history.download');
+            downloadBtn.addEventListener('click', () => {
+                this.downloadHistoryEntry(entry);
+            });
+            actions.appendChild(downloadBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-link';
+            deleteBtn.textContent = this.i18n.t('history.delete');
+            deleteBtn.addEventListener('click', () => {
+                this.deleteHistoryEntry(entry.id);
+            });
+            actions.appendChild(deleteBtn);
+
+            tr.appendChild(actions);
+            this.historyTableBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Formatiert den Zeitpunkt eines Verlaufseintrags (z.B. "19.01.26, 08:15")
+     * @param {Object} entry - Der Verlaufseintrag
+     * @returns {string}
+     */
+    formatHistoryTime(entry) {
+        return new Date(entry.createdAt).toLocaleString(`${this.i18n.language}-CH`, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    /**
+     * Exportiert die Zeilen eines Verlaufseintrags im gewählten Format
+     * @param {Object} entry - Der Verlaufseintrag
+     * @returns {Promise<void>}
+     */
+    async downloadHistoryEntry(entry) {
+        const exporter = this.exporterRegistry.get(this.historyFormatSelect.value);
+        const profile = this.profileManager.getProfile(entry.profileName) || this.profileManager.getActiveProfile();
+
+        try {
+            // Dateiname mit dem Datum der ursprünglichen Konvertierung
+            const fileName = this.fileNameTemplate.render(profile.fileNameTemplate, {
+                date: new Date(entry.createdAt),
+                hotel: entry.profileName,
+                sourceFiles: entry.files
+            });
+            const columns = this.privacyGuard.getExportColumns(this.excelParser.getExportColumns(exporter.columns, profile));
+            const rows = await this.privacyGuard.prepareRows(entry.rows);
+            this.exporterRegistry.export(exporter.id, rows, columns, fileName, {
+                dialect: this.historyDialectSelect.value
+            });
+        } catch (error) {
+            console.error(`Fehler beim ${exporter.label}-Export aus dem Verlauf:`, error);
+            this.showHistoryMessage(this.i18n.t('history.exportFailed', { format: exporter.label }), true);
+        }
+    }
+
+    /**
+     * Löscht einen Verlaufseintrag
+     * @param {number} id - Die id des Eintrags
+     * @returns {Promise<void>}
+     */
+    async deleteHistoryEntry(id) {
+        try {
+            await this.historyStore.delete(id);
+            if (this.currentHistoryId === id) {
+                this.currentHistoryId = null;
+            }
+            this.showHistoryMessage(this.i18n.t('history.entryDeleted'));
+        } catch (error) {
+            this.showHistoryMessage(error.message, true);
+        }
+        this.renderHistory();
+    }
+
+    /**
+     * Löscht nach Rückfrage den gesamten Verlauf
+     * @returns {Promise<void>}
+     */
+    async clearHistory() {
+        if (!window.confirm(this.i18n.t('history.confirmClear'))) {
+            return;
+        }
+
+        try {
+            await this.historyStore.clear();
+            this.currentHistoryId = null;
+            this.showHistoryMessage(this.i18n.t('history.cleared'));
+        } catch (error) {
+            this.showHistoryMessage(error.message, true);
+        }
+        this.renderHistory();
+    }
+
+    /**
+     * Ändert die Aufbewahrungsfrist und löscht dabei ältere Einträge
+     * @param {number} days - Die neue Frist in Tagen
+     * @returns {Promise<void>}
+     */
+    async changeHistoryRetention(days) {
+        try {
+            const removed = await this.historyStore.setRetentionDays(days);
+            this.showHistoryMessage(removed > 0
+                ? this.i18n.t('history.retentionChangedRemoved', { count: removed })
+                : this.i18n.t('history.retentionChanged'));
+        } catch (error) {
+            this.showHistoryMessage(error.message, true);
+        }
+        this.renderHistory();
+    }
+
+    /**
+     * Zeigt eine Meldung im Verlauf an
+     * @param {string} message - Die Meldung (leer = ausblenden)
+     * @param {boolean} isError - Ob es sich um einen Fehler handelt
+     */
+    showHistoryMessage(message, isError = false) {
+        this.historyMessage.textContent = message;
+        this.historyMessage.classList.toggle('hidden', !message);
+        this.historyMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Füllt die Auswahl für den Vergleich: frühere Läufe aus dem Verlauf und eine zweite Datei
+     * @returns {Promise<void>}
+     */
+    async populateCompareOptions() {
+        let entries = [];
+        if (this.historyStore.isSupported()) {
+            try {
+                entries = await this.historyStore.getAll();
+            } catch (error) {
+                console.warn('Verlauf konnte nicht geladen werden:', error);
+            }
+        }
+
+        this.compareSelect.innerHTML = '';
+        entries
+            .filter(entry => entry.id !== this.currentHistoryId)
+            .forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = this.i18n.t('compare.historyOption', {
+                    time: this.formatHistoryTime(entry),
+                    file: entry.fileName,
+                    count: entry.rowCount
+                });
+                this.compareSelect.appendChild(option);
+            });
+
+        const fileOption = document.createElement('option');
+        fileOption.value = 'file';
+        fileOption.textContent = this.i18n.t('compare.otherFile');
+        this.compareSelect.appendChild(fileOption);
+        this.compareSelect.selectedIndex = 0;
+    }
+
+    /**
+     * Vergleicht die aktuellen Zeilen mit der gewählten Quelle
+     * @returns {Promise<void>}
+     */
+    async startCompare() {
+        this.showCompareMessage('');
+
+        if (this.compareSelect.value === 'file') {
+            this.compareFileInput.click();
+            return;
+        }
+
+        try {
+            const entry = await this.historyStore.get(parseInt(this.compareSelect.value, 10));
+            if (!entry) {
+                throw new Error(this.i18n.t('compare.entryMissing'));
+            }
+            this.showDiff(
+                entry.rows,
+                this.i18n.t('compare.historySource', { file: entry.fileName, time: this.formatHistoryTime(entry) })
+            );
+        } catch (error) {
+            this.showCompareMessage(error.message);
+        }
+    }
+
+    /**
+     * Liest eine zweite Datei ein und vergleicht die aktuellen Zeilen mit ihr
+     * @param {File} file - Die Vergleichsdatei (die ältere Liste)
+     * @returns {Promise<void>}
+     */
+    async compareWithFile(file) {
+        this.compareFileInput.value = '';
+        if (!this.excelParser.isValidFileType(file)) {
+            this.showCompareMessage(this.i18n.t('upload.invalidFile'));
+            return;
+        }
+
+        const progressMessage = this.i18n.t('compare.progress', { file: file.name });
+        this.comparing = true;
+        this.setProcessing(true);
+        this.showProcessing(progressMessage);
+
+        try {
+            const result = await this.processFile(file, true, progressMessage);
+            if (result) {
+                // Datumsformat der aktuellen Daten wiederherstellen (processFile wendet das Profil der Vergleichsdatei an)
+                this.excelParser.applyProfile(this.getExportProfile());
+                this.convertRowDates(
+                    result.rows,
+                    this.getDateOutputFormat(result.profileName),
+                    this.getDateOutputFormat(this.getExportProfile().name)
+                );
+                this.showDiff(result.rows, file.name);
+            }
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error(`Fehler beim Verarbeiten der Vergleichsdatei ${file.name}:`, error);
+                this.returnToResult();
+                this.showCompareMessage(this.i18n.translateError(error) || this.i18n.t('error.unknown'));
+            }
+        } finally {
+            this.comparing = false;
+            this.setProcessing(false);
+            this.excelParser.applyProfile(this.getExportProfile());
+        }
+        this.openQueuedLaunchedFiles();
+    }
+
+    /**
+     * Vergleicht die aktuellen Zeilen mit früheren und zeigt das Ergebnis an
+     * @param {Array<Object>} previousRows - Die Zeilen des früheren Laufs bzw. der Vergleichsdatei
+     * @param {string} sourceLabel - Beschreibung der Vergleichsquelle
+     */
+    showDiff(previousRows, sourceLabel) {
+        const diff = this.bookingDiff.compare(previousRows, this.currentData.rows);
+        this.currentDiff = diff;
+        this.currentDiffRows = { previous: previousRows, current: this.currentData.rows };
+        this.diffSourceInfo.textContent = this.i18n.t('diff.source', { source: sourceLabel });
+        this.diffAddedCount.textContent = diff.added.length;
+        this.diffChangedCount.textContent = diff.changed.length;
+        this.diffCancelledCount.textContent = diff.cancelled.length;
+        this.diffRemovedCount.textContent = diff.removed.length;
+        this.diffUnchangedCount.textContent = diff.unchangedCount;
+        this.diffMessage.classList.add('hidden');
+
+        const rowClasses = {
+            [this.bookingDiff.getChangeLabel('added')]: 'row-added',
+            [this.bookingDiff.getChangeLabel('changed')]: 'row-warning',
+            [this.bookingDiff.getChangeLabel('cancelled')]: 'row-error',
+            [this.bookingDiff.getChangeLabel('removed')]: 'row-error'
+        };
+
+        this.diffTableBody.innerHTML = '';
+        const deltaRows = this.bookingDiff.createDeltaRows(diff);
+        if (deltaRows.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 6;
+            td.className = 'filter-rule-empty';
+            td.textContent = this.i18n.t('diff.none');
+            tr.appendChild(td);
+            this.diffTableBody.appendChild(tr);
+        }
+
+        deltaRows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = rowClasses[row.Change];
+            [row.Change, row.BookingNumber, row.Name, row.DateFrom, row.DateTo, row.ChangedFields].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            this.diffTableBody.appendChild(tr);
+        });
+
+        this.hideAllSections();
+        this.diffSection.classList.remove('hidden');
+    }
+
+    /**
+     * Exportiert nur die geänderten Buchungen als CSV (mit den Spalten "Change" und "ChangedFields")
+     * @returns {Promise<void>}
+     */
+    async downloadDiff() {
+        let diff = this.currentDiff;
+        if (diff && this.privacyGuard.isEnabled()) {
+            // Mit ersetzten Gästenamen neu vergleichen, damit auch "ChangedFields" keine Namen enthält
+            diff = this.bookingDiff.compare(
+                await this.privacyGuard.prepareRows(this.currentDiffRows.previous),
+                await this.privacyGuard.prepareRows(this.currentDiffRows.current)
+            );
+        }
+
+        const deltaRows = diff ? this.bookingDiff.createDeltaRows(diff) : [];
+        if (deltaRows.length === 0) {
+            this.diffMessage.textContent = this.i18n.t('diff.noneToExport');
+            this.diffMessage.classList.remove('hidden');
+            return;
+        }
+
+        try {
+            const columns = ['Change', 'ChangedFields', ...this.privacyGuard.getExportColumns(this.csvExporter.columns)];
+            this.exporterRegistry.export('csv', deltaRows, columns, this.renderFileName('Aenderungen_{date}'), {
+                dialect: this.csvDialectSelect.value
+            });
+        } catch (error) {
+            console.error('Fehler beim Export der Änderungen:', error);
+            this.diffMessage.textContent = this.i18n.t('export.failed', { format: 'CSV' });
+            this.diffMessage.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Zeigt wieder das Ergebnis an (Vorschau und Bearbeitungen bleiben erhalten)
+     */
+    returnToResult() {
+        this.hideAllSections();
+        this.resultSection.classList.remove('hidden');
+    }
+
+    /**
+     * Zeigt eine Meldung beim Vergleich an
+     * @param {string} message - Die Meldung (leer = ausblenden)
+     */
+    showCompareMessage(message) {
+        this.compareMessage.textContent = message;
+        this.compareMessage.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Kehrt nach dem Abbruch einer Verarbeitung zurück (beim Vergleich zum Ergebnis, sonst zum Upload)
+     */
+    leaveProcessing() {
+        if (this.comparing) {
+            this.returnToResult();
+        } else {
+            this.reset();
+        }
+    }
+
+    /**
+     * Beschriftet den Offline-Status im Header in der gewählten Sprache
+     */
+    renderOfflineStatus() {
+        this.offlineStatus.textContent = this.offlineResult
+            ? this.i18n.t(`offline.${this.offlineResult.status}`)
+            : this.i18n.t('header.offlineChecking');
+    }
+
+    /**
+     * Prüft, ob die App offline nutzbar ist, und zeigt das Ergebnis im Header an
+     * Fehlt SheetJS, wird die Dateiauswahl gesperrt, da keine Datei gelesen werden kann.
+     */
+    async checkOfflineReadiness() {
+        const result = await this.offlineCheck.check();
+        this.offlineResult = result;
+
+        this.renderOfflineStatus();
+        this.offlineStatus.className = `offline-status ${result.status}`;
+        this.offlineStatus.title = result.message;
+
+        if (result.status === 'error' || result.status === 'incomplete') {
+            this.offlineMessage.textContent = result.message;
+            this.offlineMessage.classList.remove('hidden');
+        }
+        this.selectFileBtn.disabled = result.status === 'error';
+    }
+
+    /**
+     * Verarbeitet Dateien, mit denen die App geöffnet bzw. die mit ihr geteilt wurden
+     * Läuft bereits eine Verarbeitung, werden die Dateien danach verarbeitet.
+     * @param {Array<File>} files - Die übergebenen Dateien
+     */
+    openLaunchedFiles(files) {
+        if (this.processing) {
+            this.launchedFiles.push(...files);
+            return;
+        }
+        this.handleFiles(files);
+    }
+
+    /**
+     * Verarbeitet die während einer Verarbeitung geöffneten Dateien (zusammen als ein Stapel)
+     */
+    openQueuedLaunchedFiles() {
+        if (this.launchedFiles.length === 0) {
+            return;
+        }
+        const files = this.launchedFiles;
+        this.launchedFiles = [];
+        this.handleFiles(files);
+    }
+
+    /**
+     * Markiert, ob gerade Dateien verarbeitet werden (sperrt solange das Neuladen für Updates)
+     * @param {boolean} processing - Ob eine Verarbeitung läuft
+     */
+    setProcessing(processing) {
+        this.processing = processing;
+        this.updateReloadBtn.disabled = processing;
+        this.updateReloadBtn.title = processing ? this.i18n.t('update.reloadBlocked') : '';
+    }
+
+    /**
+     * Zeigt das Banner für eine wartende neue Version an
+     */
+    showUpdateBanner() {
+        this.updateBanner.classList.remove('hidden');
+    }
+
+    /**
+     * Lädt die neue Version (nicht während einer Verarbeitung)
+     */
+    applyUpdate() {
+        if (this.processing) {
+            return;
+        }
+        if (!this.serviceWorkerUpdater.applyUpdate()) {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Löscht die gelesenen Daten nach Ablauf der Wartezeit (nicht während einer Verarbeitung)
+     */
+    handleIdle() {
+        if (this.processing) {
+            this.privacyGuard.resetIdleTimer();
+            return;
+        }
+        if (this.currentData || this.sampleRows.length > 0) {
+            this.clearData(this.i18n.t('privacy.clearedIdle', { minutes: this.privacyGuard.settings.idleMinutes }));
+        }
+    }
+
+    /**
+     * Löscht alle gelesenen Daten aus dem Speicher und der Oberfläche und bestätigt es auf der Startseite
+     * @param {string} message - Die Bestätigung
+     */
+    clearData(message) {
+        this.previewGrid.load([]);
+        this.previewTableBody.innerHTML = '';
+        this.diffTableBody.innerHTML = '';
+        this.transformPreviewBody.innerHTML = '';
+        this.sampleRows = [];
+        this.currentDiff = null;
+        this.currentDiffRows = null;
+        this.excelParser.clearData();
+        this.parserClient.release();
+        this.reset();
+
+        this.privacyNotice.textContent = message;
+        this.privacyNotice.classList.remove('hidden');
     }
 
     /**
@@ -242,6 +2708,7 @@ class App {
      */
     reset() {
         this.currentData = null;
+        this.currentHistoryId = null;
         this.fileInput.value = '';
         this.hideAllSections();
         this.uploadSection.classList.remove('hidden');
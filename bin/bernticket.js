@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * BernTicket Kommandozeile
+ * Konvertiert Hotel-Exporte ohne Browser, z.B. jeden Morgen per cron auf dem Hotelserver.
+ *
+ * Aufruf:  bernticket convert Arrivals.xlsx -o Anreise.csv --profile "Hotel Bern" --profiles profile.json
+ *
+ * Exit-Codes:
+ *   0  Datei geschrieben, alle Zeilen gültig
+ *   1  Fehler, keine Datei geschrieben (Aufruf, Datei, Profil oder keine gültigen Zeilen)
+ *   2  Datei geschrieben, aber Zeilen wurden wegen Validierungsfehlern verworfen
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const usage = `Aufruf: bernticket convert <datei> [Optionen]
+
+Optionen:
+  -o, --output <datei>    Ausgabedatei (Standard: Dateiname aus der Vorlage des Profils)
+  --profile <name>        Mapping-Profil (Standard: automatisch erkannt)
+  --profiles <datei>      Profil-Exportdatei aus den Einstellungen (PROFILE EXPORTIEREN)
+  --sheet <name>          Zu verarbeitende Tabelle (mehrfach möglich, Standard: wie in der App)
+  --format <id>           csv, xlsx, json oder xml (Standard: csv)
+  --dialect <name>        CSV-Dialekt (Standard: aus dem Profil)
+  --source-file           Spalte "SourceFile" exportieren
+  --lang <code>           Sprache der Fehler und Warnungen: de, en, fr oder it (Standard: de)
+  -h, --help              Diese Hilfe anzeigen
+
+Exit-Codes: 0 = ok, 1 = Fehler (keine Datei geschrieben),
+            2 = Datei geschrieben, aber Zeilen wegen Validierungsfehlern verworfen`;
+
+/**
+ * Liest die Argumente
+ * @param {Array<string>} args - Die Argumente ohne "node" und Skriptpfad
+ * @returns {Object} - command, input, output, profileName, profilesFile, sheetNames, format, dialect,
+ *                     includeSourceFile, language und help
+ * @throws {Error} Bei unbekannten Optionen oder fehlenden Werten
+ */
+function parseArguments(args) {
+    const options = { sheetNames: [], includeSourceFile: false, help: false };
+    const positional = [];
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        const readValue = () => {
+            if (index + 1 >= args.length) {
+                throw new Error(`Die Option ${arg} benötigt einen Wert.`);
+            }
+            return args[++index];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = readValue();
+        } else if (arg === '--profile') {
+            options.profileName = readValue();
+        } else if (arg === '--profiles') {
+            options.profilesFile = readValue();
+        } else if (arg === '--sheet') {
+            options.sheetNames.push(readValue());
+        } else if (arg === '--format') {
+            options.format = readValue();
+        } else if (arg === '--dialect') {
+            options.dialect = readValue();
+        } else if (arg === '--lang') {
+            options.language = readValue();
+        } else if (arg === '--source-file') {
+            options.includeSourceFile = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unbekannte Option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    [options.command, options.input] = positional;
+    if (positional.length > 2) {
+        throw new Error(`Zu viele Argumente: ${positional.slice(2).join(' ')}`);
+    }
+    return options;
+}
+
+/**
+ * Führt den Befehl aus
+ * @param {Array<string>} args - Die Argumente
+ * @returns {number} - Der Exit-Code
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return 1;
+    }
+
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (options.command !== 'convert' || !options.input) {
+        console.error(usage);
+        return 1;
+    }
+
+    let output;
+    try {
+        // Erst hier laden, damit --help auch ohne installiertes SheetJS funktioniert
+        const { convert } = require('../lib/index.js');
+        output = convert(fs.readFileSync(options.input), path.basename(options.input), {
+            profiles: options.profilesFile ? fs.readFileSync(options.profilesFile, 'utf8') : null,
+            profileName: options.profileName,
+            sheetNames: options.sheetNames,
+            format: options.format,
+            dialect: options.dialect,
+            includeSourceFile: options.includeSourceFile,
+            language: options.language
+        });
+    } catch (error) {
+        console.error(`Fehler: ${error.code === 'ENOENT' ? `Datei nicht gefunden: ${error.path}` : error.message}`);
+        return 1;
+    }
+
+    const outputPath = options.output || output.fileName;
+    try {
+        fs.writeFileSync(outputPath, output.content);
+    } catch (error) {
+        console.error(`Fehler: ${outputPath} konnte nicht geschrieben werden (${error.message}).`);
+        return 1;
+    }
+
+    const result = output.result;
+    console.error(`Profil: ${output.profile.name}, Tabellen: ${result.sheetNames.join(', ')}`);
+    console.error(`${result.rows.length} Buchungen nach ${outputPath} geschrieben.`);
+    if (result.filteredRows.length > 0) {
+        console.error(`${result.filteredRows.length} Zeilen durch Filterregeln entfernt.`);
+    }
+    result.warnings.forEach(warning => console.error(`Warnung: ${warning}`));
+
+    if (result.rejectedRows.length === 0) {
+        return 0;
+    }
+
+    console.error(`${result.rejectedRows.length} Zeilen wegen Fehlern verworfen:`);
+    result.rejectedRows.forEach(row => {
+        const messages = row._meta.issues
+            .filter(issue => issue.level === 'error')
+            .map(issue => issue.message)
+            .join('; ');
+        const sheet = result.sheetNames.length > 1 ? ` (${row._meta.sheetName})` : '';
+        console.error(`  Zeile ${row._meta.sourceRow}${sheet}: ${messages}`);
+    });
+    return 2;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,215 @@
+/**
+ * Booking Diff Module
+ * Vergleicht zwei Anreiselisten anhand der BookingNumber (neue, stornierte, entfernte und geänderte Buchungen)
+ */
+
+class BookingDiff {
+    /**
+     * @param {DateNormalizer} dateNormalizer - Liest Datumswerte, damit unterschiedliche Ausgabeformate gleich verglichen werden
+     * @param {I18n} i18n - Meldungskatalog für die Werte der Spalten "Change" und "ChangedFields" (Standard: Deutsch)
+     */
+    constructor(dateNormalizer = new DateNormalizer(), i18n = new I18n(null, '')) {
+        this.dateNormalizer = dateNormalizer;
+        this.i18n = i18n;
+
+        // Verglichene Felder (Id und BookingNumber bilden den Schlüssel)
+        this.compareFields = [
+            'OTANumber',
+            'Name',
+            'NumberOfAdults',
+            'NumberOfTeens',
+            'NumberOfChildren',
+            'NumberOfBabys',
+            'DateFrom',
+            'DateTo'
+        ];
+        this.dateFields = ['DateFrom', 'DateTo'];
+
+        // Status-Werte, die eine noch gelieferte Buchung als storniert kennzeichnen
+        this.cancelledPattern = /cancel|storn|annul/i;
+
+        // Werte der Spalte "Change" im Export (Schlüssel im Meldungskatalog, siehe getChangeLabel)
+        this.changeLabels = {
+            added: 'diff.changeAdded',
+            changed: 'diff.changeChanged',
+            cancelled: 'diff.changeCancelled',
+            removed: 'diff.changeRemoved'
+        };
+    }
+
+    /**
+     * Vergleicht die aktuelle Liste mit einer früheren
+     * @param {Array<Object>} previousRows - Die Zeilen des früheren Laufs bzw. der zweiten Datei
+     * @param {Array<Object>} currentRows - Die aktuellen Zeilen
+     * @returns {{added: Array<Object>, cancelled: Array<Object>, removed: Array<Object>,
+     *            changed: Array<{row: Object, previous: Object, changes: Array<{field: string, from: *, to: *}>}>,
+     *            unchangedCount: number}}
+     */
+    compare(previousRows, currentRows) {
+        const previousByKey = this.indexRows(previousRows);
+        const currentByKey = this.indexRows(currentRows);
+        const result = { added: [], cancelled: [], removed: [], changed: [], unchangedCount: 0 };
+
+        for (const [key, row] of currentByKey) {
+            const previous = previousByKey.get(key);
+
+            if (this.isCancelled(row)) {
+                // Nur melden, wenn die Buchung vorher noch aktiv war
+                if (previous && !this.isCancelled(previous)) {
+                    result.cancelled.push(row);
+                } else {
+                    result.unchangedCount++;
+                }
+                continue;
+            }
+
+            if (!previous || this.isCancelled(previous)) {
+                result.added.push(row);
+                continue;
+            }
+
+            const changes = this.compareRows(previous, row);
+            if (changes.length > 0) {
+                result.changed.push({ row: row, previous: previous, changes: changes });
+            } else {
+                result.unchangedCount++;
+            }
+        }
+
+        for (const [key, row] of previousByKey) {
+            if (!currentByKey.has(key) && !this.isCancelled(row)) {
+                result.removed.push(row);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Ordnet Zeilen ihrem Schlüssel zu
+     * Mehrere Zeilen mit derselben BookingNumber (Mehrzimmer im Modus "suffix") erhalten eine laufende Nummer.
+     * @param {Array<Object>} rows - Die Zeilen
+     * @returns {Map<string, Object>}
+     */
+    indexRows(rows) {
+        const index = new Map();
+        const occurrences = {};
+
+        rows.forEach(row => {
+            const bookingNumber = String(row.BookingNumber || '').trim();
+            if (bookingNumber === '') {
+                return;
+            }
+            occurrences[bookingNumber] = (occurrences[bookingNumber] || 0) + 1;
+            const key = occurrences[bookingNumber] === 1 ? bookingNumber : `${bookingNumber}-${occurrences[bookingNumber]}`;
+            index.set(key, row);
+        });
+
+        return index;
+    }
+
+    /**
+     * Prüft, ob eine Buchung laut Status storniert ist
+     * @param {Object} row - Die Zeile
+     * @returns {boolean}
+     */
+    isCancelled(row) {
+        return Boolean(row.Status) && this.cancelledPattern.test(String(row.Status));
+    }
+
+    /**
+     * Ermittelt die geänderten Felder einer Buchung
+     * @param {Object} previous - Die frühere Zeile
+     * @param {Object} current - Die aktuelle Zeile
+     * @returns {Array<{field: string, from: *, to: *}>}
+     */
+    compareRows(previous, current) {
+        return this.compareFields
+            .filter(field => !this.isEqual(field, previous[field], current[field]))
+            .map(field => ({ field: field, from: this.getValue(previous[field]), to: this.getValue(current[field]) }));
+    }
+
+    /**
+     * Vergleicht zwei Feldwerte (Datumswerte unabhängig vom Format, sonstiger Text ohne Leerzeichen am Rand)
+     * @param {string} field - Das Feld
+     * @param {*} a - Der frühere Wert
+     * @param {*} b - Der aktuelle Wert
+     * @returns {boolean}
+     */
+    isEqual(field, a, b) {
+        const valueA = String(this.getValue(a)).trim();
+        const valueB = String(this.getValue(b)).trim();
+
+        if (this.dateFields.includes(field)) {
+            const dateA = this.parseDate(valueA);
+            const dateB = this.parseDate(valueB);
+            if (dateA && dateB) {
+                return dateA.getTime() === dateB.getTime();
+            }
+        }
+
+        return valueA === valueB;
+    }
+
+    /**
+     * Liest einen Datumswert (zuerst im Ausgabeformat, sonst wie Eingabetext, z.B. aus einem Lauf mit anderem Format)
+     * @param {string} value - Der Datumsstring
+     * @returns {Date|null}
+     */
+    parseDate(value) {
+        return this.dateNormalizer.parseFormatted(value) || this.dateNormalizer.parseText(value);
+    }
+
+    /**
+     * Gibt einen Feldwert zurück (fehlende Werte werden zu einem leeren String)
+     * @param {*} value - Der Wert
+     * @returns {string|number}
+     */
+    getValue(value) {
+        return value !== undefined && value !== null ? value : '';
+    }
+
+    /**
+     * Beschreibt die Änderungen einer Buchung (z.B. "DateTo: 20.01.2026 → 21.01.2026")
+     * @param {Array<{field: string, from: *, to: *}>} changes - Die Änderungen
+     * @returns {string}
+     */
+    describeChanges(changes) {
+        const empty = this.i18n.t('common.empty');
+        return changes
+            .map(change => `${change.field}: ${change.from === '' ? empty : change.from} → ${change.to === '' ? empty : change.to}`)
+            .join('; ');
+    }
+
+    /**
+     * Gibt den Wert der Spalte "Change" in der gewählten Sprache zurück
+     * @param {string} change - 'added', 'changed', 'cancelled' oder 'removed'
+     * @returns {string}
+     */
+    getChangeLabel(change) {
+        return this.i18n.t(this.changeLabels[change]);
+    }
+
+    /**
+     * Erstellt die Zeilen für den Export der Änderungen
+     * Jede Zeile erhält die Spalten "Change" und "ChangedFields"; entfernte Buchungen mit ihren früheren Werten.
+     * @param {Object} diff - Das Ergebnis von compare
+     * @returns {Array<Object>}
+     */
+    createDeltaRows(diff) {
+        return [
+            ...diff.added.map(row => Object.assign({}, row, { Change: this.getChangeLabel('added'), ChangedFields: '' })),
+            ...diff.changed.map(entry => Object.assign({}, entry.row, {
+                Change: this.getChangeLabel('changed'),
+                ChangedFields: this.describeChanges(entry.changes)
+            })),
+            ...diff.cancelled.map(row => Object.assign({}, row, { Change: this.getChangeLabel('cancelled'), ChangedFields: '' })),
+            ...diff.removed.map(row => Object.assign({}, row, { Change: this.getChangeLabel('removed'), ChangedFields: '' }))
+        ];
+    }
+}
+
+// Node.js: als Modul exportieren (siehe test/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingDiff;
+}
@@ -1,45 +1,158 @@
 /**
  * CSV Export Module
- * Verantwortlich für die Generierung und den Download von CSV-Dateien
+ * Verantwortlich für die Generierung von CSV-Dateien in verschiedenen Dialekten
  */
 
-class CSVExporter {
+class CSVExporter extends Exporter {
     /**
-     * CSV-Spaltenreihenfolge (exakt wie spezifiziert)
+     * @param {DateNormalizer} dateNormalizer - Liest die Datumswerte der Zeilen (für das Datumsformat der Dialekte)
+     * @param {I18n} i18n - Meldungskatalog für Beschriftungen und Fehlermeldungen (Standard: Deutsch)
      */
-    constructor() {
-        this.csvColumns = [
-            'Id',
-            'BookingNumber',
-            'OTANumber',
-            'Name',
-            'NumberOfAdults',
-            'NumberOfTeens',
-            'NumberOfChildren',
-            'NumberOfBabys',
-            'DateFrom',
-            'DateTo'
-        ];
-        // Semikolon als Trennzeichen für deutsche Excel-Versionen
-        this.delimiter = ';';
+    constructor(dateNormalizer = new DateNormalizer(), i18n = new I18n(null, '')) {
+        super({ id: 'csv', label: 'CSV', fileExtension: 'csv', mimeType: 'text/csv;charset=utf-8;' });
+        this.dateNormalizer = dateNormalizer;
+        this.i18n = i18n;
+
+        // Benannte Dialekte für unterschiedliche Zielsysteme (dateFormat null = Ausgabeformat des Profils)
+        // labelKey ist der Schlüssel der Beschriftung im Meldungskatalog (siehe getDialectLabel)
+        // Der Standard-Dialekt entspricht dem bisherigen Format (Semikolon für deutsche Excel-Versionen)
+        this.defaultDialect = 'excel-de';
+        this.dialects = {
+            'excel-de': {
+                labelKey: 'export.dialectExcelDe',
+                delimiter: ';',
+                encoding: 'utf-8',
+                bom: true,
+                lineEnding: '\r\n',
+                quoting: 'minimal',
+                dateFormat: null,
+                emptyNumbers: 'empty'
+            },
+            'comma-utf8': {
+                labelKey: 'export.dialectCommaUtf8',
+                delimiter: ',',
+                encoding: 'utf-8',
+                bom: false,
+                lineEnding: '\n',
+                quoting: 'minimal',
+                dateFormat: null,
+                emptyNumbers: 'empty'
+            },
+            'tab-utf8': {
+                labelKey: 'export.dialectTabUtf8',
+                delimiter: '\t',
+                encoding: 'utf-8',
+                bom: false,
+                lineEnding: '\r\n',
+                quoting: 'minimal',
+                dateFormat: null,
+                emptyNumbers: 'empty'
+            },
+            'excel-de-1252': {
+                labelKey: 'export.dialectExcelDe1252',
+                delimiter: ';',
+                encoding: 'windows-1252',
+                bom: false,
+                lineEnding: '\r\n',
+                quoting: 'minimal',
+                dateFormat: null,
+                emptyNumbers: 'empty'
+            },
+            'iso-quoted': {
+                labelKey: 'export.dialectIsoQuoted',
+                delimiter: ',',
+                encoding: 'utf-8',
+                bom: false,
+                lineEnding: '\n',
+                quoting: 'all',
+                dateFormat: 'YYYY-MM-DD',
+                emptyNumbers: 'zero'
+            }
+        };
+
+        // Felder, die vom Datums- bzw. Zahlenformat des Dialekts betroffen sind
+        this.dateFields = ['DateFrom', 'DateTo'];
+        this.numberFields = ['NumberOfAdults', 'NumberOfTeens', 'NumberOfChildren', 'NumberOfBabys'];
+
+        // Windows-1252: Zeichen im Bereich 0x80-0x9F, die von Latin-1 abweichen
+        this.windows1252Extras = {
+            '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+            'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E,
+            '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+            '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+        };
+    }
+
+    /**
+     * Gibt einen Dialekt zurück
+     * @param {string} name - Der Name des Dialekts (Standard: "excel-de")
+     * @returns {Object}
+     * @throws {Error} Wenn der Dialekt unbekannt ist
+     */
+    getDialect(name = this.defaultDialect) {
+        // Nur eigene Einträge, damit z.B. "toString" nicht als Dialekt gilt
+        if (!Object.prototype.hasOwnProperty.call(this.dialects, name)) {
+            throw new Error(this.i18n.t('export.unknownDialect', { name: name }));
+        }
+        return this.dialects[name];
+    }
+
+    /**
+     * Gibt die Beschriftung eines Dialekts in der gewählten Sprache zurück (für die Auswahllisten)
+     * @param {string} name - Der Name des Dialekts
+     * @returns {string}
+     */
+    getDialectLabel(name) {
+        return this.i18n.t(this.getDialect(name).labelKey);
+    }
+
+    /**
+     * Erstellt den Inhalt der CSV-Datei im gewählten Dialekt (inklusive BOM und Kodierung)
+     * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge
+     * @param {Object} options - dialect: Name des Dialekts
+     * @returns {string|Uint8Array} - String (UTF-8) oder kodierte Bytes (Windows-1252)
+     */
+    create(rows, columns = this.columns, options = {}) {
+        const dialect = this.getDialect(options.dialect);
+        const csvContent = this.createCSV(rows, columns, options.dialect);
+
+        if (dialect.encoding === 'windows-1252') {
+            return this.encodeWindows1252(csvContent);
+        }
+
+        // BOM für UTF-8 hinzufügen (für korrekte Anzeige in Excel)
+        return dialect.bom ? '\uFEFF' + csvContent : csvContent;
+    }
+
+    /**
+     * Gibt den MIME-Typ mit dem Zeichensatz des Dialekts zurück
+     * @param {Object} options - dialect: Name des Dialekts
+     * @returns {string}
+     */
+    getMimeType(options = {}) {
+        return `text/csv;charset=${this.getDialect(options.dialect).encoding};`;
     }
 
     /**
      * Erstellt eine CSV-Datei aus den transformierten Zeilen
      * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge (Standard: alle Exportspalten)
+     * @param {string} dialectName - Der Name des Dialekts (Standard: "excel-de")
      * @returns {string} - CSV-String
      */
-    createCSV(rows) {
-        if (!Array.isArray(rows) || rows.length === 0) {
-            throw new Error('Keine Daten zum Exportieren verfügbar.');
-        }
+    createCSV(rows, columns = this.columns, dialectName = this.defaultDialect) {
+        this.assertRows(rows);
+        const dialect = this.getDialect(dialectName);
 
         // CSV-Escape-Funktion für Werte, die Trennzeichen, Anführungszeichen oder Zeilenumbrüche enthalten
         const escapeCSVValue = (value) => {
             const stringValue = String(value);
-            const delimiter = this.delimiter;
-            // Wenn der Wert Trennzeichen, Anführungszeichen oder Zeilenumbrüche enthält, in Anführungszeichen setzen
-            if (stringValue.includes(delimiter) || stringValue.includes('"') || stringValue.includes('\n') || stringValue.includes('\r')) {
+            const delimiter = dialect.delimiter;
+            // In Anführungszeichen setzen, wenn der Dialekt es immer verlangt oder der Wert
+            // Trennzeichen, Anführungszeichen oder Zeilenumbrüche enthält
+            if (dialect.quoting === 'all' || stringValue.includes(delimiter) || stringValue.includes('"') ||
+                stringValue.includes('\n') || stringValue.includes('\r')) {
                 // Anführungszeichen verdoppeln (CSV-Escape)
                 return `"${stringValue.replace(/"/g, '""')}"`;
             }
@@ -47,70 +160,61 @@ class CSVExporter {
         };
 
         // Kopfzeile erstellen
-        const header = this.csvColumns.map(col => escapeCSVValue(col)).join(this.delimiter);
+        const header = columns.map(col => escapeCSVValue(col)).join(dialect.delimiter);
 
         // Datenzeilen erstellen
         const dataRows = rows.map(row => {
-            return this.csvColumns.map(column => {
-                const value = row[column] !== undefined && row[column] !== null ? row[column] : '';
-                return escapeCSVValue(value);
-            }).join(this.delimiter);
+            return columns
+                .map(column => escapeCSVValue(this.formatValue(this.getValue(row, column), column, dialect)))
+                .join(dialect.delimiter);
         });
 
-        // CSV zusammenfügen mit Windows-Zeilenumbrüchen (CRLF) für bessere Excel-Kompatibilität
-        return [header, ...dataRows].join('\r\n');
+        return [header, ...dataRows].join(dialect.lineEnding);
     }
 
     /**
-     * Startet den Download einer CSV-Datei
-     * @param {string} csvContent - Der CSV-String
-     * @param {string} fileName - Der gewünschte Dateiname (ohne Extension)
+     * Formatiert Datums- und Zahlenwerte gemäss Dialekt
+     * @param {string|number} value - Der Wert
+     * @param {string} column - Die Spalte
+     * @param {Object} dialect - Der Dialekt
+     * @returns {string|number}
      */
-    downloadCSV(csvContent, fileName = 'export') {
-        // BOM für UTF-8 hinzufügen (für korrekte Anzeige in Excel)
-        const BOM = '\uFEFF';
-        const csvWithBOM = BOM + csvContent;
-
-        // Blob erstellen
-        const blob = new Blob([csvWithBOM], { type: 'text/csv;charset=utf-8;' });
-        
-        // Download-Link erstellen
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        
-        // Dateiname: Anreise_DD.MM.YYYY (z.B. Anreise_19.01.2026)
-        const today = new Date();
-        const year = today.getFullYear();
-        const month = String(today.getMonth() + 1).padStart(2, '0');
-        const day = String(today.getDate()).padStart(2, '0');
-        const dateString = `${day}.${month}.${year}`;
-        link.download = `Anreise_${dateString}.csv`;
-        
-        // Link temporär zum DOM hinzufügen, klicken und entfernen
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // URL nach kurzer Zeit freigeben (für bessere Performance)
-        setTimeout(() => {
-            URL.revokeObjectURL(url);
-        }, 100);
+    formatValue(value, column, dialect) {
+        if (this.dateFields.includes(column) && dialect.dateFormat) {
+            const date = this.dateNormalizer.parseFormatted(String(value));
+            return date ? this.dateNormalizer.formatDate(date, dialect.dateFormat) : value;
+        }
+        if (this.numberFields.includes(column) && dialect.emptyNumbers === 'zero' && value === '') {
+            return 0;
+        }
+        return value;
     }
 
     /**
-     * Generiert einen Zeitstempel für den Dateinamen
-     * @returns {string} - Format: YYYYMMDD_HHMMSS
+     * Kodiert einen String als Windows-1252 (nicht darstellbare Zeichen werden zu "?")
+     * @param {string} text - Der zu kodierende Text
+     * @returns {Uint8Array}
      */
-    getTimestamp() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        
-        return `${year}${month}${day}_${hours}${minutes}${seconds}`;
+    encodeWindows1252(text) {
+        const bytes = new Uint8Array(text.length);
+        let length = 0;
+
+        for (const character of text) {
+            const code = character.codePointAt(0);
+            if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+                bytes[length++] = code;
+            } else if (this.windows1252Extras[character] !== undefined) {
+                bytes[length++] = this.windows1252Extras[character];
+            } else {
+                bytes[length++] = 0x3F;
+            }
+        }
+
+        return bytes.subarray(0, length);
     }
 }
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVExporter;
+}
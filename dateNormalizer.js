@@ -0,0 +1,394 @@
+/**
+ * Date Normalizer Module
+ * Liest Datumswerte aus Excel-Seriennummern und Text (mehrere Locales) und gibt sie einheitlich formatiert aus
+ */
+
+class DateNormalizer {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für Formatbeschreibungen und Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+
+        // Bekannte Eingabe-Locales: Reihenfolge von Tag und Monat in numerischen Daten und Monatsnamen
+        const englishMonths = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+            'august', 'september', 'october', 'november', 'december'];
+        this.locales = {
+            'de': {
+                order: 'DMY',
+                months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli',
+                    'august', 'september', 'oktober', 'november', 'dezember'],
+                // Zusätzliche Schreibweisen (Monatsindex 0-basiert)
+                aliases: { 'jänner': 0, 'maerz': 2, 'mrz': 2 }
+            },
+            'fr': {
+                order: 'DMY',
+                months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet',
+                    'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+                aliases: { 'fevrier': 1, 'aout': 7, 'decembre': 11 }
+            },
+            'it': {
+                order: 'DMY',
+                months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio',
+                    'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+                aliases: {}
+            },
+            'en-GB': { order: 'DMY', months: englishMonths, aliases: {} },
+            'en-US': { order: 'MDY', months: englishMonths, aliases: {} }
+        };
+
+        // Standard: Schweizer Landessprachen und britisches Englisch (alle Tag vor Monat)
+        this.defaultInputLocales = ['de', 'fr', 'it', 'en-GB'];
+        this.defaultOutputFormat = 'DD.MM.YYYY';
+
+        this.inputLocales = this.defaultInputLocales.slice();
+        this.outputFormat = this.defaultOutputFormat;
+
+        // Datumssystem des aktuellen Workbooks (1904 bei älteren Mac-Dateien)
+        this.date1904 = false;
+
+        this.millisecondsPerDay = 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Übernimmt die Datumseinstellungen eines Profils
+     * @param {Object} options - inputLocales (Array<string>) und outputFormat (z.B. "DD.MM.YYYY")
+     * @throws {Error} Wenn ein Locale unbekannt oder das Ausgabeformat ungültig ist
+     */
+    configure(options = {}) {
+        const inputLocales = options.inputLocales && options.inputLocales.length > 0
+            ? options.inputLocales
+            : this.defaultInputLocales;
+        const outputFormat = options.outputFormat || this.defaultOutputFormat;
+
+        this.validateLocales(inputLocales);
+        this.validateFormat(outputFormat);
+
+        this.inputLocales = inputLocales.slice();
+        this.outputFormat = outputFormat;
+    }
+
+    /**
+     * Prüft eine Liste von Eingabe-Locales
+     * @param {Array<string>} inputLocales - Die Locales (z.B. ["de", "en-US"])
+     * @throws {Error} Wenn ein Locale unbekannt ist
+     */
+    validateLocales(inputLocales) {
+        if (!Array.isArray(inputLocales)) {
+            throw new Error(this.i18n.t('date.localesNotList'));
+        }
+        const unknown = inputLocales.find(locale => !this.locales[locale]);
+        if (unknown !== undefined) {
+            throw new Error(this.i18n.t('date.unknownLocale', { locale: unknown, locales: Object.keys(this.locales).join(', ') }));
+        }
+    }
+
+    /**
+     * Prüft ein Ausgabeformat (DD, MM und YYYY genau einmal, dazwischen nur . / - oder Leerzeichen)
+     * @param {string} format - Das Format
+     * @throws {Error} Wenn das Format ungültig ist
+     */
+    validateFormat(format) {
+        const tokens = String(format).match(/DD|MM|YYYY/g) || [];
+        const rest = String(format).replace(/DD|MM|YYYY/g, '');
+        if (tokens.length !== 3 || new Set(tokens).size !== 3 || !/^[./\- ]*$/.test(rest)) {
+            throw new Error(this.i18n.t('date.invalidFormat', { format: format }));
+        }
+    }
+
+    /**
+     * Gibt die bevorzugte Reihenfolge von Tag und Monat zurück (Reihenfolge des ersten Locales)
+     * @returns {string} - 'DMY' oder 'MDY'
+     */
+    getPreferredOrder() {
+        return this.locales[this.inputLocales[0]].order;
+    }
+
+    /**
+     * Ermittelt die Reihenfolge von Tag und Monat für alle Werte einer Spalte
+     * Ein Wert wie 25.01. oder 01/25 entscheidet die ganze Spalte. Gibt es keinen solchen Wert,
+     * gilt die Reihenfolge des ersten Locales; mehrdeutig ist das nur, wenn die Locales beide
+     * Reihenfolgen zulassen.
+     * @param {Array} values - Die Rohwerte der Spalte(n)
+     * @returns {{order: string, ambiguous: boolean, conflicting: boolean}}
+     */
+    detectOrder(values) {
+        let dayFirst = 0;
+        let monthFirst = 0;
+        let undecided = 0;
+
+        values.forEach(value => {
+            if (typeof value !== 'string') {
+                return;
+            }
+            const parts = this.matchNumericDate(value.trim());
+            if (!parts) {
+                return;
+            }
+            if (parts.first > 12 && parts.second <= 12) {
+                dayFirst++;
+            } else if (parts.second > 12 && parts.first <= 12) {
+                monthFirst++;
+            } else if (parts.first !== parts.second) {
+                undecided++;
+            }
+        });
+
+        const preferredOrder = this.getPreferredOrder();
+        if (dayFirst > 0 && monthFirst === 0) {
+            return { order: 'DMY', ambiguous: false, conflicting: false };
+        }
+        if (monthFirst > 0 && dayFirst === 0) {
+            return { order: 'MDY', ambiguous: false, conflicting: false };
+        }
+
+        const localeOrders = new Set(this.inputLocales.map(locale => this.locales[locale].order));
+        return {
+            order: preferredOrder,
+            ambiguous: dayFirst === 0 && monthFirst === 0 && undecided > 0 && localeOrders.size > 1,
+            conflicting: dayFirst > 0 && monthFirst > 0
+        };
+    }
+
+    /**
+     * Normalisiert einen Datumswert in das Ausgabeformat
+     * @param {*} value - Seriennummer, Date oder Text
+     * @param {string} order - Reihenfolge für numerische Textdaten ('DMY' oder 'MDY', Standard: bevorzugte)
+     * @returns {string} - Das formatierte Datum, '' für leere Werte oder der unveränderte Text,
+     *                     wenn er nicht gelesen werden kann (die Validierung meldet ihn dann)
+     */
+    normalize(value, order = this.getPreferredOrder()) {
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+
+        let date = null;
+        if (typeof value === 'number') {
+            date = this.serialToDate(value);
+        } else if (value instanceof Date) {
+            // SheetJS erzeugt Date-Objekte in lokaler Zeit
+            date = isNaN(value.getTime())
+                ? null
+                : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+        } else {
+            const text = String(value).trim();
+            // Seriennummern, die als Text vorliegen (z.B. aus CSV-Dateien)
+            date = /^\d{5}(\.\d+)?$/.test(text) ? this.serialToDate(parseFloat(text)) : this.parseText(text, order);
+            if (!date) {
+                return text;
+            }
+        }
+
+        return date ? this.formatDate(date) : String(value);
+    }
+
+    /**
+     * Konvertiert eine Excel-Seriennummer in ein Datum (UTC, ohne Zeitzonen- oder Sommerzeitverschiebung)
+     * Berücksichtigt das 1904-Datumssystem und den Schaltjahr-Fehler von Excel (29.02.1900).
+     * @param {number} serial - Die Seriennummer (Nachkommastellen = Uhrzeit werden ignoriert)
+     * @returns {Date|null}
+     */
+    serialToDate(serial) {
+        const days = Math.floor(serial);
+        // Gültig bis 31.12.9999; im 1904-Datumssystem beginnt die Zählung mit 0 (01.01.1904),
+        // das um 1462 Tage später liegt als im 1900-Datumssystem
+        const [minimum, maximum] = this.date1904 ? [0, 2958465 - 1462] : [1, 2958465];
+        if (!isFinite(days) || days < minimum || days > maximum) {
+            return null;
+        }
+
+        if (this.date1904) {
+            return new Date(Date.UTC(1904, 0, 1) + days * this.millisecondsPerDay);
+        }
+        // Excel zählt den nicht existierenden 29.02.1900 mit (Seriennummer 60)
+        const epoch = days < 60 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+        return new Date(epoch + days * this.millisecondsPerDay);
+    }
+
+    /**
+     * Liest ein Datum aus Text
+     * Unterstützt ISO (2026-01-19), numerische Daten (19.01.2026, 01/19/2026, 19-01-26)
+     * und Monatsnamen der Eingabe-Locales (19 Jan 2026, 19. Januar 2026, Jan 19, 2026).
+     * Eine Uhrzeit am Ende wird ignoriert.
+     * @param {string} text - Der Text
+     * @param {string} order - Reihenfolge für numerische Daten ('DMY' oder 'MDY')
+     * @returns {Date|null} - Datum in UTC
+     */
+    parseText(text, order = this.getPreferredOrder()) {
+        const value = text.replace(/[ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[AaPp][Mm])?$/, '').trim();
+        let match;
+
+        // ISO-ähnlich: Jahr zuerst
+        match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+        if (match) {
+            return this.createDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+        }
+
+        // Numerisch: Tag und Monat gemäss Reihenfolge
+        const parts = this.matchNumericDate(value);
+        if (parts) {
+            const day = order === 'MDY' ? parts.second : parts.first;
+            const month = order === 'MDY' ? parts.first : parts.second;
+            return this.createDate(parts.year, month, day);
+        }
+
+        // Monatsname nach dem Tag: "19 Jan 2026", "19. Januar 2026", "19-Jan-26"
+        match = /^(\d{1,2})\.?[\s-]+([^\d\s.,-]+)\.?,?[\s-]+(\d{2}|\d{4})$/.exec(value);
+        if (match) {
+            const month = this.findMonth(match[2]);
+            return month ? this.createDate(this.expandYear(match[3]), month, parseInt(match[1], 10)) : null;
+        }
+
+        // Monatsname vor dem Tag: "Jan 19, 2026", "January 19 2026"
+        match = /^([^\d\s.,-]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/.exec(value);
+        if (match) {
+            const month = this.findMonth(match[1]);
+            return month ? this.createDate(parseInt(match[3], 10), month, parseInt(match[2], 10)) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Zerlegt ein numerisches Datum mit Tag und Monat (Reihenfolge offen) und Jahr am Ende
+     * @param {string} value - Der Text
+     * @returns {{first: number, second: number, year: number}|null}
+     */
+    matchNumericDate(value) {
+        const match = /^(\d{1,2})([./-])(\d{1,2})\2(\d{2}|\d{4})$/.exec(value);
+        if (!match) {
+            return null;
+        }
+        return {
+            first: parseInt(match[1], 10),
+            second: parseInt(match[3], 10),
+            year: this.expandYear(match[4])
+        };
+    }
+
+    /**
+     * Ergänzt zweistellige Jahre (00-69 → 2000-2069, 70-99 → 1970-1999)
+     * @param {string} year - Das Jahr
+     * @returns {number}
+     */
+    expandYear(year) {
+        const value = parseInt(year, 10);
+        if (year.length !== 2) {
+            return value;
+        }
+        return value < 70 ? 2000 + value : 1900 + value;
+    }
+
+    /**
+     * Sucht einen Monatsnamen (oder eine Abkürzung ab 3 Buchstaben) in den Eingabe-Locales
+     * @param {string} name - Der Monatsname
+     * @returns {number|null} - Der Monat (1-12) oder null, wenn er unbekannt oder mehrdeutig ist
+     */
+    findMonth(name) {
+        const token = name.toLowerCase();
+        if (token.length < 3) {
+            return null;
+        }
+
+        const found = new Set();
+        this.inputLocales.forEach(locale => {
+            const { months, aliases } = this.locales[locale];
+            months.forEach((month, index) => {
+                if (month.startsWith(token)) {
+                    found.add(index + 1);
+                }
+            });
+            if (aliases[token] !== undefined) {
+                found.add(aliases[token] + 1);
+            }
+        });
+
+        return found.size === 1 ? [...found][0] : null;
+    }
+
+    /**
+     * Erstellt ein UTC-Datum und lehnt ungültige Kalenderdaten ab (z.B. 31.02.)
+     * @param {number} year - Das Jahr
+     * @param {number} month - Der Monat (1-12)
+     * @param {number} day - Der Tag
+     * @returns {Date|null}
+     */
+    createDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Formatiert ein UTC-Datum
+     * @param {Date} date - Das Datum (UTC)
+     * @param {string} format - Das Format (Standard: Ausgabeformat)
+     * @returns {string}
+     */
+    formatDate(date, format = this.outputFormat) {
+        if (!date || isNaN(date.getTime())) {
+            return '';
+        }
+        const values = {
+            DD: String(date.getUTCDate()).padStart(2, '0'),
+            MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+            YYYY: String(date.getUTCFullYear())
+        };
+        return format.replace(/DD|MM|YYYY/g, token => values[token]);
+    }
+
+    /**
+     * Liest ein Datum im Ausgabeformat (strikt, z.B. für Validierung, Filter und Export)
+     * @param {string} value - Der Datumsstring
+     * @param {string} format - Das Format (Standard: Ausgabeformat)
+     * @returns {Date|null} - Datum in UTC
+     */
+    parseFormatted(value, format = this.outputFormat) {
+        const order = format.match(/DD|MM|YYYY/g);
+        const pattern = format
+            .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+            .replace(/DD|MM/g, '(\\d{2})')
+            .replace('YYYY', '(\\d{4})');
+        const match = new RegExp(`^${pattern}$`).exec(String(value).trim());
+        if (!match) {
+            return null;
+        }
+
+        const parts = {};
+        order.forEach((token, index) => {
+            parts[token] = parseInt(match[index + 1], 10);
+        });
+        return this.createDate(parts.YYYY, parts.MM, parts.DD);
+    }
+
+    /**
+     * Schreibt ein Datum von einem Ausgabeformat in ein anderes um (z.B. beim Zusammenführen von Dateien mit
+     * unterschiedlichen Profilen)
+     * @param {string} value - Der Datumsstring
+     * @param {string} fromFormat - Das Format des Werts
+     * @param {string} toFormat - Das gewünschte Format (Standard: Ausgabeformat)
+     * @returns {string} - Der umgeschriebene Wert (unverändert, wenn er nicht im Format fromFormat vorliegt)
+     */
+    convert(value, fromFormat, toFormat = this.outputFormat) {
+        if (value === undefined || value === null || value === '') {
+            return value;
+        }
+        const date = this.parseFormatted(value, fromFormat);
+        return date ? this.formatDate(date, toFormat) : value;
+    }
+
+    /**
+     * Beschreibt das Ausgabeformat für Meldungen in der gewählten Sprache (z.B. "TT.MM.JJJJ")
+     * @returns {string}
+     */
+    describeFormat() {
+        return this.outputFormat.replace(/DD|MM|YYYY/g, token => this.i18n.t(`date.format${token}`));
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateNormalizer;
+}
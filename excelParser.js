@@ -4,7 +4,12 @@
  */
 
 class ExcelParser {
-    constructor() {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für Fehler und Warnungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+
         // Mapping: Excel-Spaltenname → CSV-Feldname
         // Unterstützt mehrere mögliche Spaltennamen (erster gefundener wird verwendet)
         this.columnMapping = {
@@ -28,6 +33,31 @@ class ExcelParser {
                 possibleNames: ['CH', 'Children'],
                 type: 'number'
             },
+            'NumberOfBabys': {
+                possibleNames: ['Infants', 'INF', 'Babies'],
+                type: 'number'
+            },
+            // Kinderalter: entweder eine Spalte mit allen Altern ("4, 9, 15") oder eine Spalte pro Kind
+            'ChildAges': {
+                possibleNames: ['Child Ages', 'Children Ages', 'Kinderalter'],
+                type: 'ageList'
+            },
+            'ChildAge1': {
+                possibleNames: ['CH1 Age', 'Age 1', 'Child 1 Age'],
+                type: 'age'
+            },
+            'ChildAge2': {
+                possibleNames: ['CH2 Age', 'Age 2', 'Child 2 Age'],
+                type: 'age'
+            },
+            'ChildAge3': {
+                possibleNames: ['CH3 Age', 'Age 3', 'Child 3 Age'],
+                type: 'age'
+            },
+            'ChildAge4': {
+                possibleNames: ['CH4 Age', 'Age 4', 'Child 4 Age'],
+                type: 'age'
+            },
             'DateFrom': {
                 possibleNames: ['Arrival', 'Arrival Date'],
                 type: 'string'
@@ -35,121 +65,771 @@ class ExcelParser {
             'DateTo': {
                 possibleNames: ['Departure', 'Departure Date'],
                 type: 'string'
+            },
+            // Zusatzfelder für Filterregeln (werden nicht exportiert)
+            'Status': {
+                possibleNames: ['Status', 'Reservation Status', 'Res. Status'],
+                type: 'string'
+            },
+            'RoomType': {
+                possibleNames: ['Room Type', 'Room Cat.', 'Category'],
+                type: 'string'
+            },
+            'RateCode': {
+                possibleNames: ['Rate Code', 'Rate'],
+                type: 'string'
             }
         };
 
+        // Unverändertes Standard-Mapping (Basis für Profile und fehlende Felder)
+        this.defaultColumnMapping = JSON.parse(JSON.stringify(this.columnMapping));
+
         // Pflichtspalte (Zeilen ohne diesen Wert werden verworfen)
         this.requiredColumn = 'BookingNumber';
+
+        // Altersgrenzen (jeweils inklusive) für die Aufteilung in Babys, Kinder und Teens
+        this.defaultAgeLimits = {
+            babyMaxAge: 2,
+            childMaxAge: 11,
+            teenMaxAge: 17
+        };
+        this.ageLimits = Object.assign({}, this.defaultAgeLimits);
+
+        // Liest und formatiert alle Datumswerte (Eingabe-Locales und Ausgabeformat kommen aus dem Profil)
+        this.dateNormalizer = new DateNormalizer(this.i18n);
+        // Reihenfolge von Tag und Monat der aktuellen Tabelle (siehe parseSheet)
+        this.dateOrder = this.dateNormalizer.getPreferredOrder();
+
+        // Prüft jede transformierte Zeile (Warnungen und Fehler)
+        this.rowValidator = new RowValidator(this.dateNormalizer, this.i18n);
+
+        // Mehrzimmer-Reservationen (gleiche BookingNumber in mehreren Zeilen):
+        // 'merge' = zu einer Buchung zusammenführen, 'suffix' = getrennt lassen mit Id-Suffix (-1, -2, ...)
+        this.defaultGroupingMode = 'merge';
+        this.groupingMode = this.defaultGroupingMode;
+
+        // Filterregeln des Profils (laufen nach transformRow, vor dem Zusammenführen)
+        this.rowFilter = new RowFilter(this.dateNormalizer, this.i18n);
+        this.filterRules = [];
+
+        // Gästenamen: vereinheitlichen, als FirstName/LastName exportieren und in ASCII umschreiben
+        this.nameNormalizer = new NameNormalizer();
+        this.defaultNameOptions = { normalize: true, splitName: false, transliterate: false };
+        this.nameOptions = Object.assign({}, this.defaultNameOptions);
+
+        // Feldregeln: geordnete Schritte pro Ausgabefeld (Standard: eine führende 0 der BookingNumber entfernen, Id = BookingNumber)
+        this.fieldTransformer = new FieldTransformer(this.i18n);
+        this.defaultFieldTransforms = {
+            BookingNumber: [{ type: 'stripLeading', character: '0', count: 1 }],
+            Id: [{ type: 'concat', fields: ['BookingNumber'], separator: '' }]
+        };
+        this.fieldTransforms = JSON.parse(JSON.stringify(this.defaultFieldTransforms));
+
+        // Anzahl Quellzeilen pro Tabelle für die Vorschau der Feldregeln
+        this.sampleRowCount = 5;
+
+        // Gästeanzahlen, die beim Zusammenführen summiert werden
+        this.guestCountFields = ['NumberOfAdults', 'NumberOfTeens', 'NumberOfChildren', 'NumberOfBabys'];
+
+        // Textdateien (CSV/TSV) werden selbst dekodiert, alle anderen Formate liest SheetJS
+        this.textFileDecoder = new TextFileDecoder(this.i18n);
+        this.textFileTypes = ['text/csv', 'text/tab-separated-values'];
+        this.textFileExtensions = ['.csv', '.tsv'];
+
+        // Anzahl Zeilen, in denen nach der Kopfzeile gesucht wird (Titelblöcke in Hotel-Reports)
+        this.headerScanRows = 15;
+
+        // Fusszeilen mit Summen (erste gefüllte Zelle beginnt mit einem dieser Begriffe)
+        this.footerPattern = /^(total|totals|summe|summen|gesamt|gesamtsumme|grand total)\b/i;
+
+        // Rückmeldung über den Fortschritt (z.B. aus dem Parser-Worker), siehe reportProgress
+        this.onProgress = null;
+        // Abstand in Zeilen zwischen zwei Fortschrittsmeldungen beim Umwandeln und Prüfen
+        this.progressInterval = 500;
+    }
+
+    /**
+     * Übernimmt das Spalten-Mapping eines Profils
+     * Felder, die im Profil fehlen, werden aus dem Standard-Mapping ergänzt
+     * @param {Object|null} profile - Das Mapping-Profil (null = Standard-Mapping)
+     */
+    applyProfile(profile) {
+        const mapping = JSON.parse(JSON.stringify(this.defaultColumnMapping));
+
+        if (profile && profile.columnMapping) {
+            for (const [csvFieldName, config] of Object.entries(profile.columnMapping)) {
+                if (!mapping[csvFieldName] || !config || !Array.isArray(config.possibleNames)) {
+                    continue;
+                }
+                mapping[csvFieldName].possibleNames = config.possibleNames
+                    .map(name => String(name).trim())
+                    .filter(name => name !== '');
+            }
+        }
+
+        this.columnMapping = mapping;
+        this.ageLimits = Object.assign({}, this.defaultAgeLimits, profile && profile.ageLimits);
+        this.groupingMode = profile && profile.groupingMode ? profile.groupingMode : this.defaultGroupingMode;
+        this.filterRules = profile && Array.isArray(profile.filterRules) ? profile.filterRules : [];
+        this.nameOptions = Object.assign({}, this.defaultNameOptions, profile && profile.nameOptions);
+        this.fieldTransforms = this.getFieldTransforms(profile);
+        this.dateNormalizer.configure({
+            inputLocales: profile && profile.dateInputLocales,
+            outputFormat: profile && profile.dateOutputFormat
+        });
     }
 
     /**
      * Parst eine Excel-Datei und transformiert die Daten gemäß Mapping
      * @param {File} file - Die hochgeladene Excel-Datei
-     * @returns {Promise<{rows: Array<Object>, fileName: string}>}
+     * @param {Array<string>} sheetNames - Die zu verarbeitenden Tabellen (Standard: erste Tabelle)
+     * @returns {Promise<Object>} - Das Ergebnis von parseWorkbook
      * @throws {Error} Wenn die Datei nicht gelesen werden kann oder erforderliche Spalten fehlen
      */
-    async parseFile(file) {
+    async parseFile(file, sheetNames = null) {
+        const workbook = await this.readWorkbook(file);
+        return this.parseWorkbook(workbook, file.name, sheetNames);
+    }
+
+    /**
+     * Liest eine Excel-, ODS-, CSV- oder TSV-Datei als Workbook ein (Browser, über FileReader)
+     * @param {File} file - Die hochgeladene Datei
+     * @returns {Promise<Object>} - Das SheetJS-Workbook
+     * @throws {Error} Wenn die Datei nicht gelesen werden kann oder keine Tabellen enthält
+     */
+    async readWorkbook(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
+            reader.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    this.reportProgress('read', e.loaded, e.total);
+                }
+            };
+
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Erste Tabelle verwenden
-                    const firstSheetName = workbook.SheetNames[0];
-                    if (!firstSheetName) {
-                        throw new Error('Die Excel-Datei enthält keine Tabellen.');
-                    }
-
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    // Worksheet-Referenz für direkten Zugriff auf Zellen behalten
-                    this.worksheet = worksheet;
-                    
-                    // Zuerst die Kopfzeile finden
-                    // raw: true verwenden, damit wir die ursprünglichen Werte haben für Datumskonvertierung
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                        header: 1,
-                        defval: '',
-                        raw: true
-                    });
-
-                    if (jsonData.length === 0) {
-                        throw new Error('Die Excel-Datei ist leer.');
-                    }
-
-                    // Kopfzeile finden
-                    const headerRow = jsonData[0];
-                    if (!Array.isArray(headerRow) || headerRow.length === 0) {
-                        throw new Error('Die Excel-Datei enthält keine gültige Kopfzeile.');
-                    }
-
-                    // Spaltenindizes finden
-                    const columnIndices = this.findColumnIndices(headerRow);
-                    
-                    // Prüfen, ob die Pflichtspalte vorhanden ist
-                    if (columnIndices[this.requiredColumn] === -1) {
-                        const availableColumns = headerRow.filter(h => h).join(', ');
-                        const possibleNames = this.columnMapping[this.requiredColumn].possibleNames.join('" oder "');
-                        throw new Error(
-                            `Die erforderliche Spalte "${possibleNames}" wurde nicht gefunden. ` +
-                            `Verfügbare Spalten: ${availableColumns}`
-                        );
-                    }
-
-                    // Datenzeilen verarbeiten (ab Zeile 2, da Zeile 1 die Kopfzeile ist)
-                    const processedRows = [];
-                    let rowNumber = 1; // Für Id-Zählung
-
-                    for (let i = 1; i < jsonData.length; i++) {
-                        const row = jsonData[i];
-                        
-                        if (!Array.isArray(row)) {
-                            continue;
-                        }
-
-                        // Prüfen, ob BookingNumber (Reservation Number) vorhanden ist
-                        const bookingNumberIndex = columnIndices[this.requiredColumn];
-                        const bookingNumber = this.getCellValue(row, bookingNumberIndex);
-                        
-                        // Zeilen ohne BookingNumber verwerfen
-                        if (!bookingNumber || bookingNumber.trim() === '') {
-                            continue;
-                        }
-
-                        // Zeile transformieren
-                        const transformedRow = this.transformRow(row, columnIndices, rowNumber, i);
-                        processedRows.push(transformedRow);
-                        rowNumber++;
-                    }
-
-                    if (processedRows.length === 0) {
-                        const possibleNames = this.columnMapping[this.requiredColumn].possibleNames.join('" oder "');
-                        throw new Error(
-                            'Keine gültigen Zeilen gefunden. Stellen Sie sicher, dass die Spalte "' +
-                            possibleNames + '" Werte enthält.'
-                        );
-                    }
-
-                    resolve({
-                        rows: processedRows,
-                        fileName: file.name
-                    });
-
+                    this.reportProgress('read', data.length, data.length);
+                    resolve(this.readWorkbookData(data, file));
                 } catch (error) {
                     reject(error);
                 }
             };
 
             reader.onerror = () => {
-                reject(new Error('Fehler beim Lesen der Datei. Bitte versuchen Sie es erneut.'));
+                reject(this.createError('parser.readFailed'));
             };
 
             reader.readAsArrayBuffer(file);
         });
     }
 
+    /**
+     * Liest den Inhalt einer Datei als Workbook ein (ohne DOM, z.B. im Worker oder in Node.js)
+     * @param {Uint8Array} data - Der Dateiinhalt
+     * @param {{name: string, type: string}} file - Name und MIME-Typ der Datei (entscheiden über CSV/TSV)
+     * @returns {Object} - Das SheetJS-Workbook
+     * @throws {Error} Wenn die Datei keine Tabellen enthält
+     */
+    readWorkbookData(data, file) {
+        // SheetJS meldet keinen Zwischenstand, daher nur Beginn und Ende
+        this.reportProgress('parse', 0, 1);
+        const workbook = this.isTextFile(file)
+            ? this.readTextWorkbook(data, file.name)
+            : XLSX.read(data, { type: 'array' });
+        this.reportProgress('parse', 1, 1);
+
+        if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+            throw this.createError('parser.noSheets');
+        }
+
+        return workbook;
+    }
+
+    /**
+     * Erstellt ein Workbook mit einer Tabelle aus einer CSV- oder TSV-Datei
+     * Alle Zellen bleiben Text, damit Buchungsnummern und Datumswerte nicht umgedeutet werden.
+     * @param {Uint8Array} data - Der Dateiinhalt
+     * @param {string} fileName - Der Dateiname (für Tabellenname und Trennzeichen-Erkennung)
+     * @returns {Object} - Das SheetJS-Workbook mit inputInfo (format, encoding, delimiter, warnings)
+     */
+    readTextWorkbook(data, fileName) {
+        const decoded = this.textFileDecoder.decode(data);
+        const delimiter = this.textFileDecoder.detectDelimiter(decoded.text, fileName);
+        const rows = this.textFileDecoder.parse(decoded.text, delimiter)
+            .map(row => row.map(value => (value.trim() === '' ? null : value)));
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), this.getTextSheetName(fileName));
+        workbook.inputInfo = {
+            format: fileName.toLowerCase().endsWith('.tsv') ? 'TSV' : 'CSV',
+            encoding: decoded.encoding,
+            delimiter: delimiter,
+            warnings: decoded.warnings
+        };
+        return workbook;
+    }
+
+    /**
+     * Bildet einen gültigen Tabellennamen aus dem Dateinamen (max. 31 Zeichen, ohne Sonderzeichen)
+     * @param {string} fileName - Der Dateiname
+     * @returns {string}
+     */
+    getTextSheetName(fileName) {
+        const name = fileName.replace(/\.[^.]+$/, '').replace(/[\\/?*[\]:]/g, '_').slice(0, 31);
+        return name || 'Tabelle1';
+    }
+
+    /**
+     * Wählt das erste Profil, dessen Mapping die Pflichtspalte in einer Tabelle des Workbooks findet
+     * Passt keines, wird das erste Profil verwendet. Das gewählte Profil bleibt angewendet.
+     * @param {Object} workbook - Das SheetJS-Workbook
+     * @param {Array<Object>} profiles - Die Profile in Prüfreihenfolge (aktives Profil zuerst)
+     * @returns {{profile: Object, summaries: Array<Object>}} - Das Profil und die Tabellenübersicht mit dessen Mapping
+     */
+    detectProfile(workbook, profiles) {
+        for (const profile of profiles) {
+            this.applyProfile(profile);
+            const summaries = this.getSheetSummaries(workbook);
+            if (summaries.some(summary => summary.hasRequiredColumn)) {
+                return { profile: profile, summaries: summaries };
+            }
+        }
+
+        this.applyProfile(profiles[0]);
+        return { profile: profiles[0], summaries: this.getSheetSummaries(workbook) };
+    }
+
+    /**
+     * Erstellt eine Übersicht aller Tabellen eines Workbooks (für die Tabellenauswahl)
+     * @param {Object} workbook - Das SheetJS-Workbook
+     * @returns {Array<{name: string, rowCount: number, headerPreview: Array<string>, hasRequiredColumn: boolean}>}
+     */
+    getSheetSummaries(workbook) {
+        return workbook.SheetNames.map(sheetName => {
+            const jsonData = this.readSheetRows(workbook.Sheets[sheetName]);
+            const headerRowIndex = this.detectHeaderRow(jsonData).index;
+            const headerRow = Array.isArray(jsonData[headerRowIndex]) ? jsonData[headerRowIndex] : [];
+            const columnIndices = this.findColumnIndices(headerRow);
+
+            return {
+                name: sheetName,
+                // Zeilen unterhalb der erkannten Kopfzeile
+                rowCount: Math.max(jsonData.length - headerRowIndex - 1, 0),
+                headerPreview: headerRow
+                    .map(value => String(value).trim())
+                    .filter(value => value !== ''),
+                hasRequiredColumn: columnIndices[this.requiredColumn] !== -1
+            };
+        });
+    }
+
+    /**
+     * Gibt die vorgeschlagenen Tabellen zurück: die im Profil gemerkten, sonst die erste Tabelle mit Pflichtspalte
+     * @param {Array<Object>} summaries - Die Tabellenübersicht (siehe getSheetSummaries)
+     * @param {Object} profile - Das Profil (enthält ggf. sheetNames)
+     * @returns {Array<string>}
+     */
+    getDefaultSheetNames(summaries, profile) {
+        const rememberedSheets = ((profile && profile.sheetNames) || [])
+            .filter(name => summaries.some(summary => summary.name === name));
+        if (rememberedSheets.length > 0) {
+            return rememberedSheets;
+        }
+
+        const firstMatch = summaries.find(summary => summary.hasRequiredColumn) || summaries[0];
+        return firstMatch ? [firstMatch.name] : [];
+    }
+
+    /**
+     * Gibt die Referenzen auf das zuletzt gelesene Worksheet frei (z.B. im Datenschutzmodus)
+     */
+    clearData() {
+        this.worksheet = null;
+        this.sheetRange = null;
+    }
+
+    /**
+     * Liefert die Feldregeln eines Profils (Felder ohne eigene Regeln erhalten die Standardregeln)
+     * @param {Object|null} profile - Das Mapping-Profil (null = Standardregeln)
+     * @returns {Object} - Feldname → Array von Schritten
+     */
+    getFieldTransforms(profile) {
+        return JSON.parse(JSON.stringify(
+            Object.assign({}, this.defaultFieldTransforms, profile && profile.fieldTransforms)
+        ));
+    }
+
+    /**
+     * Transformiert die Daten einer oder mehrerer Tabellen eines Workbooks
+     * @param {Object} workbook - Das SheetJS-Workbook
+     * @param {string} fileName - Der Name der Quelldatei
+     * @param {Array<string>} sheetNames - Die zu verarbeitenden Tabellen (Standard: erste Tabelle)
+     * @returns {{rows: Array<Object>, rejectedRows: Array<Object>, filteredRows: Array<Object>, filterStats: Array<Object>,
+     *            fileName: string, sheetNames: Array<string>, headerRows: Array<Object>, sampleRows: Array<Object>}}
+     *          Jede Zeile enthält unter _meta die Quellzeile (sheetName, sourceRow) und ihre Probleme (issues),
+     *          zusammengeführte Zeilen zusätzlich mergedFrom (alle Quellzeilen)
+     * @throws {Error} Wenn erforderliche Spalten fehlen oder keine gültigen Zeilen gefunden wurden
+     */
+    parseWorkbook(workbook, fileName, sheetNames = null) {
+        const selectedSheets = sheetNames && sheetNames.length > 0
+            ? sheetNames
+            : [workbook.SheetNames[0]];
+
+        const processedRows = [];
+        const rejectedRows = [];
+        const headerRows = [];
+        const warnings = [];
+        const sampleRows = [];
+
+        // Datumssystem des Workbooks (1904 bei älteren Mac-Dateien)
+        this.dateNormalizer.date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps &&
+            workbook.Workbook.WBProps.date1904);
+
+        for (const [sheetIndex, sheetName] of selectedSheets.entries()) {
+            const worksheet = workbook.Sheets[sheetName];
+            if (!worksheet) {
+                throw this.createError('parser.sheetNotFound', { sheet: sheetName });
+            }
+
+            // Bei mehreren Tabellen den Tabellennamen in Fehlermeldungen nennen
+            const sheetResult = this.parseSheet(worksheet, sheetName, selectedSheets.length > 1, {
+                sheetName: sheetName,
+                sheetIndex: sheetIndex,
+                sheetCount: selectedSheets.length
+            });
+            processedRows.push(...sheetResult.rows);
+            rejectedRows.push(...sheetResult.rejectedRows);
+            warnings.push(...sheetResult.warnings);
+            sampleRows.push(...sheetResult.sampleRows);
+            headerRows.push({
+                sheetName: sheetName,
+                rowNumber: sheetResult.headerRowNumber,
+                skippedFooterRows: sheetResult.skippedFooterRows
+            });
+        }
+
+        if (processedRows.length === 0 && rejectedRows.length > 0) {
+            const firstIssue = rejectedRows[0]._meta.issues.find(issue => issue.level === 'error');
+            throw this.createError('parser.allRowsRejected', {
+                count: rejectedRows.length,
+                row: rejectedRows[0]._meta.sourceRow,
+                message: firstIssue.message
+            });
+        }
+
+        // Filterregeln anwenden
+        const filterResult = this.rowFilter.apply(processedRows, this.filterRules);
+
+        if (processedRows.length > 0 && filterResult.rows.length === 0) {
+            const ruleSummary = filterResult.stats
+                .filter(stat => stat.removed > 0)
+                .map(stat => `${stat.description} (${stat.removed})`)
+                .join(', ');
+            throw this.createError('parser.allRowsFiltered', { count: processedRows.length, rules: ruleSummary });
+        }
+
+        if (processedRows.length === 0) {
+            throw this.createError('parser.noValidRows', { columns: this.columnMapping[this.requiredColumn].possibleNames });
+        }
+
+        return {
+            rows: this.groupRows(filterResult.rows),
+            rejectedRows: rejectedRows,
+            filteredRows: filterResult.removedRows,
+            filterStats: filterResult.stats,
+            fileName: fileName,
+            sheetNames: selectedSheets,
+            headerRows: headerRows,
+            inputInfo: workbook.inputInfo || null,
+            warnings: warnings,
+            sampleRows: sampleRows.slice(0, this.sampleRowCount)
+        };
+    }
+
+    /**
+     * Behandelt Mehrzimmer-Reservationen gemäß groupingMode
+     * @param {Array<Object>} rows - Die gültigen, transformierten Zeilen
+     * @returns {Array<Object>} - Zusammengeführte bzw. mit Id-Suffix versehene Zeilen (mit _meta.roomIndex)
+     */
+    groupRows(rows) {
+        // Zeilen nach BookingNumber gruppieren (Reihenfolge des ersten Vorkommens bleibt erhalten)
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!groups.has(row.BookingNumber)) {
+                groups.set(row.BookingNumber, []);
+            }
+            groups.get(row.BookingNumber).push(row);
+        });
+
+        const groupedRows = [];
+        for (const group of groups.values()) {
+            if (group.length === 1) {
+                groupedRows.push(group[0]);
+            } else if (this.groupingMode === 'suffix') {
+                group.forEach((row, index) => {
+                    // Zimmer innerhalb der Reservation merken (die Id kann über Feldregeln beliebig aufgebaut sein)
+                    row._meta.roomIndex = index + 1;
+                    row.Id = `${row.Id}-${row._meta.roomIndex}`;
+                    groupedRows.push(row);
+                });
+            } else {
+                groupedRows.push(this.mergeRows(group));
+            }
+        }
+
+        return groupedRows;
+    }
+
+    /**
+     * Führt mehrere Zeilen derselben Reservation zu einer Buchung zusammen
+     * Gästeanzahlen werden summiert, Anreise ist die früheste, Abreise die späteste.
+     * @param {Array<Object>} group - Die Zeilen mit gleicher BookingNumber
+     * @returns {Object} - Die zusammengeführte Zeile
+     */
+    mergeRows(group) {
+        const merged = Object.assign({}, group[0]);
+
+        this.guestCountFields.forEach(field => {
+            const values = group.map(row => row[field]).filter(value => typeof value === 'number');
+            merged[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : '';
+        });
+
+        merged.DateFrom = this.pickDate(group.map(row => row.DateFrom), (a, b) => a < b);
+        merged.DateTo = this.pickDate(group.map(row => row.DateTo), (a, b) => a > b);
+
+        // Textfelder: erster nicht-leerer Wert
+        ['OTANumber', 'Name', 'FirstName', 'LastName'].forEach(field => {
+            const value = group.map(row => row[field]).find(value => value !== '' && value !== undefined);
+            merged[field] = value !== undefined ? value : '';
+        });
+
+        // Probleme aller Zeilen übernehmen (doppelte Meldungen nur einmal)
+        const issues = [];
+        group.forEach(row => {
+            row._meta.issues.forEach(issue => {
+                if (!issues.some(existing => existing.message === issue.message)) {
+                    issues.push(issue);
+                }
+            });
+        });
+
+        merged._meta = Object.assign({}, group[0]._meta, {
+            issues: issues,
+            mergedFrom: group.map(row => ({
+                sheetName: row._meta.sheetName,
+                sourceRow: row._meta.sourceRow
+            }))
+        });
+
+        return merged;
+    }
+
+    /**
+     * Wählt aus mehreren Datumswerten (DD.MM.YYYY) den frühesten bzw. spätesten
+     * @param {Array<string>} values - Die Datumswerte
+     * @param {Function} isBetter - Vergleich (a, b) => true, wenn a gewählt werden soll
+     * @returns {string} - Der gewählte Wert (erster nicht-leerer Wert, wenn keiner lesbar ist)
+     */
+    pickDate(values, isBetter) {
+        let best = null;
+        let bestDate = null;
+
+        values.forEach(value => {
+            const date = this.rowValidator.parseDate(String(value || '').trim());
+            if (date && (!bestDate || isBetter(date, bestDate))) {
+                best = value;
+                bestDate = date;
+            }
+        });
+
+        if (best !== null) {
+            return best;
+        }
+        const firstValue = values.find(value => value);
+        return firstValue || '';
+    }
+
+    /**
+     * Liest alle Zeilen einer Tabelle als Array von Arrays
+     * @param {Object} worksheet - Das SheetJS-Worksheet
+     * @returns {Array<Array>}
+     */
+    readSheetRows(worksheet) {
+        // raw: true verwenden, damit wir die ursprünglichen Werte haben für Datumskonvertierung
+        return XLSX.utils.sheet_to_json(worksheet, {
+            header: 1,
+            defval: '',
+            raw: true
+        });
+    }
+
+    /**
+     * Sucht in den ersten Zeilen einer Tabelle die Kopfzeile
+     * Jede Zeile wird danach bewertet, wie viele bekannte Spaltennamen sie enthält;
+     * die Pflichtspalte zählt doppelt. Bei Gleichstand gewinnt die obere Zeile.
+     * @param {Array<Array>} jsonData - Die Zeilen der Tabelle
+     * @returns {{index: number, score: number}} - Index der Kopfzeile (0 wenn nichts erkannt wurde)
+     */
+    detectHeaderRow(jsonData) {
+        let best = { index: 0, score: 0 };
+        const scanLimit = Math.min(jsonData.length, this.headerScanRows);
+
+        for (let i = 0; i < scanLimit; i++) {
+            const row = jsonData[i];
+            if (!Array.isArray(row)) {
+                continue;
+            }
+
+            const columnIndices = this.findColumnIndices(row);
+            let score = 0;
+            for (const [csvFieldName, index] of Object.entries(columnIndices)) {
+                if (index !== -1) {
+                    score += csvFieldName === this.requiredColumn ? 2 : 1;
+                }
+            }
+
+            if (score > best.score) {
+                best = { index: i, score: score };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Prüft, ob eine Zeile eine Summen-/Fusszeile ist (z.B. "Total" oder "Summe")
+     * @param {Array} row - Die Datenzeile
+     * @returns {boolean}
+     */
+    isFooterRow(row) {
+        const firstValue = row.find(value => String(value).trim() !== '');
+        return firstValue !== undefined && this.footerPattern.test(String(firstValue).trim());
+    }
+
+    /**
+     * Transformiert die Datenzeilen einer einzelnen Tabelle
+     * @param {Object} worksheet - Das SheetJS-Worksheet
+     * @param {string} sheetName - Der Tabellenname
+     * @param {boolean} nameSheetInErrors - Ob Fehlermeldungen den Tabellennamen nennen (bei mehreren Tabellen)
+     * @param {Object} sheetProgress - sheetName, sheetIndex und sheetCount für die Fortschrittsmeldungen
+     * @returns {{rows: Array<Object>, rejectedRows: Array<Object>, headerRowNumber: number, skippedFooterRows: number,
+     *            sampleRows: Array<Object>}}
+     *          Gültige und verworfene Zeilen sowie die Excel-Zeilennummer der erkannten Kopfzeile
+     * @throws {Error} Wenn die Tabelle leer ist oder die Pflichtspalte fehlt
+     */
+    parseSheet(worksheet, sheetName, nameSheetInErrors = false, sheetProgress = {}) {
+        // Bei mehreren Tabellen den Tabellennamen voranstellen (Fehler über sheetName, Warnungen direkt)
+        const errorSheetName = nameSheetInErrors ? sheetName : null;
+        const sheetPrefix = nameSheetInErrors ? this.i18n.t('parser.sheetPrefix', { sheet: sheetName }) : '';
+
+        // Worksheet-Referenz für direkten Zugriff auf Zellen behalten
+        this.worksheet = worksheet;
+        // Bereich merken, da sheet_to_json ab der ersten belegten Zelle zählt
+        this.sheetRange = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+
+        const jsonData = this.readSheetRows(worksheet);
+
+        if (jsonData.length === 0) {
+            throw this.createError('parser.emptySheet', {}, errorSheetName);
+        }
+
+        // Kopfzeile finden (Titelblöcke oberhalb werden übersprungen)
+        const headerRowIndex = this.detectHeaderRow(jsonData).index;
+        const headerRow = jsonData[headerRowIndex];
+        if (!Array.isArray(headerRow) || headerRow.length === 0) {
+            throw this.createError('parser.noHeaderRow', {}, errorSheetName);
+        }
+
+        // Spaltenindizes finden
+        const columnIndices = this.findColumnIndices(headerRow);
+
+        // Prüfen, ob die Pflichtspalte vorhanden ist
+        if (columnIndices[this.requiredColumn] === -1) {
+            const availableColumns = headerRow.filter(h => h).join(', ');
+            throw this.createError('parser.requiredColumnMissing', {
+                columns: this.columnMapping[this.requiredColumn].possibleNames,
+                available: availableColumns
+            }, errorSheetName);
+        }
+
+        // Reihenfolge von Tag und Monat einmal für alle Datumswerte der Tabelle bestimmen
+        const warnings = [];
+        const dateValues = [];
+        ['DateFrom', 'DateTo'].filter(field => columnIndices[field] !== -1).forEach(field => {
+            jsonData.slice(headerRowIndex + 1).forEach(row => {
+                if (Array.isArray(row)) {
+                    dateValues.push(row[columnIndices[field]]);
+                }
+            });
+        });
+        const dateOrder = this.dateNormalizer.detectOrder(dateValues);
+        this.dateOrder = dateOrder.order;
+        const orderLabel = this.i18n.t(dateOrder.order === 'MDY' ? 'parser.orderMDY' : 'parser.orderDMY');
+        if (dateOrder.conflicting) {
+            warnings.push(sheetPrefix + this.i18n.t('parser.datesConflicting', { order: orderLabel }));
+        } else if (dateOrder.ambiguous) {
+            warnings.push(sheetPrefix + this.i18n.t('parser.datesAmbiguous', { order: orderLabel }));
+        }
+
+        // Datenzeilen transformieren (ab der Zeile nach der Kopfzeile)
+        const transformedRows = [];
+        const dataRowCount = jsonData.length - headerRowIndex - 1;
+        let skippedFooterRows = 0;
+        this.reportProgress('transform', 0, dataRowCount, sheetProgress);
+
+        for (let i = headerRowIndex + 1; i < jsonData.length; i++) {
+            this.reportRowProgress('transform', i - headerRowIndex, dataRowCount, sheetProgress);
+            const row = jsonData[i];
+            
+            if (!Array.isArray(row)) {
+                continue;
+            }
+
+            // Summenzeilen am Tabellenende überspringen
+            if (this.isFooterRow(row)) {
+                skippedFooterRows++;
+                continue;
+            }
+
+            // Komplett leere Zeilen ignorieren
+            if (row.every(value => String(value).trim() === '')) {
+                continue;
+            }
+
+            transformedRows.push({
+                row: row,
+                rowIndex: i,
+                transformedRow: this.transformRow(row, columnIndices, transformedRows.length + 1, i)
+            });
+        }
+
+        // Transformierte Zeilen prüfen (Zeilen ohne BookingNumber werden dabei als Fehler erkannt)
+        const processedRows = [];
+        const rejectedRows = [];
+        this.reportProgress('validate', 0, transformedRows.length, sheetProgress);
+
+        transformedRows.forEach(({ row, rowIndex, transformedRow }, index) => {
+            this.reportRowProgress('validate', index + 1, transformedRows.length, sheetProgress);
+
+            const issues = this.rowValidator.validate(transformedRow, this.getSourceValues(row, columnIndices));
+            transformedRow._meta = {
+                sheetName: sheetName,
+                sourceRow: this.getExcelRowNumber(rowIndex),
+                issues: issues
+            };
+
+            if (this.rowValidator.hasErrors(issues)) {
+                rejectedRows.push(transformedRow);
+            } else {
+                processedRows.push(transformedRow);
+            }
+        });
+
+        return {
+            rows: processedRows,
+            rejectedRows: rejectedRows,
+            headerRowNumber: this.getExcelRowNumber(headerRowIndex),
+            skippedFooterRows: skippedFooterRows,
+            warnings: warnings,
+            // Ursprüngliche Zellwerte der ersten Zeilen (Vorschau der Feldregeln in den Einstellungen)
+            sampleRows: transformedRows.slice(0, this.sampleRowCount)
+                .map(({ row }) => this.getSourceValues(row, columnIndices))
+        };
+    }
+
+    /**
+     * Ergänzt die Exportspalten um die Felder, die ein Profil zusätzlich exportiert (FirstName/LastName nach Name)
+     * @param {Array<string>} columns - Die Exportspalten des Formats
+     * @param {Object|null} profile - Das Profil der exportierten Daten
+     * @returns {Array<string>}
+     */
+    getExportColumns(columns, profile) {
+        const nameOptions = Object.assign({}, this.defaultNameOptions, profile && profile.nameOptions);
+        if (!nameOptions.splitName) {
+            return columns;
+        }
+        const nameIndex = columns.indexOf('Name') + 1;
+        return [...columns.slice(0, nameIndex), 'FirstName', 'LastName', ...columns.slice(nameIndex)];
+    }
+
+    /**
+     * Erstellt einen Fehler mit Meldungsschlüssel (die Oberfläche übersetzt ihn in ihre Sprache)
+     * @param {string} key - Der Meldungsschlüssel
+     * @param {Object} params - Die Parameter der Meldung
+     * @param {string|null} sheetName - Die Tabelle, die in der Meldung genannt wird
+     * @returns {ParserError}
+     */
+    createError(key, params = {}, sheetName = null) {
+        const error = new ParserError(key, params, '', sheetName);
+        error.message = this.i18n.translateError(error);
+        return error;
+    }
+
+    /**
+     * Meldet den Fortschritt an onProgress (falls gesetzt)
+     * @param {string} stage - Die Stufe: 'read' (Bytes), 'parse', 'transform' oder 'validate' (Zeilen)
+     * @param {number} current - Bereits verarbeitete Menge
+     * @param {number} total - Gesamtmenge
+     * @param {Object} details - Zusatzangaben (sheetName, sheetIndex, sheetCount)
+     */
+    reportProgress(stage, current, total, details = {}) {
+        if (typeof this.onProgress === 'function') {
+            this.onProgress(Object.assign({ stage: stage, current: current, total: total }, details));
+        }
+    }
+
+    /**
+     * Meldet den Fortschritt beim Umwandeln und Prüfen nur alle progressInterval Zeilen und am Ende
+     * @param {string} stage - Die Stufe ('transform' oder 'validate')
+     * @param {number} current - Bereits verarbeitete Zeilen
+     * @param {number} total - Anzahl Zeilen
+     * @param {Object} details - Zusatzangaben (sheetName, sheetIndex, sheetCount)
+     */
+    reportRowProgress(stage, current, total, details) {
+        if (current === total || current % this.progressInterval === 0) {
+            this.reportProgress(stage, current, total, details);
+        }
+    }
+
+    /**
+     * Liest die ursprünglichen Zellwerte aller zugeordneten Felder (für die Validierung)
+     * @param {Array} row - Die Datenzeile
+     * @param {Object} columnIndices - Die Spaltenindizes (mit CSV-Feldnamen als Keys)
+     * @returns {Object} - CSV-Feldname → ursprünglicher Wert als String
+     */
+    getSourceValues(row, columnIndices) {
+        const sourceValues = {};
+        for (const [csvFieldName, index] of Object.entries(columnIndices)) {
+            sourceValues[csvFieldName] = this.getCellValue(row, index);
+        }
+        return sourceValues;
+    }
+
+    /**
+     * Rechnet einen Zeilenindex aus sheet_to_json in die Excel-Zeilennummer (1-basiert) um
+     * @param {number} rowIndex - Der Zeilenindex (0-basiert, ab der ersten belegten Zeile)
+     * @returns {number}
+     */
+    getExcelRowNumber(rowIndex) {
+        const firstRow = this.sheetRange ? this.sheetRange.s.r : 0;
+        return firstRow + rowIndex + 1;
+    }
+
+    /**
+     * Liest eine Zelle direkt aus dem aktuellen Worksheet
+     * @param {number} columnIndex - Der Spaltenindex (0-basiert, ab der ersten belegten Spalte)
+     * @param {number} rowIndex - Der Zeilenindex (0-basiert, ab der ersten belegten Zeile)
+     * @returns {Object|undefined} - Die SheetJS-Zelle
+     */
+    getWorksheetCell(columnIndex, rowIndex) {
+        const firstColumn = this.sheetRange ? this.sheetRange.s.c : 0;
+        const colLetter = this.numberToColumnLetter(firstColumn + columnIndex);
+        const cellAddress = colLetter + this.getExcelRowNumber(rowIndex);
+        return this.worksheet[cellAddress];
+    }
+
     /**
      * Findet die Indizes aller benötigten Spalten in der Kopfzeile
      * @param {Array} headerRow - Die Kopfzeile als Array
@@ -199,58 +879,29 @@ class ExcelParser {
      * Extrahiert einen Zellwert aus einer Zeile
      * @param {Array} row - Die Datenzeile
      * @param {number} index - Der Spaltenindex
-     * @param {number} rowIndex - Der Zeilenindex (0-basiert, inkl. Header)
-     * @param {string} columnName - Der Name der Spalte (für Datumsbehandlung)
      * @returns {string} - Der Zellwert als String (leer wenn nicht vorhanden)
      */
-    getCellValue(row, index, rowIndex = -1, columnName = '') {
+    getCellValue(row, index) {
         if (index === -1 || !row || row[index] === undefined || row[index] === null) {
             return '';
         }
 
-        const value = row[index];
-        const stringValue = String(value).trim();
-
-        // Wenn es ein Datumsfeld ist, versuche das ursprüngliche Format aus dem Worksheet zu lesen
-        if ((columnName === 'DateFrom' || columnName === 'DateTo') && 
-            rowIndex > 0 && 
-            this.worksheet) {
-            
-            // Excel-Spaltenbuchstaben berechnen (A, B, C, ...)
-            const colLetter = this.numberToColumnLetter(index);
-            const cellAddress = colLetter + (rowIndex + 1); // Excel ist 1-basiert
-            
-            const cell = this.worksheet[cellAddress];
-            if (cell) {
-                // Wenn die Zelle ein formatiertes Datum hat (w), verwende das Originalformat
-                if (cell.w) {
-                    return cell.w;
-                }
-                
-                // Prüfe, ob es eine Zahl ist, die wie ein Excel-Datum aussieht
-                const numValue = parseFloat(stringValue);
-                if (!isNaN(numValue) && numValue > 1 && numValue < 1000000) {
-                    // Wenn die Zelle ein Datum ist (t === 'd' oder Zahl im Excel-Datumsbereich)
-                    if (cell.t === 'd' || (cell.v && typeof cell.v === 'number')) {
-                        // Excel-Datum konvertieren (Tage seit 1900-01-01)
-                        const excelDate = cell.v || numValue;
-                        const date = this.excelDateToJSDate(excelDate);
-                        // Format als YYYY-MM-DD
-                        return this.formatDate(date);
-                    }
-                }
-            } else {
-                // Wenn Zelle nicht gefunden wurde, aber Wert eine Zahl ist, versuche Konvertierung
-                const numValue = parseFloat(stringValue);
-                if (!isNaN(numValue) && numValue > 1 && numValue < 1000000) {
-                    // Möglicherweise ein Excel-Datum
-                    const date = this.excelDateToJSDate(numValue);
-                    return this.formatDate(date);
-                }
-            }
-        }
+        return String(row[index]).trim();
+    }
 
-        return stringValue;
+    /**
+     * Liest einen Datumswert und normalisiert ihn in das Ausgabeformat
+     * Die Zelle wird direkt aus dem Worksheet gelesen (Seriennummer bzw. Text); numerische Textdaten
+     * werden in der für die Tabelle erkannten Reihenfolge von Tag und Monat gelesen.
+     * @param {Array} row - Die Datenzeile
+     * @param {number} columnIndex - Der Spaltenindex
+     * @param {number} rowIndex - Der Zeilenindex (0-basiert, inkl. Header)
+     * @returns {string}
+     */
+    readDateValue(row, columnIndex, rowIndex) {
+        const cell = this.worksheet ? this.getWorksheetCell(columnIndex, rowIndex) : undefined;
+        const value = cell && cell.v !== undefined ? cell.v : row[columnIndex];
+        return this.dateNormalizer.normalize(value, this.dateOrder);
     }
 
     /**
@@ -267,35 +918,6 @@ class ExcelParser {
         return result;
     }
 
-    /**
-     * Konvertiert ein Excel-Datum (Seriennummer) zu einem JavaScript-Datum
-     * @param {number} excelDate - Excel-Seriennummer (Tage seit 1900-01-01)
-     * @returns {Date} - JavaScript-Datum
-     */
-    excelDateToJSDate(excelDate) {
-        // Excel-Datum startet am 1. Januar 1900, aber Excel hat einen Bug:
-        // Es behandelt 1900 als Schaltjahr, obwohl es keines ist
-        // Deshalb müssen wir 1 Tag abziehen, außer für Daten vor März 1900
-        const excelEpoch = new Date(1899, 11, 30); // 30. Dezember 1899
-        const jsDate = new Date(excelEpoch.getTime() + excelDate * 24 * 60 * 60 * 1000);
-        return jsDate;
-    }
-
-    /**
-     * Formatiert ein Datum als String (DD.MM.YYYY)
-     * @param {Date} date - JavaScript-Datum
-     * @returns {string} - Formatierter Datumsstring
-     */
-    formatDate(date) {
-        if (!date || isNaN(date.getTime())) {
-            return '';
-        }
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${day}.${month}.${year}`;
-    }
-
     /**
      * Transformiert eine Datenzeile gemäß Mapping
      * @param {Array} row - Die Datenzeile
@@ -306,7 +928,7 @@ class ExcelParser {
      */
     transformRow(row, columnIndices, id, rowIndex) {
         const transformed = {
-            Id: '', // Wird später auf BookingNumber gesetzt
+            Id: '', // Wird über die Feldregeln gesetzt (Standard: BookingNumber)
             BookingNumber: '',
             OTANumber: '',
             Name: '',
@@ -317,6 +939,7 @@ class ExcelParser {
             DateFrom: '',
             DateTo: ''
         };
+        const childAges = [];
 
         // Mapping durchführen
         for (const [csvFieldName, config] of Object.entries(this.columnMapping)) {
@@ -327,109 +950,125 @@ class ExcelParser {
                 continue;
             }
             
-            // Ursprünglicher Wert aus dem Array
-            const rawValue = row[columnIndex];
-            
-            // Spezielle Behandlung für Datumsfelder
+            // Datumsfelder werden über den DateNormalizer gelesen
             if (csvFieldName === 'DateFrom' || csvFieldName === 'DateTo') {
-                let dateValue = '';
-                
-                // Versuche zuerst, die Zelle direkt aus dem Worksheet zu lesen
-                // Dies funktioniert unabhängig von der Spaltenposition, da columnIndex
-                // basierend auf dem Spaltennamen gefunden wurde
-                if (rowIndex > 0 && this.worksheet && columnIndex !== -1) {
-                    const colLetter = this.numberToColumnLetter(columnIndex);
-                    const cellAddress = colLetter + (rowIndex + 1);
-                    const cell = this.worksheet[cellAddress];
-                    
-                    if (cell) {
-                        if (cell.w) {
-                            // Verwende das formatierte Datum aus Excel, aber prüfe ob es konvertiert werden muss
-                            // Wenn cell.w bereits ein Datum im richtigen Format ist, verwende es
-                            // Sonst konvertiere cell.v falls vorhanden
-                            const wValue = String(cell.w).trim();
-                            // Prüfe ob es bereits im DD.MM.YYYY Format ist
-                            if (/^\d{2}\.\d{2}\.\d{4}$/.test(wValue)) {
-                                dateValue = wValue;
-                            } else if (cell.v !== undefined && cell.v !== null && typeof cell.v === 'number' && cell.v > 1 && cell.v < 1000000) {
-                                // Konvertiere die Seriennummer zu DD.MM.YYYY
-                                const date = this.excelDateToJSDate(cell.v);
-                                dateValue = this.formatDate(date);
-                            } else {
-                                dateValue = wValue;
-                            }
-                        } else if (cell.v !== undefined && cell.v !== null) {
-                            // Wenn cell.v eine Zahl im Excel-Datumsbereich ist, konvertiere sie
-                            if (typeof cell.v === 'number' && cell.v > 1 && cell.v < 1000000) {
-                                const date = this.excelDateToJSDate(cell.v);
-                                dateValue = this.formatDate(date);
-                            } else {
-                                dateValue = String(cell.v);
-                            }
-                        }
-                    }
-                }
-                
-                // Fallback: Wenn noch kein Wert gesetzt wurde, prüfe den rawValue aus dem Array
-                // Dieser Fallback funktioniert immer, unabhängig von der Spaltenposition,
-                // da rawValue direkt aus row[columnIndex] kommt, wobei columnIndex über
-                // den Spaltennamen gefunden wurde
-                if (!dateValue && rawValue !== undefined && rawValue !== null && rawValue !== '') {
-                    const numValue = typeof rawValue === 'number' ? rawValue : parseFloat(rawValue);
-                    if (!isNaN(numValue) && numValue > 1 && numValue < 1000000) {
-                        // Es ist eine Excel-Seriennummer, konvertiere sie zu einem Datum
-                        const date = this.excelDateToJSDate(numValue);
-                        dateValue = this.formatDate(date);
-                    } else {
-                        // Wenn es keine Zahl ist, verwende den Wert direkt (könnte bereits formatiert sein)
-                        dateValue = String(rawValue).trim();
-                    }
-                }
-                
-                transformed[csvFieldName] = dateValue;
+                transformed[csvFieldName] = this.readDateValue(row, columnIndex, rowIndex);
                 continue;
             }
-            
+
             // Standard-Verarbeitung für alle anderen Felder
-            let cellValue = this.getCellValue(row, columnIndex, rowIndex, csvFieldName);
-
-            // Spezielle Behandlung für BookingNumber: führende Nullen entfernen (insbesondere die erste 0)
-            if (csvFieldName === 'BookingNumber') {
-                if (typeof cellValue === 'string') {
-                    // Nur eine führende 0 entfernen
-                    if (cellValue.startsWith('0')) {
-                        cellValue = cellValue.substring(1);
-                    }
-                }
+            const cellValue = this.getCellValue(row, columnIndex);
+
+            // Kinderalter werden nur gesammelt und unten auf Babys/Kinder/Teens verteilt
+            if (config.type === 'ageList' || config.type === 'age') {
+                childAges.push(...this.parseAges(cellValue));
+                continue;
             }
-            
+
             // Spezielle Behandlung für numerische Felder
             if (config.type === 'number') {
-                // Versuche als Zahl zu parsen, sonst leer lassen
+                // Versuche als Zahl zu parsen, sonst leer lassen (Babys bleiben bei 0)
                 const numValue = parseInt(cellValue, 10);
-                transformed[csvFieldName] = isNaN(numValue) ? '' : numValue;
+                const emptyValue = csvFieldName === 'NumberOfBabys' ? 0 : '';
+                transformed[csvFieldName] = isNaN(numValue) ? emptyValue : numValue;
             } else {
                 transformed[csvFieldName] = cellValue;
             }
         }
 
-        // ID gleich BookingNumber setzen
-        transformed.Id = transformed.BookingNumber || '';
+        // Kinder anhand der Altersangaben aufteilen (ohne Altersangaben bleibt NumberOfChildren unverändert)
+        if (childAges.length > 0) {
+            const counts = this.classifyChildAges(childAges);
+            // Kinder ohne Altersangabe (mehr Kinder als Alter) zählen weiterhin als Kinder
+            const childCount = typeof transformed.NumberOfChildren === 'number' ? transformed.NumberOfChildren : 0;
+            const missingAges = Math.max(childCount - childAges.length, 0);
+
+            // Babys aus einer eigenen Spalte (Infants/INF) bleiben erhalten, auch wenn die Alter nur Kinder nennen;
+            // stehen sie zusätzlich in den Altern, werden sie nicht doppelt gezählt
+            transformed.NumberOfBabys = Math.max(transformed.NumberOfBabys, counts.babies);
+            transformed.NumberOfChildren = counts.children + missingAges;
+            transformed.NumberOfTeens = counts.teens;
+        }
+
+        return this.applyTextFields(transformed);
+    }
+
+    /**
+     * Vereinheitlicht den Gästenamen und wendet die Feldregeln an (auch für die Vorschau in den Einstellungen)
+     * @param {Object} row - Die transformierte Zeile (wird verändert)
+     * @param {Object} nameOptions - Die Namensoptionen (Standard: die des aktuellen Profils)
+     * @param {Object} fieldTransforms - Die Feldregeln (Standard: die des aktuellen Profils)
+     * @returns {Object} - Die Zeile
+     */
+    applyTextFields(row, nameOptions = this.nameOptions, fieldTransforms = this.fieldTransforms) {
+        // Gästename vereinheitlichen und in Vor- und Nachname aufteilen
+        Object.assign(row, this.nameNormalizer.normalize(row.Name, nameOptions));
+
+        // Feldregeln der Reihe nach anwenden (Id zuletzt)
+        return this.fieldTransformer.apply(row, fieldTransforms);
+    }
 
-        return transformed;
+    /**
+     * Berechnet die Id einer Zeile nach den Feldregeln neu (z.B. nach einer Bearbeitung in der Vorschau)
+     * Das Zimmer-Suffix getrennter Mehrzimmer-Reservationen bleibt erhalten.
+     * @param {Object} row - Die transformierte Zeile
+     * @param {Object} fieldTransforms - Die Feldregeln (Standard: die des aktuellen Profils)
+     * @returns {string}
+     */
+    buildId(row, fieldTransforms = this.fieldTransforms) {
+        const copy = Object.assign({}, row, { Id: '' });
+        this.fieldTransformer.apply(copy, { Id: fieldTransforms.Id || [] });
+        const roomIndex = row._meta && row._meta.roomIndex;
+        return roomIndex ? `${copy.Id}-${roomIndex}` : copy.Id;
     }
 
     /**
-     * Validiert, ob eine Datei ein gültiges Excel-Format hat
+     * Liest Altersangaben aus einem Zellwert (z.B. "4", "4, 9, 15" oder "4/9")
+     * @param {string} value - Der Zellwert
+     * @returns {Array<number>} - Die gefundenen Alter (leer wenn keine Angaben)
+     */
+    parseAges(value) {
+        return String(value)
+            .split(/[,;\/|\s]+/)
+            .map(part => parseInt(part, 10))
+            .filter(age => !isNaN(age) && age >= 0);
+    }
+
+    /**
+     * Verteilt Kinderalter gemäß den Altersgrenzen auf Babys, Kinder und Teens
+     * Alter über der Teen-Grenze werden nicht gezählt (Erwachsene sind in NumberOfAdults enthalten)
+     * @param {Array<number>} ages - Die Kinderalter
+     * @returns {{babies: number, children: number, teens: number}}
+     */
+    classifyChildAges(ages) {
+        const counts = { babies: 0, children: 0, teens: 0 };
+
+        ages.forEach(age => {
+            if (age <= this.ageLimits.babyMaxAge) {
+                counts.babies++;
+            } else if (age <= this.ageLimits.childMaxAge) {
+                counts.children++;
+            } else if (age <= this.ageLimits.teenMaxAge) {
+                counts.teens++;
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Validiert, ob eine Datei ein unterstütztes Format hat (Excel, ODS, CSV oder TSV)
      * @param {File} file - Die zu validierende Datei
      * @returns {boolean}
      */
     isValidFileType(file) {
         const validTypes = [
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-            'application/vnd.ms-excel' // .xls
+            'application/vnd.ms-excel', // .xls
+            'application/vnd.oasis.opendocument.spreadsheet', // .ods
+            ...this.textFileTypes
         ];
-        const validExtensions = ['.xlsx', '.xls'];
+        const validExtensions = ['.xlsx', '.xls', '.ods', ...this.textFileExtensions];
         
         const hasValidType = validTypes.includes(file.type);
         const hasValidExtension = validExtensions.some(ext => 
@@ -438,4 +1077,19 @@ class ExcelParser {
 
         return hasValidType || hasValidExtension;
     }
+
+    /**
+     * Prüft, ob eine Datei als Text (CSV/TSV) gelesen werden muss
+     * @param {File} file - Die Datei
+     * @returns {boolean}
+     */
+    isTextFile(file) {
+        return this.textFileTypes.includes(file.type) ||
+            this.textFileExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExcelParser;
 }
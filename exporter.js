@@ -0,0 +1,102 @@
+/**
+ * Exporter Module
+ * Gemeinsame Basis aller Ausgabeformate (Spaltenreihenfolge, Werte und Download)
+ */
+
+class Exporter {
+    /**
+     * @param {Object} options - id, label, fileExtension und mimeType des Formats
+     */
+    constructor(options) {
+        this.id = options.id;
+        this.label = options.label;
+        this.fileExtension = options.fileExtension;
+        this.mimeType = options.mimeType;
+
+        // Spaltenreihenfolge (exakt wie spezifiziert, für alle Formate gleich)
+        this.columns = [
+            'Id',
+            'BookingNumber',
+            'OTANumber',
+            'Name',
+            'NumberOfAdults',
+            'NumberOfTeens',
+            'NumberOfChildren',
+            'NumberOfBabys',
+            'DateFrom',
+            'DateTo'
+        ];
+    }
+
+    /**
+     * Erstellt den Dateiinhalt
+     * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge (Standard: alle Exportspalten)
+     * @param {Object} options - Formatspezifische Optionen (z.B. der CSV-Dialekt)
+     * @returns {string|ArrayBuffer|Uint8Array} - Der Dateiinhalt
+     */
+    create(rows, columns = this.columns, options = {}) {
+        throw new Error(`Das Format "${this.label}" unterstützt keinen Export.`);
+    }
+
+    /**
+     * Prüft, ob Zeilen zum Exportieren vorhanden sind
+     * @param {Array<Object>} rows - Die zu exportierenden Zeilen
+     * @throws {Error} Wenn keine Zeilen vorhanden sind
+     */
+    assertRows(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new Error('Keine Daten zum Exportieren verfügbar.');
+        }
+    }
+
+    /**
+     * Gibt den Wert einer Spalte zurück (fehlende Werte werden zu einem leeren String)
+     * @param {Object} row - Die Zeile
+     * @param {string} column - Die Spalte
+     * @returns {string|number}
+     */
+    getValue(row, column) {
+        return row[column] !== undefined && row[column] !== null ? row[column] : '';
+    }
+
+    /**
+     * Gibt den MIME-Typ der erzeugten Datei zurück
+     * @param {Object} options - Formatspezifische Optionen
+     * @returns {string}
+     */
+    getMimeType(options = {}) {
+        return this.mimeType;
+    }
+
+    /**
+     * Startet den Download einer Datei
+     * @param {string|ArrayBuffer|Uint8Array} content - Der Dateiinhalt
+     * @param {string} fileName - Der Dateiname ohne Endung (z.B. "Anreise_19.01.2026")
+     * @param {Object} options - Formatspezifische Optionen
+     */
+    download(content, fileName, options = {}) {
+        const blob = new Blob([content], { type: this.getMimeType(options) });
+
+        // Download-Link erstellen
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.${this.fileExtension}`;
+
+        // Link temporär zum DOM hinzufügen, klicken und entfernen
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // URL nach kurzer Zeit freigeben (für bessere Performance)
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporter;
+}
@@ -0,0 +1,69 @@
+/**
+ * Exporter Registry Module
+ * Verwaltet die verfügbaren Ausgabeformate (CSV, XLSX, JSON, XML, ...)
+ */
+
+class ExporterRegistry {
+    constructor() {
+        this.exporters = new Map();
+        this.defaultExporterId = 'csv';
+    }
+
+    /**
+     * Registriert ein Ausgabeformat
+     * @param {Exporter} exporter - Der Exporter mit id, label, fileExtension und create()
+     * @returns {ExporterRegistry} - Die Registry (für Verkettung)
+     * @throws {Error} Wenn der Exporter unvollständig ist oder die id bereits vergeben ist
+     */
+    register(exporter) {
+        if (!exporter || !exporter.id || !exporter.label || !exporter.fileExtension || typeof exporter.create !== 'function') {
+            throw new Error('Der Exporter benötigt id, label, fileExtension und create().');
+        }
+        if (this.exporters.has(exporter.id)) {
+            throw new Error(`Das Ausgabeformat "${exporter.id}" ist bereits registriert.`);
+        }
+        this.exporters.set(exporter.id, exporter);
+        return this;
+    }
+
+    /**
+     * Gibt ein Ausgabeformat zurück
+     * @param {string} id - Die id des Formats (z.B. "csv")
+     * @returns {Exporter}
+     * @throws {Error} Wenn das Format unbekannt ist
+     */
+    get(id) {
+        const exporter = this.exporters.get(id);
+        if (!exporter) {
+            throw new Error(`Unbekanntes Ausgabeformat: "${id}".`);
+        }
+        return exporter;
+    }
+
+    /**
+     * Gibt alle Ausgabeformate in Registrierungsreihenfolge zurück
+     * @returns {Array<Exporter>}
+     */
+    getAll() {
+        return Array.from(this.exporters.values());
+    }
+
+    /**
+     * Erstellt die Datei im gewählten Format und startet den Download
+     * @param {string} id - Die id des Formats
+     * @param {Array<Object>} rows - Die zu exportierenden Zeilen
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge
+     * @param {string} fileName - Der Dateiname ohne Endung
+     * @param {Object} options - Formatspezifische Optionen (z.B. der CSV-Dialekt)
+     */
+    export(id, rows, columns, fileName, options = {}) {
+        const exporter = this.get(id);
+        const content = exporter.create(rows, columns, options);
+        exporter.download(content, fileName, options);
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExporterRegistry;
+}
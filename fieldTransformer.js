@@ -0,0 +1,223 @@
+/**
+ * Field Transformer Module
+ * Wendet die Feldregeln eines Profils an: pro Ausgabefeld eine geordnete Liste von Schritten
+ * (trimmen, ersetzen, auffüllen/entfernen, voranstellen/anhängen, fester Wert, Felder verbinden)
+ */
+
+class FieldTransformer {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für Beschreibungen und Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+
+        // Felder mit Feldregeln in der Reihenfolge der Verarbeitung (Id zuletzt, damit sie andere Felder verwenden kann)
+        this.fields = ['BookingNumber', 'OTANumber', 'Name', 'FirstName', 'LastName', 'Id'];
+
+        // Weitere Felder, die beim Verbinden verwendet werden können (werden selbst nicht umgewandelt)
+        this.sourceFields = ['DateFrom', 'DateTo', 'Status', 'RoomType', 'RateCode'];
+
+        this.types = ['trim', 'replace', 'stripLeading', 'pad', 'prefix', 'suffix', 'constant', 'concat'];
+
+        // Maximale Länge beim Auffüllen
+        this.maxPadLength = 50;
+
+        // Beispielzeilen für die Vorschau in den Einstellungen, solange keine Datei gelesen wurde
+        this.sampleRows = [
+            { BookingNumber: '0012345', OTANumber: 'HRS-4711-0815', Name: 'MÜLLER, Hans' },
+            { BookingNumber: 'BK-004711', OTANumber: 'BDC 1234567890', Name: 'Mr. John Smith' },
+            { BookingNumber: '98765', OTANumber: '', Name: 'de la cruz maria' }
+        ];
+    }
+
+    /**
+     * Wendet die Feldregeln auf eine Zeile an (Felder ohne Schritte bleiben unverändert)
+     * @param {Object} row - Die transformierte Zeile (wird verändert)
+     * @param {Object} fieldTransforms - Die Schritte pro Feld (Feldname → Array)
+     * @returns {Object} - Die Zeile
+     */
+    apply(row, fieldTransforms = {}) {
+        this.fields.forEach(field => {
+            const transforms = fieldTransforms[field];
+            if (!Array.isArray(transforms) || transforms.length === 0) {
+                return;
+            }
+            row[field] = transforms.reduce(
+                (value, transform) => this.applyTransform(value, transform, row),
+                this.toText(row[field])
+            );
+        });
+        return row;
+    }
+
+    /**
+     * Wendet einen Schritt auf einen Wert an
+     * @param {string} value - Der bisherige Wert
+     * @param {Object} transform - Der Schritt
+     * @param {Object} row - Die Zeile (für concat)
+     * @returns {string}
+     */
+    applyTransform(value, transform, row) {
+        switch (transform.type) {
+            case 'trim':
+                return value.trim();
+            case 'replace':
+                return value.replace(new RegExp(transform.pattern, 'g'), transform.replacement || '');
+            case 'stripLeading': {
+                let count = 0;
+                while (count < value.length && value[count] === transform.character &&
+                    (!transform.count || count < transform.count)) {
+                    count++;
+                }
+                return value.slice(count);
+            }
+            case 'pad':
+                return value.padStart(transform.length, transform.character);
+            case 'prefix':
+                return transform.value + value;
+            case 'suffix':
+                return value + transform.value;
+            case 'constant':
+                return transform.value;
+            case 'concat':
+                // Leere Felder auslassen, damit keine doppelten Trennzeichen entstehen
+                return transform.fields
+                    .map(field => this.toText(row[field]))
+                    .filter(part => part !== '')
+                    .join(transform.separator || '');
+            default:
+                throw new Error(this.i18n.t('transform.unknownType', { type: transform.type }));
+        }
+    }
+
+    /**
+     * Wandelt einen Feldwert in Text um
+     * @param {*} value - Der Wert
+     * @returns {string}
+     */
+    toText(value) {
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Erstellt eine lesbare Beschreibung eines Schritts (für die Einstellungen)
+     * @param {Object} transform - Der Schritt
+     * @returns {string} - z.B. 'Führende "0" entfernen (alle)'
+     */
+    describe(transform) {
+        switch (transform.type) {
+            case 'trim':
+                return this.i18n.t('transform.trim');
+            case 'replace':
+                return this.i18n.t('transform.replace', { pattern: transform.pattern, replacement: transform.replacement || '' });
+            case 'stripLeading':
+                return transform.count
+                    ? this.i18n.t('transform.stripLeadingMax', { character: transform.character, count: transform.count })
+                    : this.i18n.t('transform.stripLeadingAll', { character: transform.character });
+            case 'pad':
+                return this.i18n.t('transform.pad', { character: transform.character, length: transform.length });
+            case 'prefix':
+            case 'suffix':
+            case 'constant':
+                return this.i18n.t(`transform.${transform.type}`, { value: transform.value });
+            case 'concat':
+                return this.i18n.t(transform.separator ? 'transform.concatSeparator' : 'transform.concat', {
+                    fields: transform.fields.join(', '),
+                    separator: transform.separator
+                });
+            default:
+                return transform.type;
+        }
+    }
+
+    /**
+     * Prüft einen Schritt auf Vollständigkeit
+     * @param {Object} transform - Der Schritt
+     * @param {string} field - Das Feld, zu dem der Schritt gehört
+     * @throws {Error} Wenn der Schritt ungültig ist
+     */
+    validateTransform(transform, field) {
+        if (!transform || !this.types.includes(transform.type)) {
+            throw new Error(this.i18n.t('transform.invalidType'));
+        }
+
+        switch (transform.type) {
+            case 'replace':
+                if (typeof transform.pattern !== 'string' || transform.pattern === '') {
+                    throw new Error(this.i18n.t('transform.patternRequired'));
+                }
+                try {
+                    new RegExp(transform.pattern, 'g');
+                } catch (error) {
+                    throw new Error(this.i18n.t('transform.patternInvalid', { pattern: transform.pattern }));
+                }
+                break;
+            case 'stripLeading':
+            case 'pad':
+                if (typeof transform.character !== 'string' || transform.character.length !== 1) {
+                    throw new Error(this.i18n.t('transform.characterRequired'));
+                }
+                if (transform.type === 'stripLeading' && (!Number.isInteger(transform.count) || transform.count < 0)) {
+                    throw new Error(this.i18n.t('transform.invalidCount'));
+                }
+                if (transform.type === 'pad' && (!Number.isInteger(transform.length) || transform.length < 1 ||
+                    transform.length > this.maxPadLength)) {
+                    throw new Error(this.i18n.t('transform.invalidLength', { max: this.maxPadLength }));
+                }
+                break;
+            case 'prefix':
+            case 'suffix':
+                if (typeof transform.value !== 'string' || transform.value === '') {
+                    throw new Error(this.i18n.t('transform.valueRequired'));
+                }
+                break;
+            case 'constant':
+                if (typeof transform.value !== 'string') {
+                    throw new Error(this.i18n.t('transform.valueRequired'));
+                }
+                break;
+            case 'concat': {
+                if (!Array.isArray(transform.fields) || transform.fields.length === 0) {
+                    throw new Error(this.i18n.t('transform.fieldsRequired'));
+                }
+                // Nur Felder, die vor diesem Feld umgewandelt werden (bzw. keine Feldregeln haben)
+                const position = this.fields.indexOf(field);
+                transform.fields.forEach(name => {
+                    const index = this.fields.indexOf(name);
+                    if (index === -1 && !this.sourceFields.includes(name)) {
+                        throw new Error(this.i18n.t('transform.unknownField', { name: name }));
+                    }
+                    if (index !== -1 && index >= position) {
+                        throw new Error(this.i18n.t('transform.fieldOrder', { field: field, name: name }));
+                    }
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Prüft die Feldregeln eines Profils
+     * @param {Object} fieldTransforms - Die Schritte pro Feld
+     * @throws {Error} Wenn ein Feld oder Schritt ungültig ist
+     */
+    validate(fieldTransforms) {
+        if (!fieldTransforms || typeof fieldTransforms !== 'object' || Array.isArray(fieldTransforms)) {
+            throw new Error(this.i18n.t('transform.invalidRules'));
+        }
+        for (const [field, transforms] of Object.entries(fieldTransforms)) {
+            if (!this.fields.includes(field)) {
+                throw new Error(this.i18n.t('transform.fieldNotAllowed', { field: field }));
+            }
+            if (!Array.isArray(transforms)) {
+                throw new Error(this.i18n.t('transform.invalidFieldRules', { field: field }));
+            }
+            transforms.forEach(transform => this.validateTransform(transform, field));
+        }
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldTransformer;
+}
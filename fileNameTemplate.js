@@ -0,0 +1,89 @@
+/**
+ * File Name Template Module
+ * Erzeugt Dateinamen aus Vorlagen mit Platzhaltern (z.B. "Anreise_{date}")
+ */
+
+class FileNameTemplate {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für Beschreibungen und Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+        this.defaultTemplate = 'Anreise_{date}';
+
+        // Verfügbare Platzhalter (Beschreibungen im Katalog unter fileName.<Platzhalter>)
+        this.placeholders = ['date', 'isodate', 'hotel', 'source'];
+
+        // In Dateinamen unzulässige Zeichen
+        this.invalidCharacters = /[\\/:*?"<>|\u0000-\u001F]/g;
+    }
+
+    /**
+     * Setzt die Platzhalter einer Vorlage ein
+     * @param {string} template - Die Vorlage (Standard: "Anreise_{date}")
+     * @param {Object} context - Die Werte: date (Date), hotel (string), sourceFiles (Array<string>)
+     * @returns {string} - Der Dateiname ohne Endung
+     */
+    render(template, context = {}) {
+        const date = context.date || new Date();
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const year = date.getFullYear();
+
+        // Bei mehreren Quelldateien nur die erste nennen, gefolgt von der Anzahl weiterer Dateien
+        const sourceFiles = (context.sourceFiles || []).map(fileName => fileName.replace(/\.[^.]+$/, ''));
+        let source = sourceFiles[0] || '';
+        if (sourceFiles.length > 1) {
+            source += `_+${sourceFiles.length - 1}`;
+        }
+
+        const values = {
+            date: `${day}.${month}.${year}`,
+            isodate: `${year}-${month}-${day}`,
+            hotel: context.hotel || '',
+            source: source
+        };
+
+        const fileName = (template || this.defaultTemplate)
+            .replace(/\{(\w+)\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match))
+            .replace(this.invalidCharacters, '_')
+            .trim();
+
+        return fileName || this.render(this.defaultTemplate, context);
+    }
+
+    /**
+     * Beschreibt einen Platzhalter (für die Einstellungen)
+     * @param {string} name - Der Platzhalter ohne Klammern (z.B. "date")
+     * @returns {string}
+     */
+    describePlaceholder(name) {
+        return this.i18n.t(`fileName.${name}`);
+    }
+
+    /**
+     * Prüft eine Vorlage auf unbekannte Platzhalter
+     * @param {string} template - Die Vorlage
+     * @throws {Error} Wenn die Vorlage leer ist oder unbekannte Platzhalter enthält
+     */
+    validate(template) {
+        if (typeof template !== 'string' || template.trim() === '') {
+            throw new Error(this.i18n.t('fileName.templateRequired'));
+        }
+
+        const unknown = [...template.matchAll(/\{(\w*)\}/g)]
+            .map(match => match[1])
+            .filter(name => !this.placeholders.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(this.i18n.t('fileName.unknownPlaceholder', {
+                name: `{${unknown[0]}}`,
+                placeholders: this.placeholders.map(name => `{${name}}`).join(', ')
+            }));
+        }
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileNameTemplate;
+}
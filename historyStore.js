@@ -0,0 +1,206 @@
+/**
+ * History Store Module
+ * Speichert vergangene Konvertierungen lokal in IndexedDB (Quelldatei, Zeit, Profil, Warnungen und Zeilen)
+ */
+
+class HistoryStore {
+    /**
+     * @param {IDBFactory} indexedDB - Die IndexedDB-Schnittstelle (undefined, wenn nicht unterstützt)
+     * @param {I18n} i18n - Meldungskatalog für Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(indexedDB = window.indexedDB, i18n = new I18n(null, '')) {
+        this.indexedDB = indexedDB;
+        this.i18n = i18n;
+        this.databaseName = 'bernticket';
+        this.databaseVersion = 1;
+        this.storeName = 'conversions';
+        this.database = null;
+
+        // Gästedaten werden nach Ablauf der Aufbewahrungsfrist automatisch gelöscht
+        this.retentionKey = 'bernticket.historyRetentionDays';
+        this.retentionOptions = [1, 7, 30];
+        this.defaultRetentionDays = 7;
+        this.retentionDays = this.loadRetentionDays();
+
+        // Obergrenze unabhängig vom Alter, damit der Speicher nicht unbegrenzt wächst
+        this.maxEntries = 50;
+    }
+
+    /**
+     * Prüft, ob IndexedDB verfügbar ist
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Lädt die Aufbewahrungsfrist aus dem localStorage
+     * @returns {number} - Tage
+     */
+    loadRetentionDays() {
+        try {
+            const stored = parseInt(localStorage.getItem(this.retentionKey), 10);
+            if (this.retentionOptions.includes(stored)) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Aufbewahrungsfrist konnte nicht geladen werden:', error);
+        }
+        return this.defaultRetentionDays;
+    }
+
+    /**
+     * Setzt die Aufbewahrungsfrist und löscht ältere Einträge
+     * @param {number} days - Tage (siehe retentionOptions)
+     * @returns {Promise<number>} - Anzahl gelöschter Einträge
+     * @throws {Error} Wenn die Frist nicht erlaubt ist
+     */
+    async setRetentionDays(days) {
+        if (!this.retentionOptions.includes(days)) {
+            throw new Error(this.i18n.t('history.invalidRetention', { days: days }));
+        }
+
+        this.retentionDays = days;
+        try {
+            localStorage.setItem(this.retentionKey, String(days));
+        } catch (error) {
+            console.warn('Aufbewahrungsfrist konnte nicht gespeichert werden:', error);
+        }
+        return this.purge();
+    }
+
+    /**
+     * Öffnet die Datenbank (legt den Object Store beim ersten Aufruf an)
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} Wenn IndexedDB nicht verfügbar ist oder nicht geöffnet werden kann
+     */
+    open() {
+        if (this.database) {
+            return Promise.resolve(this.database);
+        }
+        if (!this.isSupported()) {
+            return Promise.reject(new Error(this.i18n.t('history.unsupported')));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.databaseName, this.databaseVersion);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(this.storeName)) {
+                    const store = database.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+
+            request.onerror = () => {
+                reject(new Error(this.i18n.t('history.openFailed')));
+            };
+        });
+    }
+
+    /**
+     * Führt eine Anfrage in einer Transaktion aus
+     * @param {string} mode - 'readonly' oder 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} - Das Ergebnis der Anfrage, sobald die Transaktion abgeschlossen ist
+     */
+    async run(mode, operation) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(new Error(this.i18n.t('history.storageFailed')));
+            transaction.onabort = () => reject(new Error(this.i18n.t('history.storageFailed')));
+        });
+    }
+
+    /**
+     * Speichert eine Konvertierung und wendet danach die Aufbewahrungsfrist an
+     * @param {Object} entry - fileName, files, profileName, rowCount, warnings, rows
+     * @returns {Promise<number>} - Die id des neuen Eintrags
+     */
+    async add(entry) {
+        const record = Object.assign({}, entry, { createdAt: new Date().toISOString() });
+        const id = await this.run('readwrite', store => store.add(record));
+        await this.purge();
+        return id;
+    }
+
+    /**
+     * Aktualisiert die Zeilen eines Eintrags (z.B. nach Bearbeitungen in der Vorschau)
+     * @param {number} id - Die id des Eintrags
+     * @param {Object} changes - Die zu ändernden Felder
+     * @returns {Promise<void>}
+     */
+    async update(id, changes) {
+        const entry = await this.get(id);
+        if (!entry) {
+            return;
+        }
+        await this.run('readwrite', store => store.put(Object.assign(entry, changes)));
+    }
+
+    /**
+     * Gibt einen Eintrag zurück
+     * @param {number} id - Die id des Eintrags
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Gibt alle Einträge zurück (neueste zuerst)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Löscht einen Eintrag
+     * @param {number} id - Die id des Eintrags
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Löscht alle Einträge
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Löscht Einträge, die älter als die Aufbewahrungsfrist sind oder über maxEntries hinausgehen
+     * @param {Date} now - Der Bezugszeitpunkt
+     * @returns {Promise<number>} - Anzahl gelöschter Einträge
+     */
+    async purge(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const entries = await this.getAll();
+        const expired = entries.filter((entry, index) => entry.createdAt < cutoff || index >= this.maxEntries);
+
+        if (expired.length > 0) {
+            await this.run('readwrite', store => {
+                expired.forEach(entry => store.delete(entry.id));
+                return null;
+            });
+        }
+        return expired.length;
+    }
+}
@@ -0,0 +1,1788 @@
+/**
+ * I18n Module
+ * Meldungskatalog (Deutsch, Englisch, Französisch, Italienisch) und Übersetzung der Oberfläche
+ * Texte in index.html tragen ihren Schlüssel in data-i18n (bzw. data-i18n-placeholder, data-i18n-title,
+ * data-i18n-aria-label). Parser-Fehler werden als Schlüssel mit Parametern weitergegeben (siehe ParserError).
+ */
+
+class I18n {
+    /**
+     * @param {Storage|null} storage - Speicher für die gewählte Sprache (null = nichts speichern, z.B. im Worker)
+     * @param {string} preferredLanguage - Sprache des Browsers, solange keine Sprache gewählt wurde
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        preferredLanguage = typeof navigator !== 'undefined' ? navigator.language : '') {
+        this.storage = storage;
+        this.storageKey = 'bernticket.language';
+        this.defaultLanguage = 'de';
+
+        // Sprachen in ihrer eigenen Schreibweise (für die Sprachauswahl)
+        this.languages = {
+            de: 'Deutsch',
+            en: 'English',
+            fr: 'Français',
+            it: 'Italiano'
+        };
+
+        // Platzhalter in geschweiften Klammern werden durch Parameter ersetzt, z.B. {sheet}
+        // Listen (z.B. mögliche Spaltennamen in Anführungszeichen) werden mit common.quotedOr verbunden
+        this.messages = {
+            de: {
+                'app.title': 'BernTicket - Upload',
+                'header.language': 'Sprache',
+                'header.offlineChecking': 'Offline-Prüfung...',
+                'offline.ready': 'Offline bereit',
+                'offline.incomplete': 'Offline unvollständig',
+                'offline.unavailable': 'Nur online',
+                'offline.error': 'Excel-Bibliothek fehlt',
+                'update.available': 'Eine neue Version ist verfügbar.',
+                'update.reload': 'NEU LADEN',
+                'update.reloadBlocked': 'Neu laden ist nach der Verarbeitung möglich.',
+
+                'common.back': 'ZURÜCK',
+                'common.next': 'WEITER',
+                'common.cancel': 'ABBRECHEN',
+                'common.outputFormat': 'Ausgabeformat',
+                'common.csvDialect': 'CSV-Dialekt',
+                'common.file': 'Datei',
+                'common.profile': 'Profil',
+                'common.entries': 'Einträge',
+                'common.status': 'Status',
+                'common.quotedOr': '" oder "',
+                'common.moveUp': 'Nach oben',
+                'common.remove': 'Entfernen',
+                'common.empty': '(leer)',
+
+                'upload.title': 'Excel- oder CSV-Datei',
+                'upload.settings': 'Einstellungen',
+                'upload.history': 'Verlauf',
+                'upload.invalidFile': 'Bitte wählen Sie eine gültige Datei (.xlsx, .xls, .ods, .csv oder .tsv) aus.',
+                'upload.notAFile': 'Keine gültige Datei (.xlsx, .xls, .ods, .csv oder .tsv).',
+
+                'settings.mappingTitle': 'Spalten-Mapping',
+                'settings.editProfile': 'Profil bearbeiten',
+                'settings.profileName': 'Profilname',
+                'settings.csvField': 'CSV-Feld',
+                'settings.excelColumns': 'Excel-Spaltennamen (kommagetrennt)',
+                'settings.multiRoom': 'Mehrzimmer-Reservationen',
+                'settings.sameBookingNumber': 'Zeilen mit gleicher Buchungsnummer',
+                'settings.groupingMerge': 'Zu einer Buchung zusammenführen',
+                'settings.groupingSuffix': 'Getrennt lassen, Id mit Suffix (-1, -2, ...)',
+                'settings.guestNames': 'Gästenamen',
+                'settings.nameNormalize': 'Vereinheitlichen ("MÜLLER, Hans" → "Hans Müller", ohne Anreden wie "Herr" oder "Mr.")',
+                'settings.nameSplit': 'Vor- und Nachname zusätzlich als FirstName und LastName exportieren',
+                'settings.nameTransliterate': 'Umlaute und Akzente ersetzen (nur ASCII, z.B. "Müller" → "Mueller")',
+                'settings.fieldTransforms': 'Feldregeln',
+                'settings.fieldTransformsHint': 'Die Schritte werden der Reihe nach angewendet, die Id zuletzt. Die Vorschau zeigt die ersten Zeilen der zuletzt gelesenen Datei.',
+                'settings.transformStep': 'Schritt',
+                'settings.transformTrim': 'Leerzeichen entfernen',
+                'settings.transformReplace': 'Suchen und ersetzen',
+                'settings.transformStripLeading': 'Führende Zeichen entfernen',
+                'settings.transformPad': 'Links auffüllen',
+                'settings.transformPrefix': 'Voranstellen',
+                'settings.transformSuffix': 'Anhängen',
+                'settings.transformConstant': 'Fester Wert',
+                'settings.transformConcat': 'Felder verbinden',
+                'settings.transformPattern': 'Suchmuster (regulärer Ausdruck)',
+                'settings.transformReplacement': 'Ersetzen durch',
+                'settings.transformCharacter': 'Zeichen',
+                'settings.transformCount': 'Anzahl (0 = alle)',
+                'settings.transformLength': 'Länge',
+                'settings.transformValue': 'Wert',
+                'settings.transformFields': 'Felder (kommagetrennt)',
+                'settings.transformSeparator': 'Trennzeichen',
+                'settings.addTransform': 'SCHRITT HINZUFÜGEN',
+                'settings.resetTransforms': 'Standardregeln wiederherstellen',
+                'settings.transformBefore': 'Quelle',
+                'settings.transformAfter': 'Ergebnis',
+                'settings.transformsEmpty': 'Keine Schritte – der Wert wird unverändert übernommen.',
+                'settings.transformAdded': 'Schritt hinzugefügt. Zum Übernehmen das Profil speichern.',
+                'settings.transformsReset': 'Standardregeln wiederhergestellt. Zum Übernehmen das Profil speichern.',
+                'transform.trim': 'Leerzeichen am Anfang und Ende entfernen',
+                'transform.replace': '/{pattern}/ ersetzen durch "{replacement}"',
+                'transform.stripLeadingAll': 'Führende "{character}" entfernen (alle)',
+                'transform.stripLeadingMax': 'Führende "{character}" entfernen (höchstens {count})',
+                'transform.pad': 'Links mit "{character}" auf {length} Zeichen auffüllen',
+                'transform.prefix': '"{value}" voranstellen',
+                'transform.suffix': '"{value}" anhängen',
+                'transform.constant': 'Fester Wert "{value}"',
+                'transform.concat': 'Felder verbinden: {fields}',
+                'transform.concatSeparator': 'Felder verbinden: {fields} (Trennzeichen "{separator}")',
+                'transform.unknownType': 'Unbekannter Schritt: "{type}".',
+                'transform.invalidType': 'Unbekannter Schritt.',
+                'transform.patternRequired': 'Bitte geben Sie ein Suchmuster an.',
+                'transform.patternInvalid': 'Das Suchmuster "{pattern}" ist kein gültiger regulärer Ausdruck.',
+                'transform.characterRequired': 'Bitte geben Sie genau ein Zeichen an.',
+                'transform.invalidCount': 'Die Anzahl muss eine ganze Zahl ab 0 sein (0 = alle).',
+                'transform.invalidLength': 'Die Länge muss zwischen 1 und {max} liegen.',
+                'transform.valueRequired': 'Bitte geben Sie einen Wert an.',
+                'transform.fieldsRequired': 'Bitte geben Sie mindestens ein Feld an.',
+                'transform.unknownField': 'Unbekanntes Feld: "{name}".',
+                'transform.fieldOrder': '{field} kann "{name}" nicht verwenden, da es erst danach umgewandelt wird.',
+                'transform.invalidRules': 'Die Feldregeln sind ungültig.',
+                'transform.fieldNotAllowed': 'Für das Feld "{field}" sind keine Feldregeln möglich.',
+                'transform.invalidFieldRules': 'Die Feldregeln für "{field}" sind ungültig.',
+                'settings.dates': 'Datumswerte',
+                'settings.inputLocales': 'Eingabe-Locales (kommagetrennt)',
+                'settings.dateFormatDMYDot': 'TT.MM.JJJJ',
+                'settings.dateFormatYMD': 'JJJJ-MM-TT',
+                'settings.dateFormatDMYSlash': 'TT/MM/JJJJ',
+                'settings.dateFormatMDY': 'MM/TT/JJJJ',
+                'settings.localesHint': 'Verfügbar: de, fr, it, en-GB (Tag vor Monat) und en-US (Monat vor Tag). ' +
+                    'Das erste Locale entscheidet bei mehrdeutigen Daten wie 01/02/2026.',
+                'settings.export': 'Export',
+                'settings.fileNameTemplate': 'Dateiname (ohne Endung)',
+                'settings.fileNamePlaceholders': 'Platzhalter: {placeholders}',
+                'fileName.date': 'Datum (TT.MM.JJJJ)',
+                'fileName.isodate': 'Datum (JJJJ-MM-TT)',
+                'fileName.hotel': 'Profilname',
+                'fileName.source': 'Name der Quelldatei ohne Endung',
+                'fileName.templateRequired': 'Die Dateinamen-Vorlage darf nicht leer sein.',
+                'fileName.unknownPlaceholder': 'Unbekannter Platzhalter in der Dateinamen-Vorlage: {name}. ' +
+                    'Erlaubt sind: {placeholders}.',
+                'settings.filterRules': 'Filterregeln',
+                'settings.rule': 'Regel',
+                'settings.ruleToday': 'Anreise ist heute',
+                'settings.ruleDate': 'Anreise im Zeitraum',
+                'settings.ruleExclude': 'Werte ausschliessen',
+                'settings.ruleInclude': 'Nur Werte zulassen',
+                'settings.field': 'Feld',
+                'settings.fieldRoomType': 'Zimmertyp',
+                'settings.fieldRateCode': 'Ratencode',
+                'settings.values': 'Werte (kommagetrennt)',
+                'settings.from': 'Von',
+                'settings.to': 'Bis',
+                'settings.addRule': 'REGEL HINZUFÜGEN',
+                'settings.filterRulesEmpty': 'Keine Filterregeln – alle Zeilen werden übernommen.',
+                'settings.ruleAdded': 'Regel hinzugefügt. Zum Übernehmen das Profil speichern.',
+                'settings.ageLimits': 'Altersgrenzen (inklusive)',
+                'settings.babyMaxAge': 'Babys bis Alter',
+                'settings.childMaxAge': 'Kinder bis Alter',
+                'settings.teenMaxAge': 'Teens bis Alter',
+                'settings.saveProfile': 'PROFIL SPEICHERN',
+                'settings.newProfile': 'NEUES PROFIL',
+                'settings.deleteProfile': 'PROFIL LÖSCHEN',
+                'settings.exportProfiles': 'PROFILE EXPORTIEREN',
+                'settings.importProfiles': 'PROFILE IMPORTIEREN',
+                'settings.profileSaved': 'Profil "{name}" gespeichert.',
+                'settings.profileDeleted': 'Profil "{name}" gelöscht.',
+                'settings.profilesImported': '{count} Profil(e) importiert: {names}',
+
+                'submission.title': 'Ticketsystem',
+                'submission.hint': 'Mit "SENDEN" werden die Buchungen per HTTP POST an diese Adresse übermittelt. ' +
+                    'Ohne Internetverbindung wird automatisch gesendet, sobald das Gerät wieder online ist.',
+                'submission.url': 'Adresse (leer = Senden ausgeschaltet)',
+                'submission.format': 'Format',
+                'submission.headerName': 'Auth-Header',
+                'submission.headerValue': 'Wert (z.B. "Bearer ...")',
+                'submission.save': 'VERBINDUNG SPEICHERN',
+                'submission.saved': 'Verbindung gespeichert.',
+                'submission.savedDisabled': 'Verbindung gespeichert. Das Senden ist ausgeschaltet.',
+                'submission.sending': 'Wird gesendet...',
+                'submission.sent': 'Gesendet (HTTP {status}): {count} Buchungen als {file}.',
+                'submission.pending': 'Wartet auf Verbindung und wird automatisch erneut gesendet.',
+                'submission.pendingError': 'Wartet auf Verbindung und wird automatisch erneut gesendet ({error}).',
+                'submission.failed': 'Nicht gesendet: {error}',
+                'submission.urlIncomplete': 'Bitte geben Sie eine vollständige Adresse an (z.B. ' +
+                    'https://tickets.example.ch/import).',
+                'submission.urlProtocol': 'Die Adresse muss mit https:// oder http:// beginnen.',
+                'submission.invalidFormat': 'Ungültiges Format: "{format}".',
+                'submission.invalidHeaderName': 'Bitte geben Sie einen gültigen Namen für den Auth-Header an (z.B. ' +
+                    'Authorization).',
+                'submission.notConfigured': 'Es ist kein Ticketsystem konfiguriert.',
+                'submission.timeout': 'Zeitüberschreitung.',
+                'submission.noConnection': 'Keine Verbindung zum Server.',
+                'submission.httpError': 'Der Server antwortete mit HTTP {status}.',
+                'submission.queueUnsupported': 'Ihr Browser unterstützt keine Warteschlange für Übermittlungen (IndexedDB).',
+                'submission.queueOpenFailed': 'Die Warteschlange für Übermittlungen konnte nicht geöffnet werden.',
+                'submission.queueStorageFailed': 'Die Warteschlange konnte nicht gespeichert bzw. gelesen werden.',
+                'privacy.title': 'Datenschutz',
+                'privacy.hint': 'Gilt für dieses Gerät. Im Datenschutzmodus werden die Gästenamen beim Herunterladen und Senden ersetzt oder weggelassen, und Konvertierungen werden nicht im Verlauf gespeichert. Beim Einschalten wird der bestehende Verlauf gelöscht.',
+                'privacy.enabled': 'Datenschutzmodus einschalten',
+                'privacy.nameMode': 'Gästenamen im Export',
+                'privacy.nameHash': 'Als Hashwert (SHA-256 mit Salt)',
+                'privacy.nameReplace': 'Durch einen Ersatztext ersetzen',
+                'privacy.nameDrop': 'Weglassen',
+                'privacy.salt': 'Salt',
+                'privacy.replacement': 'Ersatztext',
+                'privacy.idleMinutes': 'Daten löschen nach Inaktivität (Minuten, 0 = nie)',
+                'privacy.clearAfterDownload': 'Daten nach dem Herunterladen löschen',
+                'privacy.save': 'DATENSCHUTZ SPEICHERN',
+                'privacy.clearedDownload': 'Daten gelöscht: Die gelesenen Buchungen wurden nach dem Herunterladen aus dem Speicher entfernt.',
+                'privacy.clearedIdle': 'Daten gelöscht: Die gelesenen Buchungen wurden nach {minutes} Minuten Inaktivität aus dem Speicher entfernt.',
+                'privacy.saved': 'Datenschutzmodus gespeichert.',
+                'privacy.savedDisabled': 'Gespeichert. Der Datenschutzmodus ist ausgeschaltet.',
+                'privacy.invalidNameMode': 'Ungültige Behandlung der Gästenamen: "{mode}".',
+                'privacy.replacementRequired': 'Bitte geben Sie einen Ersatztext für die Gästenamen an.',
+                'privacy.saltRequired': 'Bitte geben Sie einen Salt für die Hashwerte an.',
+                'privacy.invalidIdleMinutes': 'Die Wartezeit muss zwischen 0 und {max} Minuten liegen (0 = nie löschen).',
+
+                'history.title': 'Verlauf',
+                'history.hint': 'Vergangene Konvertierungen werden nur auf diesem Gerät gespeichert und nach Ablauf ' +
+                    'der Aufbewahrungsfrist automatisch gelöscht.',
+                'history.retention': 'Aufbewahren',
+                'history.time': 'Zeit',
+                'history.warnings': 'Warnungen',
+                'history.clear': 'VERLAUF LÖSCHEN',
+                'history.day': '1 Tag',
+                'history.days': '{count} Tage',
+                'history.empty': 'Keine gespeicherten Konvertierungen.',
+                'history.download': 'Herunterladen',
+                'history.delete': 'Löschen',
+                'history.exportFailed': 'Fehler beim Erstellen der {format}-Datei.',
+                'history.entryDeleted': 'Eintrag gelöscht.',
+                'history.confirmClear': 'Alle gespeicherten Konvertierungen löschen?',
+                'history.cleared': 'Der Verlauf wurde gelöscht.',
+                'history.retentionChanged': 'Aufbewahrungsfrist geändert.',
+                'history.retentionChangedRemoved': 'Aufbewahrungsfrist geändert, {count} ältere Einträge gelöscht.',
+                'history.invalidRetention': 'Ungültige Aufbewahrungsfrist: {days} Tage.',
+                'history.unsupported': 'Ihr Browser unterstützt keinen lokalen Verlauf (IndexedDB).',
+                'history.openFailed': 'Der Verlauf konnte nicht geöffnet werden.',
+                'history.storageFailed': 'Der Verlauf konnte nicht gespeichert bzw. gelesen werden.',
+
+                'sheets.title': 'Tabellen auswählen',
+                'sheets.hintBefore': 'Die Datei',
+                'sheets.hintAfter': 'enthält mehrere Tabellen. Ausgewählte Tabellen werden zusammengeführt.',
+                'sheets.remember': 'Auswahl für dieses Profil merken',
+                'sheets.rowCount': '{count} Zeilen',
+                'sheets.requiredColumnMissing': 'Buchungsnummer-Spalte nicht erkannt',
+                'sheets.noHeader': '(keine Kopfzeile)',
+                'sheets.noneSelected': 'Bitte wählen Sie mindestens eine Tabelle aus.',
+
+                'processing.title': 'Datei wird verarbeitet...',
+                'processing.wait': 'Bitte warten Sie einen Moment.',
+                'progress.readPercent': 'Datei wird gelesen: {percent} %',
+                'progress.read': 'Datei wird gelesen',
+                'progress.parse': 'Tabellen werden eingelesen',
+                'progress.transform': 'Zeilen werden umgewandelt: {current} von {total}',
+                'progress.validate': 'Zeilen werden geprüft: {current} von {total}',
+                'progress.sheet': '(Tabelle "{sheet}")',
+                'progress.batchFile': 'Datei {current} von {total}: {file}',
+
+                'result.title': 'Verarbeitung erfolgreich',
+                'result.entries': 'Gefundene Einträge:',
+                'result.fileName': 'Dateiname:',
+                'result.profile': 'Profil:',
+                'result.sheets': 'Tabellen:',
+                'result.format': 'Format:',
+                'result.headerRow': 'Kopfzeile:',
+                'result.validation': 'Prüfung:',
+                'result.multiRoom': 'Mehrzimmer:',
+                'result.filter': 'Filter:',
+                'result.files': 'Dateien',
+                'result.rejected': 'Verworfen',
+                'result.includeSourceFile': 'Spalte "SourceFile" mit dem Namen der Quelldatei exportieren',
+                'result.download': '{format} HERUNTERLADEN',
+                'result.submit': 'SENDEN',
+                'result.rejectedReport': 'VERWORFENE ZEILEN HERUNTERLADEN',
+                'result.newFile': 'NEUE DATEI',
+                'result.validationNone': 'Keine Auffälligkeiten',
+                'result.validationSummary': '{warnings} Zeilen mit Warnungen, {rejected} verworfene Zeilen',
+                'result.groupingMerged': '{count} Reservationen aus {rows} Zeilen zusammengeführt',
+                'result.groupingSuffixed': '{count} Zeilen mit Id-Suffix getrennt exportiert',
+                'result.groupingNone': 'Keine',
+                'result.filterNone': 'Keine Filterregeln',
+                'result.filterRemoved': '{rule}: {count} entfernt',
+                'result.duplicates': '{count} doppelte Buchungen aus mehreren Dateien wurden nur einmal übernommen.',
+                'result.headerRowNumber': 'Zeile {row}',
+                'result.footerRowSkipped': '({count} Summenzeile übersprungen)',
+                'result.footerRowsSkipped': '({count} Summenzeilen übersprungen)',
+                'export.noData': 'Keine Daten zum Exportieren verfügbar.',
+                'export.failed': 'Fehler beim Erstellen der {format}-Datei. Bitte versuchen Sie es erneut.',
+                'export.reportFailed': 'Fehler beim Erstellen des Berichts. Bitte versuchen Sie es erneut.',
+                'export.confirmErrors': '{count} Zeilen enthalten Fehler. Trotzdem exportieren?',
+                'export.dialectExcelDe': 'Excel (Semikolon, UTF-8 mit BOM)',
+                'export.dialectCommaUtf8': 'Komma, UTF-8 ohne BOM',
+                'export.dialectTabUtf8': 'Tabulator, UTF-8 ohne BOM',
+                'export.dialectExcelDe1252': 'Semikolon, Windows-1252',
+                'export.dialectIsoQuoted': 'Komma, alle Felder in Anführungszeichen, ISO-Datum',
+                'export.unknownDialect': 'Unbekannter CSV-Dialekt: "{name}".',
+
+                'preview.title': 'Vorschau',
+                'preview.filterAll': 'Alle Zeilen',
+                'preview.filterIssues': 'Nur Zeilen mit Hinweisen',
+                'preview.filterMerged': 'Mehrzimmer-Reservationen',
+                'preview.filterRejected': 'Verworfene Zeilen',
+                'preview.filterFiltered': 'Herausgefilterte Zeilen',
+                'preview.addRow': 'BUCHUNG HINZUFÜGEN',
+                'preview.undo': 'RÜCKGÄNGIG',
+                'preview.undoTitle': 'Rückgängig (Strg+Z)',
+                'preview.redo': 'WIEDERHOLEN',
+                'preview.redoTitle': 'Wiederholen (Strg+Y)',
+                'preview.hint': 'Zellen anklicken zum Bearbeiten, Enter übernimmt, Esc verwirft.',
+                'preview.row': 'Zeile',
+                'preview.issues': 'Hinweise',
+                'preview.moreRows': '... und {count} weitere Zeilen',
+                'preview.newRow': 'neu',
+                'preview.delete': 'Löschen',
+                'preview.original': 'Ursprünglich: {value}',
+                'preview.mergedFrom': 'Aus {count} Zeilen zusammengeführt',
+                'preview.filteredBy': 'Herausgefiltert: {rule}',
+                'preview.required': 'Dieses Feld darf nicht leer sein.',
+                'preview.invalidCount': 'Bitte eine ganze Zahl ab 0 eingeben.',
+                'preview.invalidDate': 'Bitte ein gültiges Datum im Format {format} eingeben.',
+
+                'filter.fieldDateFrom': 'Anreise',
+                'filter.fieldDateTo': 'Abreise',
+                'filter.fieldStatus': 'Status',
+                'filter.fieldRoomType': 'Zimmertyp',
+                'filter.fieldRateCode': 'Ratencode',
+                'filter.today': '{field} = heute',
+                'filter.notIn': '{field} nicht in: {values}',
+                'filter.in': '{field} in: {values}',
+                'filter.unknownType': 'Unbekannter Filterregeltyp: "{type}".',
+                'filter.invalidType': 'Unbekannter Filterregeltyp.',
+                'filter.fieldRequired': 'Die Filterregel benötigt ein Feld.',
+                'filter.dateRequired': 'Bitte geben Sie ein Datum oder einen Zeitraum an.',
+                'filter.dateOrder': 'Das Startdatum liegt nach dem Enddatum.',
+                'filter.valuesRequired': 'Bitte geben Sie mindestens einen Wert an.',
+
+                'compare.title': 'Änderungen seit dem letzten Export',
+                'compare.with': 'Vergleichen mit',
+                'compare.button': 'VERGLEICHEN',
+                'compare.historyOption': '{time} – {file} ({count} Einträge)',
+                'compare.otherFile': 'Andere Datei auswählen...',
+                'compare.entryMissing': 'Der Verlaufseintrag ist nicht mehr vorhanden.',
+                'compare.historySource': '{file} vom {time}',
+                'compare.progress': 'Vergleichsdatei: {file}',
+                'diff.title': 'Änderungen',
+                'diff.added': 'Neu:',
+                'diff.changed': 'Geändert:',
+                'diff.cancelled': 'Storniert:',
+                'diff.removed': 'Entfernt:',
+                'diff.unchanged': 'Unverändert:',
+                'diff.change': 'Änderung',
+                'diff.details': 'Details',
+                'diff.export': 'ÄNDERUNGEN ALS CSV HERUNTERLADEN',
+                'diff.source': 'Verglichen mit {source}.',
+                'diff.none': 'Keine Änderungen.',
+                'diff.noneToExport': 'Keine Änderungen zum Exportieren.',
+                'diff.changeAdded': 'neu',
+                'diff.changeChanged': 'geändert',
+                'diff.changeCancelled': 'storniert',
+                'diff.changeRemoved': 'entfernt',
+
+                'error.title': 'Fehler',
+                'error.retry': 'ERNEUT VERSUCHEN',
+                'error.unknown': 'Ein unbekannter Fehler ist aufgetreten.',
+
+                'parser.readFailed': 'Fehler beim Lesen der Datei. Bitte versuchen Sie es erneut.',
+                'parser.noSheets': 'Die Datei enthält keine Tabellen.',
+                'parser.sheetNotFound': 'Die Tabelle "{sheet}" ist in der Excel-Datei nicht vorhanden.',
+                'parser.sheetPrefix': 'Tabelle "{sheet}": ',
+                'parser.emptySheet': 'Die Excel-Datei ist leer.',
+                'parser.noHeaderRow': 'Die Excel-Datei enthält keine gültige Kopfzeile.',
+                'parser.requiredColumnMissing': 'Die erforderliche Spalte "{columns}" wurde nicht gefunden. ' +
+                    'Verfügbare Spalten: {available}',
+                'parser.allRowsRejected': 'Alle {count} Zeilen wurden verworfen. Erster Fehler in Zeile {row}: {message}',
+                'parser.allRowsFiltered': 'Alle {count} Zeilen wurden durch Filterregeln entfernt: {rules}',
+                'parser.noValidRows': 'Keine gültigen Zeilen gefunden. Stellen Sie sicher, dass die Spalte "{columns}" ' +
+                    'Werte enthält.',
+                'parser.datesConflicting': 'Die Datumswerte verwenden uneinheitliche Reihenfolgen; gelesen als {order}.',
+                'parser.datesAmbiguous': 'Die Reihenfolge von Tag und Monat ist nicht eindeutig; gelesen als {order}.',
+                'parser.orderDMY': 'Tag vor Monat',
+                'parser.orderMDY': 'Monat vor Tag',
+
+                'worker.libraryMissing': 'Die Excel-Bibliothek (vendor/xlsx.full.min.js) wurde nicht gefunden. ' +
+                    'Dateien können nicht gelesen werden.',
+                'worker.noFile': 'Es wurde keine Datei eingelesen.',
+                'worker.unknownJob': 'Unbekannter Auftrag: "{type}".',
+                'worker.cancelled': 'Die Verarbeitung wurde abgebrochen.',
+                'worker.busy': 'Es wird bereits eine Datei verarbeitet.',
+                'worker.unsupported': 'Ihr Browser unterstützt keine Verarbeitung im Hintergrund (Web Worker).',
+                'worker.failed': 'Die Verarbeitung im Hintergrund ist fehlgeschlagen.',
+                'worker.failedMessage': 'Die Verarbeitung im Hintergrund ist fehlgeschlagen: {message}',
+
+                'decoder.windows1252': 'Die Datei ist nicht UTF-8-kodiert und wurde als Windows-1252 gelesen. ' +
+                    'Bitte prüfen Sie Umlaute in den Gästenamen.',
+                'decoder.invalidCharacters': 'Die Datei enthält ungültige Zeichen. Einige Umlaute oder Sonderzeichen ' +
+                    'konnten nicht gelesen werden.',
+                'decoder.mojibake': 'Die Datei enthält vermutlich falsch kodierte Umlaute (z.B. "Ã¼" statt "ü"). ' +
+                    'Bitte exportieren Sie die Datei im PMS erneut als UTF-8.',
+                'decoder.semicolon': 'Semikolon',
+                'decoder.comma': 'Komma',
+                'decoder.tab': 'Tabulator',
+                'decoder.pipe': 'senkrechter Strich',
+
+                'date.formatDD': 'TT',
+                'date.formatMM': 'MM',
+                'date.formatYYYY': 'JJJJ',
+                'date.localesNotList': 'Die Datums-Locales müssen als Liste angegeben werden.',
+                'date.unknownLocale': 'Unbekanntes Datums-Locale: "{locale}". Erlaubt sind: {locales}.',
+                'date.invalidFormat': 'Ungültiges Datumsformat "{format}". Erlaubt sind z.B. ' +
+                    'DD.MM.YYYY, YYYY-MM-DD oder MM/DD/YYYY.',
+
+                'profile.nameRequired': 'Das Profil benötigt einen Namen.',
+                'profile.nameNotAllowed': 'Der Profilname "{name}" ist nicht erlaubt.',
+                'profile.notFound': 'Das Profil "{name}" existiert nicht.',
+                'profile.notFoundAvailable': 'Das Profil "{name}" existiert nicht. Verfügbar: {profiles}.',
+                'profile.defaultNotDeletable': 'Das Standardprofil kann nicht gelöscht werden.',
+                'profile.mappingMissing': 'Das Profil "{name}" enthält kein Spalten-Mapping.',
+                'profile.invalidField': 'Das Feld "{field}" im Profil "{name}" ist ungültig.',
+                'profile.bookingNumberRequired': 'Für "BookingNumber" muss mindestens ein Spaltenname angegeben werden.',
+                'profile.unknownGroupingMode': 'Unbekannter Modus für Mehrzimmer-Reservationen: "{mode}".',
+                'profile.invalidNameOptions': 'Die Namensoptionen im Profil "{name}" sind ungültig.',
+                'profile.invalidFilterRules': 'Die Filterregeln im Profil "{name}" sind ungültig.',
+                'profile.invalidAgeLimits': 'Die Altersgrenzen müssen ganze Zahlen sein und aufsteigen (Babys < ' +
+                    'Kinder < Teens).',
+                'profile.invalidJson': 'Die Profildatei ist kein gültiges JSON.',
+                'profile.noProfiles': 'Die Profildatei enthält keine Profile.',
+
+                'validation.bookingNumberMissing': 'Buchungsnummer fehlt.',
+                'validation.fieldMissing': '{field} fehlt.',
+                'validation.invalidDate': '{field} "{value}" ist kein gültiges Datum.',
+                'validation.departureBeforeArrival': 'Abreisedatum liegt vor dem Anreisedatum.',
+                'validation.notANumber': '{field} "{value}" ist keine Zahl.',
+                'validation.noGuests': 'Buchung ohne Gäste.',
+                'field.BookingNumber': 'Buchungsnummer',
+                'field.NumberOfAdults': 'Erwachsene',
+                'field.NumberOfChildren': 'Kinder',
+                'field.NumberOfBabys': 'Babys',
+                'field.DateFrom': 'Anreisedatum',
+                'field.DateTo': 'Abreisedatum'
+            },
+
+            en: {
+                'app.title': 'BernTicket - Upload',
+                'header.language': 'Language',
+                'header.offlineChecking': 'Checking offline mode...',
+                'offline.ready': 'Offline ready',
+                'offline.incomplete': 'Offline incomplete',
+                'offline.unavailable': 'Online only',
+                'offline.error': 'Excel library missing',
+                'update.available': 'A new version is available.',
+                'update.reload': 'RELOAD',
+                'update.reloadBlocked': 'Reloading is possible after processing.',
+
+                'common.back': 'BACK',
+                'common.next': 'CONTINUE',
+                'common.cancel': 'CANCEL',
+                'common.outputFormat': 'Output format',
+                'common.csvDialect': 'CSV dialect',
+                'common.file': 'File',
+                'common.profile': 'Profile',
+                'common.entries': 'Entries',
+                'common.status': 'Status',
+                'common.quotedOr': '" or "',
+                'common.moveUp': 'Move up',
+                'common.remove': 'Remove',
+                'common.empty': '(empty)',
+
+                'upload.title': 'Excel or CSV file',
+                'upload.settings': 'Settings',
+                'upload.history': 'History',
+                'upload.invalidFile': 'Please select a valid file (.xlsx, .xls, .ods, .csv or .tsv).',
+                'upload.notAFile': 'Not a valid file (.xlsx, .xls, .ods, .csv or .tsv).',
+
+                'settings.mappingTitle': 'Column mapping',
+                'settings.editProfile': 'Edit profile',
+                'settings.profileName': 'Profile name',
+                'settings.csvField': 'CSV field',
+                'settings.excelColumns': 'Excel column names (comma-separated)',
+                'settings.multiRoom': 'Multi-room reservations',
+                'settings.sameBookingNumber': 'Rows with the same booking number',
+                'settings.groupingMerge': 'Merge into one booking',
+                'settings.groupingSuffix': 'Keep separate, Id with suffix (-1, -2, ...)',
+                'settings.guestNames': 'Guest names',
+                'settings.nameNormalize': 'Normalize ("MÜLLER, Hans" → "Hans Müller", without titles such as "Mr." or "Herr")',
+                'settings.nameSplit': 'Also export first and last name as FirstName and LastName',
+                'settings.nameTransliterate': 'Replace umlauts and accents (ASCII only, e.g. "Müller" → "Mueller")',
+                'settings.fieldTransforms': 'Field rules',
+                'settings.fieldTransformsHint': 'Steps are applied in order, the Id last. The preview shows the first rows of the most recently read file.',
+                'settings.transformStep': 'Step',
+                'settings.transformTrim': 'Trim spaces',
+                'settings.transformReplace': 'Find and replace',
+                'settings.transformStripLeading': 'Strip leading characters',
+                'settings.transformPad': 'Pad on the left',
+                'settings.transformPrefix': 'Add prefix',
+                'settings.transformSuffix': 'Add suffix',
+                'settings.transformConstant': 'Constant value',
+                'settings.transformConcat': 'Concatenate fields',
+                'settings.transformPattern': 'Pattern (regular expression)',
+                'settings.transformReplacement': 'Replace with',
+                'settings.transformCharacter': 'Character',
+                'settings.transformCount': 'Count (0 = all)',
+                'settings.transformLength': 'Length',
+                'settings.transformValue': 'Value',
+                'settings.transformFields': 'Fields (comma-separated)',
+                'settings.transformSeparator': 'Separator',
+                'settings.addTransform': 'ADD STEP',
+                'settings.resetTransforms': 'Restore default rules',
+                'settings.transformBefore': 'Source',
+                'settings.transformAfter': 'Result',
+                'settings.transformsEmpty': 'No steps – the value is kept unchanged.',
+                'settings.transformAdded': 'Step added. Save the profile to apply it.',
+                'settings.transformsReset': 'Default rules restored. Save the profile to apply them.',
+                'transform.trim': 'Remove leading and trailing spaces',
+                'transform.replace': 'Replace /{pattern}/ with "{replacement}"',
+                'transform.stripLeadingAll': 'Strip leading "{character}" (all)',
+                'transform.stripLeadingMax': 'Strip leading "{character}" (at most {count})',
+                'transform.pad': 'Pad on the left with "{character}" to {length} characters',
+                'transform.prefix': 'Add prefix "{value}"',
+                'transform.suffix': 'Add suffix "{value}"',
+                'transform.constant': 'Constant value "{value}"',
+                'transform.concat': 'Concatenate fields: {fields}',
+                'transform.concatSeparator': 'Concatenate fields: {fields} (separator "{separator}")',
+                'transform.unknownType': 'Unknown step: "{type}".',
+                'transform.invalidType': 'Unknown step.',
+                'transform.patternRequired': 'Please enter a pattern.',
+                'transform.patternInvalid': 'The pattern "{pattern}" is not a valid regular expression.',
+                'transform.characterRequired': 'Please enter exactly one character.',
+                'transform.invalidCount': 'The count must be a whole number from 0 (0 = all).',
+                'transform.invalidLength': 'The length must be between 1 and {max}.',
+                'transform.valueRequired': 'Please enter a value.',
+                'transform.fieldsRequired': 'Please enter at least one field.',
+                'transform.unknownField': 'Unknown field: "{name}".',
+                'transform.fieldOrder': '{field} cannot use "{name}" because it is transformed later.',
+                'transform.invalidRules': 'The field rules are invalid.',
+                'transform.fieldNotAllowed': 'Field rules are not available for the field "{field}".',
+                'transform.invalidFieldRules': 'The field rules for "{field}" are invalid.',
+                'settings.dates': 'Dates',
+                'settings.inputLocales': 'Input locales (comma-separated)',
+                'settings.dateFormatDMYDot': 'DD.MM.YYYY',
+                'settings.dateFormatYMD': 'YYYY-MM-DD',
+                'settings.dateFormatDMYSlash': 'DD/MM/YYYY',
+                'settings.dateFormatMDY': 'MM/DD/YYYY',
+                'settings.localesHint': 'Available: de, fr, it, en-GB (day before month) and en-US (month before day). ' +
+                    'The first locale decides for ambiguous dates such as 01/02/2026.',
+                'settings.export': 'Export',
+                'settings.fileNameTemplate': 'File name (without extension)',
+                'settings.fileNamePlaceholders': 'Placeholders: {placeholders}',
+                'fileName.date': 'Date (DD.MM.YYYY)',
+                'fileName.isodate': 'Date (YYYY-MM-DD)',
+                'fileName.hotel': 'Profile name',
+                'fileName.source': 'Source file name without extension',
+                'fileName.templateRequired': 'The file name template must not be empty.',
+                'fileName.unknownPlaceholder': 'Unknown placeholder in the file name template: {name}. ' +
+                    'Allowed are: {placeholders}.',
+                'settings.filterRules': 'Filter rules',
+                'settings.rule': 'Rule',
+                'settings.ruleToday': 'Arrival is today',
+                'settings.ruleDate': 'Arrival within period',
+                'settings.ruleExclude': 'Exclude values',
+                'settings.ruleInclude': 'Only allow values',
+                'settings.field': 'Field',
+                'settings.fieldRoomType': 'Room type',
+                'settings.fieldRateCode': 'Rate code',
+                'settings.values': 'Values (comma-separated)',
+                'settings.from': 'From',
+                'settings.to': 'To',
+                'settings.addRule': 'ADD RULE',
+                'settings.filterRulesEmpty': 'No filter rules – all rows are included.',
+                'settings.ruleAdded': 'Rule added. Save the profile to apply it.',
+                'settings.ageLimits': 'Age limits (inclusive)',
+                'settings.babyMaxAge': 'Babies up to age',
+                'settings.childMaxAge': 'Children up to age',
+                'settings.teenMaxAge': 'Teens up to age',
+                'settings.saveProfile': 'SAVE PROFILE',
+                'settings.newProfile': 'NEW PROFILE',
+                'settings.deleteProfile': 'DELETE PROFILE',
+                'settings.exportProfiles': 'EXPORT PROFILES',
+                'settings.importProfiles': 'IMPORT PROFILES',
+                'settings.profileSaved': 'Profile "{name}" saved.',
+                'settings.profileDeleted': 'Profile "{name}" deleted.',
+                'settings.profilesImported': '{count} profile(s) imported: {names}',
+
+                'submission.title': 'Ticket system',
+                'submission.hint': '"SEND" posts the bookings to this address via HTTP POST. ' +
+                    'Without an internet connection they are sent automatically once the device is back online.',
+                'submission.url': 'Address (empty = sending disabled)',
+                'submission.format': 'Format',
+                'submission.headerName': 'Auth header',
+                'submission.headerValue': 'Value (e.g. "Bearer ...")',
+                'submission.save': 'SAVE CONNECTION',
+                'submission.saved': 'Connection saved.',
+                'submission.savedDisabled': 'Connection saved. Sending is disabled.',
+                'submission.sending': 'Sending...',
+                'submission.sent': 'Sent (HTTP {status}): {count} bookings as {file}.',
+                'submission.pending': 'Waiting for a connection, will be resent automatically.',
+                'submission.pendingError': 'Waiting for a connection, will be resent automatically ({error}).',
+                'submission.failed': 'Not sent: {error}',
+                'submission.urlIncomplete': 'Please enter a complete address (e.g. https://tickets.example.ch/import).',
+                'submission.urlProtocol': 'The address must start with https:// or http://.',
+                'submission.invalidFormat': 'Invalid format: "{format}".',
+                'submission.invalidHeaderName': 'Please enter a valid name for the auth header (e.g. Authorization).',
+                'submission.notConfigured': 'No ticket system is configured.',
+                'submission.timeout': 'Timed out.',
+                'submission.noConnection': 'No connection to the server.',
+                'submission.httpError': 'The server responded with HTTP {status}.',
+                'submission.queueUnsupported': 'Your browser does not support a queue for submissions (IndexedDB).',
+                'submission.queueOpenFailed': 'The submission queue could not be opened.',
+                'submission.queueStorageFailed': 'The queue could not be saved or read.',
+                'privacy.title': 'Privacy',
+                'privacy.hint': 'Applies to this device. In privacy mode guest names are replaced or omitted when downloading and sending, and conversions are not saved in the history. Enabling it deletes the existing history.',
+                'privacy.enabled': 'Enable privacy mode',
+                'privacy.nameMode': 'Guest names in the export',
+                'privacy.nameHash': 'As hash (SHA-256 with salt)',
+                'privacy.nameReplace': 'Replace with a placeholder text',
+                'privacy.nameDrop': 'Omit',
+                'privacy.salt': 'Salt',
+                'privacy.replacement': 'Placeholder text',
+                'privacy.idleMinutes': 'Clear data after inactivity (minutes, 0 = never)',
+                'privacy.clearAfterDownload': 'Clear data after downloading',
+                'privacy.save': 'SAVE PRIVACY SETTINGS',
+                'privacy.clearedDownload': 'Data cleared: the bookings read were removed from memory after downloading.',
+                'privacy.clearedIdle': 'Data cleared: the bookings read were removed from memory after {minutes} minutes of inactivity.',
+                'privacy.saved': 'Privacy mode saved.',
+                'privacy.savedDisabled': 'Saved. Privacy mode is disabled.',
+                'privacy.invalidNameMode': 'Invalid handling of guest names: "{mode}".',
+                'privacy.replacementRequired': 'Please enter a placeholder text for the guest names.',
+                'privacy.saltRequired': 'Please enter a salt for the hash values.',
+                'privacy.invalidIdleMinutes': 'The waiting time must be between 0 and {max} minutes (0 = never clear).',
+
+                'history.title': 'History',
+                'history.hint': 'Past conversions are stored on this device only and deleted automatically ' +
+                    'when the retention period ends.',
+                'history.retention': 'Keep for',
+                'history.time': 'Time',
+                'history.warnings': 'Warnings',
+                'history.clear': 'CLEAR HISTORY',
+                'history.day': '1 day',
+                'history.days': '{count} days',
+                'history.empty': 'No saved conversions.',
+                'history.download': 'Download',
+                'history.delete': 'Delete',
+                'history.exportFailed': 'Error creating the {format} file.',
+                'history.entryDeleted': 'Entry deleted.',
+                'history.confirmClear': 'Delete all saved conversions?',
+                'history.cleared': 'The history was deleted.',
+                'history.retentionChanged': 'Retention period changed.',
+                'history.retentionChangedRemoved': 'Retention period changed, {count} older entries deleted.',
+                'history.invalidRetention': 'Invalid retention period: {days} days.',
+                'history.unsupported': 'Your browser does not support a local history (IndexedDB).',
+                'history.openFailed': 'The history could not be opened.',
+                'history.storageFailed': 'The history could not be saved or read.',
+
+                'sheets.title': 'Select sheets',
+                'sheets.hintBefore': 'The file',
+                'sheets.hintAfter': 'contains several sheets. Selected sheets are combined.',
+                'sheets.remember': 'Remember selection for this profile',
+                'sheets.rowCount': '{count} rows',
+                'sheets.requiredColumnMissing': 'Booking number column not found',
+                'sheets.noHeader': '(no header row)',
+                'sheets.noneSelected': 'Please select at least one sheet.',
+
+                'processing.title': 'Processing file...',
+                'processing.wait': 'Please wait a moment.',
+                'progress.readPercent': 'Reading file: {percent} %',
+                'progress.read': 'Reading file',
+                'progress.parse': 'Loading sheets',
+                'progress.transform': 'Converting rows: {current} of {total}',
+                'progress.validate': 'Checking rows: {current} of {total}',
+                'progress.sheet': '(sheet "{sheet}")',
+                'progress.batchFile': 'File {current} of {total}: {file}',
+
+                'result.title': 'Processing complete',
+                'result.entries': 'Entries found:',
+                'result.fileName': 'File name:',
+                'result.profile': 'Profile:',
+                'result.sheets': 'Sheets:',
+                'result.format': 'Format:',
+                'result.headerRow': 'Header row:',
+                'result.validation': 'Validation:',
+                'result.multiRoom': 'Multi-room:',
+                'result.filter': 'Filter:',
+                'result.files': 'Files',
+                'result.rejected': 'Rejected',
+                'result.includeSourceFile': 'Export a "SourceFile" column with the name of the source file',
+                'result.download': 'DOWNLOAD {format}',
+                'result.submit': 'SEND',
+                'result.rejectedReport': 'DOWNLOAD REJECTED ROWS',
+                'result.newFile': 'NEW FILE',
+                'result.validationNone': 'No issues',
+                'result.validationSummary': '{warnings} rows with warnings, {rejected} rejected rows',
+                'result.groupingMerged': '{count} reservations merged from {rows} rows',
+                'result.groupingSuffixed': '{count} rows exported separately with an Id suffix',
+                'result.groupingNone': 'None',
+                'result.filterNone': 'No filter rules',
+                'result.filterRemoved': '{rule}: {count} removed',
+                'result.duplicates': '{count} duplicate bookings from several files were included only once.',
+                'result.headerRowNumber': 'Row {row}',
+                'result.footerRowSkipped': '({count} total row skipped)',
+                'result.footerRowsSkipped': '({count} total rows skipped)',
+                'export.noData': 'No data available for export.',
+                'export.failed': 'Error creating the {format} file. Please try again.',
+                'export.reportFailed': 'Error creating the report. Please try again.',
+                'export.confirmErrors': '{count} rows contain errors. Export anyway?',
+                'export.dialectExcelDe': 'Excel (semicolon, UTF-8 with BOM)',
+                'export.dialectCommaUtf8': 'Comma, UTF-8 without BOM',
+                'export.dialectTabUtf8': 'Tab, UTF-8 without BOM',
+                'export.dialectExcelDe1252': 'Semicolon, Windows-1252',
+                'export.dialectIsoQuoted': 'Comma, all fields quoted, ISO date',
+                'export.unknownDialect': 'Unknown CSV dialect: "{name}".',
+
+                'preview.title': 'Preview',
+                'preview.filterAll': 'All rows',
+                'preview.filterIssues': 'Only rows with notes',
+                'preview.filterMerged': 'Multi-room reservations',
+                'preview.filterRejected': 'Rejected rows',
+                'preview.filterFiltered': 'Filtered rows',
+                'preview.addRow': 'ADD BOOKING',
+                'preview.undo': 'UNDO',
+                'preview.undoTitle': 'Undo (Ctrl+Z)',
+                'preview.redo': 'REDO',
+                'preview.redoTitle': 'Redo (Ctrl+Y)',
+                'preview.hint': 'Click a cell to edit, Enter applies, Esc discards.',
+                'preview.row': 'Row',
+                'preview.issues': 'Notes',
+                'preview.moreRows': '... and {count} more rows',
+                'preview.newRow': 'new',
+                'preview.delete': 'Delete',
+                'preview.original': 'Original: {value}',
+                'preview.mergedFrom': 'Merged from {count} rows',
+                'preview.filteredBy': 'Filtered out: {rule}',
+                'preview.required': 'This field must not be empty.',
+                'preview.invalidCount': 'Please enter a whole number of 0 or more.',
+                'preview.invalidDate': 'Please enter a valid date in the format {format}.',
+
+                'filter.fieldDateFrom': 'Arrival',
+                'filter.fieldDateTo': 'Departure',
+                'filter.fieldStatus': 'Status',
+                'filter.fieldRoomType': 'Room type',
+                'filter.fieldRateCode': 'Rate code',
+                'filter.today': '{field} = today',
+                'filter.notIn': '{field} not in: {values}',
+                'filter.in': '{field} in: {values}',
+                'filter.unknownType': 'Unknown filter rule type: "{type}".',
+                'filter.invalidType': 'Unknown filter rule type.',
+                'filter.fieldRequired': 'The filter rule needs a field.',
+                'filter.dateRequired': 'Please enter a date or a period.',
+                'filter.dateOrder': 'The start date is after the end date.',
+                'filter.valuesRequired': 'Please enter at least one value.',
+
+                'compare.title': 'Changes since the last export',
+                'compare.with': 'Compare with',
+                'compare.button': 'COMPARE',
+                'compare.historyOption': '{time} – {file} ({count} entries)',
+                'compare.otherFile': 'Select another file...',
+                'compare.entryMissing': 'The history entry no longer exists.',
+                'compare.historySource': '{file} from {time}',
+                'compare.progress': 'Comparison file: {file}',
+                'diff.title': 'Changes',
+                'diff.added': 'New:',
+                'diff.changed': 'Changed:',
+                'diff.cancelled': 'Cancelled:',
+                'diff.removed': 'Removed:',
+                'diff.unchanged': 'Unchanged:',
+                'diff.change': 'Change',
+                'diff.details': 'Details',
+                'diff.export': 'DOWNLOAD CHANGES AS CSV',
+                'diff.source': 'Compared with {source}.',
+                'diff.none': 'No changes.',
+                'diff.noneToExport': 'No changes to export.',
+                'diff.changeAdded': 'new',
+                'diff.changeChanged': 'changed',
+                'diff.changeCancelled': 'cancelled',
+                'diff.changeRemoved': 'removed',
+
+                'error.title': 'Error',
+                'error.retry': 'TRY AGAIN',
+                'error.unknown': 'An unknown error occurred.',
+
+                'parser.readFailed': 'The file could not be read. Please try again.',
+                'parser.noSheets': 'The file does not contain any sheets.',
+                'parser.sheetNotFound': 'The sheet "{sheet}" does not exist in the Excel file.',
+                'parser.sheetPrefix': 'Sheet "{sheet}": ',
+                'parser.emptySheet': 'The Excel file is empty.',
+                'parser.noHeaderRow': 'The Excel file does not contain a valid header row.',
+                'parser.requiredColumnMissing': 'The required column "{columns}" was not found. ' +
+                    'Available columns: {available}',
+                'parser.allRowsRejected': 'All {count} rows were rejected. First error in row {row}: {message}',
+                'parser.allRowsFiltered': 'All {count} rows were removed by filter rules: {rules}',
+                'parser.noValidRows': 'No valid rows found. Make sure the column "{columns}" contains values.',
+                'parser.datesConflicting': 'The dates use inconsistent orders; read as {order}.',
+                'parser.datesAmbiguous': 'The order of day and month is ambiguous; read as {order}.',
+                'parser.orderDMY': 'day before month',
+                'parser.orderMDY': 'month before day',
+
+                'worker.libraryMissing': 'The Excel library (vendor/xlsx.full.min.js) was not found. ' +
+                    'Files cannot be read.',
+                'worker.noFile': 'No file has been read.',
+                'worker.unknownJob': 'Unknown job: "{type}".',
+                'worker.cancelled': 'Processing was cancelled.',
+                'worker.busy': 'A file is already being processed.',
+                'worker.unsupported': 'Your browser does not support background processing (Web Worker).',
+                'worker.failed': 'Background processing failed.',
+                'worker.failedMessage': 'Background processing failed: {message}',
+
+                'decoder.windows1252': 'The file is not UTF-8 encoded and was read as Windows-1252. ' +
+                    'Please check accented characters in guest names.',
+                'decoder.invalidCharacters': 'The file contains invalid characters. Some accented or special ' +
+                    'characters could not be read.',
+                'decoder.mojibake': 'The file probably contains incorrectly encoded characters (e.g. "Ã¼" instead of "ü"). ' +
+                    'Please export the file from the PMS again as UTF-8.',
+                'decoder.semicolon': 'semicolon',
+                'decoder.comma': 'comma',
+                'decoder.tab': 'tab',
+                'decoder.pipe': 'vertical bar',
+
+                'date.formatDD': 'DD',
+                'date.formatMM': 'MM',
+                'date.formatYYYY': 'YYYY',
+                'date.localesNotList': 'The date locales must be given as a list.',
+                'date.unknownLocale': 'Unknown date locale: "{locale}". Allowed are: {locales}.',
+                'date.invalidFormat': 'Invalid date format "{format}". Allowed are e.g. ' +
+                    'DD.MM.YYYY, YYYY-MM-DD or MM/DD/YYYY.',
+
+                'profile.nameRequired': 'The profile needs a name.',
+                'profile.nameNotAllowed': 'The profile name "{name}" is not allowed.',
+                'profile.notFound': 'The profile "{name}" does not exist.',
+                'profile.notFoundAvailable': 'The profile "{name}" does not exist. Available: {profiles}.',
+                'profile.defaultNotDeletable': 'The default profile cannot be deleted.',
+                'profile.mappingMissing': 'The profile "{name}" does not contain a column mapping.',
+                'profile.invalidField': 'The field "{field}" in the profile "{name}" is invalid.',
+                'profile.bookingNumberRequired': 'At least one column name must be given for "BookingNumber".',
+                'profile.unknownGroupingMode': 'Unknown mode for multi-room reservations: "{mode}".',
+                'profile.invalidNameOptions': 'The name options in the profile "{name}" are invalid.',
+                'profile.invalidFilterRules': 'The filter rules in the profile "{name}" are invalid.',
+                'profile.invalidAgeLimits': 'The age limits must be whole numbers in ascending order (babies < ' +
+                    'children < teens).',
+                'profile.invalidJson': 'The profile file is not valid JSON.',
+                'profile.noProfiles': 'The profile file does not contain any profiles.',
+
+                'validation.bookingNumberMissing': 'Booking number is missing.',
+                'validation.fieldMissing': '{field} is missing.',
+                'validation.invalidDate': '{field} "{value}" is not a valid date.',
+                'validation.departureBeforeArrival': 'Departure date is before the arrival date.',
+                'validation.notANumber': '{field} "{value}" is not a number.',
+                'validation.noGuests': 'Booking without guests.',
+                'field.BookingNumber': 'Booking number',
+                'field.NumberOfAdults': 'Adults',
+                'field.NumberOfChildren': 'Children',
+                'field.NumberOfBabys': 'Babies',
+                'field.DateFrom': 'Arrival date',
+                'field.DateTo': 'Departure date'
+            },
+
+            fr: {
+                'app.title': 'BernTicket - Téléversement',
+                'header.language': 'Langue',
+                'header.offlineChecking': 'Vérification hors ligne...',
+                'offline.ready': 'Prêt hors ligne',
+                'offline.incomplete': 'Hors ligne incomplet',
+                'offline.unavailable': 'En ligne uniquement',
+                'offline.error': 'Bibliothèque Excel manquante',
+                'update.available': 'Une nouvelle version est disponible.',
+                'update.reload': 'RECHARGER',
+                'update.reloadBlocked': 'Le rechargement est possible après le traitement.',
+
+                'common.back': 'RETOUR',
+                'common.next': 'CONTINUER',
+                'common.cancel': 'ANNULER',
+                'common.outputFormat': 'Format de sortie',
+                'common.csvDialect': 'Dialecte CSV',
+                'common.file': 'Fichier',
+                'common.profile': 'Profil',
+                'common.entries': 'Entrées',
+                'common.status': 'Statut',
+                'common.quotedOr': ' » ou « ',
+                'common.moveUp': 'Monter',
+                'common.remove': 'Supprimer',
+                'common.empty': '(vide)',
+
+                'upload.title': 'Fichier Excel ou CSV',
+                'upload.settings': 'Paramètres',
+                'upload.history': 'Historique',
+                'upload.invalidFile': 'Veuillez sélectionner un fichier valide (.xlsx, .xls, .ods, .csv ou .tsv).',
+                'upload.notAFile': 'Fichier non valide (.xlsx, .xls, .ods, .csv ou .tsv).',
+
+                'settings.mappingTitle': 'Correspondance des colonnes',
+                'settings.editProfile': 'Modifier le profil',
+                'settings.profileName': 'Nom du profil',
+                'settings.csvField': 'Champ CSV',
+                'settings.excelColumns': 'Noms de colonnes Excel (séparés par des virgules)',
+                'settings.multiRoom': 'Réservations de plusieurs chambres',
+                'settings.sameBookingNumber': 'Lignes avec le même numéro de réservation',
+                'settings.groupingMerge': 'Fusionner en une seule réservation',
+                'settings.groupingSuffix': 'Garder séparées, Id avec suffixe (-1, -2, ...)',
+                'settings.guestNames': 'Noms des clients',
+                'settings.nameNormalize': 'Uniformiser (« MÜLLER, Hans » → « Hans Müller », sans civilités comme « M. » ou « Mr. »)',
+                'settings.nameSplit': 'Exporter aussi le prénom et le nom en FirstName et LastName',
+                'settings.nameTransliterate': 'Remplacer trémas et accents (ASCII uniquement, p. ex. « Müller » → « Mueller »)',
+                'settings.fieldTransforms': 'Règles de champ',
+                'settings.fieldTransformsHint': 'Les étapes sont appliquées dans l’ordre, l’Id en dernier. L’aperçu montre les premières lignes du dernier fichier lu.',
+                'settings.transformStep': 'Étape',
+                'settings.transformTrim': 'Supprimer les espaces',
+                'settings.transformReplace': 'Rechercher et remplacer',
+                'settings.transformStripLeading': 'Supprimer les caractères initiaux',
+                'settings.transformPad': 'Compléter à gauche',
+                'settings.transformPrefix': 'Ajouter un préfixe',
+                'settings.transformSuffix': 'Ajouter un suffixe',
+                'settings.transformConstant': 'Valeur fixe',
+                'settings.transformConcat': 'Concaténer des champs',
+                'settings.transformPattern': 'Motif (expression régulière)',
+                'settings.transformReplacement': 'Remplacer par',
+                'settings.transformCharacter': 'Caractère',
+                'settings.transformCount': 'Nombre (0 = tous)',
+                'settings.transformLength': 'Longueur',
+                'settings.transformValue': 'Valeur',
+                'settings.transformFields': 'Champs (séparés par des virgules)',
+                'settings.transformSeparator': 'Séparateur',
+                'settings.addTransform': 'AJOUTER UNE ÉTAPE',
+                'settings.resetTransforms': 'Rétablir les règles par défaut',
+                'settings.transformBefore': 'Source',
+                'settings.transformAfter': 'Résultat',
+                'settings.transformsEmpty': 'Aucune étape – la valeur est reprise telle quelle.',
+                'settings.transformAdded': 'Étape ajoutée. Enregistrez le profil pour l’appliquer.',
+                'settings.transformsReset': 'Règles par défaut rétablies. Enregistrez le profil pour les appliquer.',
+                'transform.trim': 'Supprimer les espaces au début et à la fin',
+                'transform.replace': 'Remplacer /{pattern}/ par « {replacement} »',
+                'transform.stripLeadingAll': 'Supprimer les « {character} » initiaux (tous)',
+                'transform.stripLeadingMax': 'Supprimer les « {character} » initiaux (au plus {count})',
+                'transform.pad': 'Compléter à gauche avec « {character} » jusqu’à {length} caractères',
+                'transform.prefix': 'Ajouter le préfixe « {value} »',
+                'transform.suffix': 'Ajouter le suffixe « {value} »',
+                'transform.constant': 'Valeur fixe « {value} »',
+                'transform.concat': 'Concaténer des champs : {fields}',
+                'transform.concatSeparator': 'Concaténer des champs : {fields} (séparateur « {separator} »)',
+                'transform.unknownType': 'Étape inconnue : « {type} ».',
+                'transform.invalidType': 'Étape inconnue.',
+                'transform.patternRequired': 'Veuillez indiquer un motif.',
+                'transform.patternInvalid': 'Le motif « {pattern} » n’est pas une expression régulière valide.',
+                'transform.characterRequired': 'Veuillez indiquer exactement un caractère.',
+                'transform.invalidCount': 'Le nombre doit être un entier à partir de 0 (0 = tous).',
+                'transform.invalidLength': 'La longueur doit être comprise entre 1 et {max}.',
+                'transform.valueRequired': 'Veuillez indiquer une valeur.',
+                'transform.fieldsRequired': 'Veuillez indiquer au moins un champ.',
+                'transform.unknownField': 'Champ inconnu : « {name} ».',
+                'transform.fieldOrder': '{field} ne peut pas utiliser « {name} », car ce champ est transformé après.',
+                'transform.invalidRules': 'Les règles de champ ne sont pas valides.',
+                'transform.fieldNotAllowed': 'Aucune règle de champ n’est possible pour le champ « {field} ».',
+                'transform.invalidFieldRules': 'Les règles du champ « {field} » ne sont pas valides.',
+                'settings.dates': 'Dates',
+                'settings.inputLocales': 'Locales d\'entrée (séparées par des virgules)',
+                'settings.dateFormatDMYDot': 'JJ.MM.AAAA',
+                'settings.dateFormatYMD': 'AAAA-MM-JJ',
+                'settings.dateFormatDMYSlash': 'JJ/MM/AAAA',
+                'settings.dateFormatMDY': 'MM/JJ/AAAA',
+                'settings.localesHint': 'Disponibles : de, fr, it, en-GB (jour avant mois) et en-US (mois avant jour). ' +
+                    'La première locale décide pour les dates ambiguës comme 01/02/2026.',
+                'settings.export': 'Export',
+                'settings.fileNameTemplate': 'Nom de fichier (sans extension)',
+                'settings.fileNamePlaceholders': 'Espaces réservés : {placeholders}',
+                'fileName.date': 'Date (JJ.MM.AAAA)',
+                'fileName.isodate': 'Date (AAAA-MM-JJ)',
+                'fileName.hotel': 'Nom du profil',
+                'fileName.source': 'Nom du fichier source sans extension',
+                'fileName.templateRequired': 'Le modèle de nom de fichier ne peut pas être vide.',
+                'fileName.unknownPlaceholder': 'Espace réservé inconnu dans le modèle de nom de fichier : {name}. ' +
+                    'Sont autorisés : {placeholders}.',
+                'settings.filterRules': 'Règles de filtrage',
+                'settings.rule': 'Règle',
+                'settings.ruleToday': 'Arrivée aujourd\'hui',
+                'settings.ruleDate': 'Arrivée dans la période',
+                'settings.ruleExclude': 'Exclure des valeurs',
+                'settings.ruleInclude': 'Autoriser seulement des valeurs',
+                'settings.field': 'Champ',
+                'settings.fieldRoomType': 'Type de chambre',
+                'settings.fieldRateCode': 'Code tarifaire',
+                'settings.values': 'Valeurs (séparées par des virgules)',
+                'settings.from': 'Du',
+                'settings.to': 'Au',
+                'settings.addRule': 'AJOUTER UNE RÈGLE',
+                'settings.filterRulesEmpty': 'Aucune règle de filtre – toutes les lignes sont reprises.',
+                'settings.ruleAdded': 'Règle ajoutée. Enregistrez le profil pour l’appliquer.',
+                'settings.ageLimits': 'Limites d\'âge (incluses)',
+                'settings.babyMaxAge': 'Bébés jusqu\'à l\'âge de',
+                'settings.childMaxAge': 'Enfants jusqu\'à l\'âge de',
+                'settings.teenMaxAge': 'Adolescents jusqu\'à l\'âge de',
+                'settings.saveProfile': 'ENREGISTRER LE PROFIL',
+                'settings.newProfile': 'NOUVEAU PROFIL',
+                'settings.deleteProfile': 'SUPPRIMER LE PROFIL',
+                'settings.exportProfiles': 'EXPORTER LES PROFILS',
+                'settings.importProfiles': 'IMPORTER DES PROFILS',
+                'settings.profileSaved': 'Profil « {name} » enregistré.',
+                'settings.profileDeleted': 'Profil « {name} » supprimé.',
+                'settings.profilesImported': '{count} profil(s) importé(s) : {names}',
+
+                'submission.title': 'Système de billetterie',
+                'submission.hint': '« ENVOYER » transmet les réservations à cette adresse par HTTP POST. ' +
+                    'Sans connexion Internet, l\'envoi se fait automatiquement dès que l\'appareil est de nouveau en ligne.',
+                'submission.url': 'Adresse (vide = envoi désactivé)',
+                'submission.format': 'Format',
+                'submission.headerName': 'En-tête d\'authentification',
+                'submission.headerValue': 'Valeur (p. ex. « Bearer ... »)',
+                'submission.save': 'ENREGISTRER LA CONNEXION',
+                'submission.saved': 'Connexion enregistrée.',
+                'submission.savedDisabled': 'Connexion enregistrée. L’envoi est désactivé.',
+                'submission.sending': 'Envoi en cours...',
+                'submission.sent': 'Envoyé (HTTP {status}) : {count} réservations en tant que {file}.',
+                'submission.pending': 'En attente de connexion, sera renvoyé automatiquement.',
+                'submission.pendingError': 'En attente de connexion, sera renvoyé automatiquement ({error}).',
+                'submission.failed': 'Non envoyé : {error}',
+                'submission.urlIncomplete': 'Veuillez indiquer une adresse complète (p. ex. ' +
+                    'https://tickets.example.ch/import).',
+                'submission.urlProtocol': 'L\'adresse doit commencer par https:// ou http://.',
+                'submission.invalidFormat': 'Format non valide : « {format} ».',
+                'submission.invalidHeaderName': 'Veuillez indiquer un nom valide pour l\'en-tête d\'authentification ' +
+                    '(p. ex. Authorization).',
+                'submission.notConfigured': 'Aucun système de tickets n\'est configuré.',
+                'submission.timeout': 'Délai d\'attente dépassé.',
+                'submission.noConnection': 'Pas de connexion au serveur.',
+                'submission.httpError': 'Le serveur a répondu avec HTTP {status}.',
+                'submission.queueUnsupported': 'Votre navigateur ne prend pas en charge de file d\'attente pour les ' +
+                    'envois (IndexedDB).',
+                'submission.queueOpenFailed': 'La file d\'attente des envois n\'a pas pu être ouverte.',
+                'submission.queueStorageFailed': 'La file d\'attente n\'a pas pu être enregistrée ou lue.',
+                'privacy.title': 'Protection des données',
+                'privacy.hint': 'S’applique à cet appareil. En mode protection des données, les noms des clients sont remplacés ou omis lors du téléchargement et de l’envoi, et les conversions ne sont pas enregistrées dans l’historique. L’activation supprime l’historique existant.',
+                'privacy.enabled': 'Activer le mode protection des données',
+                'privacy.nameMode': 'Noms des clients dans l’export',
+                'privacy.nameHash': 'En valeur de hachage (SHA-256 avec sel)',
+                'privacy.nameReplace': 'Remplacer par un texte de substitution',
+                'privacy.nameDrop': 'Omettre',
+                'privacy.salt': 'Sel',
+                'privacy.replacement': 'Texte de substitution',
+                'privacy.idleMinutes': 'Effacer les données après inactivité (minutes, 0 = jamais)',
+                'privacy.clearAfterDownload': 'Effacer les données après le téléchargement',
+                'privacy.save': 'ENREGISTRER LA PROTECTION DES DONNÉES',
+                'privacy.clearedDownload': 'Données effacées : les réservations lues ont été supprimées de la mémoire après le téléchargement.',
+                'privacy.clearedIdle': 'Données effacées : les réservations lues ont été supprimées de la mémoire après {minutes} minutes d’inactivité.',
+                'privacy.saved': 'Mode protection des données enregistré.',
+                'privacy.savedDisabled': 'Enregistré. Le mode protection des données est désactivé.',
+                'privacy.invalidNameMode': 'Traitement des noms des clients non valide : « {mode} ».',
+                'privacy.replacementRequired': 'Veuillez indiquer un texte de remplacement pour les noms des clients.',
+                'privacy.saltRequired': 'Veuillez indiquer un sel pour les valeurs de hachage.',
+                'privacy.invalidIdleMinutes': 'Le délai doit être compris entre 0 et {max} minutes (0 = ne jamais effacer).',
+
+                'history.title': 'Historique',
+                'history.hint': 'Les conversions passées sont enregistrées uniquement sur cet appareil et supprimées ' +
+                    'automatiquement à la fin de la durée de conservation.',
+                'history.retention': 'Conserver',
+                'history.time': 'Heure',
+                'history.warnings': 'Avertissements',
+                'history.clear': 'EFFACER L\'HISTORIQUE',
+                'history.day': '1 jour',
+                'history.days': '{count} jours',
+                'history.empty': 'Aucune conversion enregistrée.',
+                'history.download': 'Télécharger',
+                'history.delete': 'Supprimer',
+                'history.exportFailed': 'Erreur lors de la création du fichier {format}.',
+                'history.entryDeleted': 'Entrée supprimée.',
+                'history.confirmClear': 'Supprimer toutes les conversions enregistrées ?',
+                'history.cleared': 'L’historique a été supprimé.',
+                'history.retentionChanged': 'Durée de conservation modifiée.',
+                'history.retentionChangedRemoved': 'Durée de conservation modifiée, {count} entrées plus anciennes supprimées.',
+                'history.invalidRetention': 'Durée de conservation non valide : {days} jours.',
+                'history.unsupported': 'Votre navigateur ne prend pas en charge d\'historique local (IndexedDB).',
+                'history.openFailed': 'L\'historique n\'a pas pu être ouvert.',
+                'history.storageFailed': 'L\'historique n\'a pas pu être enregistré ou lu.',
+
+                'sheets.title': 'Choisir les feuilles',
+                'sheets.hintBefore': 'Le fichier',
+                'sheets.hintAfter': 'contient plusieurs feuilles. Les feuilles choisies sont combinées.',
+                'sheets.remember': 'Mémoriser la sélection pour ce profil',
+                'sheets.rowCount': '{count} lignes',
+                'sheets.requiredColumnMissing': 'Colonne du numéro de réservation non reconnue',
+                'sheets.noHeader': '(pas de ligne d’en-tête)',
+                'sheets.noneSelected': 'Veuillez sélectionner au moins une feuille.',
+
+                'processing.title': 'Traitement du fichier...',
+                'processing.wait': 'Veuillez patienter un instant.',
+                'progress.readPercent': 'Lecture du fichier : {percent} %',
+                'progress.read': 'Lecture du fichier',
+                'progress.parse': 'Chargement des feuilles',
+                'progress.transform': 'Conversion des lignes : {current} sur {total}',
+                'progress.validate': 'Vérification des lignes : {current} sur {total}',
+                'progress.sheet': '(feuille « {sheet} »)',
+                'progress.batchFile': 'Fichier {current} sur {total} : {file}',
+
+                'result.title': 'Traitement réussi',
+                'result.entries': 'Entrées trouvées :',
+                'result.fileName': 'Nom du fichier :',
+                'result.profile': 'Profil :',
+                'result.sheets': 'Feuilles :',
+                'result.format': 'Format :',
+                'result.headerRow': 'Ligne d\'en-tête :',
+                'result.validation': 'Vérification :',
+                'result.multiRoom': 'Plusieurs chambres :',
+                'result.filter': 'Filtre :',
+                'result.files': 'Fichiers',
+                'result.rejected': 'Rejetées',
+                'result.includeSourceFile': 'Exporter une colonne « SourceFile » avec le nom du fichier source',
+                'result.download': 'TÉLÉCHARGER {format}',
+                'result.submit': 'ENVOYER',
+                'result.rejectedReport': 'TÉLÉCHARGER LES LIGNES REJETÉES',
+                'result.newFile': 'NOUVEAU FICHIER',
+                'result.validationNone': 'Aucune anomalie',
+                'result.validationSummary': '{warnings} lignes avec avertissements, {rejected} lignes rejetées',
+                'result.groupingMerged': '{count} réservations fusionnées à partir de {rows} lignes',
+                'result.groupingSuffixed': '{count} lignes exportées séparément avec un suffixe d’Id',
+                'result.groupingNone': 'Aucune',
+                'result.filterNone': 'Aucune règle de filtre',
+                'result.filterRemoved': '{rule} : {count} supprimées',
+                'result.duplicates': '{count} réservations en double provenant de plusieurs fichiers n’ont été reprises qu’une fois.',
+                'result.headerRowNumber': 'Ligne {row}',
+                'result.footerRowSkipped': '({count} ligne de total ignorée)',
+                'result.footerRowsSkipped': '({count} lignes de total ignorées)',
+                'export.noData': 'Aucune donnée disponible pour l’exportation.',
+                'export.failed': 'Erreur lors de la création du fichier {format}. Veuillez réessayer.',
+                'export.reportFailed': 'Erreur lors de la création du rapport. Veuillez réessayer.',
+                'export.confirmErrors': '{count} lignes contiennent des erreurs. Exporter quand même ?',
+                'export.dialectExcelDe': 'Excel (point-virgule, UTF-8 avec BOM)',
+                'export.dialectCommaUtf8': 'Virgule, UTF-8 sans BOM',
+                'export.dialectTabUtf8': 'Tabulation, UTF-8 sans BOM',
+                'export.dialectExcelDe1252': 'Point-virgule, Windows-1252',
+                'export.dialectIsoQuoted': 'Virgule, tous les champs entre guillemets, date ISO',
+                'export.unknownDialect': 'Dialecte CSV inconnu : « {name} ».',
+
+                'preview.title': 'Aperçu',
+                'preview.filterAll': 'Toutes les lignes',
+                'preview.filterIssues': 'Seulement les lignes avec remarques',
+                'preview.filterMerged': 'Réservations de plusieurs chambres',
+                'preview.filterRejected': 'Lignes rejetées',
+                'preview.filterFiltered': 'Lignes filtrées',
+                'preview.addRow': 'AJOUTER UNE RÉSERVATION',
+                'preview.undo': 'ANNULER',
+                'preview.undoTitle': 'Annuler (Ctrl+Z)',
+                'preview.redo': 'RÉTABLIR',
+                'preview.redoTitle': 'Rétablir (Ctrl+Y)',
+                'preview.hint': 'Cliquer sur une cellule pour la modifier, Entrée valide, Échap annule.',
+                'preview.row': 'Ligne',
+                'preview.issues': 'Remarques',
+                'preview.moreRows': '... et {count} lignes de plus',
+                'preview.newRow': 'nouvelle',
+                'preview.delete': 'Supprimer',
+                'preview.original': 'Valeur d\'origine : {value}',
+                'preview.mergedFrom': 'Fusionnée à partir de {count} lignes',
+                'preview.filteredBy': 'Filtrée : {rule}',
+                'preview.required': 'Ce champ ne peut pas être vide.',
+                'preview.invalidCount': 'Veuillez saisir un nombre entier à partir de 0.',
+                'preview.invalidDate': 'Veuillez saisir une date valide au format {format}.',
+
+                'filter.fieldDateFrom': 'Arrivée',
+                'filter.fieldDateTo': 'Départ',
+                'filter.fieldStatus': 'Statut',
+                'filter.fieldRoomType': 'Type de chambre',
+                'filter.fieldRateCode': 'Code tarifaire',
+                'filter.today': '{field} = aujourd\'hui',
+                'filter.notIn': '{field} hors de : {values}',
+                'filter.in': '{field} parmi : {values}',
+                'filter.unknownType': 'Type de règle de filtre inconnu : « {type} ».',
+                'filter.invalidType': 'Type de règle de filtre inconnu.',
+                'filter.fieldRequired': 'La règle de filtre nécessite un champ.',
+                'filter.dateRequired': 'Veuillez indiquer une date ou une période.',
+                'filter.dateOrder': 'La date de début est postérieure à la date de fin.',
+                'filter.valuesRequired': 'Veuillez indiquer au moins une valeur.',
+
+                'compare.title': 'Modifications depuis le dernier export',
+                'compare.with': 'Comparer avec',
+                'compare.button': 'COMPARER',
+                'compare.historyOption': '{time} – {file} ({count} entrées)',
+                'compare.otherFile': 'Choisir un autre fichier...',
+                'compare.entryMissing': 'L’entrée de l’historique n’existe plus.',
+                'compare.historySource': '{file} du {time}',
+                'compare.progress': 'Fichier de comparaison : {file}',
+                'diff.title': 'Modifications',
+                'diff.added': 'Nouvelles :',
+                'diff.changed': 'Modifiées :',
+                'diff.cancelled': 'Annulées :',
+                'diff.removed': 'Supprimées :',
+                'diff.unchanged': 'Inchangées :',
+                'diff.change': 'Modification',
+                'diff.details': 'Détails',
+                'diff.export': 'TÉLÉCHARGER LES MODIFICATIONS EN CSV',
+                'diff.source': 'Comparé avec {source}.',
+                'diff.none': 'Aucune modification.',
+                'diff.noneToExport': 'Aucune modification à exporter.',
+                'diff.changeAdded': 'nouvelle',
+                'diff.changeChanged': 'modifiée',
+                'diff.changeCancelled': 'annulée',
+                'diff.changeRemoved': 'supprimée',
+
+                'error.title': 'Erreur',
+                'error.retry': 'RÉESSAYER',
+                'error.unknown': 'Une erreur inconnue s’est produite.',
+
+                'parser.readFailed': 'Erreur lors de la lecture du fichier. Veuillez réessayer.',
+                'parser.noSheets': 'Le fichier ne contient aucune feuille.',
+                'parser.sheetNotFound': 'La feuille « {sheet} » n\'existe pas dans le fichier Excel.',
+                'parser.sheetPrefix': 'Feuille « {sheet} » : ',
+                'parser.emptySheet': 'Le fichier Excel est vide.',
+                'parser.noHeaderRow': 'Le fichier Excel ne contient pas de ligne d\'en-tête valide.',
+                'parser.requiredColumnMissing': 'La colonne obligatoire « {columns} » est introuvable. ' +
+                    'Colonnes disponibles : {available}',
+                'parser.allRowsRejected': 'Les {count} lignes ont toutes été rejetées. Première erreur à la ligne {row} : {message}',
+                'parser.allRowsFiltered': 'Les {count} lignes ont toutes été supprimées par les règles de filtrage : {rules}',
+                'parser.noValidRows': 'Aucune ligne valide trouvée. Vérifiez que la colonne « {columns} » contient des valeurs.',
+                'parser.datesConflicting': 'Les dates utilisent des ordres différents ; lues comme {order}.',
+                'parser.datesAmbiguous': 'L\'ordre du jour et du mois est ambigu ; lues comme {order}.',
+                'parser.orderDMY': 'jour avant mois',
+                'parser.orderMDY': 'mois avant jour',
+
+                'worker.libraryMissing': 'La bibliothèque Excel (vendor/xlsx.full.min.js) est introuvable. ' +
+                    'Les fichiers ne peuvent pas être lus.',
+                'worker.noFile': 'Aucun fichier n\'a été lu.',
+                'worker.unknownJob': 'Tâche inconnue : « {type} ».',
+                'worker.cancelled': 'Le traitement a été annulé.',
+                'worker.busy': 'Un fichier est déjà en cours de traitement.',
+                'worker.unsupported': 'Votre navigateur ne prend pas en charge le traitement en arrière-plan (Web Worker).',
+                'worker.failed': 'Le traitement en arrière-plan a échoué.',
+                'worker.failedMessage': 'Le traitement en arrière-plan a échoué : {message}',
+
+                'decoder.windows1252': 'Le fichier n\'est pas encodé en UTF-8 et a été lu en Windows-1252. ' +
+                    'Veuillez vérifier les accents dans les noms des clients.',
+                'decoder.invalidCharacters': 'Le fichier contient des caractères invalides. Certains accents ou ' +
+                    'caractères spéciaux n\'ont pas pu être lus.',
+                'decoder.mojibake': 'Le fichier contient probablement des caractères mal encodés (p. ex. « Ã¼ » au lieu de « ü »). ' +
+                    'Veuillez exporter à nouveau le fichier du PMS en UTF-8.',
+                'decoder.semicolon': 'point-virgule',
+                'decoder.comma': 'virgule',
+                'decoder.tab': 'tabulation',
+                'decoder.pipe': 'barre verticale',
+
+                'date.formatDD': 'JJ',
+                'date.formatMM': 'MM',
+                'date.formatYYYY': 'AAAA',
+                'date.localesNotList': 'Les paramètres régionaux des dates doivent être indiqués sous forme de liste.',
+                'date.unknownLocale': 'Paramètre régional de date inconnu : « {locale} ». Sont autorisés : {locales}.',
+                'date.invalidFormat': 'Format de date « {format} » non valide. Sont autorisés p. ex. ' +
+                    'DD.MM.YYYY, YYYY-MM-DD ou MM/DD/YYYY.',
+
+                'profile.nameRequired': 'Le profil nécessite un nom.',
+                'profile.nameNotAllowed': 'Le nom de profil « {name} » n\'est pas autorisé.',
+                'profile.notFound': 'Le profil « {name} » n\'existe pas.',
+                'profile.notFoundAvailable': 'Le profil « {name} » n\'existe pas. Disponibles : {profiles}.',
+                'profile.defaultNotDeletable': 'Le profil par défaut ne peut pas être supprimé.',
+                'profile.mappingMissing': 'Le profil « {name} » ne contient aucune correspondance de colonnes.',
+                'profile.invalidField': 'Le champ « {field} » du profil « {name} » n\'est pas valide.',
+                'profile.bookingNumberRequired': 'Au moins un nom de colonne doit être indiqué pour « BookingNumber ».',
+                'profile.unknownGroupingMode': 'Mode inconnu pour les réservations de plusieurs chambres : « {mode} ».',
+                'profile.invalidNameOptions': 'Les options de nom du profil « {name} » ne sont pas valides.',
+                'profile.invalidFilterRules': 'Les règles de filtrage du profil « {name} » ne sont pas valides.',
+                'profile.invalidAgeLimits': 'Les limites d\'âge doivent être des nombres entiers croissants (bébés < ' +
+                    'enfants < adolescents).',
+                'profile.invalidJson': 'Le fichier de profils n\'est pas un JSON valide.',
+                'profile.noProfiles': 'Le fichier de profils ne contient aucun profil.',
+
+                'validation.bookingNumberMissing': 'Numéro de réservation manquant.',
+                'validation.fieldMissing': '{field} manquante.',
+                'validation.invalidDate': '{field} « {value} » n\'est pas une date valide.',
+                'validation.departureBeforeArrival': 'La date de départ précède la date d\'arrivée.',
+                'validation.notANumber': '{field} « {value} » n\'est pas un nombre.',
+                'validation.noGuests': 'Réservation sans clients.',
+                'field.BookingNumber': 'Numéro de réservation',
+                'field.NumberOfAdults': 'Adultes',
+                'field.NumberOfChildren': 'Enfants',
+                'field.NumberOfBabys': 'Bébés',
+                'field.DateFrom': 'Date d\'arrivée',
+                'field.DateTo': 'Date de départ'
+            },
+
+            it: {
+                'app.title': 'BernTicket - Caricamento',
+                'header.language': 'Lingua',
+                'header.offlineChecking': 'Verifica offline...',
+                'offline.ready': 'Pronto offline',
+                'offline.incomplete': 'Offline incompleto',
+                'offline.unavailable': 'Solo online',
+                'offline.error': 'Libreria Excel mancante',
+                'update.available': 'È disponibile una nuova versione.',
+                'update.reload': 'RICARICA',
+                'update.reloadBlocked': 'È possibile ricaricare al termine dell’elaborazione.',
+
+                'common.back': 'INDIETRO',
+                'common.next': 'AVANTI',
+                'common.cancel': 'ANNULLA',
+                'common.outputFormat': 'Formato di output',
+                'common.csvDialect': 'Dialetto CSV',
+                'common.file': 'File',
+                'common.profile': 'Profilo',
+                'common.entries': 'Voci',
+                'common.status': 'Stato',
+                'common.quotedOr': '" o "',
+                'common.moveUp': 'Sposta su',
+                'common.remove': 'Rimuovi',
+                'common.empty': '(vuoto)',
+
+                'upload.title': 'File Excel o CSV',
+                'upload.settings': 'Impostazioni',
+                'upload.history': 'Cronologia',
+                'upload.invalidFile': 'Selezionare un file valido (.xlsx, .xls, .ods, .csv o .tsv).',
+                'upload.notAFile': 'File non valido (.xlsx, .xls, .ods, .csv o .tsv).',
+
+                'settings.mappingTitle': 'Mappatura delle colonne',
+                'settings.editProfile': 'Modifica profilo',
+                'settings.profileName': 'Nome del profilo',
+                'settings.csvField': 'Campo CSV',
+                'settings.excelColumns': 'Nomi delle colonne Excel (separati da virgole)',
+                'settings.multiRoom': 'Prenotazioni di più camere',
+                'settings.sameBookingNumber': 'Righe con lo stesso numero di prenotazione',
+                'settings.groupingMerge': 'Unire in una prenotazione',
+                'settings.groupingSuffix': 'Tenere separate, Id con suffisso (-1, -2, ...)',
+                'settings.guestNames': 'Nomi degli ospiti',
+                'settings.nameNormalize': 'Uniformare ("MÜLLER, Hans" → "Hans Müller", senza titoli come "Sig." o "Mr.")',
+                'settings.nameSplit': 'Esportare anche nome e cognome come FirstName e LastName',
+                'settings.nameTransliterate': 'Sostituire umlaut e accenti (solo ASCII, p. es. "Müller" → "Mueller")',
+                'settings.fieldTransforms': 'Regole dei campi',
+                'settings.fieldTransformsHint': 'I passi vengono applicati in ordine, l’Id per ultimo. L’anteprima mostra le prime righe dell’ultimo file letto.',
+                'settings.transformStep': 'Passo',
+                'settings.transformTrim': 'Rimuovere gli spazi',
+                'settings.transformReplace': 'Cerca e sostituisci',
+                'settings.transformStripLeading': 'Rimuovere i caratteri iniziali',
+                'settings.transformPad': 'Riempire a sinistra',
+                'settings.transformPrefix': 'Aggiungere un prefisso',
+                'settings.transformSuffix': 'Aggiungere un suffisso',
+                'settings.transformConstant': 'Valore fisso',
+                'settings.transformConcat': 'Unire campi',
+                'settings.transformPattern': 'Modello (espressione regolare)',
+                'settings.transformReplacement': 'Sostituire con',
+                'settings.transformCharacter': 'Carattere',
+                'settings.transformCount': 'Numero (0 = tutti)',
+                'settings.transformLength': 'Lunghezza',
+                'settings.transformValue': 'Valore',
+                'settings.transformFields': 'Campi (separati da virgola)',
+                'settings.transformSeparator': 'Separatore',
+                'settings.addTransform': 'AGGIUNGI PASSO',
+                'settings.resetTransforms': 'Ripristinare le regole predefinite',
+                'settings.transformBefore': 'Origine',
+                'settings.transformAfter': 'Risultato',
+                'settings.transformsEmpty': 'Nessun passo – il valore viene ripreso invariato.',
+                'settings.transformAdded': 'Passo aggiunto. Salvare il profilo per applicarlo.',
+                'settings.transformsReset': 'Regole predefinite ripristinate. Salvare il profilo per applicarle.',
+                'transform.trim': 'Rimuovere gli spazi all’inizio e alla fine',
+                'transform.replace': 'Sostituire /{pattern}/ con "{replacement}"',
+                'transform.stripLeadingAll': 'Rimuovere i "{character}" iniziali (tutti)',
+                'transform.stripLeadingMax': 'Rimuovere i "{character}" iniziali (al massimo {count})',
+                'transform.pad': 'Riempire a sinistra con "{character}" fino a {length} caratteri',
+                'transform.prefix': 'Aggiungere il prefisso "{value}"',
+                'transform.suffix': 'Aggiungere il suffisso "{value}"',
+                'transform.constant': 'Valore fisso "{value}"',
+                'transform.concat': 'Unire campi: {fields}',
+                'transform.concatSeparator': 'Unire campi: {fields} (separatore "{separator}")',
+                'transform.unknownType': 'Passo sconosciuto: "{type}".',
+                'transform.invalidType': 'Passo sconosciuto.',
+                'transform.patternRequired': 'Indicare un modello di ricerca.',
+                'transform.patternInvalid': 'Il modello "{pattern}" non è un’espressione regolare valida.',
+                'transform.characterRequired': 'Indicare esattamente un carattere.',
+                'transform.invalidCount': 'Il numero deve essere un intero a partire da 0 (0 = tutti).',
+                'transform.invalidLength': 'La lunghezza deve essere compresa tra 1 e {max}.',
+                'transform.valueRequired': 'Indicare un valore.',
+                'transform.fieldsRequired': 'Indicare almeno un campo.',
+                'transform.unknownField': 'Campo sconosciuto: "{name}".',
+                'transform.fieldOrder': '{field} non può usare "{name}" perché viene trasformato dopo.',
+                'transform.invalidRules': 'Le regole dei campi non sono valide.',
+                'transform.fieldNotAllowed': 'Per il campo "{field}" non sono possibili regole.',
+                'transform.invalidFieldRules': 'Le regole del campo "{field}" non sono valide.',
+                'settings.dates': 'Date',
+                'settings.inputLocales': 'Locale di input (separate da virgole)',
+                'settings.dateFormatDMYDot': 'GG.MM.AAAA',
+                'settings.dateFormatYMD': 'AAAA-MM-GG',
+                'settings.dateFormatDMYSlash': 'GG/MM/AAAA',
+                'settings.dateFormatMDY': 'MM/GG/AAAA',
+                'settings.localesHint': 'Disponibili: de, fr, it, en-GB (giorno prima del mese) e en-US (mese prima del giorno). ' +
+                    'La prima locale decide per date ambigue come 01/02/2026.',
+                'settings.export': 'Esportazione',
+                'settings.fileNameTemplate': 'Nome del file (senza estensione)',
+                'settings.fileNamePlaceholders': 'Segnaposto: {placeholders}',
+                'fileName.date': 'Data (GG.MM.AAAA)',
+                'fileName.isodate': 'Data (AAAA-MM-GG)',
+                'fileName.hotel': 'Nome del profilo',
+                'fileName.source': 'Nome del file di origine senza estensione',
+                'fileName.templateRequired': 'Il modello del nome del file non può essere vuoto.',
+                'fileName.unknownPlaceholder': 'Segnaposto sconosciuto nel modello del nome del file: {name}. ' +
+                    'Sono ammessi: {placeholders}.',
+                'settings.filterRules': 'Regole di filtro',
+                'settings.rule': 'Regola',
+                'settings.ruleToday': 'Arrivo oggi',
+                'settings.ruleDate': 'Arrivo nel periodo',
+                'settings.ruleExclude': 'Escludere valori',
+                'settings.ruleInclude': 'Consentire solo valori',
+                'settings.field': 'Campo',
+                'settings.fieldRoomType': 'Tipo di camera',
+                'settings.fieldRateCode': 'Codice tariffa',
+                'settings.values': 'Valori (separati da virgole)',
+                'settings.from': 'Dal',
+                'settings.to': 'Al',
+                'settings.addRule': 'AGGIUNGI REGOLA',
+                'settings.filterRulesEmpty': 'Nessuna regola di filtro – tutte le righe vengono riprese.',
+                'settings.ruleAdded': 'Regola aggiunta. Salvare il profilo per applicarla.',
+                'settings.ageLimits': 'Limiti di età (inclusi)',
+                'settings.babyMaxAge': 'Neonati fino all\'età di',
+                'settings.childMaxAge': 'Bambini fino all\'età di',
+                'settings.teenMaxAge': 'Ragazzi fino all\'età di',
+                'settings.saveProfile': 'SALVA PROFILO',
+                'settings.newProfile': 'NUOVO PROFILO',
+                'settings.deleteProfile': 'ELIMINA PROFILO',
+                'settings.exportProfiles': 'ESPORTA PROFILI',
+                'settings.importProfiles': 'IMPORTA PROFILI',
+                'settings.profileSaved': 'Profilo "{name}" salvato.',
+                'settings.profileDeleted': 'Profilo "{name}" eliminato.',
+                'settings.profilesImported': '{count} profilo/i importato/i: {names}',
+
+                'submission.title': 'Sistema di biglietteria',
+                'submission.hint': '"INVIA" trasmette le prenotazioni a questo indirizzo tramite HTTP POST. ' +
+                    'Senza connessione Internet l\'invio avviene automaticamente non appena il dispositivo è di nuovo online.',
+                'submission.url': 'Indirizzo (vuoto = invio disattivato)',
+                'submission.format': 'Formato',
+                'submission.headerName': 'Header di autenticazione',
+                'submission.headerValue': 'Valore (p. es. "Bearer ...")',
+                'submission.save': 'SALVA CONNESSIONE',
+                'submission.saved': 'Connessione salvata.',
+                'submission.savedDisabled': 'Connessione salvata. L’invio è disattivato.',
+                'submission.sending': 'Invio in corso...',
+                'submission.sent': 'Inviato (HTTP {status}): {count} prenotazioni come {file}.',
+                'submission.pending': 'In attesa di connessione, verrà reinviato automaticamente.',
+                'submission.pendingError': 'In attesa di connessione, verrà reinviato automaticamente ({error}).',
+                'submission.failed': 'Non inviato: {error}',
+                'submission.urlIncomplete': 'Indicare un indirizzo completo (p. es. https://tickets.example.ch/import).',
+                'submission.urlProtocol': 'L\'indirizzo deve iniziare con https:// o http://.',
+                'submission.invalidFormat': 'Formato non valido: "{format}".',
+                'submission.invalidHeaderName': 'Indicare un nome valido per l\'header di autenticazione (p. es. ' +
+                    'Authorization).',
+                'submission.notConfigured': 'Nessun sistema di ticket è configurato.',
+                'submission.timeout': 'Tempo scaduto.',
+                'submission.noConnection': 'Nessuna connessione al server.',
+                'submission.httpError': 'Il server ha risposto con HTTP {status}.',
+                'submission.queueUnsupported': 'Il browser non supporta una coda per gli invii (IndexedDB).',
+                'submission.queueOpenFailed': 'Non è stato possibile aprire la coda degli invii.',
+                'submission.queueStorageFailed': 'Non è stato possibile salvare o leggere la coda.',
+                'privacy.title': 'Protezione dei dati',
+                'privacy.hint': 'Vale per questo dispositivo. In modalità protezione dei dati i nomi degli ospiti vengono sostituiti o omessi durante il download e l’invio, e le conversioni non vengono salvate nella cronologia. L’attivazione elimina la cronologia esistente.',
+                'privacy.enabled': 'Attivare la modalità protezione dei dati',
+                'privacy.nameMode': 'Nomi degli ospiti nell’esportazione',
+                'privacy.nameHash': 'Come hash (SHA-256 con salt)',
+                'privacy.nameReplace': 'Sostituire con un testo segnaposto',
+                'privacy.nameDrop': 'Omettere',
+                'privacy.salt': 'Salt',
+                'privacy.replacement': 'Testo segnaposto',
+                'privacy.idleMinutes': 'Cancellare i dati dopo inattività (minuti, 0 = mai)',
+                'privacy.clearAfterDownload': 'Cancellare i dati dopo il download',
+                'privacy.save': 'SALVA PROTEZIONE DEI DATI',
+                'privacy.clearedDownload': 'Dati cancellati: le prenotazioni lette sono state rimosse dalla memoria dopo il download.',
+                'privacy.clearedIdle': 'Dati cancellati: le prenotazioni lette sono state rimosse dalla memoria dopo {minutes} minuti di inattività.',
+                'privacy.saved': 'Modalità protezione dei dati salvata.',
+                'privacy.savedDisabled': 'Salvato. La modalità protezione dei dati è disattivata.',
+                'privacy.invalidNameMode': 'Trattamento dei nomi degli ospiti non valido: "{mode}".',
+                'privacy.replacementRequired': 'Indicare un testo sostitutivo per i nomi degli ospiti.',
+                'privacy.saltRequired': 'Indicare un salt per i valori hash.',
+                'privacy.invalidIdleMinutes': 'Il tempo di attesa deve essere compreso tra 0 e {max} minuti (0 = non cancellare mai).',
+
+                'history.title': 'Cronologia',
+                'history.hint': 'Le conversioni passate sono salvate solo su questo dispositivo ed eliminate ' +
+                    'automaticamente alla scadenza del periodo di conservazione.',
+                'history.retention': 'Conservare',
+                'history.time': 'Ora',
+                'history.warnings': 'Avvisi',
+                'history.clear': 'CANCELLA CRONOLOGIA',
+                'history.day': '1 giorno',
+                'history.days': '{count} giorni',
+                'history.empty': 'Nessuna conversione salvata.',
+                'history.download': 'Scarica',
+                'history.delete': 'Elimina',
+                'history.exportFailed': 'Errore durante la creazione del file {format}.',
+                'history.entryDeleted': 'Voce eliminata.',
+                'history.confirmClear': 'Eliminare tutte le conversioni salvate?',
+                'history.cleared': 'La cronologia è stata eliminata.',
+                'history.retentionChanged': 'Periodo di conservazione modificato.',
+                'history.retentionChangedRemoved': 'Periodo di conservazione modificato, {count} voci più vecchie eliminate.',
+                'history.invalidRetention': 'Periodo di conservazione non valido: {days} giorni.',
+                'history.unsupported': 'Il browser non supporta una cronologia locale (IndexedDB).',
+                'history.openFailed': 'Non è stato possibile aprire la cronologia.',
+                'history.storageFailed': 'Non è stato possibile salvare o leggere la cronologia.',
+
+                'sheets.title': 'Selezionare i fogli',
+                'sheets.hintBefore': 'Il file',
+                'sheets.hintAfter': 'contiene più fogli. I fogli selezionati vengono uniti.',
+                'sheets.remember': 'Ricorda la selezione per questo profilo',
+                'sheets.rowCount': '{count} righe',
+                'sheets.requiredColumnMissing': 'Colonna del numero di prenotazione non riconosciuta',
+                'sheets.noHeader': '(nessuna riga d’intestazione)',
+                'sheets.noneSelected': 'Selezionare almeno un foglio.',
+
+                'processing.title': 'Elaborazione del file...',
+                'processing.wait': 'Attendere un momento.',
+                'progress.readPercent': 'Lettura del file: {percent} %',
+                'progress.read': 'Lettura del file',
+                'progress.parse': 'Caricamento dei fogli',
+                'progress.transform': 'Conversione delle righe: {current} di {total}',
+                'progress.validate': 'Verifica delle righe: {current} di {total}',
+                'progress.sheet': '(foglio "{sheet}")',
+                'progress.batchFile': 'File {current} di {total}: {file}',
+
+                'result.title': 'Elaborazione riuscita',
+                'result.entries': 'Voci trovate:',
+                'result.fileName': 'Nome del file:',
+                'result.profile': 'Profilo:',
+                'result.sheets': 'Fogli:',
+                'result.format': 'Formato:',
+                'result.headerRow': 'Riga di intestazione:',
+                'result.validation': 'Verifica:',
+                'result.multiRoom': 'Più camere:',
+                'result.filter': 'Filtro:',
+                'result.files': 'File',
+                'result.rejected': 'Scartate',
+                'result.includeSourceFile': 'Esportare una colonna "SourceFile" con il nome del file di origine',
+                'result.download': 'SCARICA {format}',
+                'result.submit': 'INVIA',
+                'result.rejectedReport': 'SCARICA RIGHE SCARTATE',
+                'result.newFile': 'NUOVO FILE',
+                'result.validationNone': 'Nessuna anomalia',
+                'result.validationSummary': '{warnings} righe con avvisi, {rejected} righe scartate',
+                'result.groupingMerged': '{count} prenotazioni unite da {rows} righe',
+                'result.groupingSuffixed': '{count} righe esportate separatamente con un suffisso dell’Id',
+                'result.groupingNone': 'Nessuna',
+                'result.filterNone': 'Nessuna regola di filtro',
+                'result.filterRemoved': '{rule}: {count} rimosse',
+                'result.duplicates': '{count} prenotazioni doppie provenienti da più file sono state riprese una sola volta.',
+                'result.headerRowNumber': 'Riga {row}',
+                'result.footerRowSkipped': '({count} riga di totale ignorata)',
+                'result.footerRowsSkipped': '({count} righe di totale ignorate)',
+                'export.noData': 'Nessun dato disponibile per l’esportazione.',
+                'export.failed': 'Errore durante la creazione del file {format}. Riprovare.',
+                'export.reportFailed': 'Errore durante la creazione del rapporto. Riprovare.',
+                'export.confirmErrors': '{count} righe contengono errori. Esportare comunque?',
+                'export.dialectExcelDe': 'Excel (punto e virgola, UTF-8 con BOM)',
+                'export.dialectCommaUtf8': 'Virgola, UTF-8 senza BOM',
+                'export.dialectTabUtf8': 'Tabulazione, UTF-8 senza BOM',
+                'export.dialectExcelDe1252': 'Punto e virgola, Windows-1252',
+                'export.dialectIsoQuoted': 'Virgola, tutti i campi tra virgolette, data ISO',
+                'export.unknownDialect': 'Dialetto CSV sconosciuto: "{name}".',
+
+                'preview.title': 'Anteprima',
+                'preview.filterAll': 'Tutte le righe',
+                'preview.filterIssues': 'Solo righe con avvisi',
+                'preview.filterMerged': 'Prenotazioni di più camere',
+                'preview.filterRejected': 'Righe scartate',
+                'preview.filterFiltered': 'Righe filtrate',
+                'preview.addRow': 'AGGIUNGI PRENOTAZIONE',
+                'preview.undo': 'ANNULLA',
+                'preview.undoTitle': 'Annulla (Ctrl+Z)',
+                'preview.redo': 'RIPETI',
+                'preview.redoTitle': 'Ripeti (Ctrl+Y)',
+                'preview.hint': 'Fare clic su una cella per modificarla, Invio conferma, Esc annulla.',
+                'preview.row': 'Riga',
+                'preview.issues': 'Avvisi',
+                'preview.moreRows': '... e altre {count} righe',
+                'preview.newRow': 'nuova',
+                'preview.delete': 'Elimina',
+                'preview.original': 'Valore originale: {value}',
+                'preview.mergedFrom': 'Unita da {count} righe',
+                'preview.filteredBy': 'Filtrata: {rule}',
+                'preview.required': 'Questo campo non può essere vuoto.',
+                'preview.invalidCount': 'Inserire un numero intero a partire da 0.',
+                'preview.invalidDate': 'Inserire una data valida nel formato {format}.',
+
+                'filter.fieldDateFrom': 'Arrivo',
+                'filter.fieldDateTo': 'Partenza',
+                'filter.fieldStatus': 'Stato',
+                'filter.fieldRoomType': 'Tipo di camera',
+                'filter.fieldRateCode': 'Codice tariffa',
+                'filter.today': '{field} = oggi',
+                'filter.notIn': '{field} non in: {values}',
+                'filter.in': '{field} in: {values}',
+                'filter.unknownType': 'Tipo di regola di filtro sconosciuto: "{type}".',
+                'filter.invalidType': 'Tipo di regola di filtro sconosciuto.',
+                'filter.fieldRequired': 'La regola di filtro richiede un campo.',
+                'filter.dateRequired': 'Indicare una data o un periodo.',
+                'filter.dateOrder': 'La data di inizio è successiva alla data di fine.',
+                'filter.valuesRequired': 'Indicare almeno un valore.',
+
+                'compare.title': 'Modifiche dall\'ultima esportazione',
+                'compare.with': 'Confronta con',
+                'compare.button': 'CONFRONTA',
+                'compare.historyOption': '{time} – {file} ({count} voci)',
+                'compare.otherFile': 'Scegli un altro file...',
+                'compare.entryMissing': 'La voce della cronologia non esiste più.',
+                'compare.historySource': '{file} del {time}',
+                'compare.progress': 'File di confronto: {file}',
+                'diff.title': 'Modifiche',
+                'diff.added': 'Nuove:',
+                'diff.changed': 'Modificate:',
+                'diff.cancelled': 'Annullate:',
+                'diff.removed': 'Rimosse:',
+                'diff.unchanged': 'Invariate:',
+                'diff.change': 'Modifica',
+                'diff.details': 'Dettagli',
+                'diff.export': 'SCARICA MODIFICHE COME CSV',
+                'diff.source': 'Confrontato con {source}.',
+                'diff.none': 'Nessuna modifica.',
+                'diff.noneToExport': 'Nessuna modifica da esportare.',
+                'diff.changeAdded': 'nuova',
+                'diff.changeChanged': 'modificata',
+                'diff.changeCancelled': 'annullata',
+                'diff.changeRemoved': 'rimossa',
+
+                'error.title': 'Errore',
+                'error.retry': 'RIPROVA',
+                'error.unknown': 'Si è verificato un errore sconosciuto.',
+
+                'parser.readFailed': 'Errore durante la lettura del file. Riprovare.',
+                'parser.noSheets': 'Il file non contiene fogli.',
+                'parser.sheetNotFound': 'Il foglio "{sheet}" non esiste nel file Excel.',
+                'parser.sheetPrefix': 'Foglio "{sheet}": ',
+                'parser.emptySheet': 'Il file Excel è vuoto.',
+                'parser.noHeaderRow': 'Il file Excel non contiene una riga di intestazione valida.',
+                'parser.requiredColumnMissing': 'La colonna obbligatoria "{columns}" non è stata trovata. ' +
+                    'Colonne disponibili: {available}',
+                'parser.allRowsRejected': 'Tutte le {count} righe sono state scartate. Primo errore alla riga {row}: {message}',
+                'parser.allRowsFiltered': 'Tutte le {count} righe sono state rimosse dalle regole di filtro: {rules}',
+                'parser.noValidRows': 'Nessuna riga valida trovata. Verificare che la colonna "{columns}" contenga valori.',
+                'parser.datesConflicting': 'Le date usano ordini diversi; lette come {order}.',
+                'parser.datesAmbiguous': 'L\'ordine di giorno e mese è ambiguo; lette come {order}.',
+                'parser.orderDMY': 'giorno prima del mese',
+                'parser.orderMDY': 'mese prima del giorno',
+
+                'worker.libraryMissing': 'La libreria Excel (vendor/xlsx.full.min.js) non è stata trovata. ' +
+                    'Non è possibile leggere i file.',
+                'worker.noFile': 'Nessun file è stato letto.',
+                'worker.unknownJob': 'Operazione sconosciuta: "{type}".',
+                'worker.cancelled': 'L\'elaborazione è stata annullata.',
+                'worker.busy': 'Un file è già in elaborazione.',
+                'worker.unsupported': 'Il browser non supporta l\'elaborazione in background (Web Worker).',
+                'worker.failed': 'L\'elaborazione in background non è riuscita.',
+                'worker.failedMessage': 'L\'elaborazione in background non è riuscita: {message}',
+
+                'decoder.windows1252': 'Il file non è codificato in UTF-8 ed è stato letto come Windows-1252. ' +
+                    'Verificare gli accenti nei nomi degli ospiti.',
+                'decoder.invalidCharacters': 'Il file contiene caratteri non validi. Alcuni accenti o caratteri ' +
+                    'speciali non hanno potuto essere letti.',
+                'decoder.mojibake': 'Il file contiene probabilmente caratteri codificati male (p. es. "Ã¼" invece di "ü"). ' +
+                    'Esportare di nuovo il file dal PMS in UTF-8.',
+                'decoder.semicolon': 'punto e virgola',
+                'decoder.comma': 'virgola',
+                'decoder.tab': 'tabulazione',
+                'decoder.pipe': 'barra verticale',
+
+                'date.formatDD': 'GG',
+                'date.formatMM': 'MM',
+                'date.formatYYYY': 'AAAA',
+                'date.localesNotList': 'Le impostazioni locali delle date devono essere indicate come elenco.',
+                'date.unknownLocale': 'Impostazione locale delle date sconosciuta: "{locale}". Sono ammesse: {locales}.',
+                'date.invalidFormat': 'Formato di data "{format}" non valido. Sono ammessi p. es. ' +
+                    'DD.MM.YYYY, YYYY-MM-DD o MM/DD/YYYY.',
+
+                'profile.nameRequired': 'Il profilo richiede un nome.',
+                'profile.nameNotAllowed': 'Il nome del profilo "{name}" non è ammesso.',
+                'profile.notFound': 'Il profilo "{name}" non esiste.',
+                'profile.notFoundAvailable': 'Il profilo "{name}" non esiste. Disponibili: {profiles}.',
+                'profile.defaultNotDeletable': 'Il profilo predefinito non può essere eliminato.',
+                'profile.mappingMissing': 'Il profilo "{name}" non contiene alcuna mappatura delle colonne.',
+                'profile.invalidField': 'Il campo "{field}" nel profilo "{name}" non è valido.',
+                'profile.bookingNumberRequired': 'Per "BookingNumber" occorre indicare almeno un nome di colonna.',
+                'profile.unknownGroupingMode': 'Modalità sconosciuta per le prenotazioni di più camere: "{mode}".',
+                'profile.invalidNameOptions': 'Le opzioni dei nomi nel profilo "{name}" non sono valide.',
+                'profile.invalidFilterRules': 'Le regole di filtro nel profilo "{name}" non sono valide.',
+                'profile.invalidAgeLimits': 'I limiti di età devono essere numeri interi crescenti (neonati < bambini ' +
+                    '< ragazzi).',
+                'profile.invalidJson': 'Il file dei profili non è un JSON valido.',
+                'profile.noProfiles': 'Il file dei profili non contiene alcun profilo.',
+
+                'validation.bookingNumberMissing': 'Numero di prenotazione mancante.',
+                'validation.fieldMissing': '{field} mancante.',
+                'validation.invalidDate': '{field} "{value}" non è una data valida.',
+                'validation.departureBeforeArrival': 'La data di partenza è precedente alla data di arrivo.',
+                'validation.notANumber': '{field} "{value}" non è un numero.',
+                'validation.noGuests': 'Prenotazione senza ospiti.',
+                'field.BookingNumber': 'Numero di prenotazione',
+                'field.NumberOfAdults': 'Adulti',
+                'field.NumberOfChildren': 'Bambini',
+                'field.NumberOfBabys': 'Neonati',
+                'field.DateFrom': 'Data di arrivo',
+                'field.DateTo': 'Data di partenza'
+            }
+        };
+
+        this.language = this.loadLanguage(preferredLanguage);
+    }
+
+    /**
+     * Lädt die gewählte Sprache (sonst die Browsersprache, sonst Deutsch)
+     * @param {string} preferredLanguage - Sprache des Browsers (z.B. "fr-CH")
+     * @returns {string}
+     */
+    loadLanguage(preferredLanguage) {
+        try {
+            const stored = this.storage && this.storage.getItem(this.storageKey);
+            if (stored && this.languages[stored]) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Sprache konnte nicht geladen werden:', error);
+        }
+
+        const browserLanguage = String(preferredLanguage || '').slice(0, 2).toLowerCase();
+        return this.languages[browserLanguage] ? browserLanguage : this.defaultLanguage;
+    }
+
+    /**
+     * Wählt eine Sprache und merkt sie sich
+     * @param {string} language - Der Sprachcode (siehe languages)
+     * @throws {Error} Wenn die Sprache nicht unterstützt wird
+     */
+    setLanguage(language) {
+        if (!this.languages[language]) {
+            throw new Error(`Nicht unterstützte Sprache: "${language}".`);
+        }
+
+        this.language = language;
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('Sprache konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Gibt eine Meldung in der gewählten Sprache zurück
+     * Fehlt der Schlüssel in der Sprache, wird die deutsche Meldung verwendet, sonst der Schlüssel selbst.
+     * @param {string} key - Der Schlüssel (z.B. "parser.emptySheet")
+     * @param {Object} params - Die Parameter für die Platzhalter (Arrays werden mit common.quotedOr verbunden)
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const template = this.messages[this.language][key] !== undefined
+            ? this.messages[this.language][key]
+            : this.messages[this.defaultLanguage][key];
+        if (template === undefined) {
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined) {
+                return match;
+            }
+            return Array.isArray(params[name]) ? params[name].join(this.t('common.quotedOr')) : params[name];
+        });
+    }
+
+    /**
+     * Übersetzt einen Fehler: Parser-Fehler über Schlüssel und Parameter, andere über ihre Meldung
+     * @param {Error} error - Der Fehler (ParserError mit key, params und ggf. sheetName)
+     * @returns {string}
+     */
+    translateError(error) {
+        if (!error.key) {
+            return error.message;
+        }
+        const prefix = error.sheetName ? this.t('parser.sheetPrefix', { sheet: error.sheetName }) : '';
+        return prefix + this.t(error.key, error.params);
+    }
+
+    /**
+     * Übersetzt alle Texte der Seite mit data-i18n-Attributen
+     * @param {Document|Element} root - Der zu übersetzende Bereich
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+        document.documentElement.lang = this.language;
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
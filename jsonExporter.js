@@ -0,0 +1,36 @@
+/**
+ * JSON Export Module
+ * Erstellt eine JSON-Datei (Array von Buchungen) für Import-Schnittstellen
+ */
+
+class JSONExporter extends Exporter {
+    constructor() {
+        super({ id: 'json', label: 'JSON', fileExtension: 'json', mimeType: 'application/json;charset=utf-8;' });
+    }
+
+    /**
+     * Erstellt ein JSON-Array mit einem Objekt pro Buchung
+     * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge (bestimmen die Schlüssel)
+     * @returns {string} - JSON-String
+     */
+    create(rows, columns = this.columns) {
+        this.assertRows(rows);
+
+        // Nur die Exportspalten übernehmen (ohne _meta), Schlüssel in Spaltenreihenfolge
+        const bookings = rows.map(row => {
+            const booking = {};
+            columns.forEach(column => {
+                booking[column] = this.getValue(row, column);
+            });
+            return booking;
+        });
+
+        return JSON.stringify(bookings, null, 2);
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONExporter;
+}
@@ -0,0 +1,118 @@
+/**
+ * Launch Handler Module
+ * Übernimmt Dateien, mit denen die installierte App geöffnet wurde (Doppelklick im Betriebssystem
+ * über file_handlers, Teilen über share_target, siehe manifest.json)
+ */
+
+class LaunchHandler {
+    /**
+     * @param {Function} onFiles - Wird mit den übergebenen Dateien (Array<File>) aufgerufen
+     * @param {Function} onError - Wird mit einer Fehlermeldung aufgerufen, wenn Dateien nicht gelesen werden können
+     * @param {ServiceWorkerContainer} serviceWorker - navigator.serviceWorker (undefined, wenn nicht unterstützt)
+     */
+    constructor(onFiles, onError, serviceWorker = navigator.serviceWorker) {
+        this.onFiles = onFiles;
+        this.onError = onError;
+        this.serviceWorker = serviceWorker;
+
+        // URL-Parameter, mit dem der Service Worker nach einem Share-Target-POST auf die App weiterleitet
+        this.shareParameter = 'share-target';
+
+        // Maximale Wartezeit auf den Service Worker in Millisekunden
+        this.timeout = 15000;
+    }
+
+    /**
+     * Nimmt Dateien aus der Launch Queue und aus einem Share Target entgegen
+     */
+    start() {
+        this.consumeLaunchQueue();
+        this.receiveSharedFiles();
+    }
+
+    /**
+     * Verarbeitet Dateien, die per Doppelklick bzw. "Öffnen mit" übergeben wurden (File Handling API)
+     */
+    consumeLaunchQueue() {
+        if (!('launchQueue' in window)) {
+            return;
+        }
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) {
+                return;
+            }
+
+            try {
+                const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+                this.onFiles(files);
+            } catch (error) {
+                console.error('Fehler beim Öffnen der Datei:', error);
+                this.onError('Die geöffnete Datei konnte nicht gelesen werden.');
+            }
+        });
+    }
+
+    /**
+     * Holt geteilte Dateien beim Service Worker ab, wenn die App über das Share Target geöffnet wurde
+     * @returns {Promise<void>}
+     */
+    async receiveSharedFiles() {
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has(this.shareParameter)) {
+            return;
+        }
+
+        // Parameter entfernen, damit ein Neuladen die Dateien nicht erneut anfordert
+        url.searchParams.delete(this.shareParameter);
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        try {
+            if (!this.serviceWorker) {
+                throw new Error('Kein Service Worker.');
+            }
+            const registration = await this.withTimeout(this.serviceWorker.ready);
+            const files = await this.requestSharedFiles(registration.active);
+            if (files.length === 0) {
+                throw new Error('Keine geteilten Dateien vorhanden.');
+            }
+            this.onFiles(files);
+        } catch (error) {
+            console.error('Fehler beim Übernehmen der geteilten Datei:', error);
+            this.onError('Die geteilte Datei konnte nicht übernommen werden. Bitte wählen Sie sie über "WEITER" aus.');
+        }
+    }
+
+    /**
+     * Fragt den Service Worker nach den geteilten Dateien (er gibt sie nur einmal heraus)
+     * @param {ServiceWorker} worker - Der aktive Service Worker
+     * @returns {Promise<Array<File>>}
+     * @throws {Error} Wenn kein Service Worker aktiv ist oder keine Antwort kommt
+     */
+    requestSharedFiles(worker) {
+        if (!worker) {
+            return Promise.reject(new Error('Kein aktiver Service Worker.'));
+        }
+
+        const channel = new MessageChannel();
+        const response = new Promise(resolve => {
+            channel.port1.onmessage = (event) => resolve(event.data.files || []);
+        });
+        worker.postMessage({ type: 'getSharedFiles' }, [channel.port2]);
+        return this.withTimeout(response);
+    }
+
+    /**
+     * Lehnt ein Promise ab, wenn es nicht innerhalb von timeout erfüllt wird
+     * @param {Promise} promise - Das Promise
+     * @returns {Promise}
+     */
+    withTimeout(promise) {
+        return Promise.race([
+            promise,
+            new Promise((resolve, reject) => {
+                setTimeout(() => reject(new Error('Zeitüberschreitung.')), this.timeout);
+            })
+        ]);
+    }
+}
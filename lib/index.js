@@ -0,0 +1,133 @@
+/**
+ * BernTicket als Node.js-Bibliothek
+ * Stellt Parser, Profile und Exporter ohne Browser bereit (Grundlage der Kommandozeile bin/bernticket.js).
+ *
+ * Die Module sind klassische Browser-Skripte, die einander und SheetJS über globale Namen verwenden.
+ * Sie werden deshalb in der Reihenfolge von index.html geladen und als globale Klassen registriert.
+ *
+ *   const fs = require('fs');
+ *   const { convert } = require('bernticket');
+ *   const output = convert(fs.readFileSync('Arrivals.xlsx'), 'Arrivals.xlsx', { profileName: 'Standard' });
+ *   fs.writeFileSync(output.fileName, output.content);
+ */
+
+const path = require('path');
+
+global.XLSX = global.XLSX || require('xlsx');
+
+const moduleFiles = {
+    I18n: 'i18n.js',
+    ParserError: 'parserError.js',
+    DateNormalizer: 'dateNormalizer.js',
+    RowValidator: 'rowValidator.js',
+    RowFilter: 'rowFilter.js',
+    TextFileDecoder: 'textFileDecoder.js',
+    NameNormalizer: 'nameNormalizer.js',
+    FieldTransformer: 'fieldTransformer.js',
+    ExcelParser: 'excelParser.js',
+    ProfileManager: 'profileManager.js',
+    Exporter: 'exporter.js',
+    ExporterRegistry: 'exporterRegistry.js',
+    FileNameTemplate: 'fileNameTemplate.js',
+    CSVExporter: 'csvExporter.js',
+    XLSXExporter: 'xlsxExporter.js',
+    JSONExporter: 'jsonExporter.js',
+    XMLExporter: 'xmlExporter.js'
+};
+
+const classes = {};
+for (const [name, file] of Object.entries(moduleFiles)) {
+    classes[name] = require(path.join(__dirname, '..', file));
+    global[name] = classes[name];
+}
+
+/**
+ * Erstellt die Registry mit allen Ausgabeformaten (wie in app.js)
+ * @param {DateNormalizer} dateNormalizer - Der Normalizer des Parsers (Datumsformat des Profils)
+ * @param {I18n} i18n - Meldungskatalog der Exporter (Standard: Deutsch)
+ * @returns {ExporterRegistry}
+ */
+function createExporterRegistry(dateNormalizer, i18n = new classes.I18n(null, '')) {
+    return new classes.ExporterRegistry()
+        .register(new classes.CSVExporter(dateNormalizer, i18n))
+        .register(new classes.XLSXExporter())
+        .register(new classes.JSONExporter())
+        .register(new classes.XMLExporter());
+}
+
+/**
+ * Konvertiert eine Datei wie die App: Profil wählen, Tabellen wählen, transformieren und exportieren
+ * @param {Buffer|Uint8Array} data - Der Dateiinhalt (Excel, ODS, CSV oder TSV)
+ * @param {string} fileName - Der Dateiname (entscheidet über CSV/TSV und erscheint in SourceFile)
+ * @param {Object} options - profiles (JSON einer Profil-Exportdatei), profileName (sonst automatisch erkannt),
+ *                           sheetNames, format (Standard: csv), dialect (Standard: aus dem Profil),
+ *                           includeSourceFile, date (für den Dateinamen) und language (Sprache der
+ *                           Parser-Meldungen, Standard: de)
+ * @returns {{result: Object, profile: Object, exporter: Exporter, content: (string|Uint8Array), fileName: string}}
+ *          result ist das Ergebnis von ExcelParser.parseWorkbook, fileName der Dateiname aus der Profilvorlage
+ * @throws {Error} Wenn das Profil fehlt, die Datei nicht gelesen werden kann oder keine gültigen Zeilen enthält
+ */
+function convert(data, fileName, options = {}) {
+    const i18n = new classes.I18n(null, '');
+    if (options.language) {
+        i18n.setLanguage(options.language);
+    }
+    const parser = new classes.ExcelParser(i18n);
+    const profileManager = new classes.ProfileManager(parser.defaultColumnMapping, null, i18n);
+    if (options.profiles) {
+        profileManager.importProfiles(options.profiles);
+    }
+
+    const workbook = parser.readWorkbookData(new Uint8Array(data), { name: fileName, type: '' });
+
+    let profile;
+    let summaries;
+    if (options.profileName) {
+        profile = profileManager.getProfile(options.profileName);
+        if (!profile) {
+            throw new Error(i18n.t('profile.notFoundAvailable', {
+                name: options.profileName,
+                profiles: profileManager.getProfileNames().join(', ')
+            }));
+        }
+        parser.applyProfile(profile);
+        summaries = parser.getSheetSummaries(workbook);
+    } else {
+        const profiles = profileManager.getProfileNames().map(name => profileManager.getProfile(name));
+        ({ profile, summaries } = parser.detectProfile(workbook, profiles));
+    }
+
+    const sheetNames = options.sheetNames && options.sheetNames.length > 0
+        ? options.sheetNames
+        : parser.getDefaultSheetNames(summaries, profile);
+    const result = parser.parseWorkbook(workbook, fileName, sheetNames);
+    result.profileName = profile.name;
+    result.rows.forEach(row => {
+        row.SourceFile = fileName;
+    });
+
+    const exporter = createExporterRegistry(parser.dateNormalizer, i18n).get(options.format || 'csv');
+    const profileColumns = parser.getExportColumns(exporter.columns, profile);
+    const columns = options.includeSourceFile ? [...profileColumns, 'SourceFile'] : profileColumns;
+    const content = exporter.create(result.rows, columns, {
+        dialect: options.dialect || profile.exportDialect || undefined
+    });
+    // XLSX liefert einen ArrayBuffer, fs.writeFileSync erwartet einen Buffer bzw. ein Uint8Array
+    const fileContent = content instanceof ArrayBuffer ? new Uint8Array(content) : content;
+
+    const baseName = new classes.FileNameTemplate(i18n).render(profile.fileNameTemplate, {
+        date: options.date,
+        hotel: profile.name,
+        sourceFiles: [fileName]
+    });
+
+    return {
+        result: result,
+        profile: profile,
+        exporter: exporter,
+        content: fileContent,
+        fileName: `${baseName}.${exporter.fileExtension}`
+    };
+}
+
+module.exports = Object.assign({ convert, createExporterRegistry }, classes);
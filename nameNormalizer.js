@@ -0,0 +1,216 @@
+/**
+ * Name Normalizer Module
+ * Vereinheitlicht Gästenamen aus verschiedenen Kanälen ("MÜLLER, Hans", "Mr. John Smith", "de la cruz maria")
+ * und teilt sie in Vor- und Nachname auf
+ */
+
+class NameNormalizer {
+    constructor() {
+        // Anreden und Titel am Anfang eines Namens (klein geschrieben, ohne Punkt)
+        this.titles = [
+            'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'lady',
+            'herr', 'frau', 'hr', 'fr', 'dipl', 'ing', 'med',
+            'monsieur', 'madame', 'mme', 'mlle',
+            'sig', 'sigra', 'sig.ra', 'signor', 'signora', 'dott', 'dott.ssa', 'avv',
+            'fam', 'family', 'familie', 'famille', 'famiglia'
+        ];
+
+        // Verbindungen zwischen Anreden ("Mr. & Mrs. Smith")
+        this.connectors = ['&', '+', 'and', 'und', 'et', 'e'];
+
+        // Namenszusätze, die klein geschrieben bleiben und zum Nachnamen gehören
+        this.particles = [
+            'von', 'vom', 'zu', 'zum', 'zur', 'van', 'der', 'den', 'ter', 'ten',
+            'de', 'di', 'da', 'del', 'della', 'dei', 'des', 'du', 'la', 'le', 'lo', 'dos', 'das', 'y'
+        ];
+
+        // Ersetzungen für die ASCII-Umschrift (deutsche Umlaute nach Schweizer Schreibweise)
+        this.transliterations = {
+            'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ß': 'ss',
+            'æ': 'ae', 'Æ': 'Ae', 'œ': 'oe', 'Œ': 'Oe', 'ø': 'o', 'Ø': 'O', 'å': 'aa', 'Å': 'Aa',
+            'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'þ': 'th', 'Þ': 'Th', 'ð': 'd', 'Ð': 'D',
+            '’': '\'', '‘': '\''
+        };
+    }
+
+    /**
+     * Vereinheitlicht einen Namen und teilt ihn in Vor- und Nachname auf
+     * @param {*} value - Der Zellwert (z.B. "MÜLLER, Hans")
+     * @param {Object} options - normalize (Reihenfolge, Anreden, Schreibweise) und transliterate (ASCII)
+     * @returns {{Name: string, FirstName: string, LastName: string}} - Name als "Vorname Nachname"
+     */
+    normalize(value, options = {}) {
+        const text = value === undefined || value === null ? '' : String(value);
+        let { firstName, lastName } = this.split(text);
+        let name = text;
+
+        if (options.normalize) {
+            firstName = this.capitalize(firstName);
+            lastName = this.capitalize(lastName);
+            name = [firstName, lastName].filter(part => part !== '').join(' ');
+        }
+
+        if (options.transliterate) {
+            name = this.transliterate(name);
+            firstName = this.transliterate(firstName);
+            lastName = this.transliterate(lastName);
+        }
+
+        return { Name: name, FirstName: firstName, LastName: lastName };
+    }
+
+    /**
+     * Teilt einen Namen in Vor- und Nachname auf (ohne Anreden, Schreibweise bleibt unverändert)
+     * Erkannt werden "Nachname, Vorname", "NACHNAME Vorname", "Zusatz Nachname Vorname" und
+     * "Vorname [Zusatz] Nachname".
+     * @param {string} text - Der Name
+     * @returns {{firstName: string, lastName: string}}
+     */
+    split(text) {
+        const cleaned = String(text).replace(/\s+/g, ' ').trim();
+        if (cleaned === '') {
+            return { firstName: '', lastName: '' };
+        }
+
+        // "Nachname, Vorname"
+        const commaIndex = cleaned.indexOf(',');
+        if (commaIndex !== -1) {
+            return {
+                firstName: this.removeTitles(this.toWords(cleaned.slice(commaIndex + 1))).join(' '),
+                lastName: this.removeTitles(this.toWords(cleaned.slice(0, commaIndex))).join(' ')
+            };
+        }
+
+        const words = this.removeTitles(this.toWords(cleaned));
+
+        // "NACHNAME Vorname": Nachname in Grossbuchstaben vor dem gemischt geschriebenen Vornamen
+        let upperCount = 0;
+        while (upperCount < words.length && this.isUpperCase(words[upperCount])) {
+            upperCount++;
+        }
+        if (upperCount > 0 && upperCount < words.length &&
+            words.slice(upperCount).every(word => !this.isUpperCase(word))) {
+            return {
+                firstName: words.slice(upperCount).join(' '),
+                lastName: words.slice(0, upperCount).join(' ')
+            };
+        }
+
+        // "Zusatz Nachname Vorname": beginnt der Name mit Zusätzen, gehören sie samt dem folgenden Wort
+        // zum Nachnamen ("de la cruz maria"), sofern danach noch ein Vorname folgt ("Van Morrison" nicht)
+        let particleCount = 0;
+        while (particleCount < words.length - 1 && this.isParticle(words[particleCount])) {
+            particleCount++;
+        }
+        if (particleCount > 0 && particleCount + 1 < words.length) {
+            return {
+                firstName: words.slice(particleCount + 1).join(' '),
+                lastName: words.slice(0, particleCount + 1).join(' ')
+            };
+        }
+
+        // "Vorname [Zusatz] Nachname": letztes Wort samt vorangehenden Zusätzen ("van Beethoven")
+        let lastNameStart = words.length - 1;
+        while (lastNameStart > 1 && this.isParticle(words[lastNameStart - 1])) {
+            lastNameStart--;
+        }
+        return {
+            firstName: words.slice(0, lastNameStart).join(' '),
+            lastName: words.slice(lastNameStart).join(' ')
+        };
+    }
+
+    /**
+     * Zerlegt einen Text in Wörter
+     * @param {string} text - Der Text
+     * @returns {Array<string>}
+     */
+    toWords(text) {
+        return text.split(' ').map(word => word.trim()).filter(word => word !== '');
+    }
+
+    /**
+     * Entfernt Anreden und Titel am Anfang (das letzte Wort bleibt immer erhalten)
+     * @param {Array<string>} words - Die Wörter
+     * @returns {Array<string>}
+     */
+    removeTitles(words) {
+        let index = 0;
+        while (index < words.length - 1 &&
+            (this.isTitle(words[index]) || (index > 0 && this.connectors.includes(words[index].toLowerCase())))) {
+            index++;
+        }
+        return words.slice(index);
+    }
+
+    /**
+     * Prüft, ob ein Wort eine Anrede oder ein Titel ist ("Mr.", "Dr", "Sig.ra")
+     * @param {string} word - Das Wort
+     * @returns {boolean}
+     */
+    isTitle(word) {
+        return this.titles.includes(word.toLowerCase().replace(/\.$/, ''));
+    }
+
+    /**
+     * Prüft, ob ein Wort ein Namenszusatz ist ("von", "de")
+     * @param {string} word - Das Wort
+     * @returns {boolean}
+     */
+    isParticle(word) {
+        return this.particles.includes(word.toLowerCase());
+    }
+
+    /**
+     * Prüft, ob ein Wort ganz in Grossbuchstaben geschrieben ist (Initialen wie "J." zählen nicht)
+     * @param {string} word - Das Wort
+     * @returns {boolean}
+     */
+    isUpperCase(word) {
+        return /\p{Lu}.*\p{Lu}/u.test(word) && word === word.toUpperCase();
+    }
+
+    /**
+     * Schreibt einen Namen mit grossen Anfangsbuchstaben ("JEAN-PIERRE O'BRIEN" → "Jean-Pierre O'Brien")
+     * Namenszusätze werden klein geschrieben, gemischt geschriebene Wörter ("McDonald") bleiben unverändert.
+     * @param {string} text - Der Name
+     * @returns {string}
+     */
+    capitalize(text) {
+        return this.toWords(text).map(word => {
+            if (word !== word.toUpperCase() && word !== word.toLowerCase()) {
+                return word;
+            }
+            if (this.isParticle(word)) {
+                return word.toLowerCase();
+            }
+            // Teile nach Bindestrich und Apostroph einzeln gross schreiben
+            return word.toLowerCase().replace(/(^|[-'’])(\p{L})/gu, (match, separator, letter) => {
+                return separator + letter.toUpperCase();
+            });
+        }).join(' ');
+    }
+
+    /**
+     * Ersetzt Umlaute und Akzente durch ASCII-Zeichen ("Müller" → "Mueller", "Zoë" → "Zoe")
+     * Zeichen ohne Umschrift (z.B. kyrillische Buchstaben) werden durch "?" ersetzt.
+     * @param {string} text - Der Text
+     * @returns {string}
+     */
+    transliterate(text) {
+        return text
+            // In Grossbuchstaben geschriebene Namen bleiben gross ("MÜLLER" → "MUELLER")
+            .replace(/[ÄÖÜ](?=\p{Lu})/gu, letter => this.transliterations[letter].toUpperCase())
+            .replace(/[^\x00-\x7F]/g, letter => (
+                this.transliterations[letter] !== undefined ? this.transliterations[letter] : letter
+            ))
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/[^\x00-\x7F]/g, '?');
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NameNormalizer;
+}
@@ -0,0 +1,109 @@
+/**
+ * Offline Check Module
+ * Prüft beim Start, ob alles für die Offline-Nutzung vorhanden ist (SheetJS und Service-Worker-Cache)
+ */
+
+class OfflineCheck {
+    /**
+     * @param {ServiceWorkerContainer} serviceWorker - navigator.serviceWorker (undefined, wenn nicht unterstützt)
+     */
+    constructor(serviceWorker = navigator.serviceWorker) {
+        this.serviceWorker = serviceWorker;
+
+        // Lokale Kopie von SheetJS (siehe vendor/README.md)
+        this.libraryPath = 'vendor/xlsx.full.min.js';
+
+        // Maximale Wartezeit auf den Service Worker bzw. seine Antwort in Millisekunden
+        this.timeout = 15000;
+    }
+
+    /**
+     * Führt die Prüfung durch
+     * @returns {Promise<{status: string, message: string, missing: Array<string>}>}
+     *          status: 'ready' (offline bereit), 'incomplete' (Dateien fehlen im Cache),
+     *          'unavailable' (kein Service Worker) oder 'error' (SheetJS fehlt, die App ist nicht nutzbar)
+     */
+    async check() {
+        if (!this.hasLibrary()) {
+            return {
+                status: 'error',
+                message: `Die Excel-Bibliothek (${this.libraryPath}) wurde nicht gefunden. ` +
+                    'Dateien können nicht gelesen werden. Bitte wenden Sie sich an den Administrator.',
+                missing: [this.libraryPath]
+            };
+        }
+
+        if (!this.serviceWorker) {
+            return {
+                status: 'unavailable',
+                message: 'Ihr Browser unterstützt keine Offline-Nutzung (Service Worker).',
+                missing: []
+            };
+        }
+
+        let missing;
+        try {
+            const registration = await this.withTimeout(this.serviceWorker.ready);
+            missing = await this.requestMissingFiles(registration.active);
+        } catch (error) {
+            return {
+                status: 'unavailable',
+                message: 'Der Offline-Modus ist nicht verfügbar. Die App benötigt eine Internetverbindung.',
+                missing: []
+            };
+        }
+
+        if (missing.length > 0) {
+            const count = missing.length === 1 ? 'fehlt 1 Datei' : `fehlen ${missing.length} Dateien`;
+            return {
+                status: 'incomplete',
+                message: `Für die Offline-Nutzung ${count} im Cache: ${missing.join(', ')}. ` +
+                    'Bitte laden Sie die Seite mit Internetverbindung neu.',
+                missing: missing
+            };
+        }
+
+        return { status: 'ready', message: 'Alle Dateien sind für die Offline-Nutzung gespeichert.', missing: [] };
+    }
+
+    /**
+     * Prüft, ob SheetJS geladen wurde
+     * @returns {boolean}
+     */
+    hasLibrary() {
+        return typeof XLSX !== 'undefined' && typeof XLSX.read === 'function';
+    }
+
+    /**
+     * Fragt den Service Worker nach Dateien, die im Cache fehlen
+     * @param {ServiceWorker} worker - Der aktive Service Worker
+     * @returns {Promise<Array<string>>} - Die fehlenden Dateien
+     * @throws {Error} Wenn kein Service Worker aktiv ist oder keine Antwort kommt
+     */
+    requestMissingFiles(worker) {
+        if (!worker) {
+            return Promise.reject(new Error('Kein aktiver Service Worker.'));
+        }
+
+        const channel = new MessageChannel();
+        const response = new Promise(resolve => {
+            channel.port1.onmessage = (event) => resolve(event.data.missing || []);
+        });
+        worker.postMessage({ type: 'getOfflineStatus' }, [channel.port2]);
+        return this.withTimeout(response);
+    }
+
+    /**
+     * Lehnt ein Promise ab, wenn es nicht innerhalb von timeout erfüllt wird
+     * @param {Promise} promise - Das Promise
+     * @returns {Promise}
+     */
+    withTimeout(promise) {
+        return Promise.race([
+            promise,
+            new Promise((resolve, reject) => {
+                setTimeout(() => reject(new Error('Zeitüberschreitung.')), this.timeout);
+            })
+        ]);
+    }
+}
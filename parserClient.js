@@ -0,0 +1,203 @@
+/**
+ * Parser Client Module
+ * Verbindet die Oberfläche mit dem Parser-Worker (Aufträge, Fortschritt und Abbruch)
+ */
+
+class ParserClient {
+    /**
+     * @param {string} workerUrl - Pfad des Worker-Skripts
+     * @param {I18n} i18n - Liefert die Sprache für Fehler und Warnungen des Workers (Standard: Deutsch)
+     */
+    constructor(workerUrl = 'parserWorker.js', i18n = new I18n(null, '')) {
+        this.workerUrl = workerUrl;
+        this.i18n = i18n;
+        this.worker = null;
+        this.nextJobId = 1;
+
+        // Laufender Auftrag: { jobId, resolve, reject } (der Worker bearbeitet immer nur einen Auftrag)
+        this.pendingJob = null;
+
+        // Wird bei jeder Fortschrittsmeldung des laufenden Auftrags aufgerufen
+        this.onProgress = null;
+
+        // Anteil der Stufen am Gesamtfortschritt in Prozent
+        // Lesen und Einlesen erfolgen einmal pro Datei, Umwandeln und Prüfen pro Tabelle
+        this.fileStages = {
+            read: { start: 0, size: 20 },
+            parse: { start: 20, size: 20 }
+        };
+        this.sheetStagesStart = 40;
+    }
+
+    /**
+     * Liest eine Datei im Worker ein und wählt das passende Profil
+     * @param {File} file - Die hochgeladene Datei
+     * @param {Array<Object>} profiles - Die Profile in Prüfreihenfolge (aktives Profil zuerst)
+     * @returns {Promise<{profileName: string, sheetNames: Array<string>, summaries: Array<Object>}>}
+     */
+    inspect(file, profiles) {
+        return this.request({ type: 'inspect', file: file, profiles: profiles });
+    }
+
+    /**
+     * Transformiert die zuletzt eingelesene Datei im Worker
+     * @param {Object} profile - Das Mapping-Profil
+     * @param {Array<string>} sheetNames - Die zu verarbeitenden Tabellen
+     * @returns {Promise<Object>} - Das Ergebnis von ExcelParser.parseWorkbook
+     */
+    parse(profile, sheetNames) {
+        return this.request({ type: 'parse', profile: profile, sheetNames: sheetNames });
+    }
+
+    /**
+     * Bricht den laufenden Auftrag ab
+     * Der Worker wird beendet und beim nächsten Auftrag neu gestartet.
+     * @returns {boolean} - Ob ein Auftrag abgebrochen wurde
+     */
+    cancel() {
+        const error = this.createError('worker.cancelled');
+        error.cancelled = true;
+        return this.stopWorker(error);
+    }
+
+    /**
+     * Beendet den Worker, damit keine gelesenen Dateien im Speicher bleiben (z.B. im Datenschutzmodus)
+     * Ein laufender Auftrag wird nicht abgebrochen.
+     * @returns {boolean} - Ob der Worker beendet wurde
+     */
+    release() {
+        if (this.pendingJob || !this.worker) {
+            return false;
+        }
+        this.stopWorker(null);
+        return true;
+    }
+
+    /**
+     * Sendet einen Auftrag an den Worker
+     * @param {Object} message - Der Auftrag (ohne jobId)
+     * @returns {Promise<Object>} - Das Ergebnis des Auftrags
+     */
+    request(message) {
+        if (this.pendingJob) {
+            return Promise.reject(this.createError('worker.busy'));
+        }
+
+        let worker;
+        try {
+            worker = this.getWorker();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const jobId = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            this.pendingJob = { jobId: jobId, resolve: resolve, reject: reject };
+            worker.postMessage(Object.assign({ jobId: jobId, language: this.i18n.language }, message));
+        });
+    }
+
+    /**
+     * Gibt den Worker zurück und startet ihn bei Bedarf
+     * @returns {Worker}
+     * @throws {Error} Wenn der Browser keine Web Worker unterstützt
+     */
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+        if (typeof Worker === 'undefined') {
+            throw this.createError('worker.unsupported');
+        }
+
+        this.worker = new Worker(this.workerUrl);
+        this.worker.addEventListener('message', (event) => {
+            this.handleMessage(event.data);
+        });
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this.stopWorker(event.message
+                ? this.createError('worker.failedMessage', { message: event.message })
+                : this.createError('worker.failed'));
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Verarbeitet eine Nachricht des Workers
+     * @param {Object} message - progress, done oder error (mit jobId)
+     */
+    handleMessage(message) {
+        const job = this.pendingJob;
+        // Nachrichten abgebrochener Aufträge ignorieren
+        if (!job || message.jobId !== job.jobId) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (typeof this.onProgress === 'function') {
+                this.onProgress(message);
+            }
+            return;
+        }
+
+        this.pendingJob = null;
+        if (message.type === 'error') {
+            // Parser-Fehler behalten ihren Schlüssel, damit die Oberfläche sie übersetzen kann
+            job.reject(message.key
+                ? new ParserError(message.key, message.params, message.message, message.sheetName)
+                : new Error(message.message));
+        } else {
+            job.resolve(message.result);
+        }
+    }
+
+    /**
+     * Erstellt einen Fehler mit Meldungsschlüssel (wird beim Sprachwechsel neu übersetzt)
+     * @param {string} key - Der Meldungsschlüssel
+     * @param {Object} params - Die Parameter der Meldung
+     * @returns {ParserError}
+     */
+    createError(key, params = {}) {
+        return new ParserError(key, params, this.i18n.t(key, params));
+    }
+
+    /**
+     * Beendet den Worker und lehnt den laufenden Auftrag ab
+     * @param {Error} error - Der Fehler, mit dem der laufende Auftrag abgelehnt wird
+     * @returns {boolean} - Ob ein Auftrag lief
+     */
+    stopWorker(error) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const job = this.pendingJob;
+        this.pendingJob = null;
+        if (job) {
+            job.reject(error);
+        }
+        return Boolean(job);
+    }
+
+    /**
+     * Rechnet eine Fortschrittsmeldung in den Gesamtfortschritt der Datei um
+     * Bei mehreren Tabellen erhält jede Tabelle einen gleich grossen Abschnitt (je zur Hälfte Umwandeln und Prüfen).
+     * @param {Object} progress - stage, current, total und ggf. sheetIndex, sheetCount
+     * @returns {number} - Prozent (0-100)
+     */
+    getPercent(progress) {
+        const fraction = progress.total > 0 ? Math.min(progress.current / progress.total, 1) : 1;
+        const fileStage = this.fileStages[progress.stage];
+        if (fileStage) {
+            return fileStage.start + fileStage.size * fraction;
+        }
+
+        const sheetCount = progress.sheetCount || 1;
+        const sheetFraction = (progress.stage === 'validate' ? 0.5 : 0) + fraction / 2;
+        const sheetSize = (100 - this.sheetStagesStart) / sheetCount;
+        return this.sheetStagesStart + sheetSize * ((progress.sheetIndex || 0) + sheetFraction);
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Parser Error Module
+ * Fehler des Parsers mit Meldungsschlüssel und Parametern, damit die Oberfläche ihn in der gewählten Sprache anzeigt
+ * (siehe I18n.translateError). message enthält die Meldung in der Sprache des Parsers (z.B. für die Kommandozeile).
+ */
+
+class ParserError extends Error {
+    /**
+     * @param {string} key - Der Meldungsschlüssel (z.B. "parser.emptySheet")
+     * @param {Object} params - Die Parameter der Meldung
+     * @param {string} message - Die übersetzte Meldung
+     * @param {string|null} sheetName - Die betroffene Tabelle (wird bei mehreren Tabellen vorangestellt)
+     */
+    constructor(key, params = {}, message = key, sheetName = null) {
+        super(message);
+        this.name = 'ParserError';
+        this.key = key;
+        this.params = params;
+        this.sheetName = sheetName;
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParserError;
+}
@@ -0,0 +1,96 @@
+/**
+ * Parser Worker
+ * Liest und transformiert Dateien im Hintergrund, damit die Oberfläche auch bei grossen Exporten bedienbar bleibt
+ *
+ * Aufträge (jeweils mit jobId und language):
+ *   { type: 'inspect', file, profiles }  → liest die Datei und wählt das Profil
+ *   { type: 'parse', profile, sheetNames } → transformiert die zuletzt gelesene Datei
+ * Antworten:
+ *   { type: 'progress', jobId, stage, current, total, sheetName, sheetIndex, sheetCount }
+ *   { type: 'done', jobId, result } oder { type: 'error', jobId, message, key, params, sheetName }
+ */
+
+// SheetJS separat laden, damit eine fehlende Bibliothek als verständlicher Fehler gemeldet wird
+try {
+    importScripts('vendor/xlsx.full.min.js');
+} catch (error) {
+    console.error('Parser Worker: SheetJS konnte nicht geladen werden:', error);
+}
+
+importScripts(
+    'i18n.js',
+    'parserError.js',
+    'dateNormalizer.js',
+    'rowValidator.js',
+    'rowFilter.js',
+    'textFileDecoder.js',
+    'nameNormalizer.js',
+    'fieldTransformer.js',
+    'excelParser.js'
+);
+
+// Die Sprache wählt die Seite (mit jedem Auftrag), der Worker speichert sie nicht
+const i18n = new I18n(null, '');
+const parser = new ExcelParser(i18n);
+
+// Zuletzt gelesene Datei (zwischen 'inspect' und 'parse' wählt der Benutzer ggf. die Tabellen)
+let currentWorkbook = null;
+let currentFileName = null;
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+
+    parser.onProgress = (progress) => {
+        self.postMessage(Object.assign({ type: 'progress', jobId: message.jobId }, progress));
+    };
+
+    try {
+        if (message.language) {
+            i18n.setLanguage(message.language);
+        }
+
+        if (typeof XLSX === 'undefined') {
+            throw parser.createError('worker.libraryMissing');
+        }
+
+        let result;
+
+        if (message.type === 'inspect') {
+            currentWorkbook = null;
+            const workbook = await parser.readWorkbook(message.file);
+            const detection = parser.detectProfile(workbook, message.profiles);
+
+            currentWorkbook = workbook;
+            currentFileName = message.file.name;
+            result = {
+                profileName: detection.profile.name,
+                sheetNames: workbook.SheetNames,
+                summaries: detection.summaries
+            };
+        } else if (message.type === 'parse') {
+            if (!currentWorkbook) {
+                throw parser.createError('worker.noFile');
+            }
+
+            parser.applyProfile(message.profile);
+            result = parser.parseWorkbook(currentWorkbook, currentFileName, message.sheetNames);
+
+            // Workbook und Worksheet freigeben, die Datei ist fertig verarbeitet
+            currentWorkbook = null;
+            parser.clearData();
+        } else {
+            throw parser.createError('worker.unknownJob', { type: message.type });
+        }
+
+        self.postMessage({ type: 'done', jobId: message.jobId, result: result });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            jobId: message.jobId,
+            message: error.message || i18n.t('error.unknown'),
+            key: error.key,
+            params: error.params,
+            sheetName: error.sheetName
+        });
+    }
+});
@@ -0,0 +1,481 @@
+/**
+ * Preview Grid Module
+ * Editierbare Vorschau mit Typprüfung pro Feld, Löschen/Hinzufügen von Zeilen und Undo/Redo
+ */
+
+class PreviewGrid {
+    /**
+     * @param {HTMLElement} tbody - Der Tabellenkörper der Vorschau
+     * @param {Array<string>} columns - Die angezeigten CSV-Felder
+     * @param {RowValidator} rowValidator - Prüft geänderte Zeilen erneut
+     * @param {Function} onChange - Wird nach jeder Änderung aufgerufen
+     * @param {NameNormalizer|null} nameNormalizer - Teilt geänderte Namen in FirstName/LastName auf
+     * @param {Function|null} idBuilder - Berechnet die Id einer Zeile nach den Feldregeln neu
+     * @param {I18n} i18n - Meldungskatalog für Beschriftungen und Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(tbody, columns, rowValidator, onChange, nameNormalizer = null, idBuilder = null, i18n = new I18n(null, '')) {
+        this.tbody = tbody;
+        this.columns = columns;
+        this.rowValidator = rowValidator;
+        this.onChange = onChange;
+        this.nameNormalizer = nameNormalizer;
+        this.idBuilder = idBuilder;
+        this.i18n = i18n;
+
+        // Feldtypen für die Prüfung der Eingaben
+        this.fieldTypes = {
+            Id: 'required',
+            BookingNumber: 'required',
+            OTANumber: 'text',
+            Name: 'text',
+            NumberOfAdults: 'count',
+            NumberOfTeens: 'count',
+            NumberOfChildren: 'count',
+            NumberOfBabys: 'count',
+            DateFrom: 'date',
+            DateTo: 'date'
+        };
+
+        // Maximal angezeigte Zeilen (die restlichen bleiben im Export enthalten)
+        this.maxRows = 1000;
+
+        this.rows = [];
+        this.originalValues = new WeakMap();
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Übernimmt einen neuen Datensatz und merkt sich die geparsten Werte als Vergleichsbasis
+     * @param {Array<Object>} rows - Die Zeilen (werden direkt bearbeitet)
+     */
+    load(rows) {
+        this.rows = rows;
+        this.originalValues = new WeakMap();
+        rows.forEach(row => {
+            const snapshot = {};
+            this.columns.forEach(column => {
+                snapshot[column] = row[column];
+            });
+            this.originalValues.set(row, snapshot);
+        });
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Zeichnet die übergebenen Zeilen
+     * @param {Array<Object>} rows - Die anzuzeigenden Zeilen (Teilmenge des Datensatzes oder verworfene Zeilen)
+     * @param {boolean} editable - Ob die Zeilen bearbeitet werden können
+     */
+    render(rows, editable) {
+        this.tbody.innerHTML = '';
+        this.rowElements = new Map();
+        const maxRows = Math.min(rows.length, this.maxRows);
+
+        for (let i = 0; i < maxRows; i++) {
+            const tr = this.createRowElement(rows[i], editable);
+            this.rowElements.set(rows[i], tr);
+            this.tbody.appendChild(tr);
+        }
+
+        // Wenn mehr Zeilen vorhanden sind, zeige Hinweis
+        if (rows.length > maxRows) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = this.columns.length + 3;
+            td.className = 'preview-more';
+            td.textContent = this.i18n.t('preview.moreRows', { count: rows.length - maxRows });
+            tr.appendChild(td);
+            this.tbody.appendChild(tr);
+        }
+
+        this.lastRender = { rows: rows, editable: editable };
+    }
+
+    /**
+     * Zeichnet die zuletzt angezeigten Zeilen erneut (z.B. nach Undo/Redo)
+     */
+    rerender() {
+        if (!this.lastRender) {
+            return;
+        }
+        if (!this.lastRender.editable) {
+            this.render(this.lastRender.rows, false);
+            return;
+        }
+        const currentRows = new Set(this.rows);
+        this.render(this.lastRender.rows.filter(row => currentRows.has(row)), true);
+    }
+
+    /**
+     * Zeichnet nur die Tabellenzeile einer geänderten Datenzeile neu (die übrige Tabelle bleibt stehen)
+     * @param {Object} row - Die Datenzeile
+     * @returns {boolean} - false, wenn die Zeile nicht angezeigt wird
+     */
+    rerenderRow(row) {
+        const oldElement = this.rowElements && this.rowElements.get(row);
+        if (!oldElement || !oldElement.parentNode) {
+            return false;
+        }
+        const newElement = this.createRowElement(row, this.lastRender.editable);
+        oldElement.parentNode.replaceChild(newElement, oldElement);
+        this.rowElements.set(row, newElement);
+        return true;
+    }
+
+    /**
+     * Erstellt die Tabellenzeile für eine Datenzeile
+     * @param {Object} row - Die Datenzeile
+     * @param {boolean} editable - Ob die Zellen bearbeitet werden können
+     * @returns {HTMLTableRowElement}
+     */
+    createRowElement(row, editable) {
+        const tr = document.createElement('tr');
+        const issues = this.getIssues(row);
+        const isManual = Boolean(row._meta && row._meta.manual);
+
+        if (issues.some(issue => issue.level === 'error')) {
+            tr.className = 'row-error';
+        } else if (issues.length > 0) {
+            tr.className = 'row-warning';
+        }
+        if (isManual) {
+            tr.classList.add('row-added');
+        }
+
+        // Excel-Zeilennummer der Quellzeile (bei zusammengeführten Zeilen alle Quellzeilen)
+        const sourceCell = document.createElement('td');
+        if (row._meta && row._meta.mergedFrom) {
+            sourceCell.textContent = row._meta.mergedFrom.map(source => source.sourceRow).join(', ');
+        } else if (isManual) {
+            sourceCell.textContent = this.i18n.t('preview.newRow');
+        } else {
+            sourceCell.textContent = row._meta ? row._meta.sourceRow : '';
+        }
+        tr.appendChild(sourceCell);
+
+        this.columns.forEach(column => {
+            tr.appendChild(this.createCell(row, column, editable));
+        });
+
+        tr.appendChild(this.createIssuesCell(row, issues));
+
+        // Aktionen
+        const actionCell = document.createElement('td');
+        if (editable) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-link';
+            deleteBtn.textContent = this.i18n.t('preview.delete');
+            deleteBtn.addEventListener('click', () => {
+                this.deleteRow(row);
+            });
+            actionCell.appendChild(deleteBtn);
+        }
+        tr.appendChild(actionCell);
+
+        return tr;
+    }
+
+    /**
+     * Erstellt eine (ggf. editierbare) Zelle
+     * @param {Object} row - Die Datenzeile
+     * @param {string} column - Das CSV-Feld
+     * @param {boolean} editable - Ob die Zelle bearbeitet werden kann
+     * @returns {HTMLTableCellElement}
+     */
+    createCell(row, column, editable) {
+        const td = document.createElement('td');
+        td.textContent = this.formatValue(row[column]);
+
+        const original = this.originalValues.get(row);
+        if (original && this.formatValue(original[column]) !== this.formatValue(row[column])) {
+            td.classList.add('cell-edited');
+            td.title = this.i18n.t('preview.original', { value: this.formatValue(original[column]) || this.i18n.t('common.empty') });
+        }
+
+        if (!editable) {
+            return td;
+        }
+
+        td.contentEditable = 'true';
+        td.classList.add('cell-editable');
+        td.spellcheck = false;
+
+        td.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                td.blur();
+            } else if (e.key === 'Escape') {
+                td.textContent = this.formatValue(row[column]);
+                td.blur();
+            }
+        });
+
+        td.addEventListener('blur', () => {
+            this.commitCell(row, column, td);
+        });
+
+        return td;
+    }
+
+    /**
+     * Erstellt die Zelle mit Hinweisen (Zusammenführung, Filter, Warnungen und Fehler)
+     * @param {Object} row - Die Datenzeile
+     * @param {Array<Object>} issues - Die Probleme der Zeile
+     * @returns {HTMLTableCellElement}
+     */
+    createIssuesCell(row, issues) {
+        const td = document.createElement('td');
+        td.className = 'preview-issues';
+
+        const addLine = (text, className) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            td.appendChild(line);
+        };
+
+        if (row._meta && row._meta.mergedFrom) {
+            addLine(this.i18n.t('preview.mergedFrom', { count: row._meta.mergedFrom.length }), 'issue-info');
+        }
+        if (row._meta && row._meta.filteredBy) {
+            addLine(this.i18n.t('preview.filteredBy', { rule: row._meta.filteredBy }), 'issue-info');
+        }
+        issues.forEach(issue => {
+            addLine(issue.message, issue.level === 'error' ? 'issue-error' : '');
+        });
+
+        return td;
+    }
+
+    /**
+     * Übernimmt den Inhalt einer bearbeiteten Zelle nach der Typprüfung
+     * @param {Object} row - Die Datenzeile
+     * @param {string} column - Das CSV-Feld
+     * @param {HTMLTableCellElement} td - Die bearbeitete Zelle
+     */
+    commitCell(row, column, td) {
+        const input = td.textContent.trim();
+        if (input === this.formatValue(row[column])) {
+            return;
+        }
+
+        let value;
+        try {
+            value = this.parseInput(column, input);
+        } catch (error) {
+            // Ungültige Eingabe: alten Wert wiederherstellen und Grund anzeigen
+            td.textContent = this.formatValue(row[column]);
+            td.classList.add('cell-invalid');
+            td.title = error.message;
+            setTimeout(() => td.classList.remove('cell-invalid'), 2000);
+            return;
+        }
+
+        const changes = [{ field: column, oldValue: row[column], newValue: value }];
+
+        // Vor- und Nachname folgen dem Namen (die Schreibweise der Eingabe bleibt erhalten)
+        if (column === 'Name' && this.nameNormalizer) {
+            const { firstName, lastName } = this.nameNormalizer.split(value);
+            changes.push({ field: 'FirstName', oldValue: row.FirstName, newValue: firstName });
+            changes.push({ field: 'LastName', oldValue: row.LastName, newValue: lastName });
+        }
+
+        // Id folgt den Feldregeln (z.B. der Buchungsnummer), solange sie nicht von Hand geändert wurde
+        if (column !== 'Id' && this.idBuilder && row.Id === this.idBuilder(row)) {
+            const updatedRow = Object.assign({}, row);
+            changes.forEach(change => {
+                updatedRow[change.field] = change.newValue;
+            });
+            const id = this.idBuilder(updatedRow);
+            if (id !== row.Id) {
+                changes.push({ field: 'Id', oldValue: row.Id, newValue: id });
+            }
+        }
+
+        this.execute({ type: 'edit', row: row, changes: changes });
+    }
+
+    /**
+     * Prüft und konvertiert eine Eingabe gemäss Feldtyp
+     * @param {string} column - Das CSV-Feld
+     * @param {string} input - Die Eingabe
+     * @returns {string|number} - Der zu speichernde Wert
+     * @throws {Error} Wenn die Eingabe nicht zum Feldtyp passt
+     */
+    parseInput(column, input) {
+        switch (this.fieldTypes[column]) {
+            case 'required':
+                if (input === '') {
+                    throw new Error(this.i18n.t('preview.required'));
+                }
+                return input;
+            case 'count':
+                if (!/^\d+$/.test(input)) {
+                    throw new Error(this.i18n.t('preview.invalidCount'));
+                }
+                return parseInt(input, 10);
+            case 'date':
+                if (!this.rowValidator.parseDate(input)) {
+                    const format = this.rowValidator.dateNormalizer.describeFormat();
+                    throw new Error(this.i18n.t('preview.invalidDate', { format: format }));
+                }
+                return input;
+            default:
+                return input;
+        }
+    }
+
+    /**
+     * Löscht eine Zeile aus dem Datensatz
+     * @param {Object} row - Die Datenzeile
+     */
+    deleteRow(row) {
+        const index = this.rows.indexOf(row);
+        if (index !== -1) {
+            this.execute({ type: 'delete', row: row, index: index });
+        }
+    }
+
+    /**
+     * Fügt eine manuelle Buchung (z.B. Walk-in) mit Anreise heute hinzu
+     * @returns {Object} - Die neue Zeile
+     */
+    addRow() {
+        const now = new Date();
+        const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+        const tomorrow = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + 1));
+        const row = {
+            Id: '',
+            BookingNumber: '',
+            OTANumber: '',
+            Name: '',
+            FirstName: '',
+            LastName: '',
+            NumberOfAdults: 1,
+            NumberOfTeens: 0,
+            NumberOfChildren: 0,
+            NumberOfBabys: 0,
+            DateFrom: this.rowValidator.dateNormalizer.formatDate(today),
+            DateTo: this.rowValidator.dateNormalizer.formatDate(tomorrow),
+            _meta: { manual: true, issues: [] }
+        };
+        row._meta.issues = this.rowValidator.validate(row);
+
+        this.execute({ type: 'add', row: row, index: this.rows.length });
+        return row;
+    }
+
+    /**
+     * Führt eine Änderung aus und legt sie auf den Undo-Stack
+     * @param {Object} operation - Die Änderung (edit, delete oder add)
+     */
+    execute(operation) {
+        this.apply(operation, false);
+        this.undoStack.push(operation);
+        this.redoStack = [];
+        this.afterChange(operation);
+    }
+
+    /**
+     * Macht die letzte Änderung rückgängig
+     */
+    undo() {
+        const operation = this.undoStack.pop();
+        if (operation) {
+            this.apply(operation, true);
+            this.redoStack.push(operation);
+            this.afterChange(operation);
+        }
+    }
+
+    /**
+     * Stellt die zuletzt rückgängig gemachte Änderung wieder her
+     */
+    redo() {
+        const operation = this.redoStack.pop();
+        if (operation) {
+            this.apply(operation, false);
+            this.undoStack.push(operation);
+            this.afterChange(operation);
+        }
+    }
+
+    /**
+     * Wendet eine Änderung an bzw. nimmt sie zurück
+     * @param {Object} operation - Die Änderung
+     * @param {boolean} reverse - true = rückgängig machen
+     */
+    apply(operation, reverse) {
+        switch (operation.type) {
+            case 'edit': {
+                operation.changes.forEach(change => {
+                    operation.row[change.field] = reverse ? change.oldValue : change.newValue;
+                });
+                const changedFields = operation.changes.map(change => change.field);
+                const meta = operation.row._meta || (operation.row._meta = { issues: [] });
+                meta.issues = this.rowValidator.revalidate(operation.row, meta.issues || [], changedFields);
+                break;
+            }
+            case 'delete':
+                if (reverse) {
+                    this.rows.splice(operation.index, 0, operation.row);
+                } else {
+                    this.rows.splice(operation.index, 1);
+                }
+                break;
+            case 'add':
+                if (reverse) {
+                    this.rows.splice(operation.index, 1);
+                } else {
+                    this.rows.splice(operation.index, 0, operation.row);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Aktualisiert die Anzeige nach einer Änderung
+     * @param {Object} operation - Die ausgeführte Änderung
+     */
+    afterChange(operation) {
+        // Neu hinzugefügte Zeilen sollen sichtbar sein, auch wenn ein Filter aktiv ist
+        if (operation.type === 'add' && this.lastRender && !this.lastRender.rows.includes(operation.row)) {
+            this.lastRender.rows = this.lastRender.rows.concat([operation.row]);
+        }
+        if (operation.type !== 'edit' || !this.rerenderRow(operation.row)) {
+            this.rerender();
+        }
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Gibt an, ob Undo bzw. Redo möglich ist
+     * @returns {{canUndo: boolean, canRedo: boolean}}
+     */
+    getHistoryState() {
+        return { canUndo: this.undoStack.length > 0, canRedo: this.redoStack.length > 0 };
+    }
+
+    /**
+     * Gibt die Probleme einer Zeile zurück
+     * @param {Object} row - Die Datenzeile
+     * @returns {Array<Object>}
+     */
+    getIssues(row) {
+        return row._meta && Array.isArray(row._meta.issues) ? row._meta.issues : [];
+    }
+
+    /**
+     * Formatiert einen Zellwert für die Anzeige
+     * @param {*} value - Der Wert
+     * @returns {string}
+     */
+    formatValue(value) {
+        return value !== undefined && value !== null ? String(value) : '';
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * Privacy Guard Module
+ * Datenschutzmodus für gemeinsam genutzte Geräte (nDSG/DSGVO): Gästenamen im Export ersetzen,
+ * als Hashwert mit Salt ausgeben oder weglassen und gelesene Daten nach Inaktivität löschen
+ */
+
+class PrivacyGuard {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+
+        // Die Einstellungen gelten für das Gerät, nicht pro Profil
+        this.settingsKey = 'bernticket.privacy';
+        this.nameModes = ['hash', 'replace', 'drop'];
+        this.settings = this.loadSettings();
+
+        // Felder mit Gästenamen
+        this.nameFields = ['Name', 'FirstName', 'LastName'];
+
+        // Anzahl Hex-Zeichen des SHA-256-Hashwerts im Export
+        this.hashLength = 16;
+
+        // Höchste Wartezeit bis zum Löschen in Minuten
+        this.maxIdleMinutes = 480;
+
+        // Ereignisse, die als Aktivität zählen und die Wartezeit neu starten
+        this.activityEvents = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+        this.idleTimer = null;
+        this.onIdle = null;
+    }
+
+    /**
+     * Gibt die Standardeinstellungen zurück (Datenschutzmodus ausgeschaltet)
+     * @returns {Object} - enabled, nameMode, replacement, salt, idleMinutes und clearAfterDownload
+     */
+    getDefaultSettings() {
+        return {
+            enabled: false,
+            nameMode: 'hash',
+            replacement: 'Gast',
+            salt: '',
+            idleMinutes: 10,
+            clearAfterDownload: true
+        };
+    }
+
+    /**
+     * Lädt die Einstellungen aus dem localStorage
+     * @returns {Object}
+     */
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settingsKey));
+            if (stored && typeof stored === 'object') {
+                return Object.assign(this.getDefaultSettings(), stored);
+            }
+        } catch (error) {
+            console.warn('Einstellungen für den Datenschutzmodus konnten nicht geladen werden:', error);
+        }
+        return this.getDefaultSettings();
+    }
+
+    /**
+     * Prüft und speichert die Einstellungen und startet die Wartezeit neu
+     * @param {Object} settings - enabled, nameMode, replacement, salt, idleMinutes und clearAfterDownload
+     * @throws {Error} Wenn eine Einstellung ungültig ist
+     */
+    saveSettings(settings) {
+        const normalized = {
+            enabled: Boolean(settings.enabled),
+            nameMode: settings.nameMode,
+            replacement: String(settings.replacement || '').trim(),
+            salt: String(settings.salt || ''),
+            idleMinutes: settings.idleMinutes,
+            clearAfterDownload: Boolean(settings.clearAfterDownload)
+        };
+
+        if (!this.nameModes.includes(normalized.nameMode)) {
+            throw new Error(this.i18n.t('privacy.invalidNameMode', { mode: normalized.nameMode }));
+        }
+        if (normalized.enabled && normalized.nameMode === 'replace' && normalized.replacement === '') {
+            throw new Error(this.i18n.t('privacy.replacementRequired'));
+        }
+        if (normalized.enabled && normalized.nameMode === 'hash' && normalized.salt === '') {
+            throw new Error(this.i18n.t('privacy.saltRequired'));
+        }
+        if (!Number.isInteger(normalized.idleMinutes) || normalized.idleMinutes < 0 ||
+            normalized.idleMinutes > this.maxIdleMinutes) {
+            throw new Error(this.i18n.t('privacy.invalidIdleMinutes', { max: this.maxIdleMinutes }));
+        }
+
+        this.settings = normalized;
+        localStorage.setItem(this.settingsKey, JSON.stringify(normalized));
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Prüft, ob der Datenschutzmodus eingeschaltet ist
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * Prüft, ob die Daten nach dem Download gelöscht werden
+     * @returns {boolean}
+     */
+    shouldClearAfterDownload() {
+        return this.settings.enabled && this.settings.clearAfterDownload;
+    }
+
+    /**
+     * Entfernt die Namensfelder aus den Exportspalten, wenn Gästenamen weggelassen werden
+     * @param {Array<string>} columns - Die Exportspalten
+     * @returns {Array<string>}
+     */
+    getExportColumns(columns) {
+        if (!this.settings.enabled || this.settings.nameMode !== 'drop') {
+            return columns;
+        }
+        return columns.filter(column => !this.nameFields.includes(column));
+    }
+
+    /**
+     * Erstellt die Zeilen für Export und Übermittlung (die angezeigten Zeilen bleiben unverändert)
+     * @param {Array<Object>} rows - Die Zeilen
+     * @returns {Promise<Array<Object>>} - Kopien mit ersetzten bzw. ohne Namensfelder
+     */
+    async prepareRows(rows) {
+        if (!this.settings.enabled) {
+            return rows;
+        }
+
+        // Gleiche Namen nur einmal hashen
+        const hashes = new Map();
+
+        const preparedRows = [];
+        for (const row of rows) {
+            const prepared = Object.assign({}, row);
+            for (const field of this.nameFields) {
+                const value = prepared[field];
+                if (this.settings.nameMode === 'drop') {
+                    delete prepared[field];
+                } else if (value !== undefined && value !== null && value !== '') {
+                    if (this.settings.nameMode === 'replace') {
+                        prepared[field] = this.settings.replacement;
+                    } else {
+                        if (!hashes.has(value)) {
+                            hashes.set(value, await this.hash(String(value)));
+                        }
+                        prepared[field] = hashes.get(value);
+                    }
+                }
+            }
+            preparedRows.push(prepared);
+        }
+        return preparedRows;
+    }
+
+    /**
+     * Berechnet den SHA-256-Hashwert eines Werts mit dem konfigurierten Salt
+     * Gleiche Namen ergeben mit gleichem Salt immer denselben Hashwert.
+     * @param {string} value - Der Wert
+     * @returns {Promise<string>} - Die ersten hashLength Hex-Zeichen
+     */
+    async hash(value) {
+        const data = new TextEncoder().encode(this.settings.salt + value);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('')
+            .slice(0, this.hashLength);
+    }
+
+    /**
+     * Startet die Überwachung der Inaktivität
+     * @param {Function} onIdle - Wird nach Ablauf der Wartezeit ohne Aktivität aufgerufen
+     * @param {EventTarget} target - Das Element, dessen Ereignisse als Aktivität zählen
+     */
+    startIdleTimer(onIdle, target = document) {
+        this.onIdle = onIdle;
+        this.activityEvents.forEach(type => {
+            target.addEventListener(type, () => this.resetIdleTimer(), { passive: true });
+        });
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Startet die Wartezeit neu (nur im Datenschutzmodus mit Wartezeit)
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        if (!this.onIdle || !this.settings.enabled || this.settings.idleMinutes === 0) {
+            return;
+        }
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            this.onIdle();
+        }, this.settings.idleMinutes * 60 * 1000);
+    }
+}
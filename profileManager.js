@@ -0,0 +1,288 @@
+/**
+ * Profile Manager Module
+ * Verwaltet benannte Mapping-Profile (ein Profil pro Hotel/PMS) im localStorage
+ */
+
+class ProfileManager {
+    /**
+     * @param {Object} defaultColumnMapping - Das Standard-Mapping des Parsers (Basis für neue Profile)
+     * @param {Storage|null} storage - Der Speicher (null = nur im Speicher, z.B. in Node.js)
+     * @param {I18n} i18n - Meldungskatalog für Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(defaultColumnMapping, storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        i18n = new I18n(null, '')) {
+        this.storage = storage;
+        this.i18n = i18n;
+        this.storageKey = 'bernticket.profiles';
+        this.activeProfileKey = 'bernticket.activeProfile';
+        this.defaultProfileName = 'Standard';
+        this.defaultColumnMapping = defaultColumnMapping;
+
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Lädt alle Profile aus dem localStorage (legt bei Bedarf das Standardprofil an)
+     * @returns {Object} - Profile mit dem Profilnamen als Key
+     */
+    loadProfiles() {
+        let profiles = {};
+
+        try {
+            const stored = this.storage && this.storage.getItem(this.storageKey);
+            if (stored) {
+                profiles = JSON.parse(stored) || {};
+            }
+        } catch (error) {
+            console.warn('Profile konnten nicht geladen werden:', error);
+            profiles = {};
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(profiles, this.defaultProfileName)) {
+            profiles[this.defaultProfileName] = this.createProfile(this.defaultProfileName);
+        }
+
+        return profiles;
+    }
+
+    /**
+     * Speichert alle Profile im localStorage
+     */
+    persist() {
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.warn('Profile konnten nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Erstellt ein neues Profil auf Basis des Standard-Mappings
+     * @param {string} name - Der Profilname
+     * @returns {Object} - Das neue Profil
+     */
+    createProfile(name) {
+        return {
+            name: name,
+            columnMapping: JSON.parse(JSON.stringify(this.defaultColumnMapping))
+        };
+    }
+
+    /**
+     * Gibt die Namen aller Profile zurück (Standardprofil zuerst)
+     * @returns {Array<string>}
+     */
+    getProfileNames() {
+        return Object.keys(this.profiles).sort((a, b) => {
+            if (a === this.defaultProfileName) return -1;
+            if (b === this.defaultProfileName) return 1;
+            return a.localeCompare(b);
+        });
+    }
+
+    /**
+     * Gibt ein Profil zurück
+     * @param {string} name - Der Profilname
+     * @returns {Object|null}
+     */
+    getProfile(name) {
+        // Nur eigene Einträge, damit z.B. "constructor" nicht Object liefert
+        return Object.prototype.hasOwnProperty.call(this.profiles, name) ? this.profiles[name] : null;
+    }
+
+    /**
+     * Gibt das aktive Profil zurück (Fallback: Standardprofil)
+     * @returns {Object}
+     */
+    getActiveProfile() {
+        let activeName = null;
+        try {
+            activeName = this.storage && this.storage.getItem(this.activeProfileKey);
+        } catch (error) {
+            activeName = null;
+        }
+        return this.getProfile(activeName) || this.getProfile(this.defaultProfileName);
+    }
+
+    /**
+     * Setzt das aktive Profil
+     * @param {string} name - Der Profilname
+     */
+    setActiveProfile(name) {
+        if (!this.getProfile(name)) {
+            throw new Error(this.i18n.t('profile.notFound', { name: name }));
+        }
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.setItem(this.activeProfileKey, name);
+        } catch (error) {
+            console.warn('Aktives Profil konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Speichert ein Profil (neu oder überschreibend)
+     * @param {Object} profile - Das Profil mit name und columnMapping
+     * @throws {Error} Wenn das Profil ungültig ist
+     */
+    saveProfile(profile) {
+        this.validateProfile(profile);
+        this.profiles[profile.name] = profile;
+        this.persist();
+    }
+
+    /**
+     * Ändert einzelne Einstellungen eines bestehenden Profils (z.B. gemerkte Tabellen)
+     * @param {string} name - Der Profilname
+     * @param {Object} changes - Die zu übernehmenden Eigenschaften
+     */
+    updateProfile(name, changes) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            throw new Error(this.i18n.t('profile.notFound', { name: name }));
+        }
+        this.saveProfile(Object.assign({}, profile, changes, { name: name }));
+    }
+
+    /**
+     * Löscht ein Profil (das Standardprofil kann nicht gelöscht werden)
+     * @param {string} name - Der Profilname
+     */
+    deleteProfile(name) {
+        if (name === this.defaultProfileName) {
+            throw new Error(this.i18n.t('profile.defaultNotDeletable'));
+        }
+        delete this.profiles[name];
+        this.persist();
+    }
+
+    /**
+     * Prüft ein Profil auf Vollständigkeit
+     * @param {Object} profile - Das zu prüfende Profil
+     * @throws {Error} Wenn das Profil ungültig ist
+     */
+    validateProfile(profile) {
+        if (!profile || typeof profile.name !== 'string' || profile.name.trim() === '') {
+            throw new Error(this.i18n.t('profile.nameRequired'));
+        }
+        // Würde beim Speichern den Prototyp statt eines Eintrags setzen
+        if (profile.name === '__proto__') {
+            throw new Error(this.i18n.t('profile.nameNotAllowed', { name: profile.name }));
+        }
+        if (!profile.columnMapping || typeof profile.columnMapping !== 'object') {
+            throw new Error(this.i18n.t('profile.mappingMissing', { name: profile.name }));
+        }
+
+        for (const [fieldName, config] of Object.entries(profile.columnMapping)) {
+            if (!config || !Array.isArray(config.possibleNames)) {
+                throw new Error(this.i18n.t('profile.invalidField', { field: fieldName, name: profile.name }));
+            }
+        }
+
+        const bookingNumber = profile.columnMapping.BookingNumber;
+        if (!bookingNumber || bookingNumber.possibleNames.length === 0) {
+            throw new Error(this.i18n.t('profile.bookingNumberRequired'));
+        }
+
+        if (profile.groupingMode && !['merge', 'suffix'].includes(profile.groupingMode)) {
+            throw new Error(this.i18n.t('profile.unknownGroupingMode', { mode: profile.groupingMode }));
+        }
+
+        if (profile.nameOptions) {
+            const options = profile.nameOptions;
+            if (typeof options !== 'object' ||
+                Object.values(options).some(value => typeof value !== 'boolean')) {
+                throw new Error(this.i18n.t('profile.invalidNameOptions', { name: profile.name }));
+            }
+        }
+
+        if (profile.filterRules) {
+            if (!Array.isArray(profile.filterRules)) {
+                throw new Error(this.i18n.t('profile.invalidFilterRules', { name: profile.name }));
+            }
+            const rowFilter = new RowFilter(new DateNormalizer(this.i18n), this.i18n);
+            profile.filterRules.forEach(rule => rowFilter.validateRule(rule));
+        }
+
+        if (profile.fieldTransforms) {
+            new FieldTransformer(this.i18n).validate(profile.fieldTransforms);
+        }
+
+        if (profile.dateInputLocales || profile.dateOutputFormat) {
+            new DateNormalizer(this.i18n).configure({
+                inputLocales: profile.dateInputLocales,
+                outputFormat: profile.dateOutputFormat
+            });
+        }
+
+        if (profile.exportDialect) {
+            new CSVExporter(new DateNormalizer(this.i18n), this.i18n).getDialect(profile.exportDialect);
+        }
+
+        if (profile.fileNameTemplate !== undefined) {
+            new FileNameTemplate(this.i18n).validate(profile.fileNameTemplate);
+        }
+
+        if (profile.ageLimits) {
+            const { babyMaxAge, childMaxAge, teenMaxAge } = profile.ageLimits;
+            const limits = [babyMaxAge, childMaxAge, teenMaxAge];
+            if (limits.some(limit => !Number.isInteger(limit) || limit < 0) ||
+                babyMaxAge >= childMaxAge || childMaxAge >= teenMaxAge) {
+                throw new Error(this.i18n.t('profile.invalidAgeLimits'));
+            }
+        }
+    }
+
+    /**
+     * Exportiert Profile als JSON-String
+     * @param {Array<string>} names - Die zu exportierenden Profilnamen (Standard: alle)
+     * @returns {string}
+     */
+    exportProfiles(names = this.getProfileNames()) {
+        const profiles = names
+            .map(name => this.getProfile(name))
+            .filter(profile => profile);
+
+        return JSON.stringify({ type: 'bernticket-profiles', version: 1, profiles: profiles }, null, 2);
+    }
+
+    /**
+     * Importiert Profile aus einem JSON-String (gleichnamige Profile werden überschrieben)
+     * @param {string} json - Der JSON-Inhalt einer Profil-Exportdatei
+     * @returns {Array<string>} - Die Namen der importierten Profile
+     * @throws {Error} Wenn die Datei keine gültigen Profile enthält
+     */
+    importProfiles(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(this.i18n.t('profile.invalidJson'));
+        }
+
+        const profiles = Array.isArray(data) ? data : (data && data.profiles);
+        if (!Array.isArray(profiles) || profiles.length === 0) {
+            throw new Error(this.i18n.t('profile.noProfiles'));
+        }
+
+        // Zuerst alle prüfen, damit ein fehlerhafter Import nichts halb überschreibt
+        profiles.forEach(profile => this.validateProfile(profile));
+
+        profiles.forEach(profile => {
+            this.profiles[profile.name] = profile;
+        });
+        this.persist();
+
+        return profiles.map(profile => profile.name);
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
@@ -0,0 +1,189 @@
+/**
+ * Row Filter Module
+ * Wendet Filterregeln (Anreisedatum, Status, Zimmertyp, Ratencode) auf transformierte Zeilen an
+ */
+
+class RowFilter {
+    /**
+     * @param {DateNormalizer} dateNormalizer - Liest Datumswerte der Zeilen im Ausgabeformat
+     * @param {I18n} i18n - Meldungskatalog für Beschreibungen und Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(dateNormalizer = new DateNormalizer(), i18n = new I18n(null, '')) {
+        this.dateNormalizer = dateNormalizer;
+        this.i18n = i18n;
+
+        // Filterbare Felder (Anzeigenamen im Katalog unter filter.field<Feld>)
+        this.fields = ['DateFrom', 'DateTo', 'Status', 'RoomType', 'RateCode'];
+    }
+
+    /**
+     * Wendet die Regeln der Reihe nach an
+     * Eine entfernte Zeile wird der ersten Regel zugerechnet, die sie ausschliesst.
+     * @param {Array<Object>} rows - Die transformierten Zeilen
+     * @param {Array<Object>} rules - Die Filterregeln
+     * @param {Date} today - Referenzdatum für Regeln mit "heute" (Standard: aktuelles Datum)
+     * @returns {{rows: Array<Object>, removedRows: Array<Object>, stats: Array<{description: string, removed: number}>}}
+     */
+    apply(rows, rules = [], today = new Date()) {
+        const stats = rules.map(rule => ({ description: this.describe(rule), removed: 0 }));
+        const keptRows = [];
+        const removedRows = [];
+
+        rows.forEach(row => {
+            const ruleIndex = rules.findIndex(rule => !this.matches(row, rule, today));
+            if (ruleIndex === -1) {
+                keptRows.push(row);
+                return;
+            }
+
+            stats[ruleIndex].removed++;
+            if (row._meta) {
+                row._meta.filteredBy = stats[ruleIndex].description;
+            }
+            removedRows.push(row);
+        });
+
+        return { rows: keptRows, removedRows: removedRows, stats: stats };
+    }
+
+    /**
+     * Prüft, ob eine Zeile eine Regel erfüllt (also behalten wird)
+     * @param {Object} row - Die transformierte Zeile
+     * @param {Object} rule - Die Filterregel
+     * @param {Date} today - Referenzdatum für Regeln mit "heute"
+     * @returns {boolean}
+     */
+    matches(row, rule, today) {
+        const value = String(row[rule.field] !== undefined && row[rule.field] !== null ? row[rule.field] : '').trim();
+
+        switch (rule.type) {
+            case 'date': {
+                const date = this.parseRowDate(value);
+                if (!date) {
+                    return false;
+                }
+                const range = this.getDateRange(rule, today);
+                return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+            }
+            case 'exclude':
+                return !this.normalizeValues(rule.values).includes(value.toLowerCase());
+            case 'include':
+                return this.normalizeValues(rule.values).includes(value.toLowerCase());
+            default:
+                throw new Error(this.i18n.t('filter.unknownType', { type: rule.type }));
+        }
+    }
+
+    /**
+     * Erstellt eine lesbare Beschreibung einer Regel (für Einstellungen und Ergebnisanzeige)
+     * @param {Object} rule - Die Filterregel
+     * @returns {string} - z.B. "Anreise = heute" oder "Status nicht in: Cancelled, No Show"
+     */
+    describe(rule) {
+        const label = this.getFieldLabel(rule.field);
+
+        if (rule.type === 'date') {
+            if (rule.today) {
+                return this.i18n.t('filter.today', { field: label });
+            }
+            const from = rule.from ? this.formatIsoDate(rule.from) : '…';
+            const to = rule.to ? this.formatIsoDate(rule.to) : '…';
+            return rule.from === rule.to ? `${label} = ${from}` : `${label} ${from} – ${to}`;
+        }
+
+        const values = (rule.values || []).join(', ');
+        return this.i18n.t(rule.type === 'exclude' ? 'filter.notIn' : 'filter.in', { field: label, values: values });
+    }
+
+    /**
+     * Gibt den Anzeigenamen eines filterbaren Felds zurück (andere Felder unverändert)
+     * @param {string} field - Das CSV-Feld
+     * @returns {string}
+     */
+    getFieldLabel(field) {
+        return this.fields.includes(field) ? this.i18n.t(`filter.field${field}`) : field;
+    }
+
+    /**
+     * Ermittelt den Datumsbereich einer Datumsregel
+     * @param {Object} rule - Die Datumsregel (today oder from/to als YYYY-MM-DD)
+     * @param {Date} today - Referenzdatum
+     * @returns {{from: Date|null, to: Date|null}} - Grenzen in UTC (inklusive)
+     */
+    getDateRange(rule, today) {
+        if (rule.today) {
+            const date = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+            return { from: date, to: date };
+        }
+        return {
+            from: rule.from ? this.parseIsoDate(rule.from) : null,
+            to: rule.to ? this.parseIsoDate(rule.to) : null
+        };
+    }
+
+    /**
+     * Liest ein Datum einer Zeile (im Ausgabeformat des DateNormalizers)
+     * @param {string} value - Der Datumsstring
+     * @returns {Date|null} - Datum in UTC
+     */
+    parseRowDate(value) {
+        return this.dateNormalizer.parseFormatted(value);
+    }
+
+    /**
+     * Liest ein Datum aus einem Datumsfeld (YYYY-MM-DD)
+     * @param {string} value - Der Datumsstring
+     * @returns {Date|null} - Datum in UTC
+     */
+    parseIsoDate(value) {
+        return this.dateNormalizer.parseFormatted(value, 'YYYY-MM-DD');
+    }
+
+    /**
+     * Formatiert ein Datum aus einem Datumsfeld (YYYY-MM-DD) im Ausgabeformat
+     * @param {string} value - Der Datumsstring
+     * @returns {string}
+     */
+    formatIsoDate(value) {
+        const date = this.parseIsoDate(value);
+        return date ? this.dateNormalizer.formatDate(date) : value;
+    }
+
+    /**
+     * Normalisiert eine Werteliste für den Vergleich (getrimmt, ohne Gross-/Kleinschreibung)
+     * @param {Array<string>} values - Die Werte der Regel
+     * @returns {Array<string>}
+     */
+    normalizeValues(values) {
+        return (values || []).map(value => String(value).trim().toLowerCase());
+    }
+
+    /**
+     * Prüft eine Regel auf Vollständigkeit
+     * @param {Object} rule - Die Filterregel
+     * @throws {Error} Wenn die Regel ungültig ist
+     */
+    validateRule(rule) {
+        if (!rule || !['date', 'exclude', 'include'].includes(rule.type)) {
+            throw new Error(this.i18n.t('filter.invalidType'));
+        }
+        if (!rule.field) {
+            throw new Error(this.i18n.t('filter.fieldRequired'));
+        }
+        if (rule.type === 'date') {
+            if (!rule.today && !rule.from && !rule.to) {
+                throw new Error(this.i18n.t('filter.dateRequired'));
+            }
+            if (rule.from && rule.to && rule.from > rule.to) {
+                throw new Error(this.i18n.t('filter.dateOrder'));
+            }
+        } else if (!Array.isArray(rule.values) || rule.values.length === 0) {
+            throw new Error(this.i18n.t('filter.valuesRequired'));
+        }
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RowFilter;
+}
@@ -0,0 +1,139 @@
+/**
+ * Row Validator Module
+ * Prüft transformierte Zeilen und liefert Warnungen und Fehler pro Zeile
+ */
+
+class RowValidator {
+    /**
+     * @param {DateNormalizer} dateNormalizer - Liest Datumswerte im Ausgabeformat
+     * @param {I18n} i18n - Meldungskatalog (Standard: Deutsch)
+     */
+    constructor(dateNormalizer = new DateNormalizer(), i18n = new I18n(null, '')) {
+        this.dateNormalizer = dateNormalizer;
+        this.i18n = i18n;
+
+        // Felder, deren Quellwert eine Zahl sein muss
+        this.numericFields = ['NumberOfAdults', 'NumberOfChildren', 'NumberOfBabys'];
+
+        // Felder, die zur Gästeanzahl zählen
+        this.guestFields = ['NumberOfAdults', 'NumberOfTeens', 'NumberOfChildren', 'NumberOfBabys'];
+    }
+
+    /**
+     * Prüft eine transformierte Zeile
+     * Fehler (level 'error') führen zum Verwerfen der Zeile, Warnungen werden nur angezeigt.
+     * @param {Object} row - Die transformierte Zeile
+     * @param {Object} sourceValues - Die ursprünglichen Zellwerte (CSV-Feldname → String)
+     * @returns {Array<{level: string, field: string, message: string}>} - Gefundene Probleme
+     */
+    validate(row, sourceValues = {}) {
+        const issues = [];
+
+        if (!row.BookingNumber || String(row.BookingNumber).trim() === '') {
+            issues.push(this.createIssue('error', 'BookingNumber', this.i18n.t('validation.bookingNumberMissing')));
+        }
+
+        // Datumsfelder
+        const dates = {};
+        ['DateFrom', 'DateTo'].forEach(field => {
+            const value = String(row[field] || '').trim();
+            if (value === '') {
+                issues.push(this.createIssue('warning', field,
+                    this.i18n.t('validation.fieldMissing', { field: this.getFieldLabel(field) })));
+                return;
+            }
+
+            dates[field] = this.parseDate(value);
+            if (!dates[field]) {
+                issues.push(this.createIssue('error', field,
+                    this.i18n.t('validation.invalidDate', { field: this.getFieldLabel(field), value: value })));
+            }
+        });
+
+        if (dates.DateFrom && dates.DateTo && dates.DateTo < dates.DateFrom) {
+            issues.push(this.createIssue('error', 'DateTo', this.i18n.t('validation.departureBeforeArrival')));
+        }
+
+        // Numerische Felder (nicht-numerische Werte werden beim Transformieren geleert)
+        // Diese Prüfungen beziehen sich auf die Quelldaten und sind als origin 'source' markiert.
+        this.numericFields.forEach(field => {
+            const sourceValue = String(sourceValues[field] !== undefined ? sourceValues[field] : '').trim();
+            if (sourceValue !== '' && isNaN(parseInt(sourceValue, 10))) {
+                const issue = this.createIssue('warning', field,
+                    this.i18n.t('validation.notANumber', { field: this.getFieldLabel(field), value: sourceValue }));
+                issue.origin = 'source';
+                issues.push(issue);
+            }
+        });
+
+        // Buchungen ohne Gäste
+        const guestCount = this.guestFields.reduce((sum, field) => {
+            const value = parseInt(row[field], 10);
+            return sum + (isNaN(value) ? 0 : value);
+        }, 0);
+        if (guestCount === 0) {
+            issues.push(this.createIssue('warning', 'NumberOfAdults', this.i18n.t('validation.noGuests')));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Prüft eine Zeile nach einer manuellen Änderung erneut
+     * Hinweise zu den Quelldaten bleiben für Felder erhalten, die nicht geändert wurden.
+     * @param {Object} row - Die geänderte Zeile
+     * @param {Array<Object>} previousIssues - Die bisherigen Probleme der Zeile
+     * @param {Array<string>} changedFields - Die geänderten Felder
+     * @returns {Array<Object>} - Die neue Problemliste
+     */
+    revalidate(row, previousIssues, changedFields) {
+        const issues = this.validate(row);
+        previousIssues
+            .filter(issue => issue.origin === 'source' && !changedFields.includes(issue.field))
+            .forEach(issue => issues.push(issue));
+        return issues;
+    }
+
+    /**
+     * Gibt den Anzeigenamen eines Feldes in der gewählten Sprache zurück
+     * @param {string} field - Das CSV-Feld
+     * @returns {string}
+     */
+    getFieldLabel(field) {
+        return this.i18n.t(`field.${field}`);
+    }
+
+    /**
+     * Erstellt einen Eintrag für die Problemliste
+     * @param {string} level - 'error' oder 'warning'
+     * @param {string} field - Das betroffene CSV-Feld
+     * @param {string} message - Die Meldung
+     * @returns {{level: string, field: string, message: string}}
+     */
+    createIssue(level, field, message) {
+        return { level: level, field: field, message: message };
+    }
+
+    /**
+     * Prüft, ob eine Problemliste Fehler enthält
+     * @param {Array<Object>} issues - Die Problemliste
+     * @returns {boolean}
+     */
+    hasErrors(issues) {
+        return issues.some(issue => issue.level === 'error');
+    }
+
+    /**
+     * Liest ein Datum im Ausgabeformat (ungültige Kalenderdaten wie 31.02. werden abgelehnt)
+     * @param {string} value - Der Datumsstring
+     * @returns {Date|null}
+     */
+    parseDate(value) {
+        return this.dateNormalizer.parseFormatted(value);
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RowValidator;
+}
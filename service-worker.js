@@ -3,19 +3,55 @@
  * Cached alle notwendigen Ressourcen für Offline-Nutzung
  */
 
-const CACHE_NAME = 'bernticker-v1';
+// Version aus dem Inhalt aller vorab gecachten Dateien (wird von tools/stamp-cache-version.js gesetzt,
+// nicht von Hand ändern). Jede neue Version installiert einen neuen Service Worker mit eigenem Cache.
+const CACHE_VERSION = '83034af9aba8';
+const CACHE_NAME = `bernticket-${CACHE_VERSION}`;
+// Zwischenablage für Dateien, die per Share Target geteilt wurden (bleibt bei Updates erhalten)
+const SHARE_CACHE_NAME = 'bernticket-share';
 const STATIC_CACHE_URLS = [
     './',
     './index.html',
     './styles.css',
     './app.js',
+    './i18n.js',
+    './parserError.js',
+    './dateNormalizer.js',
+    './rowValidator.js',
+    './rowFilter.js',
+    './textFileDecoder.js',
+    './nameNormalizer.js',
+    './fieldTransformer.js',
     './excelParser.js',
+    './parserClient.js',
+    './parserWorker.js',
+    './profileManager.js',
+    './previewGrid.js',
+    './exporter.js',
+    './exporterRegistry.js',
+    './fileNameTemplate.js',
     './csvExporter.js',
+    './xlsxExporter.js',
+    './jsonExporter.js',
+    './xmlExporter.js',
+    './offlineCheck.js',
+    './serviceWorkerUpdater.js',
+    './launchHandler.js',
+    './historyStore.js',
+    './bookingDiff.js',
+    './submissionQueue.js',
+    './submissionClient.js',
+    './privacyGuard.js',
     './manifest.json',
-    // SheetJS CDN wird nicht gecacht, da es extern ist
-    // Bei vollständiger Offline-Nutzung sollte die Library lokal eingebunden werden
+    // SheetJS wird lokal ausgeliefert (siehe vendor/README.md)
+    './vendor/xlsx.full.min.js'
 ];
 
+// Warteschlange für Übermittlungen an das Ticketsystem (gemeinsam mit der Seite, siehe submissionClient.js)
+// Fehler der Übermittlungen werden als Schlüssel gespeichert, die Seite übersetzt sie
+importScripts('./i18n.js', './submissionQueue.js');
+const submissionQueue = new SubmissionQueue(self.indexedDB);
+
 // Install Event - Cache alle statischen Ressourcen
 self.addEventListener('install', (event) => {
     event.waitUntil(
@@ -25,7 +61,8 @@ self.addEventListener('install', (event) => {
                 // Nur erfolgreiche Requests cachen
                 return Promise.allSettled(
                     STATIC_CACHE_URLS.map((url) => {
-                        return fetch(url)
+                        // HTTP-Cache umgehen, damit die neue Version wirklich neue Dateien erhält
+                        return fetch(url, { cache: 'reload' })
                             .then((response) => {
                                 if (response.ok) {
                                     return cache.put(url, response);
@@ -38,11 +75,9 @@ self.addEventListener('install', (event) => {
                     })
                 );
             })
-            .then(() => {
-                // Service Worker sofort aktivieren
-                return self.skipWaiting();
-            })
     );
+    // Kein skipWaiting: Eine neue Version wartet, bis der Benutzer sie über das Banner lädt
+    // (siehe serviceWorkerUpdater.js), damit keine laufende Verarbeitung unterbrochen wird
 });
 
 // Activate Event - Alte Caches löschen
@@ -52,7 +87,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((cacheName) => cacheName !== CACHE_NAME)
+                        .filter((cacheName) => cacheName !== CACHE_NAME && cacheName !== SHARE_CACHE_NAME)
                         .map((cacheName) => {
                             console.log('Service Worker: Lösche alten Cache:', cacheName);
                             return caches.delete(cacheName);
@@ -66,11 +101,72 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch Event - Cache-First Strategie für statische Ressourcen
+// Message Event - Aktiviert eine wartende Version, gibt geteilte Dateien heraus (siehe launchHandler.js)
+// bzw. meldet fehlende Ressourcen (siehe offlineCheck.js)
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+        return;
+    }
+
+    if (event.data && event.data.type === 'getSharedFiles' && event.ports[0]) {
+        event.waitUntil(
+            takeSharedFiles().then((files) => {
+                event.ports[0].postMessage({ files: files });
+            })
+        );
+        return;
+    }
+
+    if (!event.data || event.data.type !== 'getOfflineStatus' || !event.ports[0]) {
+        return;
+    }
+
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => {
+                return Promise.all(
+                    STATIC_CACHE_URLS.map((url) => {
+                        return cache.match(url).then((response) => (response ? null : url));
+                    })
+                );
+            })
+            .then((results) => {
+                event.ports[0].postMessage({ missing: results.filter((url) => url !== null) });
+            })
+    );
+});
+
+// Sync Event - Wartende Übermittlungen senden, sobald das Gerät wieder online ist (Background Sync)
+self.addEventListener('sync', (event) => {
+    if (event.tag !== submissionQueue.syncTag) {
+        return;
+    }
+
+    event.waitUntil(
+        submissionQueue.flush()
+            .then((result) => {
+                return notifyClients({ type: 'submissionsUpdated' }).then(() => {
+                    // Ablehnen, damit der Browser den Sync später wiederholt
+                    if (result.pending > 0) {
+                        throw new Error(`${result.pending} Übermittlungen warten weiterhin.`);
+                    }
+                });
+            })
+    );
+});
+
+// Fetch Event - Stale-While-Revalidate für App-Dateien, Cache-First für externe Ressourcen
 self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
+    // Share Target - geteilte Dateien entgegennehmen (siehe share_target in manifest.json)
+    if (request.method === 'POST' && url.origin === location.origin && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+
     // Nur GET-Requests behandeln
     if (request.method !== 'GET') {
         return;
@@ -103,27 +199,30 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Für lokale Ressourcen: Cache-First Strategie
+    // Für lokale Ressourcen: Stale-While-Revalidate
+    // Die Antwort kommt sofort aus dem Cache, im Hintergrund wird die Datei neu geladen und der Cache aktualisiert.
+    const networkResponse = fetch(request)
+        .then((response) => {
+            // Nur erfolgreiche Responses cachen
+            if (response && response.status === 200 && response.type === 'basic') {
+                const responseToCache = response.clone();
+                return caches.open(CACHE_NAME)
+                    .then((cache) => cache.put(request, responseToCache))
+                    .then(() => response);
+            }
+            return response;
+        });
+
     event.respondWith(
         caches.match(request)
             .then((cachedResponse) => {
                 if (cachedResponse) {
+                    // Aktualisierung im Hintergrund abschliessen lassen, Netzwerkfehler ignorieren (offline)
+                    event.waitUntil(networkResponse.catch(() => {}));
                     return cachedResponse;
                 }
 
-                // Wenn nicht im Cache, vom Netzwerk holen und cachen
-                return fetch(request)
-                    .then((response) => {
-                        // Nur erfolgreiche Responses cachen
-                        if (response && response.status === 200 && response.type === 'basic') {
-                            const responseToCache = response.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(request, responseToCache);
-                                });
-                        }
-                        return response;
-                    })
+                return networkResponse
                     .catch(() => {
                         // Wenn Netzwerk fehlschlägt und kein Cache vorhanden,
                         // könnte hier eine Offline-Seite zurückgegeben werden
@@ -139,3 +238,59 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+/**
+ * Legt per Share Target geteilte Dateien im Share-Cache ab und öffnet die App
+ * Die Seite holt die Dateien danach mit der Nachricht 'getSharedFiles' ab.
+ * @param {Request} request - Der POST-Request (multipart/form-data mit dem Feld "files")
+ * @returns {Promise<Response>} - Weiterleitung auf die App
+ */
+async function receiveSharedFiles(request) {
+    const formData = await request.formData();
+    const files = formData.getAll('files').filter((file) => file instanceof File);
+
+    // Nicht abgeholte Dateien eines früheren Teilens verwerfen
+    await caches.delete(SHARE_CACHE_NAME);
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    await Promise.all(files.map((file, index) => {
+        return cache.put(`./shared-file-${index}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name)
+            }
+        }));
+    }));
+
+    return Response.redirect('./?share-target', 303);
+}
+
+/**
+ * Gibt die geteilten Dateien zurück und leert den Share-Cache
+ * @returns {Promise<Array<File>>}
+ */
+async function takeSharedFiles() {
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    const requests = await cache.keys();
+    const index = (request) => parseInt(request.url.split('-').pop(), 10);
+    requests.sort((a, b) => index(a) - index(b));
+
+    const files = await Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        const blob = await response.blob();
+        return new File([blob], decodeURIComponent(response.headers.get('X-File-Name') || 'Datei'), {
+            type: blob.type
+        });
+    }));
+
+    await caches.delete(SHARE_CACHE_NAME);
+    return files;
+}
+
+/**
+ * Sendet eine Nachricht an alle geöffneten Fenster der App
+ * @param {Object} message - Die Nachricht
+ * @returns {Promise<void>}
+ */
+async function notifyClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach((client) => client.postMessage(message));
+}
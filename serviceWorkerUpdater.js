@@ -0,0 +1,86 @@
+/**
+ * Service Worker Updater Module
+ * Registriert den Service Worker, erkennt wartende neue Versionen und lädt auf Wunsch neu
+ */
+
+class ServiceWorkerUpdater {
+    /**
+     * @param {Function} onUpdateAvailable - Wird aufgerufen, sobald eine neue Version wartet
+     * @param {ServiceWorkerContainer} serviceWorker - navigator.serviceWorker (undefined, wenn nicht unterstützt)
+     */
+    constructor(onUpdateAvailable, serviceWorker = navigator.serviceWorker) {
+        this.onUpdateAvailable = onUpdateAvailable;
+        this.serviceWorker = serviceWorker;
+        this.scriptUrl = './service-worker.js';
+        this.registration = null;
+
+        // Geräte an der Rezeption bleiben oft tagelang offen, daher regelmässig nach Updates suchen
+        this.checkInterval = 60 * 60 * 1000;
+
+        // Nur neu laden, wenn der Benutzer das Update ausgelöst hat (nicht bei der ersten Installation)
+        this.reloadRequested = false;
+    }
+
+    /**
+     * Registriert den Service Worker und beginnt mit der Suche nach Updates
+     * @returns {Promise<void>}
+     */
+    async register() {
+        if (!this.serviceWorker) {
+            return;
+        }
+
+        this.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadRequested) {
+                window.location.reload();
+            }
+        });
+
+        try {
+            this.registration = await this.serviceWorker.register(this.scriptUrl);
+            console.log('Service Worker registriert');
+        } catch (error) {
+            console.log('Service Worker Fehler:', error);
+            return;
+        }
+
+        // Eine neue Version kann bereits beim Start warten (z.B. nach einem Neuladen ohne Update)
+        if (this.registration.waiting && this.serviceWorker.controller) {
+            this.onUpdateAvailable();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const installingWorker = this.registration.installing;
+            if (!installingWorker) {
+                return;
+            }
+            installingWorker.addEventListener('statechange', () => {
+                // Ohne controller ist es die erste Installation, kein Update
+                if (installingWorker.state === 'installed' && this.serviceWorker.controller) {
+                    this.onUpdateAvailable();
+                }
+            });
+        });
+
+        setInterval(() => {
+            this.registration.update().catch(() => {
+                // Offline: beim nächsten Intervall erneut versuchen
+            });
+        }, this.checkInterval);
+    }
+
+    /**
+     * Aktiviert die wartende Version; die Seite lädt neu, sobald sie die Kontrolle übernommen hat
+     * @returns {boolean} - Ob eine wartende Version vorhanden war
+     */
+    applyUpdate() {
+        const waitingWorker = this.registration && this.registration.waiting;
+        if (!waitingWorker) {
+            return false;
+        }
+
+        this.reloadRequested = true;
+        waitingWorker.postMessage({ type: 'skipWaiting' });
+        return true;
+    }
+}
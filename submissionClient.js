@@ -0,0 +1,241 @@
+/**
+ * Submission Client Module
+ * Sendet Exporte an das konfigurierte Ticketsystem (HTTP POST mit optionalem Auth-Header)
+ * Ohne Verbindung wartet die Übermittlung in der Warteschlange und der Service Worker sendet sie
+ * per Background Sync, sobald das Gerät wieder online ist.
+ */
+
+class SubmissionClient {
+    /**
+     * @param {SubmissionQueue} queue - Die Warteschlange
+     * @param {Function} onChange - Wird aufgerufen, wenn der Service Worker Übermittlungen gesendet hat
+     * @param {ServiceWorkerContainer} serviceWorker - navigator.serviceWorker (undefined, wenn nicht unterstützt)
+     * @param {I18n} i18n - Meldungskatalog für Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(queue, onChange, serviceWorker = navigator.serviceWorker, i18n = new I18n(null, '')) {
+        this.queue = queue;
+        this.onChange = onChange;
+        this.serviceWorker = serviceWorker;
+        this.i18n = i18n;
+        this.onlineListener = null;
+
+        // Die Einstellungen gelten für das Gerät, nicht pro Profil
+        this.settingsKey = 'bernticket.submission';
+        this.formats = ['csv', 'json'];
+        this.settings = this.loadSettings();
+
+        // Maximale Wartezeit auf den Service Worker in Millisekunden
+        this.timeout = 15000;
+    }
+
+    /**
+     * Gibt die Standardeinstellungen zurück (ohne Endpunkt ist das Senden ausgeschaltet)
+     * @returns {Object} - url, format, headerName und headerValue
+     */
+    getDefaultSettings() {
+        return { url: '', format: 'csv', headerName: 'Authorization', headerValue: '' };
+    }
+
+    /**
+     * Lädt die Einstellungen aus dem localStorage
+     * @returns {Object}
+     */
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settingsKey));
+            if (stored && typeof stored === 'object') {
+                return Object.assign(this.getDefaultSettings(), stored);
+            }
+        } catch (error) {
+            console.warn('Einstellungen für das Ticketsystem konnten nicht geladen werden:', error);
+        }
+        return this.getDefaultSettings();
+    }
+
+    /**
+     * Prüft und speichert die Einstellungen
+     * @param {Object} settings - url, format, headerName und headerValue
+     * @throws {Error} Wenn eine Einstellung ungültig ist
+     */
+    saveSettings(settings) {
+        const normalized = {
+            url: String(settings.url || '').trim(),
+            format: settings.format,
+            headerName: String(settings.headerName || '').trim(),
+            headerValue: String(settings.headerValue || '')
+        };
+
+        if (normalized.url !== '') {
+            let url;
+            try {
+                url = new URL(normalized.url);
+            } catch (error) {
+                throw new Error(this.i18n.t('submission.urlIncomplete'));
+            }
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(this.i18n.t('submission.urlProtocol'));
+            }
+        }
+        if (!this.formats.includes(normalized.format)) {
+            throw new Error(this.i18n.t('submission.invalidFormat', { format: normalized.format }));
+        }
+        if (normalized.headerValue !== '' && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(normalized.headerName)) {
+            throw new Error(this.i18n.t('submission.invalidHeaderName'));
+        }
+
+        this.settings = normalized;
+        localStorage.setItem(this.settingsKey, JSON.stringify(normalized));
+        this.storeAuthHeader().catch(error => console.warn('Auth-Header konnte nicht gespeichert werden:', error));
+    }
+
+    /**
+     * Übergibt den Auth-Header an die Warteschlange, die ihn erst beim Senden ergänzt
+     * (auch der Service Worker sendet damit die aktuell eingestellten Zugangsdaten)
+     * @returns {Promise<void>}
+     */
+    async storeAuthHeader() {
+        if (this.queue.isSupported()) {
+            await this.queue.setAuthHeader(this.settings.headerName, this.settings.headerValue);
+        }
+    }
+
+    /**
+     * Prüft, ob ein Endpunkt konfiguriert ist
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.settings.url !== '';
+    }
+
+    /**
+     * Nimmt Meldungen des Service Workers entgegen und sendet beim Start noch wartende Übermittlungen
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.serviceWorker) {
+            this.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'submissionsUpdated') {
+                    this.onChange();
+                }
+            });
+        }
+
+        if (!this.queue.isSupported()) {
+            return;
+        }
+        try {
+            await this.storeAuthHeader();
+            const entries = await this.queue.getAll();
+            if (entries.some(entry => !this.queue.isFinished(entry))) {
+                await this.scheduleRetry();
+            }
+        } catch (error) {
+            console.warn('Warteschlange konnte nicht geprüft werden:', error);
+        }
+    }
+
+    /**
+     * Erstellt die Datei und sendet sie an den Endpunkt (ohne Verbindung erst später)
+     * @param {Exporter} exporter - Der Exporter des eingestellten Formats
+     * @param {Array<Object>} rows - Die Zeilen
+     * @param {Array<string>} columns - Die Spalten
+     * @param {string} fileName - Der Dateiname ohne Endung
+     * @param {Object} options - Formatspezifische Optionen (z.B. der CSV-Dialekt)
+     * @returns {Promise<Object>} - Die Übermittlung (status 'pending', 'sent' oder 'failed')
+     * @throws {Error} Wenn kein Endpunkt konfiguriert ist oder die Warteschlange nicht verfügbar ist
+     */
+    async submit(exporter, rows, columns, fileName, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error(this.i18n.t('submission.notConfigured'));
+        }
+
+        // Der Auth-Header wird beim Senden aus der Warteschlange ergänzt
+        await this.storeAuthHeader();
+        const id = await this.queue.add({
+            url: this.settings.url,
+            headers: {
+                'Content-Type': exporter.getMimeType(options).replace(/;$/, ''),
+                'X-File-Name': encodeURIComponent(`${fileName}.${exporter.fileExtension}`)
+            },
+            body: exporter.create(rows, columns, options),
+            fileName: `${fileName}.${exporter.fileExtension}`,
+            format: exporter.id,
+            rowCount: rows.length
+        });
+
+        // Offline gar nicht erst versuchen
+        const entry = navigator.onLine === false ? await this.queue.get(id) : await this.queue.send(id);
+        if (entry.status === 'pending') {
+            await this.scheduleRetry();
+        }
+        return entry;
+    }
+
+    /**
+     * Gibt eine Übermittlung zurück
+     * @param {number} id - Die id der Übermittlung
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this.queue.get(id);
+    }
+
+    /**
+     * Plant das erneute Senden wartender Übermittlungen
+     * Mit Background Sync sendet der Service Worker (auch wenn die App geschlossen ist),
+     * sonst sendet die Seite beim nächsten 'online'-Ereignis.
+     * @returns {Promise<boolean>} - Ob Background Sync verwendet wird
+     */
+    async scheduleRetry() {
+        try {
+            if (this.serviceWorker) {
+                const registration = await this.withTimeout(this.serviceWorker.ready);
+                if (registration.sync) {
+                    await registration.sync.register(this.queue.syncTag);
+                    return true;
+                }
+            }
+        } catch (error) {
+            console.warn('Background Sync nicht verfügbar:', error);
+        }
+
+        if (!this.onlineListener) {
+            this.onlineListener = () => this.retryPending();
+            window.addEventListener('online', this.onlineListener);
+        }
+        return false;
+    }
+
+    /**
+     * Sendet wartende Übermittlungen aus der Seite (Fallback ohne Background Sync)
+     * @returns {Promise<void>}
+     */
+    async retryPending() {
+        window.removeEventListener('online', this.onlineListener);
+        this.onlineListener = null;
+
+        try {
+            const result = await this.queue.flush();
+            if (result.pending > 0) {
+                await this.scheduleRetry();
+            }
+        } catch (error) {
+            console.warn('Wartende Übermittlungen konnten nicht gesendet werden:', error);
+        }
+        this.onChange();
+    }
+
+    /**
+     * Lehnt ein Promise ab, wenn es nicht innerhalb von timeout erfüllt wird
+     * @param {Promise} promise - Das Promise
+     * @returns {Promise}
+     */
+    withTimeout(promise) {
+        return Promise.race([
+            promise,
+            new Promise((resolve, reject) => {
+                setTimeout(() => reject(new Error(this.i18n.t('submission.timeout'))), this.timeout);
+            })
+        ]);
+    }
+}
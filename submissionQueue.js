@@ -0,0 +1,335 @@
+/**
+ * Submission Queue Module
+ * Warteschlange für Übermittlungen an das Ticketsystem in IndexedDB
+ * Wird von der Seite (submissionClient.js) und vom Service Worker (Background Sync) gemeinsam verwendet.
+ */
+
+class SubmissionQueue {
+    /**
+     * @param {IDBFactory} indexedDB - Die IndexedDB-Schnittstelle (undefined, wenn nicht unterstützt)
+     * @param {Function} fetchFunction - (url, init) => Promise<Response>
+     * @param {I18n} i18n - Meldungskatalog für Fehlermeldungen (Standard: Deutsch)
+     */
+    constructor(indexedDB = self.indexedDB, fetchFunction = (url, init) => self.fetch(url, init), i18n = new I18n(null, '')) {
+        this.indexedDB = indexedDB;
+        this.fetch = fetchFunction;
+        this.i18n = i18n;
+        this.databaseName = 'bernticket-submissions';
+        this.databaseVersion = 1;
+        this.storeName = 'submissions';
+        this.database = null;
+
+        // Der Auth-Header wird nicht in den Übermittlungen gespeichert, sondern einmal hier und beim Senden
+        // ergänzt (der Service Worker kann den localStorage nicht lesen)
+        this.authStoreName = 'auth';
+        this.authKey = 'header';
+
+        // Tag der Background-Sync-Registrierung (siehe service-worker.js)
+        this.syncTag = 'bernticket-submissions';
+
+        // Bei diesen Statuscodes ist der Server nur vorübergehend nicht erreichbar: erneut senden
+        this.retryStatusCodes = [408, 429, 500, 502, 503, 504];
+
+        // Gespeicherte Länge der Serverantwort und Anzahl abgeschlossener Übermittlungen
+        this.maxResponseLength = 2000;
+        this.maxFinishedEntries = 20;
+
+        // Eine Übermittlung im Status 'sending' gilt nach dieser Zeit (in Millisekunden) als abgebrochen
+        // (z.B. Seite während des Sendens geschlossen) und wird wieder gesendet
+        this.sendingTimeout = 5 * 60 * 1000;
+    }
+
+    /**
+     * Prüft, ob IndexedDB verfügbar ist
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Öffnet die Datenbank (legt den Object Store beim ersten Aufruf an)
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} Wenn IndexedDB nicht verfügbar ist oder nicht geöffnet werden kann
+     */
+    open() {
+        if (this.database) {
+            return Promise.resolve(this.database);
+        }
+        if (!this.isSupported()) {
+            return Promise.reject(new Error(this.i18n.t('submission.queueUnsupported')));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.databaseName, this.databaseVersion);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(this.storeName)) {
+                    database.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!database.objectStoreNames.contains(this.authStoreName)) {
+                    database.createObjectStore(this.authStoreName, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.database = request.result;
+                // Eine neuere Version (z.B. im aktualisierten Service Worker) nicht blockieren
+                this.database.onversionchange = () => {
+                    this.database.close();
+                    this.database = null;
+                };
+                resolve(this.database);
+            };
+
+            request.onerror = () => {
+                reject(new Error(this.i18n.t('submission.queueOpenFailed')));
+            };
+        });
+    }
+
+    /**
+     * Prüft, ob eine Übermittlung abgeschlossen ist ('sent' oder 'failed')
+     * @param {Object} entry - Die Übermittlung
+     * @returns {boolean}
+     */
+    isFinished(entry) {
+        return entry.status === 'sent' || entry.status === 'failed';
+    }
+
+    /**
+     * Prüft, ob eine Übermittlung gesendet werden darf: wartend oder seit sendingTimeout im Status 'sending'
+     * @param {Object} entry - Die Übermittlung
+     * @param {number} now - Der aktuelle Zeitpunkt in Millisekunden
+     * @returns {boolean}
+     */
+    isSendable(entry, now = Date.now()) {
+        return entry.status === 'pending' ||
+            (entry.status === 'sending' && now - Date.parse(entry.sendingSince) >= this.sendingTimeout);
+    }
+
+    /**
+     * Entfernt Header und Inhalt aus abgeschlossenen Übermittlungen (wartende bleiben unverändert)
+     * @param {Object} entry - Die Übermittlung
+     * @returns {Object} - Eine Kopie ohne die entfernten Felder
+     */
+    stripEntry(entry) {
+        const stripped = Object.assign({}, entry);
+        if (this.isFinished(stripped)) {
+            delete stripped.headers;
+            delete stripped.body;
+        }
+        return stripped;
+    }
+
+    /**
+     * Führt eine Anfrage in einer Transaktion aus
+     * @param {string} mode - 'readonly' oder 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @param {string} storeName - Der Object Store (Standard: die Übermittlungen)
+     * @returns {Promise<*>} - Das Ergebnis der Anfrage, sobald die Transaktion abgeschlossen ist
+     */
+    async run(mode, operation, storeName = this.storeName) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(new Error(this.i18n.t('submission.queueStorageFailed')));
+            transaction.onabort = () => reject(new Error(this.i18n.t('submission.queueStorageFailed')));
+        });
+    }
+
+    /**
+     * Speichert den Auth-Header, der beim Senden ergänzt wird
+     * @param {string} name - Der Name des Headers (z.B. Authorization)
+     * @param {string} value - Der Wert (leer = ohne Auth-Header senden)
+     * @returns {Promise<void>}
+     */
+    async setAuthHeader(name, value) {
+        await this.run('readwrite', store => (value === ''
+            ? store.delete(this.authKey)
+            : store.put({ id: this.authKey, name: name, value: value })), this.authStoreName);
+    }
+
+    /**
+     * Gibt den gespeicherten Auth-Header zurück
+     * @returns {Promise<{name: string, value: string}|undefined>}
+     */
+    getAuthHeader() {
+        return this.run('readonly', store => store.get(this.authKey), this.authStoreName);
+    }
+
+    /**
+     * Legt eine Übermittlung in die Warteschlange
+     * @param {Object} submission - url, headers (ohne Auth-Header), body, fileName, format und rowCount
+     * @returns {Promise<number>} - Die id der Übermittlung
+     */
+    add(submission) {
+        const now = new Date().toISOString();
+        const record = Object.assign({}, submission, {
+            status: 'pending',
+            attempts: 0,
+            // Letzter Fehler als Meldungsschlüssel { key, params }, damit die Seite ihn in ihrer Sprache anzeigt
+            lastError: null,
+            response: null,
+            sendingSince: null,
+            createdAt: now,
+            updatedAt: now
+        });
+        return this.run('readwrite', store => store.add(record));
+    }
+
+    /**
+     * Gibt eine Übermittlung zurück
+     * @param {number} id - Die id der Übermittlung
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Gibt alle Übermittlungen zurück (neueste zuerst)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+    }
+
+    /**
+     * Aktualisiert eine Übermittlung (abgeschlossene ohne Header und Inhalt, siehe stripEntry)
+     * @param {Object} entry - Die Übermittlung
+     * @param {Object} changes - Die zu ändernden Felder
+     * @returns {Promise<Object>} - Die aktualisierte Übermittlung
+     */
+    async update(entry, changes) {
+        const updated = this.stripEntry(Object.assign({}, entry, changes, { updatedAt: new Date().toISOString() }));
+        await this.run('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Markiert eine sendbare Übermittlung als 'sending' (in einer Transaktion, damit Seite und
+     * Service Worker dieselbe Übermittlung nicht gleichzeitig senden)
+     * @param {number} id - Die id der Übermittlung
+     * @returns {Promise<Object|null>} - Die markierte Übermittlung (null, wenn sie nicht sendbar ist)
+     */
+    async claim(id) {
+        let claimed = null;
+        await this.run('readwrite', store => {
+            store.get(id).onsuccess = (event) => {
+                const entry = event.target.result;
+                if (entry && this.isSendable(entry)) {
+                    claimed = Object.assign({}, entry, { status: 'sending', sendingSince: new Date().toISOString() });
+                    store.put(claimed);
+                }
+            };
+            return null;
+        });
+        return claimed;
+    }
+
+    /**
+     * Sendet eine wartende Übermittlung
+     * Netzwerkfehler und vorübergehende Serverfehler (retryStatusCodes) lassen sie in der Warteschlange,
+     * andere Fehler (z.B. 401 bei falscher Authentifizierung) beenden sie als 'failed'.
+     * Sendet gerade die Seite bzw. der Service Worker, wird sie unverändert zurückgegeben.
+     * @param {number} id - Die id der Übermittlung
+     * @returns {Promise<Object|undefined>} - Die Übermittlung mit status 'pending', 'sending', 'sent' oder 'failed'
+     */
+    async send(id) {
+        const entry = await this.claim(id);
+        if (!entry) {
+            return this.get(id);
+        }
+
+        const headers = Object.assign({}, entry.headers);
+        const auth = await this.getAuthHeader();
+        if (auth) {
+            headers[auth.name] = auth.value;
+        }
+
+        let response;
+        try {
+            response = await this.fetch(entry.url, { method: 'POST', headers: headers, body: entry.body });
+        } catch (error) {
+            return this.update(entry, {
+                status: 'pending',
+                attempts: entry.attempts + 1,
+                lastError: { key: 'submission.noConnection', params: {} },
+                sendingSince: null
+            });
+        }
+
+        let responseText = '';
+        try {
+            responseText = await response.text();
+        } catch (error) {
+            // Antwort ohne lesbaren Inhalt
+        }
+
+        let status = 'sent';
+        if (!response.ok) {
+            status = this.retryStatusCodes.includes(response.status) ? 'pending' : 'failed';
+        }
+
+        return this.update(entry, {
+            status: status,
+            attempts: entry.attempts + 1,
+            lastError: response.ok ? null : { key: 'submission.httpError', params: { status: response.status } },
+            sendingSince: null,
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                body: responseText.slice(0, this.maxResponseLength)
+            }
+        });
+    }
+
+    /**
+     * Sendet alle wartenden Übermittlungen (älteste zuerst) und räumt abgeschlossene auf
+     * Übermittlungen, die gerade anderswo gesendet werden ('sending'), werden übersprungen.
+     * @returns {Promise<{sent: number, failed: number, pending: number}>}
+     */
+    async flush() {
+        const pending = (await this.getAll()).filter(entry => this.isSendable(entry)).reverse();
+        const result = { sent: 0, failed: 0, pending: 0 };
+
+        for (const entry of pending) {
+            const sentEntry = await this.send(entry.id);
+            if (sentEntry && sentEntry.status !== 'sending') {
+                result[sentEntry.status]++;
+            }
+        }
+
+        await this.purge();
+        return result;
+    }
+
+    /**
+     * Löscht abgeschlossene Übermittlungen über maxFinishedEntries hinaus (wartende bleiben erhalten)
+     * @returns {Promise<number>} - Anzahl gelöschter Übermittlungen
+     */
+    async purge() {
+        const finished = (await this.getAll()).filter(entry => this.isFinished(entry));
+        const expired = finished.slice(this.maxFinishedEntries);
+
+        if (expired.length > 0) {
+            await this.run('readwrite', store => {
+                expired.forEach(entry => store.delete(entry.id));
+                return null;
+            });
+        }
+        return expired.length;
+    }
+}
+
+// Node.js: als Modul exportieren (siehe test/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionQueue;
+}
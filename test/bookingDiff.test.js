@@ -0,0 +1,106 @@
+/**
+ * Tests für den Vergleich von Anreiselisten (BookingDiff.compare und die Zeilen des Änderungsexports)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const I18n = require('../i18n.js');
+const DateNormalizer = require('../dateNormalizer.js');
+const BookingDiff = require('../bookingDiff.js');
+
+/**
+ * Erstellt den Vergleich mit deutschem Meldungskatalog
+ * @returns {BookingDiff}
+ */
+function createBookingDiff() {
+    const i18n = new I18n(null, '');
+    return new BookingDiff(new DateNormalizer(i18n), i18n);
+}
+
+/**
+ * Erstellt eine Zeile mit Standardwerten
+ * @param {string} bookingNumber - Die BookingNumber
+ * @param {Object} values - Abweichende Felder
+ * @returns {Object}
+ */
+function booking(bookingNumber, values = {}) {
+    return Object.assign({
+        Id: bookingNumber,
+        BookingNumber: bookingNumber,
+        Name: `Gast ${bookingNumber}`,
+        NumberOfAdults: 2,
+        DateFrom: '19.10.2026',
+        DateTo: '21.10.2026'
+    }, values);
+}
+
+test('compare() erkennt neue, geänderte, stornierte und entfernte Buchungen', () => {
+    const bookingDiff = createBookingDiff();
+    const previous = [booking('1001'), booking('1002'), booking('1003'), booking('1004')];
+    const current = [
+        booking('1001'),
+        booking('1002', { DateTo: '22.10.2026' }),
+        booking('1003', { Status: 'Cancelled' }),
+        booking('1005')
+    ];
+
+    const diff = bookingDiff.compare(previous, current);
+
+    assert.deepEqual(diff.added.map(row => row.BookingNumber), ['1005']);
+    assert.deepEqual(diff.cancelled.map(row => row.BookingNumber), ['1003']);
+    assert.deepEqual(diff.removed.map(row => row.BookingNumber), ['1004']);
+    assert.equal(diff.changed.length, 1);
+    assert.deepEqual(diff.changed[0].changes, [{ field: 'DateTo', from: '21.10.2026', to: '22.10.2026' }]);
+    assert.equal(diff.unchangedCount, 1);
+});
+
+test('compare() vergleicht Datumswerte unabhängig vom Format', () => {
+    const bookingDiff = createBookingDiff();
+
+    const diff = bookingDiff.compare(
+        [booking('1001', { DateFrom: '2026-10-19', DateTo: '2026-10-21' })],
+        [booking('1001')]
+    );
+
+    assert.equal(diff.changed.length, 0);
+    assert.equal(diff.unchangedCount, 1);
+});
+
+test('compare() meldet bereits stornierte Buchungen nicht erneut', () => {
+    const bookingDiff = createBookingDiff();
+
+    const diff = bookingDiff.compare(
+        [booking('1001', { Status: 'Storniert' })],
+        [booking('1001', { Status: 'Storniert' }), booking('1002', { Status: 'Cancelled' })]
+    );
+
+    assert.equal(diff.cancelled.length, 0);
+    assert.equal(diff.removed.length, 0);
+    assert.equal(diff.unchangedCount, 2);
+});
+
+test('compare() unterscheidet Mehrzimmer-Zeilen mit derselben BookingNumber', () => {
+    const bookingDiff = createBookingDiff();
+
+    const diff = bookingDiff.compare(
+        [booking('1001', { Id: '1001-1' }), booking('1001', { Id: '1001-2' })],
+        [booking('1001', { Id: '1001-1' })]
+    );
+
+    assert.deepEqual(diff.removed.map(row => row.Id), ['1001-2']);
+});
+
+test('createDeltaRows() beschriftet die Änderungen in der gewählten Sprache', () => {
+    const i18n = new I18n(null, '');
+    const bookingDiff = new BookingDiff(new DateNormalizer(i18n), i18n);
+    const diff = bookingDiff.compare([booking('1001', { Name: '' })], [booking('1001'), booking('1002')]);
+
+    i18n.setLanguage('en');
+    const rows = bookingDiff.createDeltaRows(diff);
+
+    assert.deepEqual(rows.map(row => [row.Change, row.ChangedFields]), [
+        ['new', ''],
+        ['changed', 'Name: (empty) → Gast 1001']
+    ]);
+});
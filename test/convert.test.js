@@ -0,0 +1,110 @@
+/**
+ * Tests für convert() und die Exit-Codes der Kommandozeile (bin/bernticket.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { convert } = require('../lib/index.js');
+
+const cliPath = path.join(__dirname, '..', 'bin', 'bernticket.js');
+
+// Spaltennamen des Standardprofils, Datumswerte im Standard-Ausgabeformat
+const header = 'Reservation Number;Main Guest;AD;Arrival;Departure';
+const validCsv = [
+    header,
+    '2001;Zürcher Anna;2;19.10.2026;22.10.2026',
+    '2002;Rossi Luca;1;19.10.2026;20.10.2026'
+].join('\n');
+const rejectedRowCsv = [
+    header,
+    '2001;Zürcher Anna;2;19.10.2026;22.10.2026',
+    '2003;Muster Max;1;foo;20.10.2026'
+].join('\n');
+
+/**
+ * Legt ein leeres Arbeitsverzeichnis an und löscht es nach dem Test
+ * @param {Object} t - Der Testkontext
+ * @returns {string} - Der Pfad des Verzeichnisses
+ */
+function createTempDir(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bernticket-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Führt die Kommandozeile in einem Verzeichnis aus
+ * @param {string} cwd - Das Arbeitsverzeichnis
+ * @param {Array<string>} args - Die Argumente
+ * @returns {{status: number, stderr: string}}
+ */
+function runCli(cwd, args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], { cwd: cwd, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stderr: result.stderr };
+}
+
+test('convert() liest eine CSV-Datei mit dem Standardprofil', () => {
+    const output = convert(Buffer.from(validCsv), 'Arrivals.csv', { date: new Date(2026, 9, 19) });
+
+    assert.equal(output.profile.name, 'Standard');
+    assert.equal(output.fileName, 'Anreise_19.10.2026.csv');
+    assert.deepEqual(output.result.rows.map(row => row.BookingNumber), ['2001', '2002']);
+    assert.equal(output.result.rejectedRows.length, 0);
+    assert.match(String(output.content), /^\uFEFF?Id;BookingNumber;OTANumber;Name;/);
+    assert.match(String(output.content), /2001;2001;;Zürcher Anna;2;/);
+});
+
+test('convert() verwirft ungültige Zeilen und exportiert die übrigen', () => {
+    const output = convert(Buffer.from(rejectedRowCsv), 'Arrivals.csv');
+
+    assert.deepEqual(output.result.rows.map(row => row.BookingNumber), ['2001']);
+    assert.equal(output.result.rejectedRows.length, 1);
+    assert.equal(output.result.rejectedRows[0]._meta.sourceRow, 3);
+});
+
+test('convert() meldet ein unbekanntes Profil in der gewählten Sprache', () => {
+    assert.throws(
+        () => convert(Buffer.from(validCsv), 'Arrivals.csv', { profileName: 'Hotel Bern' }),
+        /Das Profil "Hotel Bern" existiert nicht\. Verfügbar: Standard\./
+    );
+    assert.throws(
+        () => convert(Buffer.from(validCsv), 'Arrivals.csv', { profileName: 'Hotel Bern', language: 'en' }),
+        /The profile "Hotel Bern" does not exist\./
+    );
+});
+
+test('Kommandozeile: Exit-Code 0, wenn alle Zeilen gültig sind', (t) => {
+    const directory = createTempDir(t);
+    fs.writeFileSync(path.join(directory, 'Arrivals.csv'), validCsv);
+
+    const result = runCli(directory, ['convert', 'Arrivals.csv', '-o', 'Anreise.csv']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(fs.readFileSync(path.join(directory, 'Anreise.csv'), 'utf8'), /2002;2002;;Rossi Luca;1;/);
+});
+
+test('Kommandozeile: Exit-Code 2, wenn Zeilen verworfen wurden', (t) => {
+    const directory = createTempDir(t);
+    fs.writeFileSync(path.join(directory, 'Arrivals.csv'), rejectedRowCsv);
+
+    const result = runCli(directory, ['convert', 'Arrivals.csv', '-o', 'Anreise.csv']);
+
+    assert.equal(result.status, 2, result.stderr);
+    assert.match(result.stderr, /Zeile 3: .*"foo"/);
+    assert.ok(fs.existsSync(path.join(directory, 'Anreise.csv')));
+});
+
+test('Kommandozeile: Exit-Code 1 ohne Ausgabedatei bei Fehlern', (t) => {
+    const directory = createTempDir(t);
+    fs.writeFileSync(path.join(directory, 'Arrivals.csv'), validCsv);
+
+    assert.equal(runCli(directory, ['convert', 'Fehlt.csv', '-o', 'Anreise.csv']).status, 1);
+    assert.equal(runCli(directory, ['convert', 'Arrivals.csv', '-o', 'Anreise.csv', '--profile', 'Hotel Bern']).status, 1);
+    assert.equal(runCli(directory, ['convert', 'Arrivals.csv', '--unbekannt']).status, 1);
+    assert.ok(!fs.existsSync(path.join(directory, 'Anreise.csv')));
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests für die Warteschlange der Übermittlungen gegen das Mock-Ticketsystem (tools/mock-server.js)
+ * IndexedDB stellt fake-indexeddb bereit, gesendet wird mit fetch von Node.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { IDBFactory } = require('fake-indexeddb');
+
+const I18n = require('../i18n.js');
+const SubmissionQueue = require('../submissionQueue.js');
+
+const mockServerPath = path.join(__dirname, '..', 'tools', 'mock-server.js');
+
+/**
+ * Startet das Mock-Ticketsystem und wartet, bis es Anfragen annimmt
+ * @param {Object} t - Der Testkontext (beendet den Server nach dem Test)
+ * @param {Array<string>} args - Zusätzliche Optionen (z.B. ['--status', '503'])
+ * @param {number} port - Der Port (0 = freier Port)
+ * @returns {Promise<{url: string, port: number, stop: Function}>}
+ */
+function startMockServer(t, args = [], port = 0) {
+    const child = spawn(process.execPath, [mockServerPath, '--port', String(port), ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const stop = () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill();
+        }
+        return exited;
+    };
+    t.after(stop);
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/http:\/\/localhost:(\d+)\/import/);
+            if (match) {
+                resolve({ url: match[0], port: Number(match[1]), stop: stop });
+            }
+        });
+        child.once('exit', code => reject(new Error(`Mock-Ticketsystem beendet (Exit-Code ${code}).`)));
+    });
+}
+
+/**
+ * Erstellt eine Warteschlange mit eigener Datenbank
+ * @returns {SubmissionQueue}
+ */
+function createQueue() {
+    return new SubmissionQueue(new IDBFactory(), (url, init) => fetch(url, init), new I18n(null, ''));
+}
+
+/**
+ * Erstellt eine CSV-Übermittlung mit zwei Buchungen
+ * @param {string} url - Die Adresse des Ticketsystems
+ * @returns {Object}
+ */
+function csvSubmission(url) {
+    return {
+        url: url,
+        headers: { 'Content-Type': 'text/csv; charset=utf-8', 'X-File-Name': 'Anreise_19.10.2026.csv' },
+        body: 'Id;BookingNumber\n1001;1001\n1002;1002\n',
+        fileName: 'Anreise_19.10.2026.csv',
+        format: 'csv',
+        rowCount: 2
+    };
+}
+
+test('send() übermittelt eine Buchungsliste und speichert die Antwort', async (t) => {
+    const server = await startMockServer(t);
+    const queue = createQueue();
+
+    const id = await queue.add(csvSubmission(server.url));
+    const entry = await queue.send(id);
+
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, null);
+    assert.equal(entry.response.status, 200);
+    assert.equal(JSON.parse(entry.response.body).bookings, 2);
+    // Abgeschlossene Übermittlungen behalten keine Gästedaten
+    assert.equal((await queue.get(id)).body, undefined);
+});
+
+test('send() ergänzt den gespeicherten Auth-Header', async (t) => {
+    const server = await startMockServer(t, ['--token', 'Bearer geheim']);
+    const queue = createQueue();
+
+    const rejected = await queue.send(await queue.add(csvSubmission(server.url)));
+    assert.equal(rejected.status, 'failed');
+    assert.deepEqual(rejected.lastError, { key: 'submission.httpError', params: { status: 401 } });
+
+    await queue.setAuthHeader('Authorization', 'Bearer geheim');
+    const accepted = await queue.send(await queue.add(csvSubmission(server.url)));
+    assert.equal(accepted.status, 'sent');
+});
+
+test('flush() sendet wartende Übermittlungen, sobald der Server wieder antwortet', async (t) => {
+    const unavailable = await startMockServer(t, ['--status', '503']);
+    const queue = createQueue();
+
+    const id = await queue.add(csvSubmission(unavailable.url));
+    const pending = await queue.send(id);
+    assert.equal(pending.status, 'pending');
+    assert.deepEqual(pending.lastError, { key: 'submission.httpError', params: { status: 503 } });
+
+    // Ohne Server bleibt die Übermittlung in der Warteschlange
+    await unavailable.stop();
+    assert.deepEqual(await queue.flush(), { sent: 0, failed: 0, pending: 1 });
+    assert.deepEqual((await queue.get(id)).lastError, { key: 'submission.noConnection', params: {} });
+
+    await startMockServer(t, [], unavailable.port);
+    assert.deepEqual(await queue.flush(), { sent: 1, failed: 0, pending: 0 });
+    assert.equal((await queue.get(id)).attempts, 3);
+});
@@ -0,0 +1,241 @@
+/**
+ * Text File Decoder Module
+ * Erkennt Kodierung (UTF-8, UTF-16, Windows-1252) und Trennzeichen von CSV- und TSV-Dateien
+ * und zerlegt den Inhalt in Zeilen und Zellen
+ */
+
+class TextFileDecoder {
+    /**
+     * @param {I18n} i18n - Meldungskatalog für die Warnungen (Standard: Deutsch)
+     */
+    constructor(i18n = new I18n(null, '')) {
+        this.i18n = i18n;
+
+        // Mögliche Trennzeichen in der Reihenfolge ihrer Priorität bei Gleichstand
+        this.delimiters = [';', ',', '\t', '|'];
+
+        // Anzahl Zeilen, die für die Erkennung des Trennzeichens ausgewertet werden
+        this.sampleLines = 20;
+
+        // Typische Zeichenfolgen, wenn UTF-8 doppelt kodiert wurde (z.B. "Ã¼" statt "ü")
+        this.mojibakePattern = /\u00C3[\u0080-\u00BF\u0153\u0178\u201E\u2013]/;
+
+        // Schlüssel der Bezeichnungen im Meldungskatalog (siehe getDelimiterLabel)
+        this.delimiterLabels = {
+            ';': 'decoder.semicolon',
+            ',': 'decoder.comma',
+            '\t': 'decoder.tab',
+            '|': 'decoder.pipe'
+        };
+    }
+
+    /**
+     * Dekodiert den Inhalt einer Textdatei
+     * Reihenfolge: BOM, UTF-16 ohne BOM, striktes UTF-8, sonst Windows-1252 mit Warnung.
+     * @param {Uint8Array} bytes - Der Dateiinhalt
+     * @returns {{text: string, encoding: string, warnings: Array<string>}}
+     */
+    decode(bytes) {
+        const warnings = [];
+        let encoding = this.detectBOM(bytes);
+        let text;
+
+        if (encoding) {
+            // BOM wird von TextDecoder standardmässig entfernt
+            text = new TextDecoder(encoding).decode(bytes);
+        } else {
+            encoding = this.detectUTF16(bytes);
+            if (encoding) {
+                text = new TextDecoder(encoding).decode(bytes);
+            } else {
+                try {
+                    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                    encoding = 'utf-8';
+                } catch (error) {
+                    text = new TextDecoder('windows-1252').decode(bytes);
+                    encoding = 'windows-1252';
+                    warnings.push(this.i18n.t('decoder.windows1252'));
+                }
+            }
+        }
+
+        if (text.includes('\uFFFD')) {
+            warnings.push(this.i18n.t('decoder.invalidCharacters'));
+        }
+        if (this.mojibakePattern.test(text)) {
+            warnings.push(this.i18n.t('decoder.mojibake'));
+        }
+
+        return { text: text, encoding: encoding, warnings: warnings };
+    }
+
+    /**
+     * Erkennt die Kodierung anhand eines Byte Order Mark
+     * @param {Uint8Array} bytes - Der Dateiinhalt
+     * @returns {string|null} - 'utf-8', 'utf-16le', 'utf-16be' oder null
+     */
+    detectBOM(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return 'utf-8';
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return 'utf-16le';
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return 'utf-16be';
+        }
+        return null;
+    }
+
+    /**
+     * Erkennt UTF-16 ohne BOM anhand der Nullbytes (ASCII-Text hat in UTF-16 jedes zweite Byte 0)
+     * @param {Uint8Array} bytes - Der Dateiinhalt
+     * @returns {string|null} - 'utf-16le', 'utf-16be' oder null
+     */
+    detectUTF16(bytes) {
+        const length = Math.min(bytes.length - (bytes.length % 2), 1000);
+        if (length < 4) {
+            return null;
+        }
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+
+        const pairs = length / 2;
+        if (oddZeros > pairs * 0.6 && evenZeros < pairs * 0.1) {
+            return 'utf-16le';
+        }
+        if (evenZeros > pairs * 0.6 && oddZeros < pairs * 0.1) {
+            return 'utf-16be';
+        }
+        return null;
+    }
+
+    /**
+     * Erkennt das Trennzeichen anhand der ersten Zeilen
+     * Gewählt wird das Zeichen, das in den meisten Zeilen gleich oft (und mindestens einmal) vorkommt.
+     * @param {string} text - Der dekodierte Dateiinhalt
+     * @param {string} fileName - Der Dateiname (".tsv" bevorzugt den Tabulator)
+     * @returns {string} - Das Trennzeichen
+     */
+    detectDelimiter(text, fileName = '') {
+        const lines = text
+            .split(/\r\n|\n|\r/)
+            .filter(line => line.trim() !== '')
+            .slice(0, this.sampleLines);
+
+        // Bei ".tsv" gewinnt der Tabulator bei Gleichstand
+        const candidates = fileName.toLowerCase().endsWith('.tsv')
+            ? ['\t', ...this.delimiters.filter(delimiter => delimiter !== '\t')]
+            : this.delimiters;
+        let bestDelimiter = candidates[0];
+        let bestScore = 0;
+
+        for (const delimiter of candidates) {
+            const counts = lines.map(line => this.countDelimiters(line, delimiter));
+
+            // Häufigste Anzahl pro Zeile (ohne 0) und wie viele Zeilen diese Anzahl haben
+            const frequencies = {};
+            counts.filter(count => count > 0).forEach(count => {
+                frequencies[count] = (frequencies[count] || 0) + 1;
+            });
+            const score = Math.max(0, ...Object.values(frequencies));
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestDelimiter = delimiter;
+            }
+        }
+
+        return bestDelimiter;
+    }
+
+    /**
+     * Zählt ein Trennzeichen in einer Zeile (ausserhalb von Anführungszeichen)
+     * @param {string} line - Die Zeile
+     * @param {string} delimiter - Das Trennzeichen
+     * @returns {number}
+     */
+    countDelimiters(line, delimiter) {
+        let count = 0;
+        let inQuotes = false;
+        for (const character of line) {
+            if (character === '"') {
+                inQuotes = !inQuotes;
+            } else if (character === delimiter && !inQuotes) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Zerlegt den Inhalt einer CSV-/TSV-Datei in Zeilen und Zellen
+     * Felder in Anführungszeichen dürfen Trennzeichen, Zeilenumbrüche und verdoppelte Anführungszeichen enthalten.
+     * @param {string} text - Der dekodierte Dateiinhalt
+     * @param {string} delimiter - Das Trennzeichen
+     * @returns {Array<Array<string>>}
+     */
+    parse(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const character = text[i];
+
+            if (inQuotes) {
+                if (character === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (character === '"') {
+                    inQuotes = false;
+                } else {
+                    field += character;
+                }
+            } else if (character === '"' && field === '') {
+                inQuotes = true;
+            } else if (character === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (character === '\r' || character === '\n') {
+                if (character === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += character;
+            }
+        }
+
+        // Letzte Zeile (ohne abschliessenden Zeilenumbruch)
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Beschreibt ein Trennzeichen für die Anzeige
+     * @param {string} delimiter - Das Trennzeichen
+     * @returns {string}
+     */
+    getDelimiterLabel(delimiter) {
+        return this.delimiterLabels[delimiter] ? this.i18n.t(this.delimiterLabels[delimiter]) : `"${delimiter}"`;
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextFileDecoder;
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Mock-Ticketsystem
+ * Nimmt Übermittlungen der App (POST mit CSV oder JSON) entgegen, gibt sie auf der Konsole aus
+ * und antwortet mit JSON. Zum Testen von "SENDEN" ohne echtes Ticketsystem.
+ *
+ * Aufruf:                         node tools/mock-server.js
+ * Anderer Port:                   node tools/mock-server.js --port 9000 (0 = freier Port, z.B. in den Tests)
+ * Auth-Header verlangen:          node tools/mock-server.js --token "Bearer geheim"
+ * Serverfehler simulieren:        node tools/mock-server.js --status 503
+ *
+ * In den Einstellungen der App als Adresse http://localhost:8787/import eintragen.
+ * Mit --status 503 bleibt die Übermittlung in der Warteschlange; nach einem Neustart ohne --status
+ * wird sie beim nächsten Background Sync gesendet.
+ */
+
+const http = require('http');
+
+/**
+ * Liest den Wert einer Option (z.B. --port 9000)
+ * @param {string} name - Der Name der Option
+ * @param {string} defaultValue - Der Wert, wenn die Option fehlt
+ * @returns {string}
+ */
+function readOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : defaultValue;
+}
+
+const port = parseInt(readOption('port', '8787'), 10);
+const token = readOption('token', '');
+const forcedStatus = parseInt(readOption('status', '0'), 10);
+let submissionCount = 0;
+
+/**
+ * Setzt die CORS-Header (die App läuft auf einem anderen Origin)
+ * @param {http.IncomingMessage} request - Der Request
+ * @param {http.ServerResponse} response - Die Response
+ */
+function setCorsHeaders(request, response) {
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    // Den frei konfigurierbaren Auth-Header und X-File-Name erlauben
+    response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || 'Content-Type');
+    response.setHeader('Access-Control-Max-Age', '600');
+}
+
+/**
+ * Sendet eine JSON-Antwort
+ * @param {http.ServerResponse} response - Die Response
+ * @param {number} status - Der Statuscode
+ * @param {Object} body - Der Inhalt
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Zählt die Buchungen einer Übermittlung (JSON-Array oder CSV-Zeilen ohne Kopfzeile)
+ * @param {string} contentType - Der Content-Type des Requests
+ * @param {string} body - Der Inhalt
+ * @returns {number|null}
+ */
+function countBookings(contentType, body) {
+    if (contentType.startsWith('application/json')) {
+        try {
+            const bookings = JSON.parse(body);
+            return Array.isArray(bookings) ? bookings.length : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    return Math.max(body.split(/\r?\n/).filter(line => line.trim() !== '').length - 1, 0);
+}
+
+const server = http.createServer((request, response) => {
+    setCorsHeaders(request, response);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'Nur POST wird unterstützt.' });
+        return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        const contentType = request.headers['content-type'] || '';
+        const fileName = decodeURIComponent(request.headers['x-file-name'] || '');
+        // Windows-1252 wird als latin1 gelesen (für die Ausgabe auf der Konsole genügt das)
+        const body = buffer.toString(/charset=windows-1252/i.test(contentType) ? 'latin1' : 'utf8');
+
+        console.log(`\n${new Date().toISOString()} ${request.method} ${request.url}`);
+        console.log(`Content-Type: ${contentType}`);
+        console.log(`Datei: ${fileName || '(ohne Namen)'}, ${buffer.length} Bytes`);
+        console.log(body.slice(0, 500) + (body.length > 500 ? '\n...' : ''));
+
+        if (token && request.headers.authorization !== token) {
+            console.log('→ 401 (falscher oder fehlender Auth-Header)');
+            sendJson(response, 401, { error: 'Nicht autorisiert.' });
+            return;
+        }
+
+        if (forcedStatus) {
+            console.log(`→ ${forcedStatus} (--status)`);
+            sendJson(response, forcedStatus, { error: `Simulierter Fehler ${forcedStatus}.` });
+            return;
+        }
+
+        submissionCount++;
+        console.log(`→ 200 (Übermittlung ${submissionCount})`);
+        sendJson(response, 200, {
+            id: submissionCount,
+            fileName: fileName,
+            bookings: countBookings(contentType, body),
+            receivedAt: new Date().toISOString()
+        });
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock-Ticketsystem läuft auf http://localhost:${server.address().port}/import`);
+    if (token) {
+        console.log(`Erwarteter Header: Authorization: ${token}`);
+    }
+    if (forcedStatus) {
+        console.log(`Alle Übermittlungen werden mit HTTP ${forcedStatus} beantwortet.`);
+    }
+});
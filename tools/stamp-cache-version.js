@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Cache-Version stempeln
+ * Berechnet aus dem Inhalt aller vorab gecachten Dateien einen Hash und trägt ihn als CACHE_VERSION
+ * in service-worker.js ein. Dadurch ändert sich der Service Worker bei jeder Änderung einer App-Datei,
+ * und Browser installieren die neue Version.
+ *
+ * Aufruf (vor jedem Deployment):  node tools/stamp-cache-version.js
+ * Nur prüfen (z.B. in CI):       node tools/stamp-cache-version.js --check
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.resolve(__dirname, '..');
+const serviceWorkerPath = path.join(rootDir, 'service-worker.js');
+const versionPattern = /const CACHE_VERSION = '([^']*)';/;
+
+/**
+ * Liest die Liste STATIC_CACHE_URLS aus service-worker.js
+ * @param {string} source - Der Quelltext des Service Workers
+ * @returns {Array<string>}
+ */
+function readCacheUrls(source) {
+    const match = source.match(/const STATIC_CACHE_URLS = \[([\s\S]*?)\];/);
+    if (!match) {
+        throw new Error('STATIC_CACHE_URLS wurde in service-worker.js nicht gefunden.');
+    }
+    return Array.from(match[1].matchAll(/'([^']+)'/g), entry => entry[1]);
+}
+
+/**
+ * Berechnet die Version aus Pfad und Inhalt aller Dateien (fehlende Dateien zählen als leer)
+ * @param {Array<string>} urls - Die Einträge aus STATIC_CACHE_URLS
+ * @returns {string} - Die ersten 12 Zeichen des SHA-256-Hashes
+ */
+function computeVersion(urls) {
+    const hash = crypto.createHash('sha256');
+
+    urls.forEach(url => {
+        const relativePath = url === './' ? 'index.html' : url.replace(/^\.\//, '');
+        const filePath = path.join(rootDir, relativePath);
+
+        hash.update(url + '\0');
+        if (fs.existsSync(filePath)) {
+            hash.update(fs.readFileSync(filePath));
+        } else {
+            console.warn(`Warnung: ${relativePath} ist nicht vorhanden.`);
+        }
+        hash.update('\0');
+    });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+const source = fs.readFileSync(serviceWorkerPath, 'utf8');
+const currentMatch = source.match(versionPattern);
+if (!currentMatch) {
+    console.error('CACHE_VERSION wurde in service-worker.js nicht gefunden.');
+    process.exit(1);
+}
+
+const version = computeVersion(readCacheUrls(source));
+
+if (process.argv.includes('--check')) {
+    if (currentMatch[1] !== version) {
+        console.error(`CACHE_VERSION ist veraltet (${currentMatch[1]}, erwartet ${version}). ` +
+            'Bitte "node tools/stamp-cache-version.js" ausführen.');
+        process.exit(1);
+    }
+    console.log(`CACHE_VERSION ist aktuell (${version}).`);
+} else if (currentMatch[1] === version) {
+    console.log(`CACHE_VERSION ist bereits aktuell (${version}).`);
+} else {
+    fs.writeFileSync(serviceWorkerPath, source.replace(versionPattern, `const CACHE_VERSION = '${version}';`));
+    console.log(`CACHE_VERSION: ${currentMatch[1]} → ${version}`);
+}
@@ -0,0 +1,42 @@
+/**
+ * XLSX Export Module
+ * Erstellt eine Excel-Datei (über SheetJS) für die Weiterbearbeitung im Büro
+ */
+
+class XLSXExporter extends Exporter {
+    constructor() {
+        super({
+            id: 'xlsx',
+            label: 'Excel (XLSX)',
+            fileExtension: 'xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+
+        // Name des Tabellenblatts
+        this.sheetName = 'Anreise';
+    }
+
+    /**
+     * Erstellt eine Arbeitsmappe mit einem Tabellenblatt
+     * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge
+     * @returns {ArrayBuffer} - Der Inhalt der XLSX-Datei
+     */
+    create(rows, columns = this.columns) {
+        this.assertRows(rows);
+
+        // Kopfzeile und Datenzeilen in derselben Reihenfolge wie beim CSV-Export
+        const data = [columns, ...rows.map(row => columns.map(column => this.getValue(row, column)))];
+
+        const worksheet = XLSX.utils.aoa_to_sheet(data);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, this.sheetName);
+
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XLSXExporter;
+}
@@ -0,0 +1,58 @@
+/**
+ * XML Export Module
+ * Erstellt eine XML-Gästeliste mit einem Element pro Buchung
+ */
+
+class XMLExporter extends Exporter {
+    constructor() {
+        super({ id: 'xml', label: 'XML', fileExtension: 'xml', mimeType: 'application/xml;charset=utf-8;' });
+
+        // Element-Namen der Gästeliste
+        this.rootElement = 'Arrivals';
+        this.rowElement = 'Booking';
+    }
+
+    /**
+     * Erstellt ein XML-Dokument mit einem Element pro Spalte
+     * @param {Array<Object>} rows - Array von transformierten Zeilenobjekten
+     * @param {Array<string>} columns - Die Spalten in Ausgabereihenfolge (bestimmen die Element-Namen)
+     * @returns {string} - XML-String
+     */
+    create(rows, columns = this.columns) {
+        this.assertRows(rows);
+
+        const bookings = rows.map(row => {
+            const fields = columns.map(column =>
+                `    <${column}>${this.escapeXMLValue(this.getValue(row, column))}</${column}>`
+            );
+            return [`  <${this.rowElement}>`, ...fields, `  </${this.rowElement}>`].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<${this.rootElement}>`,
+            ...bookings,
+            `</${this.rootElement}>`
+        ].join('\n');
+    }
+
+    /**
+     * Maskiert Sonderzeichen und entfernt in XML unzulässige Steuerzeichen
+     * @param {string|number} value - Der Wert
+     * @returns {string}
+     */
+    escapeXMLValue(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Node.js: als Modul exportieren (siehe lib/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMLExporter;
+}